@@ -1,3 +1,18 @@
+// Jest runs the ES modules as CommonJS, where import.meta does not exist;
+// point import.meta.url at the module's file so the CLI backtester and the
+// API routers can be loaded in tests
+function importMetaUrl({ template }) {
+  return {
+    visitor: {
+      MetaProperty(path) {
+        if (path.parentPath.isMemberExpression() && path.parent.property.name === 'url') {
+          path.parentPath.replaceWith(template.expression.ast`require('url').pathToFileURL(module.filename).href`);
+        }
+      }
+    }
+  };
+}
+
 module.exports = {
   presets: [
     [
@@ -9,5 +24,6 @@ module.exports = {
         modules: 'commonjs'
       }
     ]
-  ]
+  ],
+  plugins: [importMetaUrl]
 };
\ No newline at end of file
@@ -4,7 +4,7 @@ module.exports = {
     '^.+\.js$': 'babel-jest'
   },
   moduleNameMapper: {
-    '^(\.\.?\/.+)\.js$': '$1'
+    '^(\\.\\.?\\/.+)\\.js$': '$1'
   },
   moduleFileExtensions: ['js', 'json'],
   verbose: true,
@@ -1,11 +1,13 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import fs from 'fs/promises';
+import fs from 'fs';
 import winston from 'winston';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { Backtester } from '../engine/backtester.js';
+import { BacktestJobManager } from '../engine/backtestJobs.js';
+import { BacktestRegistry } from '../engine/backtestRegistry.js';
 import csvImporter from '../importers/csvImporter.js';
 import { info, error, warn } from '../utils/logger.js';
 
@@ -55,133 +57,247 @@ const upload = multer({
   }
 });
 
-// POST /api/backtest - Run backtest with uploaded CSV
+// Backtests run as jobs in worker threads; their events are streamed to the
+// `backtest-${id}` Socket.IO room that clients join with `subscribe-backtest`
+const jobManager = new BacktestJobManager({
+  workerPath: path.join(__dirname, '..', 'engine', 'backtestWorker.js')
+});
+
+// Every run is recorded (with its dataset) so it survives restarts
+const registry = new BacktestRegistry({
+  directory: path.join(__dirname, '..', '..', 'data', 'backtests'),
+  jobManager
+});
+
+const registryReady = registry.load().catch(err => {
+  backtestLogger.error('Failed to load backtest registry:', err.message);
+});
+
+const STREAMED_EVENTS = ['progress', 'trade', 'completed', 'failed', 'stopped'];
+let streamingIo = null;
+
+/**
+ * Forward job events to Socket.IO (bound once, on the first request)
+ * @param {Object} io - Socket.IO server
+ */
+function streamJobEvents(io) {
+  if (!io || streamingIo) {
+    return;
+  }
+
+  streamingIo = io;
+
+  STREAMED_EVENTS.forEach(event => {
+    jobManager.on(event, (job, payload = {}) => {
+      const room = `backtest-${job.id}`;
+
+      if (event === 'progress' || event === 'trade') {
+        io.to(room).emit(`backtest:${event}`, { id: job.id, ...payload });
+      } else {
+        io.to(room).emit(`backtest:${event}`, {
+          id: job.id,
+          status: job.status,
+          results: job.results,
+          error: job.error
+        });
+      }
+    });
+  });
+}
+
+jobManager.on('settled', job => {
+  if (job.status === 'failed') {
+    backtestLogger.error('Backtest failed', { id: job.id, error: job.error });
+  } else {
+    backtestLogger.info('Backtest finished', { id: job.id, status: job.status });
+  }
+});
+
+// Strategy ids map to files in the strategies directory; only allow plain
+// names so a request cannot point outside it
+const VALID_STRATEGY_ID = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Resolve a strategy id to its file
+ * @param {string} strategy - Strategy id
+ * @returns {string|null} Strategy path, or null if invalid or missing
+ */
+function resolveStrategyPath(strategy) {
+  if (typeof strategy !== 'string' || !VALID_STRATEGY_ID.test(strategy)) {
+    return null;
+  }
+
+  const strategyPath = path.join(__dirname, '..', '..', 'strategies', `${strategy}.js`);
+  return fs.existsSync(strategyPath) ? strategyPath : null;
+}
+
+/**
+ * Parse strategy parameters sent as an object (JSON body) or a JSON string
+ * (multipart form)
+ * @param {Object|string} parameters - Raw parameters
+ * @returns {Object} Parsed parameters
+ * @throws {Error} If the value is not a JSON object
+ */
+function parseParameters(parameters) {
+  if (!parameters) {
+    return {};
+  }
+
+  let parsed = parameters;
+  if (typeof parameters === 'string') {
+    try {
+      parsed = JSON.parse(parameters);
+    } catch (err) {
+      throw new Error('Parameters must be valid JSON');
+    }
+  }
+
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Parameters must be a JSON object');
+  }
+
+  return parsed;
+}
+
+const MAX_MONTE_CARLO_RUNS = 10000;
+
+/**
+ * Parse the number of Monte Carlo paths requested with a backtest
+ * @param {number|string} runs - Raw value
+ * @returns {number} Number of runs (0 when not requested)
+ * @throws {Error} If the value is not an integer between 0 and MAX_MONTE_CARLO_RUNS
+ */
+function parseMonteCarloRuns(runs) {
+  if (runs === undefined || runs === null || runs === '') {
+    return 0;
+  }
+
+  const parsed = Number(runs);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_MONTE_CARLO_RUNS) {
+    throw new Error(`monteCarloRuns must be an integer between 0 and ${MAX_MONTE_CARLO_RUNS}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Check parameters against the strategy's own validation before a job is
+ * started, so bad input is reported to the client instead of failing the run
+ * @param {string} strategyPath - Strategy file
+ * @param {Object} parameters - Strategy parameters
+ * @returns {Promise<string|null>} Validation error message or null
+ */
+async function validateParameters(strategyPath, parameters) {
+  if (Object.keys(parameters).length === 0) {
+    return null;
+  }
+
+  try {
+    await new Backtester().loadStrategy(strategyPath, parameters);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// POST /api/backtest - Start a backtest job with uploaded CSV
 router.post('/', upload.single('csvFile'), async(req, res) => {
   try {
     const { strategy, startDate, endDate, initialBalance } = req.body;
 
     if (!req.file) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'CSV file is required' 
-        });
-      }
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file is required'
+      });
+    }
 
-      if (!strategy) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'Strategy is required' 
-        });
-      }
+    if (!strategy) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: 'Strategy is required'
+      });
+    }
 
-    const csvFilePath = req.file.path;
-    const strategyPath = path.join(__dirname, '..', '..', 'strategies', `${strategy}.js`);
+    const strategyPath = resolveStrategyPath(strategy);
 
     // Check if strategy file exists
-    if (!fs.existsSync(strategyPath)) {
+    if (!strategyPath) {
       // Clean up uploaded file
-      fs.unlinkSync(csvFilePath);
-      return res.status(400).json({ 
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
         success: false,
-        error: `Strategy '${strategy}' not found` 
+        error: `Strategy '${strategy}' not found`
       });
     }
 
-    backtestLogger.info('Starting backtest', {
-      csvFile: req.file.originalname,
-      strategy,
-      startDate,
-      endDate,
-      initialBalance
-    });
-
-    // Run backtester CLI
-    const backtesterPath = path.join(__dirname, '..', 'engine', 'backtester.js');
-    const args = ['--data', csvFilePath, '--strategy', strategyPath];
-
-    if (startDate) args.push('--start', startDate);
-    if (endDate) args.push('--end', endDate);
-    if (initialBalance) args.push('--balance', initialBalance);
-
-    const cwd = path.join(__dirname, '..', '..');
-    const fullCommand = `node "${backtesterPath}" ${args.join(' ')}`;
-    
-    backtestLogger.info('Executing command', { command: fullCommand, cwd });
-
+    let parameters;
+    let monteCarloRuns;
     try {
-      const result = execSync(fullCommand, {
-        cwd,
-        encoding: 'utf8',
-        maxBuffer: 1024 * 1024 // 1MB buffer
+      parameters = parseParameters(req.body.parameters);
+      monteCarloRuns = parseMonteCarloRuns(req.body.monteCarloRuns);
+    } catch (err) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: err.message
       });
-      
-      backtestLogger.info('Command executed successfully', { outputLength: result.length });
-      
-      // Clean up uploaded file
-      try {
-        fs.unlinkSync(csvFilePath);
-      } catch (error) {
-        backtestLogger.warn('Failed to clean up uploaded file:', error.message);
-      }
+    }
 
-      try {
-        // Find the JSON part (starts with { and ends with })
-        const jsonStart = result.indexOf('{');
-        const jsonEnd = result.lastIndexOf('}') + 1;
-        
-        if (jsonStart === -1 || jsonEnd === 0) {
-          throw new Error('No JSON found in output');
-        }
-        
-        const jsonString = result.substring(jsonStart, jsonEnd);
-        const parsedResult = JSON.parse(jsonString);
-        backtestLogger.info('Backtest completed successfully');
-        res.json({
-          success: true,
-          data: {
-            ...parsedResult,
-            metadata: {
-              strategy,
-              csvFile: req.file.originalname,
-              startDate,
-              endDate,
-              initialBalance,
-              timestamp: new Date().toISOString()
-            }
-          }
-        });
-      } catch (parseError) {
-         backtestLogger.error('Failed to parse backtest result:', parseError.message);
-        backtestLogger.error(`Raw output length: ${result.length}`);
-        backtestLogger.error(`Raw output first 500 chars: ${result.substring(0, 500)}`);
-        backtestLogger.error(`Raw output last 500 chars: ${result.substring(Math.max(0, result.length - 500))}`);
-         res.status(500).json({ 
-           success: false, 
-           error: 'Failed to parse backtest result',
-           parseError: parseError.message,
-           rawOutput: result.substring(0, 1000) // Limit output size
-         });
-      }
-    } catch (execError) {
-      backtestLogger.error('Command execution failed', { error: execError.message });
-      
-      // Clean up uploaded file
-      try {
-        fs.unlinkSync(csvFilePath);
-      } catch (error) {
-        backtestLogger.warn('Failed to clean up uploaded file:', error.message);
-      }
-      
-      res.status(500).json({
+    const parameterError = await validateParameters(strategyPath, parameters);
+    if (parameterError) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
         success: false,
-        error: 'Backtest execution failed',
-        details: execError.message
+        error: parameterError
       });
     }
 
+    await registryReady;
+    streamJobEvents(req.app.get('io'));
 
+    const options = {};
+    if (initialBalance) {
+      options.initialBalance = Number(initialBalance);
+    }
+    if (monteCarloRuns > 0) {
+      options.monteCarloRuns = monteCarloRuns;
+    }
 
+    const dataset = await registry.storeDataset(req.file.path, req.file.originalname);
+    const job = await registry.create({
+      strategy,
+      strategyPath,
+      dataset,
+      parameters,
+      options,
+      runOptions: { startDate, endDate }
+    });
+
+    backtestLogger.info('Started backtest job', {
+      id: job.id,
+      csvFile: req.file.originalname,
+      strategy,
+      startDate,
+      endDate,
+      initialBalance
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        id: job.id,
+        status: job.status,
+        room: `backtest-${job.id}`,
+        createdAt: job.createdAt,
+        dataset: job.dataset
+      }
+    });
   } catch (error) {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
     backtestLogger.error('Backtest API error:', error.message);
     res.status(500).json({
       success: false,
@@ -232,8 +348,26 @@ router.get('/strategies', (req, res) => {
   }
 });
 
+// GET /api/backtest/:id - Job status and, once completed, its results
+router.get('/:id', async(req, res) => {
+  await registryReady;
+  const record = registry.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Backtest not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: record
+  });
+});
+
 // Error handling middleware for multer
-router.use((error, req, res, next) => {
+function handleUploadErrors(error, req, res, next) {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large. Maximum size is 10MB.' });
@@ -245,6 +379,20 @@ router.use((error, req, res, next) => {
   }
 
   next(error);
-});
+}
+
+router.use(handleUploadErrors);
 
+export {
+  upload,
+  handleUploadErrors,
+  jobManager,
+  registry,
+  registryReady,
+  streamJobEvents,
+  resolveStrategyPath,
+  parseParameters,
+  parseMonteCarloRuns,
+  validateParameters
+};
 export default router;
@@ -0,0 +1,309 @@
+import express from 'express';
+import fs from 'fs';
+import {
+  upload,
+  handleUploadErrors,
+  registry,
+  registryReady,
+  streamJobEvents,
+  resolveStrategyPath,
+  parseParameters,
+  parseMonteCarloRuns,
+  validateParameters
+} from './backtest.js';
+import { generateTearSheet } from '../engine/tearSheet.js';
+import { compareBacktests } from '../engine/backtestComparison.js';
+
+const router = express.Router();
+
+/**
+ * Build Backtester options from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Backtester options
+ * @throws {Error} If monteCarloRuns is invalid
+ */
+function buildOptions(body) {
+  const options = {};
+  const initialBalance = body.initialBalance || (body.portfolio && body.portfolio.initialCapital);
+
+  if (initialBalance) {
+    options.initialBalance = Number(initialBalance);
+  }
+
+  if (body.fee !== undefined && body.fee !== '') {
+    options.fee = Number(body.fee);
+  }
+
+  const monteCarloRuns = parseMonteCarloRuns(body.monteCarloRuns);
+  if (monteCarloRuns > 0) {
+    options.monteCarloRuns = monteCarloRuns;
+  }
+
+  return options;
+}
+
+// GET /api/backtests - List recorded backtest runs
+router.get('/', async(req, res) => {
+  await registryReady;
+
+  res.json({
+    success: true,
+    data: registry.list()
+  });
+});
+
+// GET /api/backtests/compare?ids=a,b[,c...][&baseline=a] - Aligned equity
+// curves, metric deltas, winners and return correlation of finished runs
+router.get('/compare', async(req, res) => {
+  await registryReady;
+
+  const ids = String(req.query.ids || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  const missing = ids.filter(id => !registry.get(id));
+  if (missing.length > 0) {
+    return res.status(404).json({
+      success: false,
+      error: `Backtest '${missing[0]}' not found`
+    });
+  }
+
+  const unfinished = ids.map(id => registry.get(id)).find(record => !record.results);
+  if (unfinished) {
+    return res.status(409).json({
+      success: false,
+      error: `Backtest '${unfinished.id}' is ${unfinished.status} and has no results to compare`
+    });
+  }
+
+  try {
+    const comparison = compareBacktests(ids.map(id => {
+      const record = registry.get(id);
+      return {
+        id,
+        name: record.strategyName,
+        parameters: record.parameters,
+        results: record.results
+      };
+    }), { baseline: req.query.baseline || undefined });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/backtests/:id - Recorded run including its results
+router.get('/:id', async(req, res) => {
+  await registryReady;
+  const record = registry.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Backtest not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: record
+  });
+});
+
+// GET /api/backtests/:id/report - Download a finished run as an HTML tear sheet
+router.get('/:id/report', async(req, res) => {
+  await registryReady;
+  const record = registry.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Backtest not found'
+    });
+  }
+
+  if (!record.results) {
+    return res.status(409).json({
+      success: false,
+      error: `Backtest is ${record.status} and has no results to report`
+    });
+  }
+
+  try {
+    const html = generateTearSheet(record.results, {
+      strategy: record.strategyName,
+      dataset: record.dataset && record.dataset.filename,
+      parameters: record.parameters
+    });
+
+    res.attachment(`backtest-${record.id}.html`);
+    res.type('html');
+    res.send(html);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate report',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/backtests - Start a run from an uploaded CSV, a stored dataset
+// (`datasetId`) or as a re-run of a previous run (`rerunOf`)
+router.post('/', upload.single('csvFile'), async(req, res) => {
+  const discardUpload = () => {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  };
+
+  try {
+    await registryReady;
+    streamJobEvents(req.app.get('io'));
+
+    const body = req.body || {};
+
+    if (body.rerunOf) {
+      discardUpload();
+      const record = await registry.rerun(body.rerunOf);
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: `Backtest '${body.rerunOf}' not found`
+        });
+      }
+
+      return res.status(202).json({ success: true, data: record });
+    }
+
+    const strategy = body.strategy || body.strategyId;
+    const strategyPath = resolveStrategyPath(strategy);
+
+    if (!strategyPath) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        error: strategy ? `Strategy '${strategy}' not found` : 'Strategy is required'
+      });
+    }
+
+    let parameters;
+    let options;
+    try {
+      parameters = parseParameters(body.parameters);
+      options = buildOptions(body);
+    } catch (error) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const parameterError = await validateParameters(strategyPath, parameters);
+    if (parameterError) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        error: parameterError
+      });
+    }
+
+    let dataset;
+    if (req.file) {
+      dataset = await registry.storeDataset(req.file.path, req.file.originalname);
+    } else if (body.datasetId) {
+      dataset = registry.getDataset(body.datasetId);
+    }
+
+    if (!dataset) {
+      return res.status(400).json({
+        success: false,
+        error: body.datasetId ? `Dataset '${body.datasetId}' not found` : 'CSV file or datasetId is required'
+      });
+    }
+
+    const dataSource = body.dataSource || {};
+    const record = await registry.create({
+      strategy,
+      strategyPath,
+      dataset,
+      parameters,
+      options,
+      runOptions: {
+        startDate: body.startDate || dataSource.startDate || null,
+        endDate: body.endDate || dataSource.endDate || null
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    discardUpload();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start backtest',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/backtests/:id/stop - Cancel a running backtest
+router.post('/:id/stop', async(req, res) => {
+  await registryReady;
+  const record = registry.stop(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Backtest not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { id: record.id, status: record.status }
+  });
+});
+
+// DELETE /api/backtests/:id - Delete a run (stopping it first if needed)
+router.delete('/:id', async(req, res) => {
+  try {
+    await registryReady;
+    const deleted = await registry.remove(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backtest not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete backtest',
+      message: error.message
+    });
+  }
+});
+
+router.use(handleUploadErrors);
+
+export default router;
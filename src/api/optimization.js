@@ -0,0 +1,658 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  OptimizationJobManager,
+  toParameterSpace,
+  stringifyRecord,
+  parseRecord
+} from '../engine/optimizationJobs.js';
+import { OptimizationLibrary } from '../engine/optimizationLibrary.js';
+import {
+  upload,
+  handleUploadErrors,
+  registry,
+  registryReady,
+  resolveStrategyPath
+} from './backtest.js';
+import { info, error as logError } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const router = express.Router();
+
+const DATA_DIR = process.env.OPTIMIZATION_DATA_DIR || path.join(__dirname, '..', '..', 'data', 'optimizations');
+
+// Jobs, their datasets and checkpoints are persisted, so paused jobs and jobs
+// interrupted by a restart resume from where they stopped
+const manager = new OptimizationJobManager({ directory: DATA_DIR });
+const library = new OptimizationLibrary({ directory: DATA_DIR });
+
+const ready = Promise.all([manager.load(), library.load()]).catch(err => {
+  logError('Failed to load optimizations', { error: err.message });
+});
+
+// Exported optimizations are imported as JSON files
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+const STREAMED_EVENTS = ['progress', 'paused', 'completed', 'failed', 'cancelled'];
+let streamingIo = null;
+
+/**
+ * Forward job events to the `optimization-${id}` Socket.IO room that clients
+ * join with `subscribe-optimization`. The server binds this once at startup,
+ * so jobs resumed after a restart stream too.
+ * @param {Object} io - Socket.IO server
+ */
+function streamOptimizationEvents(io) {
+  if (!io || streamingIo) {
+    return;
+  }
+
+  streamingIo = io;
+
+  STREAMED_EVENTS.forEach(event => {
+    manager.on(event, (record, payload = {}) => {
+      io.to(`optimization-${record.id}`).emit(`optimization:${event}`, event === 'progress'
+        ? { id: record.id, ...payload }
+        : { id: record.id, status: record.status, error: record.error });
+    });
+  });
+}
+
+/**
+ * Check a job's alerts and push the ones that triggered
+ * @param {Object} record - Optimization job
+ */
+async function checkAlerts(record) {
+  try {
+    const triggered = await library.checkAlerts(record, manager.getProgress(record.id) || {});
+
+    triggered.forEach(alert => {
+      info('Optimization alert triggered', { id: record.id, alert: alert.id, type: alert.type });
+      if (streamingIo) {
+        streamingIo.to(`optimization-${record.id}`).emit('optimization:alert', { id: record.id, alert });
+      }
+    });
+  } catch (err) {
+    logError('Failed to check optimization alerts', { error: err.message });
+  }
+}
+
+manager.on('progress', checkAlerts);
+manager.on('settled', record => {
+  if (record.status === 'failed') {
+    logError('Optimization failed', { id: record.id, error: record.error });
+  } else {
+    info('Optimization finished', { id: record.id, status: record.status });
+  }
+  checkAlerts(record);
+});
+
+const REQUEST_FIELDS = ['parameters', 'objectives', 'dataSource', 'portfolio', 'optimization'];
+
+/**
+ * Build an optimization request from a JSON body or a multipart form, whose
+ * object fields arrive as JSON strings
+ * @param {Object} body - Request body
+ * @returns {Object} Optimization request
+ * @throws {Error} If a field is not valid JSON
+ */
+function parseRequest(body) {
+  const request = { ...body };
+
+  REQUEST_FIELDS.forEach(field => {
+    if (typeof request[field] !== 'string') {
+      return;
+    }
+
+    try {
+      request[field] = JSON.parse(request[field]);
+    } catch (err) {
+      throw new Error(`${field} must be valid JSON`);
+    }
+  });
+
+  delete request.strategyId;
+  delete request.datasetId;
+  return request;
+}
+
+/**
+ * Results of a job as CSV: one row per parameter set
+ * @param {Object} record - Optimization job
+ * @returns {string} CSV text
+ */
+function resultsToCsv(record) {
+  const parameterNames = [...new Set(record.results.flatMap(result => Object.keys(result.parameters)))];
+  const objectiveNames = (record.objectives || []).map(objective => objective.name);
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = record.results.map(result => [
+    result.rank,
+    ...parameterNames.map(name => result.parameters[name]),
+    result.fitness,
+    ...objectiveNames.map(name => result.objectives && result.objectives[name])
+  ]);
+
+  return [['rank', ...parameterNames, 'fitness', ...objectiveNames], ...rows]
+    .map(row => row.map(escape).join(','))
+    .join('\n');
+}
+
+/**
+ * Send the outcome of a job control action: 404 for unknown jobs, 409 when
+ * the job is not in a state that allows it
+ */
+function control(res, action) {
+  let record;
+  try {
+    record = action();
+  } catch (err) {
+    return res.status(409).json({
+      success: false,
+      error: err.message
+    });
+  }
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Optimization not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { id: record.id, status: record.status }
+  });
+}
+
+// GET /api/optimization - List optimization jobs (without their results)
+router.get('/', async(req, res) => {
+  await ready;
+
+  res.json({
+    success: true,
+    data: manager.list()
+  });
+});
+
+// POST /api/optimization/start - Start an optimization job on an uploaded CSV
+// (`csvFile`) or a stored dataset (`datasetId`, from a job or a backtest)
+router.post('/start', upload.single('csvFile'), async(req, res) => {
+  const discardUpload = () => {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  };
+
+  try {
+    await ready;
+
+    const body = req.body || {};
+    const { strategyId } = body;
+    const strategyPath = resolveStrategyPath(strategyId);
+
+    if (!strategyPath) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        error: strategyId ? `Strategy '${strategyId}' not found` : 'strategyId is required'
+      });
+    }
+
+    let request;
+    try {
+      request = parseRequest(body);
+      toParameterSpace(request.parameters);
+    } catch (err) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+
+    const datasetId = body.datasetId || (request.dataSource && request.dataSource.datasetId);
+    let dataset = null;
+    if (req.file) {
+      dataset = await manager.storeDataset(req.file.path, req.file.originalname);
+    } else if (datasetId) {
+      dataset = manager.getDataset(datasetId);
+
+      if (!dataset) {
+        await registryReady;
+        const backtestDataset = registry.getDataset(datasetId);
+        if (backtestDataset) {
+          dataset = await manager.storeDataset(registry.getDatasetPath(datasetId), backtestDataset.filename, { copy: true });
+        }
+      }
+    }
+
+    if (!dataset) {
+      return res.status(400).json({
+        success: false,
+        error: datasetId ? `Dataset '${datasetId}' not found` : 'CSV file or datasetId is required'
+      });
+    }
+
+    const record = await manager.create({ strategyId, strategyPath, dataset, request });
+
+    info('Started optimization job', { id: record.id, strategyId, dataset: dataset.filename });
+
+    res.status(202).json({
+      success: true,
+      data: { ...record, room: `optimization-${record.id}` }
+    });
+  } catch (err) {
+    discardUpload();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start optimization',
+      message: err.message
+    });
+  }
+});
+
+// GET /api/optimization/templates - List saved templates
+router.get('/templates', async(req, res) => {
+  await ready;
+
+  res.json({
+    success: true,
+    data: library.listTemplates()
+  });
+});
+
+// POST /api/optimization/templates - Save a template
+router.post('/templates', async(req, res) => {
+  await ready;
+
+  try {
+    const template = await library.createTemplate(req.body);
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/optimization/templates/:id - Update a template
+router.put('/templates/:id', async(req, res) => {
+  await ready;
+  const template = await library.updateTemplate(req.params.id, req.body);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+// DELETE /api/optimization/templates/:id - Delete a template
+router.delete('/templates/:id', async(req, res) => {
+  await ready;
+
+  if (!await library.removeTemplate(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { id: req.params.id }
+  });
+});
+
+// GET /api/optimization/comparisons - List saved comparisons
+router.get('/comparisons', async(req, res) => {
+  await ready;
+
+  res.json({
+    success: true,
+    data: library.listComparisons()
+  });
+});
+
+// POST /api/optimization/comparisons - Rank the winners of finished jobs:
+// { name, optimizations: [ids], metrics: [metric names] }
+router.post('/comparisons', async(req, res) => {
+  await ready;
+  const { name, optimizations = [], metrics = [] } = req.body || {};
+
+  if (!Array.isArray(optimizations) || !Array.isArray(metrics)) {
+    return res.status(400).json({
+      success: false,
+      error: 'optimizations and metrics must be arrays'
+    });
+  }
+
+  const missing = optimizations.find(id => !manager.get(id));
+  if (missing) {
+    return res.status(404).json({
+      success: false,
+      error: `Optimization '${missing}' not found`
+    });
+  }
+
+  const records = optimizations.map(id => manager.get(id));
+  const unfinished = records.find(record => record.status !== 'completed');
+  if (unfinished) {
+    return res.status(409).json({
+      success: false,
+      error: `Optimization '${unfinished.id}' is ${unfinished.status} and has no results to compare`
+    });
+  }
+
+  try {
+    const comparison = await library.createComparison({ name, metrics }, records);
+    res.status(201).json({
+      success: true,
+      data: comparison
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// GET /api/optimization/alerts - List alerts
+router.get('/alerts', async(req, res) => {
+  await ready;
+
+  res.json({
+    success: true,
+    data: library.listAlerts()
+  });
+});
+
+// POST /api/optimization/alerts - Create an alert on a job
+router.post('/alerts', async(req, res) => {
+  await ready;
+  const body = req.body || {};
+
+  if (body.optimizationId && !manager.get(body.optimizationId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Optimization '${body.optimizationId}' not found`
+    });
+  }
+
+  try {
+    const alert = await library.createAlert(body);
+    res.status(201).json({
+      success: true,
+      data: alert
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// PUT /api/optimization/alerts/:id - Update an alert
+router.put('/alerts/:id', async(req, res) => {
+  await ready;
+
+  try {
+    const alert = await library.updateAlert(req.params.id, req.body);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// DELETE /api/optimization/alerts/:id - Delete an alert
+router.delete('/alerts/:id', async(req, res) => {
+  await ready;
+
+  if (!await library.removeAlert(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Alert not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { id: req.params.id }
+  });
+});
+
+// POST /api/optimization/import - Import a job exported as JSON (`file`)
+router.post('/import', importUpload.single('file'), async(req, res) => {
+  await ready;
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'Export file is required'
+    });
+  }
+
+  if (req.body.format && req.body.format !== 'json') {
+    return res.status(400).json({
+      success: false,
+      error: 'Only JSON exports can be imported'
+    });
+  }
+
+  let data;
+  try {
+    data = parseRecord(req.file.buffer.toString('utf-8'));
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      error: 'Export file must be valid JSON'
+    });
+  }
+
+  try {
+    const record = await manager.importRecord(data);
+    res.status(201).json({
+      success: true,
+      data: record
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// GET /api/optimization/:id - Job including its results once completed
+router.get('/:id', async(req, res) => {
+  await ready;
+  const record = manager.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Optimization not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: record
+  });
+});
+
+// GET /api/optimization/:id/progress - Progress, speed and best result so far
+router.get('/:id/progress', async(req, res) => {
+  await ready;
+  const progress = manager.getProgress(req.params.id);
+
+  if (!progress) {
+    return res.status(404).json({
+      success: false,
+      error: 'Optimization not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: progress
+  });
+});
+
+// POST /api/optimization/:id/pause - Pause a running job at a checkpoint
+router.post('/:id/pause', async(req, res) => {
+  await ready;
+  control(res, () => manager.pause(req.params.id));
+});
+
+// POST /api/optimization/:id/resume - Resume a paused or failed job
+router.post('/:id/resume', async(req, res) => {
+  await ready;
+  control(res, () => manager.resume(req.params.id));
+});
+
+// POST /api/optimization/:id/stop - Cancel a running or paused job
+router.post('/:id/stop', async(req, res) => {
+  await ready;
+  control(res, () => manager.stop(req.params.id));
+});
+
+// POST /api/optimization/:id/duplicate - Start the same job again
+router.post('/:id/duplicate', async(req, res) => {
+  await ready;
+
+  let record;
+  try {
+    record = await manager.duplicate(req.params.id);
+  } catch (err) {
+    return res.status(409).json({
+      success: false,
+      error: err.message
+    });
+  }
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Optimization not found'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: record
+  });
+});
+
+// POST /api/optimization/:id/export - Download a job as JSON (re-importable)
+// or its results as CSV: { format: 'json'|'csv' }
+router.post('/:id/export', async(req, res) => {
+  try {
+    await ready;
+    const record = manager.get(req.params.id);
+    const format = (req.body && req.body.format) || 'json';
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Optimization not found'
+      });
+    }
+
+    if (format === 'json') {
+      res.attachment(`optimization-${record.id}.json`);
+      res.type('json');
+      return res.send(stringifyRecord(record));
+    }
+
+    if (format === 'csv') {
+      const csv = resultsToCsv(record);
+      res.attachment(`optimization-${record.id}.csv`);
+      res.type('csv');
+      return res.send(csv);
+    }
+
+    res.status(400).json({
+      success: false,
+      error: `Export format '${format}' is not supported`
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export optimization',
+      message: err.message
+    });
+  }
+});
+
+// DELETE /api/optimization/:id - Delete a job (stopping it first if needed)
+router.delete('/:id', async(req, res) => {
+  try {
+    await ready;
+    const deleted = await manager.remove(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Optimization not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete optimization',
+      message: err.message
+    });
+  }
+});
+
+router.use(handleUploadErrors);
+
+export { manager, library, ready, streamOptimizationEvents };
+export default router;
@@ -2,6 +2,25 @@ const { EventEmitter } = require('events');
 const { logger } = require('../utils/logger.js');
 const { PortfolioManager } = require('./portfolioManager.js');
 const { StrategyEngine } = require('./strategyEngine.js');
+const { PerpetualAccount, FundingRateSeries } = require('./perpetualFutures.js');
+const { MonteCarloSimulator, describeDistribution } = require('./monteCarlo.js');
+const { SyntheticDataGenerator } = require('../importers/syntheticData.js');
+const { inferBarDuration, parseDuration } = require('./durations.js');
+const { STRESS_SCENARIOS, applyScenario } = require('./stressScenarios.js');
+const { compareToBenchmark } = require('./benchmark.js');
+const { generateTearSheet } = require('./tearSheet.js');
+const {
+  analyzePerformance,
+  annualizedReturn,
+  calmarRatio,
+  downsideDeviation,
+  equityReturns,
+  periodsPerYear,
+  sharpeRatio,
+  sortinoRatio,
+  standardDeviation,
+  volatility
+} = require('./performanceMetrics.js');
 const fs = require('fs/promises');
 const path = require('path');
 
@@ -14,14 +33,37 @@ class AdvancedBacktester extends EventEmitter {
       commission: 0.001, // 0.1%
       slippage: 0.0005, // 0.05%
       spread: 0.0002, // 0.02%
-      latency: 100, // 100ms execution delay
+      latency: 100, // 100ms execution delay, simulated in bar time
+      latencyBars: null, // explicit execution delay in bars (overrides latency)
       marketImpact: 0.0001, // 0.01% market impact
       enableRealisticExecution: true,
       enableWalkForward: false,
       walkForwardPeriods: 12,
       walkForwardOptimizationRatio: 0.7,
+      walkForwardMode: 'rolling', // 'rolling' or 'anchored' (expanding) train windows
+      walkForwardTrainWindow: null, // candles or a duration like '90d'; overrides the periods split
+      walkForwardTestWindow: null, // candles or a duration like '30d'
+      walkForwardPurge: 0, // gap between train and test windows, in candles or a duration
+      walkForwardMethod: 'grid', // StrategyOptimizer method for each in-sample window
+      walkForwardParameterSpace: null, // defaults to the strategy's parameterDefinitions
+      walkForwardOptimizer: {}, // StrategyOptimizer options (fitnessFunction, populationSize, ...)
       enableMonteCarlo: false,
       monteCarloRuns: 1000,
+      monteCarloMethod: 'resample', // trade order: 'resample' (with replacement) or 'shuffle'
+      monteCarloSkipProbability: 0, // chance of randomly skipping each trade
+      monteCarloBlockSize: null, // return bootstrap block length in bars (default: sqrt of the sample)
+      monteCarloRuinThreshold: 0.5, // drawdown from the initial balance counted as ruin
+      monteCarloSeed: null, // seed for reproducible simulations
+      monteCarloSyntheticPaths: 0, // synthetic price paths to backtest the strategy on (0 disables)
+      monteCarloSyntheticModel: 'gbm', // 'gbm', 'garch', 'jump' or 'regime', calibrated to the loaded data
+      monteCarloSynthetic: {}, // SyntheticDataGenerator options (params, jumpThreshold, regimeWindow)
+      enableStressTest: false,
+      stressScenarios: null, // catalog ids or custom scenarios (default: the whole catalog)
+      stressStart: null, // candle index, fraction of the data or date (default: a third in)
+      riskFreeRate: 0, // annual, for the Sharpe ratio
+      benchmark: null, // benchmark prices [{ timestamp, close }] (default: buy and hold of the loaded data)
+      instrument: 'spot', // 'spot' or 'perpetual'
+      perpetual: {}, // PerpetualAccount options (marginMode, leverage, fundingRates, ...)
       ...config
     };
 
@@ -35,6 +77,7 @@ class AdvancedBacktester extends EventEmitter {
     this.executionEngine = new RealisticExecutionEngine(this.config);
     this.walkForwardAnalyzer = new WalkForwardAnalyzer(this.config);
     this.monteCarloAnalyzer = new MonteCarloAnalyzer(this.config);
+    this.stressTester = new StressTester(this.config);
   }
 
   /**
@@ -99,6 +142,8 @@ class AdvancedBacktester extends EventEmitter {
       // Initialize strategy
       if (this.strategy.initialize) {
         await this.strategy.initialize(this.config);
+      } else if (typeof this.strategy.init === 'function' && !this.strategy.initialized) {
+        this.strategy.init(this.config);
       }
 
       // Run different analysis types
@@ -106,6 +151,8 @@ class AdvancedBacktester extends EventEmitter {
         this.results = await this.runWalkForwardAnalysis();
       } else if (this.config.enableMonteCarlo) {
         this.results = await this.runMonteCarloAnalysis();
+      } else if (this.config.enableStressTest) {
+        this.results = await this.runStressTest();
       } else {
         this.results = await this.runStandardBacktest();
       }
@@ -131,6 +178,10 @@ class AdvancedBacktester extends EventEmitter {
    * Run standard backtest
    */
   async runStandardBacktest() {
+    if (this.config.instrument === 'perpetual') {
+      return this.runPerpetualBacktest();
+    }
+
     const startTime = Date.now();
     const portfolio = new PortfolioManager(this.config);
 
@@ -141,48 +192,41 @@ class AdvancedBacktester extends EventEmitter {
       });
     }
 
+    this.executionEngine.reset({ barDuration: this.getBarDuration() });
+    const equityCurve = [];
+
     for (let i = 0; i < this.marketData.length; i++) {
       const candle = this.marketData[i];
 
       // Update portfolio with current prices
       portfolio.updatePositionPrices({ [candle.symbol || 'DEFAULT']: candle.close });
 
+      // Fill what is left of earlier orders before acting on new signals
+      if (this.config.enableRealisticExecution) {
+        for (const fill of this.executionEngine.processPendingOrders(candle, i, this.marketData)) {
+          await this.applySignal(portfolio, fill.signal, candle);
+        }
+      }
+
       // Get strategy signal
       const signal = await this.getStrategySignal(candle, i);
 
       if (signal) {
-        // Apply realistic execution
-        const executedSignal = this.config.enableRealisticExecution
-          ? await this.executionEngine.executeSignal(signal, candle, this.marketData.slice(0, i + 1))
-          : signal;
-
-        if (executedSignal) {
-          // Exit signals (type 'exit' or legacy action 'close') close positions;
-          // everything else is an entry (buy/sell).
-          const isExit = executedSignal.type === 'exit' || executedSignal.action === 'close';
-
-          if (isExit) {
-            if (executedSignal.positionId) {
-              await portfolio.closePosition(executedSignal.positionId, executedSignal.price || candle.close);
-            } else {
-              // Close all positions
-              const openPositions = portfolio.getOpenPositions();
-              for (const position of openPositions) {
-                await portfolio.closePosition(position.id, candle.close);
-              }
-            }
-          } else if (executedSignal.action === 'buy' || executedSignal.action === 'sell') {
-            // Strategies operate on a single instrument and do not emit a
-            // symbol, so default it from the candle.
-            await portfolio.openPosition({
-              ...executedSignal,
-              symbol: executedSignal.symbol || candle.symbol || 'DEFAULT',
-              price: executedSignal.price || candle.close
-            });
+        if (this.config.enableRealisticExecution) {
+          // Size the order up front so fills can be capped by volume; it
+          // starts filling once its latency has elapsed, from the next candle
+          const order = this.createOrder(portfolio, signal, candle);
+          if (order) {
+            this.executionEngine.cancelPendingOrders(order.symbol, candle);
+            this.executionEngine.submitOrder(order, candle, i);
           }
+        } else {
+          await this.applySignal(portfolio, signal, candle);
         }
       }
 
+      equityCurve.push({ timestamp: candle.timestamp, equity: portfolio.equity });
+
       // Emit progress
       if (i % 100 === 0) {
         this.emit('progress', {
@@ -200,18 +244,360 @@ class AdvancedBacktester extends EventEmitter {
       await portfolio.closePosition(position.id, lastCandle.close, 'backtest_end');
     }
 
+    this.executionEngine.expirePendingOrders(lastCandle);
+    equityCurve[equityCurve.length - 1].equity = portfolio.equity;
+
     const endTime = Date.now();
 
     return {
       type: 'standard',
       portfolio: portfolio.getPortfolioSummary(),
       trades: portfolio.getTrades(),
-      performance: portfolio.getPerformanceMetrics(),
+      executions: this.executionEngine.executions,
+      equityCurve,
+      performance: {
+        ...portfolio.getPerformanceMetrics(),
+        ...this.analyzeEquity(equityCurve, portfolio.getTrades())
+      },
+      benchmark: this.calculateBenchmark(equityCurve),
       duration: endTime - startTime,
       dataPoints: this.marketData.length
     };
   }
 
+  /**
+   * Return, risk and trade metrics of an equity curve, from the shared
+   * performance analytics so they match the other engines
+   * @param {Array} equityCurve - [{ timestamp, equity }]
+   * @param {Array} trades - Closed trades with pnl
+   * @returns {Object} Metrics merged into the results' performance
+   */
+  analyzeEquity(equityCurve, trades) {
+    const analytics = analyzePerformance(equityCurve, {
+      trades,
+      initialBalance: this.config.initialBalance,
+      riskFreeRate: this.config.riskFreeRate
+    });
+
+    return {
+      winRate: analytics.winRate,
+      profitFactor: analytics.profitFactor,
+      maxDrawdown: analytics.maxDrawdown,
+      maxDrawdownPercent: analytics.maxDrawdownPercent,
+      annualizedReturnPercent: analytics.annualizedReturnPercent,
+      volatility: analytics.volatility,
+      sharpeRatio: analytics.sharpeRatio,
+      sortinoRatio: analytics.sortinoRatio,
+      calmarRatio: analytics.calmarRatio
+    };
+  }
+
+  /**
+   * Compare an equity curve with the configured benchmark, or with buy and
+   * hold of the loaded data
+   * @param {Array} equityCurve - [{ timestamp, equity }]
+   * @returns {Object|null} Benchmark-relative metrics and curve
+   */
+  calculateBenchmark(equityCurve) {
+    return compareToBenchmark(equityCurve, {
+      series: this.config.benchmark || this.marketData,
+      source: this.config.benchmark ? 'custom' : 'buy-and-hold',
+      initialBalance: this.config.initialBalance
+    });
+  }
+
+  /**
+   * Typical spacing between candles in milliseconds (median of the gaps)
+   * @returns {number} Bar duration, 0 when it cannot be inferred
+   */
+  getBarDuration() {
+    return inferBarDuration(this.marketData);
+  }
+
+  /**
+   * Turn a strategy signal into an order with a concrete quantity. Entries
+   * are sized like PortfolioManager would size them; exits cover the open
+   * position(s) they refer to.
+   * @returns {Object|null} Order, or null when there is nothing to trade
+   */
+  createOrder(portfolio, signal, candle) {
+    const symbol = signal.symbol || candle.symbol || 'DEFAULT';
+    const price = signal.price || candle.close;
+    const isExit = signal.type === 'exit' || signal.action === 'close';
+
+    if (isExit) {
+      const positions = signal.positionId
+        ? [portfolio.getPosition(signal.positionId)].filter(position => position && position.status === 'open')
+        : portfolio.getOpenPositions();
+      const quantity = positions.reduce((sum, position) => sum + position.quantity, 0);
+
+      return quantity > 0
+        ? { symbol, side: signal.side || 'sell', type: 'exit', quantity, price, signal }
+        : null;
+    }
+
+    if (signal.action !== 'buy' && signal.action !== 'sell') {
+      return null;
+    }
+
+    const quantity = portfolio.positionSizer.calculateSize({ ...signal, price }, portfolio.balance, portfolio.equity);
+
+    return quantity > 0
+      ? { symbol, side: signal.side || signal.action, type: 'entry', quantity, price, signal }
+      : null;
+  }
+
+  /**
+   * Apply an (executed) signal to the portfolio. Exit signals (type 'exit' or
+   * legacy action 'close') close positions, oldest first and partially when
+   * the signal carries a quantity; everything else is an entry (buy/sell).
+   */
+  async applySignal(portfolio, signal, candle) {
+    const isExit = signal.type === 'exit' || signal.action === 'close';
+
+    if (isExit) {
+      const price = signal.price || candle.close;
+      const positions = signal.positionId
+        ? [portfolio.getPosition(signal.positionId)].filter(position => position && position.status === 'open')
+        : portfolio.getOpenPositions();
+      let remaining = signal.quantity || Infinity;
+
+      for (const position of positions) {
+        if (remaining <= 0) {
+          break;
+        }
+        const quantity = Math.min(position.quantity, remaining);
+        remaining -= quantity;
+        await portfolio.closePosition(position.id, price, signal.reason || 'manual',
+          quantity < position.quantity ? quantity : null);
+      }
+    } else if (signal.action === 'buy' || signal.action === 'sell') {
+      // Strategies operate on a single instrument and do not emit a
+      // symbol, so default it from the candle.
+      await portfolio.openPosition({
+        ...signal,
+        side: signal.side || signal.action,
+        symbol: signal.symbol || candle.symbol || 'DEFAULT',
+        price: signal.price || candle.close
+      });
+    }
+  }
+
+  /**
+   * Run backtest on perpetual futures. Buy signals open longs, sell signals
+   * open shorts and exit signals close the position. Positions are marked to
+   * `candle.markPrice` (falling back to the close), pay funding at every
+   * funding interval and are liquidated when margin runs out. With realistic
+   * execution, signals are queued as orders like in the standard backtest.
+   */
+  async runPerpetualBacktest() {
+    const startTime = Date.now();
+    const { fundingRates, ...perpetual } = this.config.perpetual;
+    const account = new PerpetualAccount({
+      initialBalance: this.config.initialBalance,
+      fee: this.config.commission,
+      ...perpetual,
+      fundingRates: await FundingRateSeries.from(fundingRates)
+    });
+    this.executionEngine.reset({ barDuration: this.getBarDuration() });
+
+    for (let i = 0; i < this.marketData.length; i++) {
+      const candle = this.marketData[i];
+      const symbol = candle.symbol || 'DEFAULT';
+
+      // Funding settles at the previous mark before the new price applies
+      account.applyFunding(candle.timestamp);
+      const liquidations = account.updateMarkPrice(symbol, candle.markPrice || candle.close, candle.timestamp);
+      liquidations.forEach(trade => {
+        logger.warn(`Position liquidated: ${trade.symbol} ${trade.side} ${trade.quantity} @ ${trade.exitPrice}`);
+      });
+
+      // Fill what is left of earlier orders before acting on new signals
+      if (this.config.enableRealisticExecution) {
+        for (const fill of this.executionEngine.processPendingOrders(candle, i, this.marketData)) {
+          this.applyPerpetualFill(account, fill.signal, candle, symbol);
+        }
+      }
+
+      const signal = await this.getStrategySignal(candle, i);
+
+      if (signal) {
+        if (this.config.enableRealisticExecution) {
+          const order = this.createPerpetualOrder(account, signal, candle, symbol);
+          if (order) {
+            this.executionEngine.cancelPendingOrders(symbol, candle);
+            this.executionEngine.submitOrder(order, candle, i);
+          }
+        } else {
+          this.executePerpetualSignal(account, signal, candle, symbol);
+        }
+      }
+
+      account.recordEquity(candle.timestamp);
+
+      if (i % 100 === 0) {
+        this.emit('progress', {
+          processed: i + 1,
+          total: this.marketData.length,
+          percentage: ((i + 1) / this.marketData.length) * 100
+        });
+      }
+    }
+
+    // Close all remaining positions
+    const lastCandle = this.marketData[this.marketData.length - 1];
+    for (const position of Array.from(account.positions.values())) {
+      account.close(position.symbol, 'all', lastCandle.close, { timestamp: lastCandle.timestamp, reason: 'backtest_end' });
+    }
+    account.recordEquity(lastCandle.timestamp);
+    this.executionEngine.expirePendingOrders(lastCandle);
+
+    const endTime = Date.now();
+    const trades = account.trades;
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl < 0);
+    const totalProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const totalLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+    const equity = account.getEquity();
+    const summary = account.getSummary();
+
+    return {
+      type: 'perpetual',
+      portfolio: {
+        balance: account.balance,
+        equity,
+        totalRealizedPnL: trades.reduce((sum, trade) => sum + trade.pnl, 0),
+        totalPnL: equity - this.config.initialBalance,
+        totalFunding: summary.totalFunding,
+        totalFees: summary.totalFees,
+        totalTrades: trades.length
+      },
+      trades,
+      executions: this.executionEngine.executions,
+      fundingPayments: account.fundingPayments,
+      liquidations: trades.filter(trade => trade.closeReason === 'liquidation'),
+      performance: {
+        totalTrades: trades.length,
+        winningTrades: wins.length,
+        losingTrades: losses.length,
+        totalProfit,
+        totalLoss,
+        ...this.analyzeEquity(account.equityHistory, trades),
+        roi: ((equity - this.config.initialBalance) / this.config.initialBalance) * 100,
+        equityHistory: account.equityHistory
+      },
+      benchmark: this.calculateBenchmark(account.equityHistory),
+      duration: endTime - startTime,
+      dataPoints: this.marketData.length
+    };
+  }
+
+  /**
+   * Turn a perpetual signal into an order with a concrete size. Exits cover
+   * the open position; an entry against an open position also covers that
+   * position so one order reverses it, as on an exchange. Entries without a
+   * `quantity` use the balance that is available once the reversal closes.
+   * @returns {Object|null} Order, or null when there is nothing to trade
+   */
+  createPerpetualOrder(account, signal, candle, symbol) {
+    const price = signal.price || candle.close;
+    const isExit = signal.type === 'exit' || signal.action === 'close';
+    const existing = account.getPosition(symbol);
+
+    if (isExit) {
+      if (!existing) {
+        return null;
+      }
+      const quantity = Math.min(signal.quantity || existing.size, existing.size);
+      return { symbol, side: existing.side === 'long' ? 'sell' : 'buy', type: 'exit', quantity, price, signal };
+    }
+
+    if (signal.action !== 'buy' && signal.action !== 'sell') {
+      return null;
+    }
+
+    const side = signal.action === 'buy' ? 'long' : 'short';
+    const reversed = existing && existing.side !== side ? existing : null;
+    const leverage = signal.leverage || (existing && existing.side === side ? existing.leverage : null) ||
+      account.config.leverage;
+
+    let available = account.getAvailableBalance();
+    if (reversed) {
+      available += reversed.margin - reversed.size * price * account.config.fee +
+        (reversed.marginMode === 'cross' ? 0 : account.getUnrealizedPnL(reversed));
+    }
+    const size = signal.quantity ||
+      (Math.max(0, available) * leverage) / (price * (1 + account.config.fee * leverage));
+    const quantity = size + (reversed ? reversed.size : 0);
+
+    return quantity > 0
+      ? { symbol, side: signal.action, type: 'entry', quantity, price, signal: { ...signal, leverage } }
+      : null;
+  }
+
+  /**
+   * Apply a fill of a queued perpetual order. A fill against an opposite
+   * position closes it first and opens whatever is left of the fill.
+   */
+  applyPerpetualFill(account, signal, candle, symbol) {
+    const isExit = signal.type === 'exit' || signal.action === 'close';
+    const existing = account.getPosition(symbol);
+    const side = signal.action === 'buy' ? 'long' : 'short';
+    let quantity = signal.quantity;
+
+    if (!isExit && existing && existing.side !== side) {
+      const closing = Math.min(quantity, existing.size);
+      this.executePerpetualSignal(account, { ...signal, type: 'exit', quantity: closing }, candle, symbol);
+      quantity -= closing;
+    }
+
+    if (quantity > 0) {
+      this.executePerpetualSignal(account, { ...signal, quantity }, candle, symbol);
+    }
+  }
+
+  /**
+   * Apply a strategy signal to a perpetual account. Without an explicit
+   * `quantity` the whole available balance is used at the configured leverage.
+   */
+  executePerpetualSignal(account, signal, candle, symbol) {
+    const price = signal.price || candle.close;
+    const isExit = signal.type === 'exit' || signal.action === 'close';
+
+    try {
+      if (isExit) {
+        if (account.getPosition(symbol)) {
+          account.close(symbol, signal.quantity || 'all', price, { timestamp: candle.timestamp, reason: signal.reason });
+        }
+        return;
+      }
+
+      if (signal.action !== 'buy' && signal.action !== 'sell') {
+        return;
+      }
+
+      const side = signal.action === 'buy' ? 'long' : 'short';
+      const existing = account.getPosition(symbol);
+
+      // An opposite signal flips the position
+      if (existing && existing.side !== side) {
+        account.close(symbol, 'all', price, { timestamp: candle.timestamp, reason: signal.reason });
+      }
+
+      const leverage = signal.leverage || (existing && existing.side === side ? existing.leverage : null) ||
+        account.config.leverage;
+      const size = signal.quantity ||
+        (account.getAvailableBalance() * leverage) / (price * (1 + account.config.fee * leverage));
+
+      if (size > 0) {
+        account.open(symbol, side, size, price, { leverage, timestamp: candle.timestamp });
+      }
+    } catch (error) {
+      logger.warn(`Perpetual order rejected: ${error.message}`);
+    }
+  }
+
   /**
    * Run walk-forward analysis
    */
@@ -234,6 +620,13 @@ class AdvancedBacktester extends EventEmitter {
     );
   }
 
+  /**
+   * Run the strategy against each stress scenario
+   */
+  async runStressTest() {
+    return await this.stressTester.analyze(this.marketData, this.strategy);
+  }
+
   /**
    * Get strategy signal
    */
@@ -308,6 +701,14 @@ class AdvancedBacktester extends EventEmitter {
       throw new Error('No results available');
     }
 
+    if (this.results.type === 'walk-forward') {
+      return this.generateWalkForwardReport();
+    }
+
+    if (this.results.type === 'stress') {
+      return this.generateStressReport();
+    }
+
     const report = {
       summary: this.generateSummaryReport(),
       performance: this.generatePerformanceReport(),
@@ -316,9 +717,79 @@ class AdvancedBacktester extends EventEmitter {
       charts: this.generateChartData()
     };
 
+    if (this.results.monteCarlo) {
+      report.monteCarlo = this.results.monteCarlo;
+    }
+
     return report;
   }
 
+  /**
+   * Generate walk-forward report: out-of-sample performance, the stitched
+   * out-of-sample equity curve and how stable the optimized parameters are
+   */
+  generateWalkForwardReport() {
+    const { summary, periods, equityCurve, parameterStability } = this.results;
+    const finalEquity = equityCurve.length > 0
+      ? equityCurve[equityCurve.length - 1].equity
+      : this.config.initialBalance;
+
+    return {
+      windowing: this.results.windowing,
+      summary: {
+        totalPeriods: summary.totalPeriods,
+        initialBalance: this.config.initialBalance,
+        finalEquity,
+        totalReturnPercent: ((finalEquity - this.config.initialBalance) / this.config.initialBalance) * 100,
+        averageInSampleReturn: summary.averageInSampleReturn,
+        averageOutOfSampleReturn: summary.averageOutOfSampleReturn,
+        walkForwardEfficiency: summary.walkForwardEfficiency,
+        consistency: summary.consistency
+      },
+      periods: periods.map(period => ({
+        period: period.period,
+        optimizationPeriod: period.optimizationPeriod,
+        purgePeriod: period.purgePeriod,
+        testPeriod: period.testPeriod,
+        parameters: period.optimizedParams,
+        inSampleFitness: period.inSampleFitness,
+        outOfSampleFitness: period.outOfSampleFitness,
+        inSampleReturn: period.inSampleReturn,
+        outOfSampleReturn: period.outOfSampleReturn,
+        efficiency: period.efficiency
+      })),
+      parameterStability,
+      charts: { equityCurve }
+    };
+  }
+
+  /**
+   * Generate stress test report: one row per scenario against the baseline
+   */
+  generateStressReport() {
+    const { baseline, scenarios, summary } = this.results;
+
+    return {
+      summary: {
+        ...summary,
+        baselineReturnPercent: baseline.totalReturnPercent,
+        baselineMaxDrawdownPercent: baseline.maxDrawdownPercent
+      },
+      scenarios: scenarios.map(scenario => ({
+        id: scenario.id,
+        name: scenario.name,
+        startTime: scenario.window.startTime,
+        endTime: scenario.window.endTime,
+        totalReturnPercent: scenario.totalReturnPercent,
+        maxDrawdownPercent: scenario.maxDrawdownPercent,
+        scenarioDrawdownPercent: scenario.scenarioDrawdownPercent,
+        recovered: scenario.recovered,
+        recoveryBars: scenario.recoveryBars,
+        recoveryTime: scenario.recoveryTime
+      }))
+    };
+  }
+
   /**
    * Generate summary report
    */
@@ -349,9 +820,10 @@ class AdvancedBacktester extends EventEmitter {
    */
   generatePerformanceReport() {
     const trades = this.results.trades;
+    const benchmark = this.getBenchmarkMetrics();
 
     if (trades.length === 0) {
-      return { message: 'No trades executed' };
+      return { message: 'No trades executed', benchmark };
     }
 
     const profits = trades.filter(t => t.pnl > 0).map(t => t.pnl);
@@ -366,10 +838,22 @@ class AdvancedBacktester extends EventEmitter {
       consecutiveWins: this.calculateConsecutiveWins(trades),
       consecutiveLosses: this.calculateConsecutiveLosses(trades),
       monthlyReturns: this.calculateMonthlyReturns(trades),
-      yearlyReturns: this.calculateYearlyReturns(trades)
+      yearlyReturns: this.calculateYearlyReturns(trades),
+      benchmark
     };
   }
 
+  /**
+   * Benchmark-relative metrics of the last run, without the benchmark curve
+   */
+  getBenchmarkMetrics() {
+    if (!this.results.benchmark) return null;
+
+    const metrics = { ...this.results.benchmark };
+    delete metrics.equityCurve;
+    return metrics;
+  }
+
   /**
    * Generate risk report
    */
@@ -407,82 +891,63 @@ class AdvancedBacktester extends EventEmitter {
    */
   generateChartData() {
     return {
-      equityCurve: this.results.performance.equityHistory,
+      equityCurve: this.getEquityCurve(),
       drawdownCurve: this.calculateDrawdownCurve(),
       monthlyReturns: this.calculateMonthlyReturnsChart(),
-      tradeDistribution: this.calculateTradeDistribution()
+      tradeDistribution: this.calculateTradeDistribution(),
+      benchmarkCurve: this.results.benchmark ? this.results.benchmark.equityCurve : []
     };
   }
 
   /**
-   * Calculate Sharpe ratio
+   * Equity per candle of the last run (the account's equity history for
+   * perpetual backtests)
    */
-  calculateSharpeRatio(riskFreeRate = 0.02) {
-    const returns = this.calculateDailyReturns();
-    if (returns.length === 0) return 0;
+  getEquityCurve() {
+    return this.results.equityCurve || this.results.performance.equityHistory || [];
+  }
 
-    const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const stdDev = this.calculateStandardDeviation(returns);
+  /**
+   * Bars per year of the last run, inferred from its timestamps
+   */
+  getPeriodsPerYear() {
+    return periodsPerYear(this.getEquityCurve());
+  }
 
-    return stdDev > 0 ? (avgReturn - riskFreeRate / 252) / stdDev : 0;
+  /**
+   * Calculate Sharpe ratio, annualized from the candle interval
+   */
+  calculateSharpeRatio(riskFreeRate = this.config.riskFreeRate) {
+    return sharpeRatio(this.calculateDailyReturns(), { periodsPerYear: this.getPeriodsPerYear(), riskFreeRate });
   }
 
   /**
-   * Calculate Sortino ratio
+   * Calculate Sortino ratio, annualized from the candle interval
    */
   calculateSortinoRatio(targetReturn = 0) {
-    const returns = this.calculateDailyReturns();
-    if (returns.length === 0) return 0;
-
-    const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const downsideReturns = returns.filter(r => r < targetReturn);
-
-    if (downsideReturns.length === 0) return Infinity;
-
-    const downsideDeviation = Math.sqrt(
-      downsideReturns.reduce((sum, r) => sum + Math.pow(r - targetReturn, 2), 0) / downsideReturns.length
-    );
-
-    return downsideDeviation > 0 ? (avgReturn - targetReturn) / downsideDeviation : 0;
+    return sortinoRatio(this.calculateDailyReturns(), { periodsPerYear: this.getPeriodsPerYear(), targetReturn });
   }
 
   /**
-   * Calculate Calmar ratio
+   * Calculate Calmar ratio: annualized return over max drawdown
    */
   calculateCalmarRatio() {
-    const totalReturn = ((this.results.portfolio.equity - this.config.initialBalance) / this.config.initialBalance);
-    const maxDrawdownPercent = this.results.performance.maxDrawdownPercent / 100;
-
-    return maxDrawdownPercent > 0 ? totalReturn / maxDrawdownPercent : 0;
+    const curve = this.getEquityCurve();
+    return calmarRatio(annualizedReturn(curve, this.getPeriodsPerYear()), this.results.performance.maxDrawdownPercent);
   }
 
   /**
-   * Calculate daily returns
+   * Calculate returns per candle
    */
   calculateDailyReturns() {
-    const equityHistory = this.results.performance.equityHistory;
-    const returns = [];
-
-    for (let i = 1; i < equityHistory.length; i++) {
-      const prevEquity = equityHistory[i - 1].equity;
-      const currentEquity = equityHistory[i].equity;
-      const dailyReturn = (currentEquity - prevEquity) / prevEquity;
-      returns.push(dailyReturn);
-    }
-
-    return returns;
+    return equityReturns(this.getEquityCurve());
   }
 
   /**
    * Calculate standard deviation
    */
   calculateStandardDeviation(values) {
-    if (values.length === 0) return 0;
-
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
-
-    return Math.sqrt(variance);
+    return standardDeviation(values);
   }
 
   /**
@@ -513,22 +978,21 @@ class AdvancedBacktester extends EventEmitter {
   }
 
   /**
-   * Calculate other metrics...
+   * Beta of the equity curve against the benchmark
    */
   calculateBeta() {
-    // Simplified beta calculation (would need market benchmark)
-    return 1.0;
+    return this.results.benchmark ? this.results.benchmark.beta : null;
   }
 
+  /**
+   * Annualized volatility of the returns per candle
+   */
   calculateVolatility() {
-    const returns = this.calculateDailyReturns();
-    return this.calculateStandardDeviation(returns) * Math.sqrt(252); // Annualized
+    return volatility(this.calculateDailyReturns(), this.getPeriodsPerYear());
   }
 
   calculateDownsideDeviation() {
-    const returns = this.calculateDailyReturns();
-    const negativeReturns = returns.filter(r => r < 0);
-    return this.calculateStandardDeviation(negativeReturns);
+    return downsideDeviation(this.calculateDailyReturns());
   }
 
   calculateAverageTradeDuration(trades) {
@@ -658,7 +1122,7 @@ class AdvancedBacktester extends EventEmitter {
   }
 
   calculateDrawdownCurve() {
-    const equityHistory = this.results.performance.equityHistory;
+    const equityHistory = this.getEquityCurve();
     const drawdowns = [];
     let peak = equityHistory[0]?.equity || this.config.initialBalance;
 
@@ -714,15 +1178,22 @@ class AdvancedBacktester extends EventEmitter {
   }
 
   /**
-   * Export results to file
+   * Export results to file: JSON, or an HTML tear sheet for .html/.htm paths
+   * @param {string} filePath - Output path
+   * @param {Object} options - { format: 'json' | 'html', plus tear sheet options }
    */
-  async exportResults(filePath) {
+  async exportResults(filePath, options = {}) {
     if (!this.results) {
       throw new Error('No results to export');
     }
 
+    const { format = /\.html?$/i.test(filePath) ? 'html' : 'json', ...reportOptions } = options;
+
     try {
-      await fs.writeFile(filePath, JSON.stringify(this.results, null, 2));
+      const content = format === 'html'
+        ? generateTearSheet(this.results, reportOptions)
+        : JSON.stringify(this.results, null, 2);
+      await fs.writeFile(filePath, content);
       logger.info(`Results exported to ${filePath}`);
     } catch (error) {
       logger.error('Error exporting results:', error);
@@ -733,35 +1204,235 @@ class AdvancedBacktester extends EventEmitter {
 
 /**
  * Realistic execution engine
+ *
+ * Latency is simulated in bar time: an order submitted on bar N starts
+ * filling at the open of bar N + 1, shifted by `latencyBars` (or `latency`
+ * milliseconds converted to bars); fractional delays fill part-way through a
+ * bar at a price interpolated between its open and close.
+ *
+ * Orders fill against candle volume: at most `volumeParticipation` of each
+ * candle's volume is filled per bar and the remainder carries over to the
+ * following candles. Market impact follows the square-root model,
+ * impact = impactCoefficient * volatility * sqrt(quantity / volume), on top of
+ * the fixed spread and slippage. Every fill, and any quantity left unfilled,
+ * is recorded in `executions`.
  */
 class RealisticExecutionEngine {
   constructor(config) {
-    this.config = config;
+    this.config = {
+      volumeParticipation: 0.1, // max fraction of candle volume per fill
+      impactCoefficient: 1,
+      volatilityWindow: 20,
+      ...config
+    };
+    this.reset();
   }
 
-  async executeSignal(signal, currentCandle, history) {
-    // Apply latency delay
-    if (this.config.latency > 0) {
-      await new Promise(resolve => setTimeout(resolve, this.config.latency));
-    }
+  /**
+   * @param {Object} options - { barDuration } in milliseconds, used to express
+   *   `latency` in bars
+   */
+  reset(options = {}) {
+    this.pendingOrders = [];
+    this.executions = [];
+    this.nextOrderId = 1;
+    this.barDuration = options.barDuration || 0;
+  }
 
-    // Calculate realistic execution price
-    const executionPrice = this.calculateExecutionPrice(signal, currentCandle);
+  /**
+   * Price a signal immediately on the current candle (no latency or volume
+   * limits); used where orders are not queued
+   */
+  async executeSignal(signal, currentCandle, history) {
+    const executionPrice = this.calculateExecutionPrice(signal, currentCandle, history);
 
     return {
       ...signal,
       price: executionPrice,
       originalPrice: signal.price,
       slippage: Math.abs(executionPrice - signal.price),
-      executionTime: Date.now()
+      executionTime: currentCandle.timestamp
+    };
+  }
+
+  /**
+   * Execution delay in bars
+   * @returns {number} Delay measured from the open of the next bar
+   */
+  getDelayBars() {
+    if (this.config.latencyBars !== null && this.config.latencyBars !== undefined) {
+      return Math.max(0, this.config.latencyBars);
+    }
+
+    return this.config.latency > 0 && this.barDuration > 0
+      ? this.config.latency / this.barDuration
+      : 0;
+  }
+
+  /**
+   * Queue an order; it starts filling once its latency has elapsed
+   * @param {Object} order - { symbol, side, type, quantity, price, signal }
+   * @param {Object} candle - Candle the signal was generated on
+   * @param {number} index - Index of that candle in the market data
+   * @returns {Object} Pending order
+   */
+  submitOrder(order, candle, index) {
+    const delay = this.getDelayBars();
+    const pending = {
+      ...order,
+      id: order.id || `order_${this.nextOrderId++}`,
+      remaining: order.quantity,
+      filled: 0,
+      createdAt: candle.timestamp,
+      fillIndex: index + 1 + Math.floor(delay),
+      fillFraction: delay - Math.floor(delay)
+    };
+
+    this.pendingOrders.push(pending);
+    return pending;
+  }
+
+  /**
+   * Fill queued orders that are due on this candle. The first fill is priced
+   * where the latency lands inside the candle; later fills of a carried
+   * remainder use the candle's typical price as a proxy for its VWAP.
+   * @param {Object} candle - Current candle
+   * @param {number} index - Index of the current candle in the market data
+   * @param {Array} marketData - Candles of the backtest
+   * @returns {Array} Fills
+   */
+  processPendingOrders(candle, index, marketData = []) {
+    const fills = [];
+    let history = null;
+
+    for (const order of this.pendingOrders) {
+      if (index < order.fillIndex) {
+        continue;
+      }
+
+      // Only the volatility window is read, so copy no more than that
+      if (!history) {
+        history = marketData.slice(Math.max(0, index - this.config.volatilityWindow), index + 1);
+      }
+
+      const first = order.filled === 0 && index === order.fillIndex;
+      const referencePrice = first
+        ? candle.open + (candle.close - candle.open) * order.fillFraction
+        : (candle.high + candle.low + candle.close) / 3;
+      const fill = this.fillOrder(order, candle, history, referencePrice, first ? 1 - order.fillFraction : 1);
+
+      if (fill) {
+        fills.push(fill);
+      }
+    }
+
+    this.pendingOrders = this.pendingOrders.filter(order => order.remaining > 0);
+    return fills;
+  }
+
+  /**
+   * Cancel unfilled remainders for a symbol, e.g. when a new signal replaces them
+   */
+  cancelPendingOrders(symbol, candle) {
+    this.closePendingOrders(order => order.symbol === symbol, 'cancelled', candle);
+  }
+
+  /**
+   * Record whatever is still unfilled when the backtest ends
+   */
+  expirePendingOrders(candle) {
+    this.closePendingOrders(() => true, 'expired', candle);
+  }
+
+  closePendingOrders(predicate, status, candle) {
+    this.pendingOrders = this.pendingOrders.filter(order => {
+      if (!predicate(order)) {
+        return true;
+      }
+
+      this.executions.push(this.createExecution(order, candle, {
+        status,
+        quantity: 0,
+        price: null,
+        referencePrice: null,
+        participation: 0,
+        impact: 0
+      }));
+      return false;
+    });
+  }
+
+  /**
+   * Fill as much of an order as the candle's volume allows
+   * @param {number} barShare - Part of the candle still ahead of the order
+   * @returns {Object|null} Fill with an executable signal, or null
+   */
+  fillOrder(order, candle, history, referencePrice, barShare = 1) {
+    const capacity = this.config.volumeParticipation > 0 && candle.volume > 0
+      ? candle.volume * this.config.volumeParticipation * barShare
+      : Infinity;
+    const quantity = Math.min(order.remaining, capacity);
+
+    if (!(quantity > 0)) {
+      return null;
+    }
+
+    const impact = this.calculateMarketImpact(quantity, candle, history);
+    const price = this.calculateExecutionPrice(
+      { side: order.side, price: referencePrice, quantity },
+      candle,
+      history
+    );
+
+    order.remaining -= quantity;
+    order.filled += quantity;
+    if (order.remaining <= order.quantity * 1e-9) {
+      order.remaining = 0;
+    }
+
+    const execution = this.createExecution(order, candle, {
+      status: order.remaining > 0 ? 'partial' : 'filled',
+      quantity,
+      price,
+      referencePrice,
+      participation: candle.volume > 0 ? quantity / candle.volume : null,
+      impact
+    });
+    this.executions.push(execution);
+
+    return {
+      execution,
+      signal: {
+        ...order.signal,
+        quantity,
+        price,
+        originalPrice: order.signal.price,
+        slippage: Math.abs(price - referencePrice),
+        orderId: order.id
+      }
     };
   }
 
-  calculateExecutionPrice(signal, candle) {
+  createExecution(order, candle, details) {
+    return {
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      timestamp: candle.timestamp,
+      requestedQuantity: order.quantity,
+      filledQuantity: order.filled,
+      unfilledQuantity: order.remaining,
+      ...details
+    };
+  }
+
+  calculateExecutionPrice(signal, candle, history = []) {
     let price = signal.price;
+    const isBuy = (signal.side || signal.action) === 'buy';
 
     // Apply spread
-    if (signal.side === 'buy') {
+    if (isBuy) {
       price += price * this.config.spread / 2;
     } else {
       price -= price * this.config.spread / 2;
@@ -769,15 +1440,15 @@ class RealisticExecutionEngine {
 
     // Apply slippage
     const slippageAmount = price * this.config.slippage;
-    if (signal.side === 'buy') {
+    if (isBuy) {
       price += slippageAmount;
     } else {
       price -= slippageAmount;
     }
 
     // Apply market impact
-    const marketImpact = price * this.config.marketImpact;
-    if (signal.side === 'buy') {
+    const marketImpact = price * this.calculateMarketImpact(signal.quantity, candle, history);
+    if (isBuy) {
       price += marketImpact;
     } else {
       price -= marketImpact;
@@ -788,81 +1459,395 @@ class RealisticExecutionEngine {
 
     return price;
   }
+
+  /**
+   * Market impact as a fraction of price. Uses the square-root model when the
+   * order size and candle volume are known, otherwise the fixed marketImpact.
+   */
+  calculateMarketImpact(quantity, candle, history = []) {
+    if (!(quantity > 0) || !(candle.volume > 0)) {
+      return this.config.marketImpact || 0;
+    }
+
+    return this.config.impactCoefficient * this.estimateVolatility(candle, history) *
+      Math.sqrt(quantity / candle.volume);
+  }
+
+  /**
+   * Per-bar volatility from recent close-to-close returns, falling back to
+   * the candle's high-low range when there is not enough history
+   */
+  estimateVolatility(candle, history = []) {
+    const window = history.slice(-(this.config.volatilityWindow + 1));
+    const returns = [];
+
+    for (let i = 1; i < window.length; i++) {
+      if (window[i - 1].close > 0) {
+        returns.push(Math.log(window[i].close / window[i - 1].close));
+      }
+    }
+
+    if (returns.length >= 2) {
+      const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+      if (variance > 0) {
+        return Math.sqrt(variance);
+      }
+    }
+
+    return candle.close > 0 ? (candle.high - candle.low) / candle.close : 0;
+  }
+}
+
+const WALK_FORWARD_MODES = ['rolling', 'anchored'];
+
+/**
+ * Strategies that can clone themselves start each extra run from fresh state
+ */
+function freshStrategy(strategy) {
+  return typeof strategy.clone === 'function' ? strategy.clone() : strategy;
 }
 
 /**
  * Walk-forward analyzer
+ *
+ * Each period is split into an in-sample window, where StrategyOptimizer
+ * searches the strategy's parameter space, and the following out-of-sample
+ * window, where the winning parameters are tested. The out-of-sample equity
+ * curves are stitched together into one compounded curve.
  */
 class WalkForwardAnalyzer {
   constructor(config) {
     this.config = config;
   }
 
-  async analyze(marketData, strategy, getSignalFn) {
-    const periods = this.config.walkForwardPeriods;
-    const optimizationRatio = this.config.walkForwardOptimizationRatio;
-
-    const periodSize = Math.floor(marketData.length / periods);
-    const optimizationSize = Math.floor(periodSize * optimizationRatio);
-    const testSize = periodSize - optimizationSize;
+  async analyze(marketData, strategy, _getSignalFn) {
+    const windows = this.createWindows(marketData);
+    const parameterSpace = this.getParameterSpace(strategy);
+    this.optimizer = this.createOptimizer();
 
     const results = [];
 
-    for (let i = 0; i < periods; i++) {
-      const startIndex = i * periodSize;
-      const optimizationEnd = startIndex + optimizationSize;
-      const testEnd = Math.min(startIndex + periodSize, marketData.length);
+    for (let i = 0; i < windows.length; i++) {
+      const { train, test } = windows[i];
 
-      const optimizationData = marketData.slice(startIndex, optimizationEnd);
-      const testData = marketData.slice(optimizationEnd, testEnd);
+      const optimizationData = marketData.slice(train.start, train.end);
+      const testData = marketData.slice(test.start, test.end);
 
       // Run optimization on optimization period
-      const optimizedParams = await this.optimizeStrategy(strategy, optimizationData, getSignalFn);
+      const optimization = await this.optimizeStrategy(strategy, optimizationData, parameterSpace);
+      const optimizedParams = optimization.bestParameters;
+
+      // Re-run the winner in sample to compare it with the out-of-sample run
+      const inSampleResults = await this.testStrategy(strategy, optimizationData, optimizedParams);
+      const testResults = await this.testStrategy(strategy, testData, optimizedParams);
 
-      // Test on out-of-sample period
-      const testResults = await this.testStrategy(strategy, testData, getSignalFn, optimizedParams);
+      const inSampleReturn = this.calculateReturn(inSampleResults);
+      const outOfSampleReturn = this.calculateReturn(testResults);
 
       results.push({
         period: i + 1,
-        optimizationPeriod: { start: startIndex, end: optimizationEnd },
-        testPeriod: { start: optimizationEnd, end: testEnd },
+        optimizationPeriod: this.describeRange(marketData, train),
+        purgePeriod: this.describeRange(marketData, { start: train.end, end: test.start }),
+        testPeriod: this.describeRange(marketData, test),
         optimizedParams,
+        inSampleFitness: optimization.bestFitness,
+        outOfSampleFitness: this.optimizer.calculateFitness(testResults),
+        inSampleReturn,
+        outOfSampleReturn,
+        efficiency: this.calculateEfficiency(
+          inSampleReturn, optimizationData.length, outOfSampleReturn, testData.length
+        ),
         testResults
       });
     }
 
     return {
       type: 'walk-forward',
+      method: this.config.walkForwardMethod,
+      windowing: this.windowing,
+      parameterSpace,
       periods: results,
+      equityCurve: this.stitchEquityCurves(results),
+      parameterStability: this.analyzeParameterStability(results, parameterSpace),
       summary: this.summarizeWalkForward(results)
     };
   }
 
-  async optimizeStrategy(strategy, data, getSignalFn) {
-    // Simplified optimization - in practice, this would use genetic algorithms or grid search
-    return strategy.defaultParams || {};
+  /**
+   * Lay out the train/test windows. Test windows follow each other; a
+   * rolling train window has a fixed length, an anchored one always starts
+   * at the first candle. The purge gap between a train window and its test
+   * window is left out of both, so trades at the end of the train window
+   * cannot be resolved by out-of-sample prices.
+   *
+   * Window sizes and the purge are candle counts or durations such as
+   * '90d' or '12h'. Without explicit windows, sizes are derived from
+   * walkForwardPeriods and walkForwardOptimizationRatio so that that many
+   * test windows cover the data.
+   * @returns {Array<Object>} Windows of { train, test } index ranges (end exclusive)
+   */
+  createWindows(marketData) {
+    const mode = this.config.walkForwardMode || 'rolling';
+    if (!WALK_FORWARD_MODES.includes(mode)) {
+      throw new Error(`Invalid walk-forward mode: ${mode}. Use one of: ${WALK_FORWARD_MODES.join(', ')}`);
+    }
+
+    const trainWindow = this.config.walkForwardTrainWindow;
+    const testWindow = this.config.walkForwardTestWindow;
+    if (Boolean(trainWindow) !== Boolean(testWindow)) {
+      throw new Error('walkForwardTrainWindow and walkForwardTestWindow must be set together');
+    }
+
+    const purge = this.config.walkForwardPurge || 0;
+    const windows = typeof trainWindow === 'string' || typeof testWindow === 'string'
+      ? this.createTimeWindows(marketData, mode, trainWindow, testWindow, purge)
+      : this.createCandleWindows(marketData, mode, trainWindow, testWindow, purge);
+
+    if (windows.length === 0) {
+      throw new Error('Not enough candles for a walk-forward window');
+    }
+
+    this.windowing = {
+      mode,
+      trainWindow: trainWindow || windows[0].train.end - windows[0].train.start,
+      testWindow: testWindow || windows[0].test.end - windows[0].test.start,
+      purge,
+      windows: windows.length
+    };
+    return windows;
   }
 
-  async testStrategy(strategy, data, getSignalFn, params) {
-    // Apply parameters to strategy
-    if (strategy.setParams) {
-      strategy.setParams(params);
+  createCandleWindows(marketData, mode, trainWindow, testWindow, purge) {
+    const length = marketData.length;
+    const purgeSize = typeof purge === 'string'
+      ? Math.ceil(parseDuration(purge) / (inferBarDuration(marketData) || Infinity))
+      : purge;
+
+    let trainSize = trainWindow;
+    let testSize = testWindow;
+
+    if (!trainWindow) {
+      const periods = this.config.walkForwardPeriods;
+      const ratio = this.config.walkForwardOptimizationRatio;
+
+      // periods * test + train = available candles, with train / (train + test) = ratio
+      testSize = Math.floor((length - purgeSize) * (1 - ratio) / (periods * (1 - ratio) + ratio));
+      trainSize = length - purgeSize - periods * testSize;
+
+      if (testSize < 1 || trainSize < 1) {
+        throw new Error(`Not enough candles for ${periods} walk-forward periods`);
+      }
     }
 
-    // Run backtest on test data
-    const backtester = new AdvancedBacktester(this.config);
+    const windows = [];
+    for (let testStart = trainSize + purgeSize; testStart < length; testStart += testSize) {
+      windows.push({
+        train: { start: mode === 'anchored' ? 0 : testStart - purgeSize - trainSize, end: testStart - purgeSize },
+        test: { start: testStart, end: Math.min(testStart + testSize, length) }
+      });
+    }
+
+    return windows;
+  }
+
+  createTimeWindows(marketData, mode, trainWindow, testWindow, purge) {
+    const barDuration = inferBarDuration(marketData);
+    const toDuration = value => (typeof value === 'string' ? parseDuration(value) : value * barDuration);
+    const times = marketData.map(candle => new Date(candle.timestamp).getTime());
+
+    // Index of the first candle at or after a time
+    const indexAt = time => {
+      let low = 0;
+      let high = times.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] < time) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      return low;
+    };
+
+    const train = toDuration(trainWindow);
+    const test = toDuration(testWindow);
+    const gap = toDuration(purge);
+
+    if (!(train > 0) || !(test > 0)) {
+      throw new Error('Walk-forward windows must be positive durations');
+    }
+
+    const windows = [];
+    for (let testStart = times[0] + train + gap; indexAt(testStart) < times.length; testStart += test) {
+      const window = {
+        train: { start: mode === 'anchored' ? 0 : indexAt(testStart - gap - train), end: indexAt(testStart - gap) },
+        test: { start: indexAt(testStart), end: indexAt(testStart + test) }
+      };
+
+      // Skip windows that fall into a hole in the data
+      if (window.train.end > window.train.start && window.test.end > window.test.start) {
+        windows.push(window);
+      }
+    }
+
+    return windows;
+  }
+
+  describeRange(marketData, { start, end }) {
+    return {
+      start,
+      end,
+      startTime: start < end ? marketData[start].timestamp : null,
+      endTime: start < end ? marketData[end - 1].timestamp : null
+    };
+  }
+
+  getParameterSpace(strategy) {
+    // Required lazily: strategyOptimizer.js depends on this module
+    const { StrategyOptimizer } = require('./strategyOptimizer.js');
+    const parameterSpace = this.config.walkForwardParameterSpace ||
+      StrategyOptimizer.parameterSpaceFromDefinitions(strategy.parameterDefinitions);
+
+    if (Object.keys(parameterSpace).length === 0) {
+      throw new Error('Walk-forward optimization needs a parameter space: set walkForwardParameterSpace or define strategy parameters');
+    }
+
+    return parameterSpace;
+  }
+
+  createOptimizer() {
+    const { StrategyOptimizer } = require('./strategyOptimizer.js');
+
+    return new StrategyOptimizer({
+      ...this.config.walkForwardOptimizer,
+      backtest: this.getBacktestConfig()
+    });
+  }
+
+  getBacktestConfig() {
+    return {
+      ...this.config,
+      enableWalkForward: false,
+      enableMonteCarlo: false,
+      enableStressTest: false
+    };
+  }
+
+  async optimizeStrategy(strategy, data, parameterSpace) {
+    return await this.optimizer.optimize(strategy, data, parameterSpace, this.config.walkForwardMethod);
+  }
+
+  async testStrategy(strategy, data, params) {
+    const backtester = new AdvancedBacktester(this.getBacktestConfig());
     await backtester.loadData(data);
-    backtester.setStrategy(strategy);
+    backtester.setStrategy(this.optimizer.createStrategyInstance(strategy, params));
 
-    return await backtester.runStandardBacktest();
+    return await backtester.run();
+  }
+
+  calculateReturn(results) {
+    return results.portfolio.totalPnL / this.config.initialBalance;
+  }
+
+  /**
+   * Walk-forward efficiency: out-of-sample return per candle relative to the
+   * in-sample return per candle. Undefined (null) unless the in-sample
+   * return is positive.
+   */
+  calculateEfficiency(inSampleReturn, inSampleLength, outOfSampleReturn, outOfSampleLength) {
+    const inSampleRate = inSampleReturn / inSampleLength;
+    if (!(inSampleRate > 0) || outOfSampleLength === 0) {
+      return null;
+    }
+
+    return (outOfSampleReturn / outOfSampleLength) / inSampleRate;
+  }
+
+  /**
+   * Chain the out-of-sample equity curves, compounding each window from the
+   * previous window's final equity
+   */
+  stitchEquityCurves(results) {
+    const curve = [];
+    let equity = this.config.initialBalance;
+
+    for (const result of results) {
+      const scale = equity / this.config.initialBalance;
+
+      for (const point of result.testResults.equityCurve || []) {
+        curve.push({ timestamp: point.timestamp, equity: point.equity * scale, period: result.period });
+      }
+
+      if (curve.length > 0) {
+        equity = curve[curve.length - 1].equity;
+      }
+    }
+
+    return curve;
+  }
+
+  /**
+   * How much the winning parameters move between windows: dispersion for
+   * numeric parameters (also relative to the searched range), the most
+   * frequent value for the others, and the number of changed parameters per
+   * window
+   */
+  analyzeParameterStability(results, parameterSpace) {
+    const parameters = {};
+
+    for (const [name, space] of Object.entries(parameterSpace)) {
+      const values = results.map(r => r.optimizedParams[name]);
+
+      if (space.type === 'integer' || space.type === 'float') {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const stdDev = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+        const range = space.max - space.min;
+
+        parameters[name] = {
+          values,
+          mean,
+          stdDev,
+          min: Math.min(...values),
+          max: Math.max(...values),
+          normalizedStdDev: range > 0 ? stdDev / range : 0
+        };
+      } else {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        const [mode, count] = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+
+        parameters[name] = { values, mode, modeFrequency: count / values.length };
+      }
+    }
+
+    const names = Object.keys(parameterSpace);
+    const windows = results.map((result, i) => ({
+      period: result.period,
+      parameters: result.optimizedParams,
+      changedParameters: i === 0
+        ? 0
+        : names.filter(name => result.optimizedParams[name] !== results[i - 1].optimizedParams[name]).length
+    }));
+
+    return { parameters, windows };
   }
 
   summarizeWalkForward(results) {
     const testResults = results.map(r => r.testResults);
+    const inSampleLength = results.reduce((sum, r) => sum + (r.optimizationPeriod.end - r.optimizationPeriod.start), 0);
+    const outOfSampleLength = results.reduce((sum, r) => sum + (r.testPeriod.end - r.testPeriod.start), 0);
 
     return {
       totalPeriods: results.length,
       averageReturn: testResults.reduce((sum, r) => sum + r.portfolio.totalPnL, 0) / testResults.length,
+      averageInSampleReturn: results.reduce((sum, r) => sum + r.inSampleReturn, 0) / results.length,
+      averageOutOfSampleReturn: results.reduce((sum, r) => sum + r.outOfSampleReturn, 0) / results.length,
+      walkForwardEfficiency: this.calculateEfficiency(
+        results.reduce((sum, r) => sum + r.inSampleReturn, 0), inSampleLength,
+        results.reduce((sum, r) => sum + r.outOfSampleReturn, 0), outOfSampleLength
+      ),
       consistency: this.calculateConsistency(testResults),
       bestPeriod: this.findBestPeriod(results),
       worstPeriod: this.findWorstPeriod(results)
@@ -889,69 +1874,237 @@ class WalkForwardAnalyzer {
 }
 
 /**
- * Monte Carlo analyzer
+ * Monte Carlo analyzer: runs the backtest once and randomizes its realized
+ * trades and bar returns (see monteCarlo.js), so the strategy always sees
+ * the real price series. Optionally also backtests the strategy on
+ * synthetic price paths calibrated to the data.
  */
 class MonteCarloAnalyzer {
   constructor(config) {
     this.config = config;
   }
 
-  async analyze(marketData, strategy, getSignalFn) {
-    const runs = this.config.monteCarloRuns;
-    const results = [];
+  async analyze(marketData, strategy, _getSignalFn) {
+    const backtester = new AdvancedBacktester({
+      ...this.config,
+      enableWalkForward: false,
+      enableMonteCarlo: false,
+      enableStressTest: false
+    });
+    await backtester.loadData(marketData);
+    backtester.setStrategy(strategy);
 
-    for (let i = 0; i < runs; i++) {
-      // Randomize market data order (bootstrap)
-      const randomizedData = this.bootstrapData(marketData);
+    const results = await backtester.runStandardBacktest();
+    const equityCurve = results.equityCurve || results.performance.equityHistory || [];
 
-      // Run backtest
-      const backtester = new AdvancedBacktester(this.config);
-      await backtester.loadData(randomizedData);
-      backtester.setStrategy(strategy);
+    const monteCarlo = {
+      trades: this.createSimulator().simulateTrades(results.trades),
+      returns: this.createSimulator().bootstrapReturns(MonteCarloSimulator.returnsFromEquity(equityCurve))
+    };
 
-      const result = await backtester.runStandardBacktest();
-      results.push(result);
+    if (this.config.monteCarloSyntheticPaths > 0) {
+      monteCarlo.synthetic = await this.runSyntheticPaths(marketData, strategy);
     }
 
     return {
+      ...results,
       type: 'monte-carlo',
-      runs: results,
-      summary: this.summarizeMonteCarlo(results)
+      monteCarlo
     };
   }
 
-  bootstrapData(data) {
-    const bootstrapped = [];
-    for (let i = 0; i < data.length; i++) {
-      const randomIndex = Math.floor(Math.random() * data.length);
-      bootstrapped.push({ ...data[randomIndex] });
+  /**
+   * Backtest the strategy on synthetic paths as long as the loaded data,
+   * generated by a model calibrated to it
+   */
+  async runSyntheticPaths(marketData, strategy) {
+    const { monteCarloSyntheticPaths: paths, monteCarloSyntheticModel: model, initialBalance } = this.config;
+    const generator = new SyntheticDataGenerator({
+      ...this.config.monteCarloSynthetic,
+      model,
+      seed: this.config.monteCarloSeed
+    }).calibrate(marketData);
+
+    const runs = [];
+    for (let path = 0; path < paths; path++) {
+      const backtester = new AdvancedBacktester({
+        ...this.config,
+        enableWalkForward: false,
+        enableMonteCarlo: false,
+        enableStressTest: false
+      });
+      await backtester.loadData(generator.generate(marketData.length));
+      backtester.setStrategy(freshStrategy(strategy));
+
+      const result = await backtester.run();
+      runs.push({
+        path,
+        finalEquity: result.portfolio.equity,
+        totalReturnPercent: ((result.portfolio.equity - initialBalance) / initialBalance) * 100,
+        maxDrawdownPercent: result.performance.maxDrawdownPercent,
+        totalTrades: result.performance.totalTrades
+      });
     }
-    return bootstrapped;
+
+    return {
+      model,
+      paths,
+      params: generator.params,
+      runs,
+      summary: {
+        totalReturnPercent: describeDistribution(runs.map(run => run.totalReturnPercent)),
+        maxDrawdownPercent: describeDistribution(runs.map(run => run.maxDrawdownPercent)),
+        totalTrades: describeDistribution(runs.map(run => run.totalTrades)),
+        probabilityOfProfit: paths > 0 ? runs.filter(run => run.finalEquity > initialBalance).length / paths : 0
+      }
+    };
   }
 
-  summarizeMonteCarlo(results) {
-    const returns = results.map(r => r.portfolio.totalPnL);
-    returns.sort((a, b) => a - b);
+  createSimulator() {
+    return new MonteCarloSimulator({
+      runs: this.config.monteCarloRuns,
+      initialBalance: this.config.initialBalance,
+      method: this.config.monteCarloMethod,
+      skipProbability: this.config.monteCarloSkipProbability,
+      blockSize: this.config.monteCarloBlockSize,
+      ruinThreshold: this.config.monteCarloRuinThreshold,
+      seed: this.config.monteCarloSeed
+    });
+  }
+}
+
+/**
+ * Stress tester: overlays each scenario from stressScenarios.js onto the
+ * loaded data and measures the deepest drawdown from the scenario onwards
+ * and how long the strategy takes to recover from it
+ */
+class StressTester {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async analyze(marketData, strategy) {
+    const scenarios = this.config.stressScenarios || Object.keys(STRESS_SCENARIOS);
+    const baseline = await this.runBacktest(marketData, strategy);
+    const results = [];
+
+    for (const scenario of scenarios) {
+      const stressed = applyScenario(marketData, scenario, { start: this.config.stressStart });
+      const result = await this.runBacktest(stressed.candles, strategy);
+      const equityCurve = this.getEquityCurve(result);
+
+      results.push({
+        id: stressed.scenario.id,
+        name: stressed.scenario.name,
+        description: stressed.scenario.description,
+        window: {
+          start: stressed.start,
+          end: stressed.end - 1,
+          startTime: marketData[stressed.start].timestamp,
+          endTime: marketData[stressed.end - 1].timestamp,
+          truncated: stressed.truncated
+        },
+        totalReturnPercent: this.getReturnPercent(result),
+        maxDrawdownPercent: result.performance.maxDrawdownPercent,
+        totalTrades: result.performance.totalTrades,
+        ...this.measureDrawdown(equityCurve, stressed.start)
+      });
+    }
 
     return {
-      totalRuns: results.length,
-      averageReturn: returns.reduce((a, b) => a + b, 0) / returns.length,
-      medianReturn: returns[Math.floor(returns.length / 2)],
-      standardDeviation: this.calculateStandardDeviation(returns),
-      percentiles: {
-        p5: returns[Math.floor(returns.length * 0.05)],
-        p25: returns[Math.floor(returns.length * 0.25)],
-        p75: returns[Math.floor(returns.length * 0.75)],
-        p95: returns[Math.floor(returns.length * 0.95)]
+      type: 'stress',
+      baseline: {
+        totalReturnPercent: this.getReturnPercent(baseline),
+        maxDrawdownPercent: baseline.performance.maxDrawdownPercent,
+        totalTrades: baseline.performance.totalTrades
       },
-      probabilityOfProfit: returns.filter(r => r > 0).length / returns.length
+      scenarios: results,
+      summary: this.summarizeStress(results)
     };
   }
 
-  calculateStandardDeviation(values) {
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
-    return Math.sqrt(variance);
+  async runBacktest(marketData, strategy) {
+    const backtester = new AdvancedBacktester({
+      ...this.config,
+      enableWalkForward: false,
+      enableMonteCarlo: false,
+      enableStressTest: false
+    });
+    await backtester.loadData(marketData);
+    backtester.setStrategy(freshStrategy(strategy));
+
+    return await backtester.run();
+  }
+
+  getEquityCurve(result) {
+    return result.equityCurve || result.performance.equityHistory || [];
+  }
+
+  getReturnPercent(result) {
+    return ((result.portfolio.equity - this.config.initialBalance) / this.config.initialBalance) * 100;
+  }
+
+  /**
+   * Deepest drawdown from the scenario start onwards, measured from the
+   * running equity peak (including the peak before the scenario), and the
+   * time from its trough until equity is back at that peak
+   * @param {Array} equityCurve - [{ timestamp, equity }] per candle
+   * @param {number} start - Candle index where the scenario starts
+   */
+  measureDrawdown(equityCurve, start) {
+    if (equityCurve.length <= start) {
+      return { scenarioDrawdownPercent: 0, recovered: true, recoveryBars: 0, recoveryTime: 0 };
+    }
+
+    let peak = -Infinity;
+    for (let i = 0; i < start; i++) {
+      peak = Math.max(peak, equityCurve[i].equity);
+    }
+
+    let worst = { drawdown: 0, peak, troughIndex: start - 1 };
+    for (let i = start; i < equityCurve.length; i++) {
+      const equity = equityCurve[i].equity;
+      peak = Math.max(peak, equity);
+      const drawdown = peak > 0 ? ((peak - equity) / peak) * 100 : 0;
+      if (drawdown > worst.drawdown) {
+        worst = { drawdown, peak, troughIndex: i };
+      }
+    }
+
+    if (worst.drawdown === 0) {
+      return { scenarioDrawdownPercent: 0, recovered: true, recoveryBars: 0, recoveryTime: 0 };
+    }
+
+    const trough = equityCurve[worst.troughIndex];
+    const recoveryIndex = equityCurve.findIndex((point, i) => i > worst.troughIndex && point.equity >= worst.peak);
+    const recovered = recoveryIndex !== -1;
+
+    return {
+      scenarioDrawdownPercent: worst.drawdown,
+      troughTime: trough.timestamp,
+      recovered,
+      recoveryBars: recovered ? recoveryIndex - worst.troughIndex : null,
+      recoveryTime: recovered
+        ? new Date(equityCurve[recoveryIndex].timestamp).getTime() - new Date(trough.timestamp).getTime()
+        : null
+    };
+  }
+
+  summarizeStress(results) {
+    if (results.length === 0) {
+      return { totalScenarios: 0, worstScenario: null, worstDrawdownPercent: 0, unrecovered: [] };
+    }
+
+    const worst = results.reduce((a, b) => (b.scenarioDrawdownPercent > a.scenarioDrawdownPercent ? b : a));
+    const recoveries = results.filter(result => result.recovered).map(result => result.recoveryBars);
+
+    return {
+      totalScenarios: results.length,
+      worstScenario: worst.id,
+      worstDrawdownPercent: worst.scenarioDrawdownPercent,
+      longestRecoveryBars: recoveries.length ? Math.max(...recoveries) : null,
+      unrecovered: results.filter(result => !result.recovered).map(result => result.id)
+    };
   }
 }
 
@@ -959,5 +2112,6 @@ module.exports = {
   AdvancedBacktester,
   RealisticExecutionEngine,
   WalkForwardAnalyzer,
-  MonteCarloAnalyzer
+  MonteCarloAnalyzer,
+  StressTester
 };
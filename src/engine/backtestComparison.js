@@ -0,0 +1,166 @@
+/**
+ * Side-by-side comparison of backtest runs
+ *
+ * Aligns the equity curves of several runs on one time grid (the period all
+ * runs cover, each curve carried forward to every timestamp any of them
+ * has), computes the same performance metrics for each on that window and
+ * reports metric deltas against a baseline run, the winner of every metric
+ * and the correlation of the runs' per-bar returns.
+ */
+
+import { analyzePerformance, equityValue, equityReturns, correlation } from './performanceMetrics.js';
+
+// Metrics compared across runs and whether higher or lower values win
+const COMPARED_METRICS = {
+  totalReturnPercent: 'higher',
+  annualizedReturnPercent: 'higher',
+  sharpeRatio: 'higher',
+  sortinoRatio: 'higher',
+  calmarRatio: 'higher',
+  maxDrawdownPercent: 'lower',
+  volatility: 'lower',
+  winRate: 'higher',
+  profitFactor: 'higher'
+};
+
+// Metric values this close (relative) are a tie, not a win by rounding noise
+const TIE_TOLERANCE = 1e-9;
+
+const toTime = timestamp => new Date(timestamp).getTime();
+
+/**
+ * Equity points of a run's results as [{ time, value }], in time order
+ */
+function equityPoints(results) {
+  const curve = (results && results.equityCurve) || [];
+  return curve
+    .map(point => ({ time: toTime(point.timestamp), value: equityValue(point) }))
+    .filter(point => Number.isFinite(point.time) && Number.isFinite(point.value))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Resample equity curves onto the timestamps inside the period all of them
+ * cover, carrying each curve's last value forward
+ * @param {Array<Array<Object>>} curves - [{ time, value }] per run
+ * @returns {Object} { timestamps, values } with one value array per run
+ */
+function alignEquityCurves(curves) {
+  const start = Math.max(...curves.map(points => points[0].time));
+  const end = Math.min(...curves.map(points => points[points.length - 1].time));
+
+  if (start > end) {
+    throw new Error('Backtests do not cover a common period');
+  }
+
+  const timestamps = [...new Set(curves.flatMap(points => points.map(point => point.time)))]
+    .filter(time => time >= start && time <= end)
+    .sort((a, b) => a - b);
+
+  const values = curves.map(points => {
+    let cursor = 0;
+    return timestamps.map(time => {
+      while (cursor + 1 < points.length && points[cursor + 1].time <= time) {
+        cursor++;
+      }
+      return points[cursor].value;
+    });
+  });
+
+  return { timestamps, values };
+}
+
+/**
+ * Ids of the runs with the best value of a metric (several on a tie)
+ */
+function bestRuns(runs, metric) {
+  const direction = COMPARED_METRICS[metric];
+  const candidates = runs.filter(run => typeof run.metrics[metric] === 'number' && !Number.isNaN(run.metrics[metric]));
+  if (candidates.length === 0) return [];
+
+  const values = candidates.map(run => run.metrics[metric]);
+  const best = direction === 'higher' ? Math.max(...values) : Math.min(...values);
+  const tolerance = TIE_TOLERANCE * Math.max(1, Math.abs(best));
+  return candidates
+    .filter(run => run.metrics[metric] === best || Math.abs(run.metrics[metric] - best) <= tolerance)
+    .map(run => run.id);
+}
+
+/**
+ * Compare stored backtest runs
+ * @param {Array<Object>} runs - [{ id, name, parameters, results }] with Backtester results
+ * @param {Object} options
+ * @param {string} options.baseline - Id of the run deltas are measured against (default: the first)
+ * @returns {Object} { baseline, timestamps, runs, deltas, winners, correlation }
+ * @throws {Error} With fewer than two (distinct) runs, a run without an equity curve or no common period
+ */
+function compareBacktests(runs, options = {}) {
+  if (!Array.isArray(runs) || runs.length < 2) {
+    throw new Error('At least two backtests are required for a comparison');
+  }
+
+  if (new Set(runs.map(run => run.id)).size !== runs.length) {
+    throw new Error('Each backtest can only be compared once');
+  }
+
+  const curves = runs.map(run => {
+    const points = equityPoints(run.results);
+    if (points.length < 2) {
+      throw new Error(`Backtest '${run.id}' has no equity curve to compare`);
+    }
+    return points;
+  });
+
+  const baseline = options.baseline ?? runs[0].id;
+  if (!runs.some(run => run.id === baseline)) {
+    throw new Error(`Baseline '${baseline}' is not one of the compared backtests`);
+  }
+
+  const { timestamps, values } = alignEquityCurves(curves);
+
+  const compared = runs.map((run, i) => {
+    const curve = timestamps.map((timestamp, j) => ({ timestamp, value: values[i][j] }));
+    const start = curve[0].value;
+    const results = run.results;
+    const metrics = analyzePerformance(curve, { trades: results.roundTrips || results.trades || [] });
+
+    return {
+      id: run.id,
+      name: run.name || run.id,
+      parameters: run.parameters || {},
+      equityCurve: curve.map(point => ({
+        ...point,
+        returnPercent: start > 0 ? (point.value / start - 1) * 100 : 0
+      })),
+      metrics: Object.fromEntries(Object.keys(COMPARED_METRICS).map(metric => [metric, metrics[metric]]))
+    };
+  });
+
+  const reference = compared.find(run => run.id === baseline);
+  const deltas = Object.fromEntries(compared
+    .filter(run => run !== reference)
+    .map(run => [run.id, Object.fromEntries(Object.keys(COMPARED_METRICS).map(metric => {
+      const delta = run.metrics[metric] - reference.metrics[metric];
+      return [metric, Number.isNaN(delta) ? null : delta];
+    }))]));
+
+  const winners = Object.fromEntries(Object.keys(COMPARED_METRICS).map(metric => [metric, bestRuns(compared, metric)]));
+
+  const returns = values.map(series => equityReturns(series));
+  const matrix = returns.map((a, i) => returns.map((b, j) => (i === j ? 1 : correlation(a, b))));
+
+  return {
+    baseline,
+    timestamps,
+    runs: compared,
+    deltas,
+    winners,
+    correlation: { ids: compared.map(run => run.id), matrix }
+  };
+}
+
+export {
+  COMPARED_METRICS,
+  alignEquityCurves,
+  compareBacktests
+};
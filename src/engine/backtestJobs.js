@@ -0,0 +1,194 @@
+/**
+ * Backtest Job Manager
+ *
+ * Runs backtests asynchronously in worker threads. Each job gets an id and
+ * its progress, trades, equity points and final results are re-emitted as
+ * events so callers (e.g. the API's Socket.IO rooms) can stream them.
+ */
+
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { v4 as uuidv4 } from 'uuid';
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  STOPPED: 'stopped'
+};
+
+class BacktestJobManager extends EventEmitter {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.workerPath - Path to the backtest worker script
+   * @param {Function} options.createWorker - Worker factory (path, workerData) => Worker
+   */
+  constructor(options = {}) {
+    super();
+
+    this.workerPath = options.workerPath;
+    this.createWorker = options.createWorker ||
+      ((workerPath, workerData) => new Worker(workerPath, { workerData }));
+
+    this.jobs = new Map();
+    this.workers = new Map();
+  }
+
+  /**
+   * Start a backtest job
+   * @param {Object} config - Job configuration
+   * @param {string} config.dataPath - CSV data file
+   * @param {string} config.strategyPath - Strategy file
+   * @param {Object} config.options - Backtester options
+   * @param {Object} config.runOptions - Run options (startDate, endDate)
+   * @param {Object} config.metadata - Free-form metadata kept with the job
+   * @returns {Object} Created job
+   */
+  start(config) {
+    const job = {
+      id: uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      config,
+      tradeCount: 0,
+      results: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+
+    const worker = this.createWorker(this.workerPath, {
+      dataPath: config.dataPath,
+      strategyPath: config.strategyPath,
+      options: config.options || {},
+      runOptions: config.runOptions || {}
+    });
+
+    this.workers.set(job.id, worker);
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    worker.on('message', message => this.handleMessage(job, message));
+    worker.on('error', err => this.finish(job, JOB_STATUS.FAILED, { error: err.message }));
+    worker.on('exit', code => {
+      if (job.status === JOB_STATUS.RUNNING) {
+        this.finish(job, JOB_STATUS.FAILED, { error: `Backtest worker exited with code ${code}` });
+      }
+    });
+
+    this.emit('started', job);
+    return job;
+  }
+
+  /**
+   * Handle a message posted by a backtest worker
+   * @param {Object} job - Job the worker belongs to
+   * @param {Object} message - Worker message
+   */
+  handleMessage(job, message) {
+    if (job.status !== JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    switch (message.type) {
+    case 'progress':
+      job.progress = message.progress.percent;
+      this.emit('progress', job, { progress: message.progress, equity: message.equity });
+      break;
+
+    case 'trade':
+      job.tradeCount++;
+      this.emit('trade', job, { trade: message.trade });
+      break;
+
+    case 'complete':
+      this.finish(job, JOB_STATUS.COMPLETED, { results: message.results });
+      break;
+
+    case 'error':
+      this.finish(job, JOB_STATUS.FAILED, { error: message.error });
+      break;
+    }
+  }
+
+  /**
+   * Move a job into a final state and release its worker
+   * @param {Object} job - Job
+   * @param {string} status - Final status
+   * @param {Object} outcome - { results } or { error }
+   */
+  finish(job, status, outcome = {}) {
+    if (job.status !== JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    job.status = status;
+    job.completedAt = new Date().toISOString();
+
+    if (status === JOB_STATUS.COMPLETED) {
+      job.progress = 100;
+      job.results = outcome.results;
+    } else if (outcome.error) {
+      job.error = outcome.error;
+    }
+
+    const worker = this.workers.get(job.id);
+    this.workers.delete(job.id);
+    if (worker) {
+      worker.terminate();
+    }
+
+    this.emit(status, job);
+    this.emit('settled', job);
+  }
+
+  /**
+   * Stop a running job
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown
+   */
+  stop(id) {
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      return null;
+    }
+
+    this.finish(job, JOB_STATUS.STOPPED);
+    return job;
+  }
+
+  /**
+   * Forget a job, stopping it first if it is still running
+   * @param {string} id - Job id
+   * @returns {boolean} True if the job existed
+   */
+  remove(id) {
+    this.stop(id);
+    return this.jobs.delete(id);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * List all jobs, newest first
+   * @returns {Array} Jobs
+   */
+  list() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+}
+
+export { BacktestJobManager, JOB_STATUS };
@@ -0,0 +1,317 @@
+/**
+ * Backtest Registry
+ *
+ * Persistent record of backtest runs on top of BacktestJobManager. Each run
+ * keeps its status, configuration, strategy parameters, a reference to the
+ * stored dataset and, once finished, its results. Records and datasets are
+ * written to disk so past runs can be listed, re-run and deleted across
+ * server restarts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { JOB_STATUS } from './backtestJobs.js';
+import { error as logError } from '../utils/logger.js';
+
+const REGISTRY_FILE = 'registry.json';
+const DATASETS_DIR = 'datasets';
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+class BacktestRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.directory - Directory for the registry file and datasets
+   * @param {BacktestJobManager} options.jobManager - Job manager that runs backtests
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.jobManager = options.jobManager;
+    this.records = new Map();
+    this.writeQueue = Promise.resolve();
+
+    this.jobManager.on('progress', job => {
+      const record = this.records.get(job.id);
+      if (record) {
+        record.progress = job.progress;
+      }
+    });
+
+    this.jobManager.on('settled', job => this.handleSettled(job));
+  }
+
+  /**
+   * Load persisted records. Runs that were still active when the server
+   * stopped cannot be resumed and are marked as failed.
+   * @returns {Promise<Array>} Loaded records
+   */
+  async load() {
+    await fs.mkdir(path.join(this.directory, DATASETS_DIR), { recursive: true });
+
+    let stored = [];
+    try {
+      stored = JSON.parse(await fs.readFile(path.join(this.directory, REGISTRY_FILE), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    let interrupted = false;
+    stored.forEach(record => {
+      if (ACTIVE_STATUSES.includes(record.status)) {
+        record.status = JOB_STATUS.FAILED;
+        record.error = 'Interrupted by server restart';
+        interrupted = true;
+      }
+      this.records.set(record.id, record);
+    });
+
+    if (interrupted) {
+      await this.save();
+    }
+
+    return this.list();
+  }
+
+  /**
+   * Move an uploaded CSV file into the dataset store
+   * @param {string} filePath - Uploaded file path
+   * @param {string} originalName - Original file name
+   * @returns {Promise<Object>} Dataset reference
+   */
+  async storeDataset(filePath, originalName) {
+    const id = uuidv4();
+    const target = this.getDatasetPath(id);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.rename(filePath, target);
+    } catch (error) {
+      // rename fails across devices; fall back to copy + delete
+      await fs.copyFile(filePath, target);
+      await fs.unlink(filePath);
+    }
+
+    const stats = await fs.stat(target);
+    return { id, filename: originalName, size: stats.size };
+  }
+
+  /**
+   * Find the reference of a stored dataset
+   * @param {string} datasetId - Dataset id
+   * @returns {Object|null} Dataset reference or null if no run uses it
+   */
+  getDataset(datasetId) {
+    const record = Array.from(this.records.values())
+      .find(other => other.dataset.id === datasetId);
+
+    return record ? record.dataset : null;
+  }
+
+  /**
+   * Path of a stored dataset
+   * @param {string} datasetId - Dataset id
+   * @returns {string} File path
+   */
+  getDatasetPath(datasetId) {
+    return path.join(this.directory, DATASETS_DIR, `${path.basename(datasetId)}.csv`);
+  }
+
+  /**
+   * Start a backtest run and record it
+   * @param {Object} config - Run configuration
+   * @param {string} config.strategy - Strategy id
+   * @param {string} config.strategyPath - Strategy file
+   * @param {Object} config.dataset - Dataset reference from storeDataset
+   * @param {Object} config.parameters - Strategy parameters
+   * @param {Object} config.options - Backtester options
+   * @param {Object} config.runOptions - Run options (startDate, endDate)
+   * @returns {Promise<Object>} Created record
+   */
+  async create(config) {
+    const { strategy, strategyPath, dataset, parameters = {}, options = {}, runOptions = {} } = config;
+
+    const job = this.jobManager.start({
+      dataPath: this.getDatasetPath(dataset.id),
+      strategyPath,
+      options: { ...options, parameters },
+      runOptions,
+      metadata: { strategy, dataset: dataset.filename }
+    });
+
+    const record = {
+      id: job.id,
+      status: job.status,
+      progress: 0,
+      strategyId: strategy,
+      strategyName: strategy,
+      strategyPath,
+      dataset,
+      parameters,
+      config: { options, runOptions },
+      // Everything needed to start an identical run
+      request: {
+        strategyId: strategy,
+        datasetId: dataset.id,
+        parameters,
+        ...runOptions,
+        ...options
+      },
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: null,
+      duration: null,
+      performance: null,
+      results: null,
+      error: null
+    };
+
+    this.records.set(record.id, record);
+    await this.save();
+
+    return record;
+  }
+
+  /**
+   * Start a new run with the same strategy, dataset and configuration
+   * @param {string} id - Record id to re-run
+   * @returns {Promise<Object|null>} New record or null if unknown
+   */
+  async rerun(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    return this.create({
+      strategy: record.strategyId,
+      strategyPath: record.strategyPath,
+      dataset: record.dataset,
+      parameters: record.parameters,
+      options: record.config.options,
+      runOptions: record.config.runOptions
+    });
+  }
+
+  /**
+   * Copy the final job state into its record and persist it
+   * @param {Object} job - Settled job
+   */
+  handleSettled(job) {
+    const record = this.records.get(job.id);
+
+    if (!record) {
+      return;
+    }
+
+    record.status = job.status;
+    record.progress = job.progress;
+    record.completedAt = job.completedAt;
+    record.duration = new Date(job.completedAt).getTime() - new Date(job.startedAt).getTime();
+    record.error = job.error;
+
+    if (job.results) {
+      const { summary = {} } = job.results;
+      record.results = job.results;
+      record.performance = {
+        totalReturn: summary.roi,
+        sharpeRatio: summary.sharpeRatio,
+        maxDrawdown: summary.maxDrawdown,
+        winRate: summary.winRate,
+        totalTrades: summary.totalTrades,
+        finalBalance: summary.finalBalance
+      };
+    }
+
+    this.save().catch(error => {
+      logError('Failed to persist backtest registry', { error: error.message });
+    });
+  }
+
+  /**
+   * Stop a running backtest
+   * @param {string} id - Record id
+   * @returns {Object|null} Record or null if unknown
+   */
+  stop(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    // Settling the job updates and persists the record
+    this.jobManager.stop(id);
+    return record;
+  }
+
+  /**
+   * Delete a run, stopping it first if needed. The dataset is removed once
+   * no remaining run references it.
+   * @param {string} id - Record id
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async remove(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return false;
+    }
+
+    this.records.delete(id);
+    this.jobManager.remove(id);
+
+    const datasetInUse = Array.from(this.records.values())
+      .some(other => other.dataset.id === record.dataset.id);
+
+    if (!datasetInUse) {
+      await fs.unlink(this.getDatasetPath(record.dataset.id)).catch(() => {});
+    }
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Get a record by id
+   * @param {string} id - Record id
+   * @returns {Object|null} Record or null if unknown
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * List records, newest first, without their full results
+   * @returns {Array} Record summaries
+   */
+  list() {
+    return Array.from(this.records.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ results: _results, ...summary }) => summary);
+  }
+
+  /**
+   * Write the registry to disk. Writes are queued so concurrent saves
+   * cannot interleave.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const file = path.join(this.directory, REGISTRY_FILE);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async() => {
+        await fs.mkdir(this.directory, { recursive: true });
+        const data = JSON.stringify(Array.from(this.records.values()), null, 2);
+        await fs.writeFile(`${file}.tmp`, data);
+        await fs.rename(`${file}.tmp`, file);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+export { BacktestRegistry };
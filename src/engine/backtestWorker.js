@@ -0,0 +1,37 @@
+/**
+ * Worker thread entry point for backtest jobs.
+ *
+ * Runs a Backtester with the job configuration passed as workerData and
+ * posts its events back to the parent. Equity points are buffered and sent
+ * together with each progress message so a long backtest does not flood the
+ * parent with one message per candle.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { Backtester } from './backtester.js';
+
+const { dataPath, strategyPath, options = {}, runOptions = {} } = workerData;
+
+const backtester = new Backtester(options);
+let equityBuffer = [];
+
+backtester.on('equity', point => {
+  equityBuffer.push(point);
+});
+
+backtester.on('trade', trade => {
+  parentPort.postMessage({ type: 'trade', trade });
+});
+
+backtester.on('progress', progress => {
+  parentPort.postMessage({ type: 'progress', progress, equity: equityBuffer });
+  equityBuffer = [];
+});
+
+backtester.run(dataPath, strategyPath, runOptions)
+  .then(results => {
+    parentPort.postMessage({ type: 'complete', results });
+  })
+  .catch(err => {
+    parentPort.postMessage({ type: 'error', error: err.message });
+  });
@@ -5,9 +5,74 @@ import { hideBin } from 'yargs/helpers';
 import path from 'path';
 import { pathToFileURL } from 'url';
 import fs from 'fs';
+import { EventEmitter } from 'events';
 import CSVImporter from '../importers/csvImporter.js';
 import { StrategyEngine } from './strategyEngine.js';
 import { PortfolioSimulator } from './portfolioSimulator.js';
+import { OrderBook, FILL_RULES } from './orderBook.js';
+import { MultiAssetBacktester } from './multiAssetBacktester.js';
+import { MonteCarloSimulator } from './monteCarlo.js';
+import { compareToBenchmark } from './benchmark.js';
+import { analyzePerformance } from './performanceMetrics.js';
+import { TradeLedger } from './tradeLedger.js';
+
+/**
+ * Parse the --params CLI value: inline JSON or a path to a JSON file
+ * @param {string} value - Raw option value
+ * @returns {Object} Strategy parameters
+ */
+function parseParams(value) {
+  if (!value) {
+    return {};
+  }
+
+  const source = fs.existsSync(value) ? fs.readFileSync(value, 'utf-8') : value;
+  let params;
+
+  try {
+    params = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`--params must be a JSON object or a path to a JSON file: ${error.message}`);
+  }
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('--params must be a JSON object');
+  }
+
+  return params;
+}
+
+/**
+ * Parse the --data CLI value(s). A single plain path runs a regular
+ * backtest; repeated values or `SYMBOL=path` entries select portfolio mode,
+ * deriving the symbol from the file name when none is given.
+ * @param {string|Array<string>} value - Raw option value(s)
+ * @returns {Object|null} { SYMBOL: path } for portfolio mode, otherwise null
+ */
+function parseDataPaths(value) {
+  const values = [].concat(value);
+
+  if (values.length === 1 && !values[0].includes('=')) {
+    return null;
+  }
+
+  const dataPaths = {};
+  values.forEach(entry => {
+    const separator = entry.indexOf('=');
+    const symbol = separator > 0
+      ? entry.slice(0, separator)
+      : path.basename(entry, path.extname(entry)).toUpperCase();
+    const dataPath = separator > 0 ? entry.slice(separator + 1) : entry;
+
+    if (dataPaths[symbol]) {
+      throw new Error(`Duplicate symbol in --data: ${symbol}`);
+    }
+
+    dataPaths[symbol] = dataPath;
+  });
+
+  return dataPaths;
+}
 
 // CLI argument parsing function
 function parseCliArgs() {
@@ -15,7 +80,7 @@ function parseCliArgs() {
     .option('data', {
       alias: 'd',
       type: 'string',
-      description: 'Path to CSV data file',
+      description: 'Path to CSV data file (repeat as SYMBOL=path for a portfolio backtest)',
       demandOption: true
     })
     .option('strategy', {
@@ -24,6 +89,12 @@ function parseCliArgs() {
       description: 'Path to strategy file',
       demandOption: true
     })
+    .option('params', {
+      alias: 'p',
+      type: 'string',
+      description: 'Strategy parameters as JSON or a path to a JSON file',
+      coerce: parseParams
+    })
     .option('start', {
       type: 'string',
       description: 'Start date (YYYY-MM-DD)',
@@ -58,6 +129,52 @@ function parseCliArgs() {
     description: 'Trading fee percentage',
     default: 0.1
   })
+    .option('leverage', {
+      alias: 'l',
+      type: 'number',
+      description: 'Leverage for short positions (margin = notional / leverage)',
+      default: 1
+    })
+    .option('borrow-fee', {
+      type: 'number',
+      description: 'Borrow fee percentage charged per candle on open shorts',
+      default: 0
+    })
+    .option('maintenance-margin', {
+      type: 'number',
+      description: 'Maintenance margin percentage before a short is liquidated',
+      default: 25
+    })
+    .option('fill-rule', {
+      type: 'string',
+      choices: FILL_RULES,
+      description: 'Which resting order fills when a candle touches both stop-loss and take-profit',
+      default: 'pessimistic'
+    })
+    .option('risk-orders', {
+      type: 'boolean',
+      description: 'Place resting stop-loss/take-profit orders after each entry',
+      default: false
+    })
+    .option('drift-threshold', {
+      type: 'number',
+      description: 'Portfolio mode: weight drift (e.g. 0.05) tolerated before a rebalancing strategy trades',
+      default: 0
+    })
+    .option('min-trade-value', {
+      type: 'number',
+      description: 'Portfolio mode: smallest rebalancing order worth placing, in currency',
+      default: 0
+    })
+    .option('benchmark', {
+      type: 'string',
+      description: 'CSV file with a benchmark price series (default: buy and hold of the traded asset)'
+    })
+    .option('monte-carlo', {
+      type: 'number',
+      description: 'Number of Monte Carlo paths simulated from the trades and returns (0 disables)',
+      default: 0
+    })
   .option('output', {
     alias: 'o',
     type: 'string',
@@ -73,13 +190,27 @@ function parseCliArgs() {
   .argv;
 }
 
-class Backtester {
+class Backtester extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.options = {
       initialBalance: 10000,
       currency: 'USD',
       asset: 'BTC',
       fee: 0.1,
+      leverage: 1,
+      borrowFee: 0,
+      maintenanceMargin: 25,
+      fillRule: 'pessimistic',
+      riskOrders: false, // resting stop-loss/take-profit orders (changes fills, so opt-in)
+      driftThreshold: 0,
+      minTradeValue: 0,
+      monteCarloRuns: 0,
+      monteCarlo: {},
+      benchmark: null,
+      riskFreeRate: 0, // annual, for the Sharpe ratio
+      parameters: {},
       verbose: false,
       ...options
     };
@@ -87,10 +218,16 @@ class Backtester {
     this.portfolio = new PortfolioSimulator({
       initialBalance: this.options.initialBalance,
       currency: this.options.currency,
-      fee: this.options.fee
+      fee: this.options.fee,
+      leverage: this.options.leverage,
+      borrowFee: this.options.borrowFee,
+      maintenanceMargin: this.options.maintenanceMargin
     });
 
+    this.orderBook = new OrderBook({ fillRule: this.options.fillRule });
     this.strategyEngine = new StrategyEngine();
+    this.benchmark = null;
+    this.ledger = new TradeLedger();
     this.trades = [];
     this.equityCurve = [];
     this.candles = [];
@@ -117,7 +254,37 @@ class Backtester {
     return this.candles;
   }
 
-  async loadStrategy(strategyPath) {
+  /**
+   * Load the benchmark series from options.benchmark (a CSV file or an
+   * array of candles/{ timestamp, price } points). Without one, results are
+   * compared with buy and hold of the traded asset.
+   * @returns {Promise<Array|null>} Benchmark series
+   */
+  async loadBenchmark() {
+    const { benchmark } = this.options;
+
+    if (typeof benchmark === 'string') {
+      if (!fs.existsSync(benchmark)) {
+        throw new Error(`Benchmark file not found: ${benchmark}`);
+      }
+      this.benchmark = await new CSVImporter().importFromFile(benchmark);
+    } else {
+      this.benchmark = Array.isArray(benchmark) && benchmark.length > 0 ? benchmark : null;
+    }
+
+    return this.benchmark;
+  }
+
+  /**
+   * Load and instantiate a strategy, applying parameters through its
+   * updateParameters method
+   * @param {string} strategyPath - Strategy file
+   * @param {Object} parameters - Strategy parameters (defaults to options.parameters)
+   * @param {string|Array<string>} hooks - Method(s) of which the strategy must implement at least one
+   * @returns {Promise<Object>} Strategy instance
+   * @throws {Error} If the strategy cannot be loaded or rejects the parameters
+   */
+  async loadStrategy(strategyPath, parameters = this.options.parameters, hooks = 'onCandle') {
     if (!fs.existsSync(strategyPath)) {
       throw new Error(`Strategy file not found: ${strategyPath}`);
     }
@@ -133,10 +300,13 @@ class Backtester {
 
     this.strategy = new Strategy();
 
-    if (typeof this.strategy.onCandle !== 'function') {
-      throw new Error('Strategy must implement onCandle method');
+    const required = [].concat(hooks);
+    if (!required.some(hook => typeof this.strategy[hook] === 'function')) {
+      throw new Error(`Strategy must implement ${required.join(' or ')} method`);
     }
 
+    this.applyParameters(this.strategy, parameters);
+
     if (this.options.verbose) {
       console.error(`Loaded strategy: ${this.strategy.constructor.name}`);
     }
@@ -144,6 +314,38 @@ class Backtester {
     return this.strategy;
   }
 
+  /**
+   * Apply parameters through the strategy's updateParameters method. Names
+   * missing from its parameterDefinitions are rejected, since
+   * BaseStrategy.updateParameters only warns and runs with the defaults.
+   * @param {Object} strategy - Strategy instance
+   * @param {Object} parameters - Strategy parameters
+   * @throws {Error} If the strategy rejects the parameters
+   */
+  applyParameters(strategy, parameters) {
+    if (!parameters || Object.keys(parameters).length === 0) {
+      return;
+    }
+
+    if (typeof strategy.updateParameters !== 'function') {
+      throw new Error('Invalid strategy parameters: strategy does not accept parameters');
+    }
+
+    const definitions = strategy.parameterDefinitions;
+    if (definitions && typeof definitions === 'object') {
+      const unknown = Object.keys(parameters).filter(name => !Object.prototype.hasOwnProperty.call(definitions, name));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid strategy parameters: unknown parameter ${unknown.map(name => `'${name}'`).join(', ')}`);
+      }
+    }
+
+    try {
+      strategy.updateParameters(parameters);
+    } catch (error) {
+      throw new Error(`Invalid strategy parameters: ${error.message}`);
+    }
+  }
+
   filterDateRange(candles, startDate, endDate) {
     let filtered = candles;
 
@@ -165,6 +367,7 @@ class Backtester {
       // Load data and strategy
       await this.loadData(dataPath);
       await this.loadStrategy(strategyPath);
+      await this.loadBenchmark();
 
       // Filter by date range if specified
       let candles = this.candles;
@@ -188,9 +391,33 @@ class Backtester {
       }
 
       // Run backtest
+      let lastPercent = -1;
       for (let i = 0; i < candles.length; i++) {
         const candle = candles[i];
         const historicalCandles = candles.slice(0, i + 1);
+        this.ledger.mark(candle);
+
+        // Resting stop-loss/take-profit orders are matched against the
+        // candle's range before the strategy sees its close
+        const orderFill = this.fillRestingOrders(candle);
+        if (orderFill) {
+          this.recordTrade(orderFill);
+          this.notifyForcedExit(orderFill);
+        }
+
+        // Charge borrow fees and enforce maintenance margin on open shorts
+        const borrowFeesBefore = this.portfolio.totalBorrowFees;
+        const liquidation = this.portfolio.applyCandle(candle);
+        this.ledger.chargeFees('short', this.portfolio.totalBorrowFees - borrowFeesBefore);
+        if (liquidation) {
+          liquidation.reason = 'liquidation';
+          this.orderBook.cancelAll();
+          this.recordTrade(liquidation);
+          this.notifyForcedExit(liquidation);
+          if (this.options.verbose) {
+            console.error(`Short liquidated: ${liquidation.amount} at ${liquidation.price}`);
+          }
+        }
 
         // Update strategy engine with current candle
         this.strategyEngine.updateCandle(candle, historicalCandles);
@@ -202,19 +429,35 @@ class Backtester {
         if (advice && advice.action) {
           const trade = this.executeTrade(advice, candle);
           if (trade) {
-            this.trades.push(trade);
+            this.recordTrade(trade);
           }
         }
 
         // Record equity curve point
         const portfolioValue = this.portfolio.getTotalValue(candle.close);
-        this.equityCurve.push({
+        const equityPoint = {
           timestamp: candle.timestamp,
           value: portfolioValue,
           price: candle.close,
           balance: this.portfolio.balance,
-          position: this.portfolio.position
-        });
+          position: this.portfolio.position,
+          shortPosition: this.portfolio.shortPosition
+        };
+        this.equityCurve.push(equityPoint);
+        this.emit('equity', equityPoint);
+
+        // Report progress once per whole percent
+        const percent = Math.floor(((i + 1) / candles.length) * 100);
+        if (percent > lastPercent) {
+          lastPercent = percent;
+          this.emit('progress', {
+            processed: i + 1,
+            total: candles.length,
+            percent,
+            timestamp: candle.timestamp,
+            value: portfolioValue
+          });
+        }
       }
 
       // Calculate final results
@@ -226,8 +469,112 @@ class Backtester {
     }
   }
 
+  /**
+   * Run a multi-asset portfolio backtest. Each series is loaded from its own
+   * CSV file and aligned on common timestamps; the strategy must implement
+   * `onPortfolioCandle` (advice carrying a `symbol`) or `onRebalance`
+   * (target weights).
+   * @param {Object} dataPaths - { SYMBOL: csvPath }
+   * @param {string} strategyPath - Strategy file
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Promise<Object>} Portfolio results
+   */
+  async runPortfolio(dataPaths, strategyPath, options = {}) {
+    try {
+      const symbols = Object.keys(dataPaths);
+      if (symbols.length === 0) {
+        throw new Error('At least one data file is required');
+      }
+
+      const candlesBySymbol = {};
+      for (const symbol of symbols) {
+        const candles = this.filterDateRange(
+          await this.loadData(dataPaths[symbol]),
+          options.startDate,
+          options.endDate
+        );
+
+        if (candles.length === 0) {
+          throw new Error(`No ${symbol} candles in specified date range`);
+        }
+
+        candlesBySymbol[symbol] = candles;
+      }
+
+      await this.loadStrategy(strategyPath, this.options.parameters, ['onPortfolioCandle', 'onRebalance']);
+
+      if (typeof this.strategy.init === 'function') {
+        this.strategy.init({
+          currency: this.options.currency,
+          assets: symbols
+        });
+      }
+
+      const portfolioBacktester = new MultiAssetBacktester({
+        initialBalance: this.options.initialBalance,
+        currency: this.options.currency,
+        fee: this.options.fee,
+        leverage: this.options.leverage,
+        driftThreshold: this.options.driftThreshold,
+        minTradeValue: this.options.minTradeValue,
+        riskFreeRate: this.options.riskFreeRate,
+        verbose: this.options.verbose
+      });
+
+      ['trade', 'equity', 'progress'].forEach(event => {
+        portfolioBacktester.on(event, payload => this.emit(event, payload));
+      });
+
+      const results = await portfolioBacktester.run(candlesBySymbol, this.strategy);
+      this.trades = results.trades;
+      this.equityCurve = results.equityCurve;
+
+      if (this.options.verbose) {
+        console.error(`Aligned ${results.summary.bars} bars across ${symbols.join(', ')} (${results.summary.droppedBars} dropped)`);
+      }
+
+      return results;
+
+    } catch (error) {
+      throw new Error(`Backtest failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store an executed trade, pair it into round trips and announce it to
+   * listeners
+   * @param {Object} trade - Executed trade
+   */
+  recordTrade(trade) {
+    this.trades.push(trade);
+    this.ledger.record(trade);
+    this.emit('trade', trade);
+  }
+
+  /**
+   * Map strategy advice onto a portfolio action. BaseStrategy expresses a
+   * short entry as `sell` with `direction: 'short'` and its exit as `buy`, so
+   * those are translated to short/cover here.
+   * @param {Object} advice - Strategy advice
+   * @returns {string} One of buy, sell, short, cover
+   */
+  resolveAction(advice) {
+    const { action } = advice;
+
+    if (action === 'sell' && advice.type !== 'exit' && advice.direction === 'short') {
+      return 'short';
+    }
+
+    if (action === 'buy' && this.portfolio.shortPosition > 0) {
+      return 'cover';
+    }
+
+    return action;
+  }
+
   executeTrade(advice, candle) {
-    const { action, amount, price } = advice;
+    const { amount, price } = advice;
+    const action = this.resolveAction(advice);
     const tradePrice = price || candle.close;
 
     try {
@@ -237,6 +584,20 @@ class Backtester {
         trade = this.portfolio.buy(amount || 'all', tradePrice, candle.timestamp);
       } else if (action === 'sell') {
         trade = this.portfolio.sell(amount || 'all', tradePrice, candle.timestamp);
+      } else if (action === 'short') {
+        trade = this.portfolio.short(amount || 'all', tradePrice, candle.timestamp);
+      } else if (action === 'cover') {
+        trade = this.portfolio.cover(amount || 'all', tradePrice, candle.timestamp);
+      }
+
+      if (trade) {
+        trade.reason = advice.reason || 'signal';
+
+        if (action === 'buy' || action === 'short') {
+          this.placeRiskOrders(advice, trade);
+        } else if (this.portfolio.position === 0 && this.portfolio.shortPosition === 0) {
+          this.orderBook.cancelAll();
+        }
       }
 
       if (trade && this.options.verbose) {
@@ -252,69 +613,174 @@ class Backtester {
     }
   }
 
-  calculateResults() {
-    const finalValue = this.portfolio.getTotalValue(
-      this.candles[this.candles.length - 1].close
-    );
+  /**
+   * Place resting stop-loss/take-profit orders for a freshly opened position.
+   * Absolute `stopLoss`/`takeProfit` prices on the advice take precedence;
+   * otherwise the strategy's stopLoss/takeProfit percentage parameters are
+   * applied to the fill price.
+   * @param {Object} advice - Strategy advice that opened the position
+   * @param {Object} trade - Entry trade
+   */
+  placeRiskOrders(advice, trade) {
+    if (!this.options.riskOrders) {
+      return;
+    }
 
-    const initialValue = this.options.initialBalance;
-    const totalReturn = finalValue - initialValue;
-    const roi = (totalReturn / initialValue) * 100;
+    const direction = trade.action === 'short' ? 'short' : 'long';
+    const parameters = (this.strategy && this.strategy.parameters) || {};
+    const sign = direction === 'short' ? -1 : 1;
 
-    // Calculate max drawdown
-    let maxValue = initialValue;
-    let maxDrawdown = 0;
+    let stopLoss = advice.stopLoss;
+    let takeProfit = advice.takeProfit;
 
-    for (const point of this.equityCurve) {
-      if (point.value > maxValue) {
-        maxValue = point.value;
-      }
-      const drawdown = ((maxValue - point.value) / maxValue) * 100;
-      if (drawdown > maxDrawdown) {
-        maxDrawdown = drawdown;
-      }
+    if (!stopLoss && parameters.stopLoss > 0) {
+      stopLoss = trade.price * (1 - sign * parameters.stopLoss / 100);
+    }
+
+    if (!takeProfit && parameters.takeProfit > 0) {
+      takeProfit = trade.price * (1 + sign * parameters.takeProfit / 100);
+    }
+
+    // Replace any bracket left over from a previous entry (scaling in)
+    this.orderBook.cancelAll();
+    this.orderBook.placeBracket({
+      direction,
+      stopLoss,
+      takeProfit,
+      group: trade.timestamp,
+      timestamp: trade.timestamp
+    });
+  }
+
+  /**
+   * Match resting orders against a candle and execute the one that fills
+   * @param {Object} candle - Current candle
+   * @returns {Object|null} Executed trade or null
+   */
+  fillRestingOrders(candle) {
+    const fill = this.orderBook.match(candle);
+
+    if (!fill) {
+      return null;
     }
 
-    // Calculate win rate
-    const profitableTrades = this.trades.filter(trade => trade.profit > 0);
-    const winRate = this.trades.length > 0 ? (profitableTrades.length / this.trades.length) * 100 : 0;
+    const { order, price } = fill;
+    const hasPosition = order.side === 'buy' ? this.portfolio.shortPosition > 0 : this.portfolio.position > 0;
 
-    // Calculate Sharpe ratio (simplified)
-    const returns = [];
-    for (let i = 1; i < this.equityCurve.length; i++) {
-      const prevValue = this.equityCurve[i - 1].value;
-      const currentValue = this.equityCurve[i].value;
-      returns.push((currentValue - prevValue) / prevValue);
+    if (!hasPosition) {
+      this.orderBook.cancelAll();
+      return null;
     }
 
-    const avgReturn = returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
-    const returnStdDev = Math.sqrt(
-      returns.reduce((sum, ret) => sum + Math.pow(ret - avgReturn, 2), 0) / returns.length
+    const trade = order.side === 'buy'
+      ? this.portfolio.cover(order.amount, price, candle.timestamp)
+      : this.portfolio.sell(order.amount, price, candle.timestamp);
+
+    trade.reason = order.reason;
+    trade.orderType = order.type;
+    trade.triggerPrice = order.price;
+    trade.fillRule = this.orderBook.fillRule;
+    this.orderBook.cancelAll();
+
+    if (this.options.verbose) {
+      console.error(`${order.reason} filled: ${trade.action} ${trade.amount} at ${trade.price}`);
+    }
+
+    return trade;
+  }
+
+  /**
+   * Tell the strategy its position was closed outside of its own advice
+   * @param {Object} trade - Forced exit trade
+   */
+  notifyForcedExit(trade) {
+    if (typeof this.strategy.onForcedExit === 'function') {
+      this.strategy.onForcedExit(trade);
+    }
+  }
+
+  calculateResults() {
+    const finalValue = this.portfolio.getTotalValue(
+      this.candles[this.candles.length - 1].close
     );
-    const sharpeRatio = returnStdDev > 0 ? avgReturn / returnStdDev : 0;
 
-    return {
+    const initialValue = this.options.initialBalance;
+    const totalReturn = finalValue - initialValue;
+    const roi = (totalReturn / initialValue) * 100;
+    const roundTrips = this.ledger.getRoundTrips();
+    const profitableTrades = roundTrips.filter(trade => trade.pnl > 0);
+    const metrics = analyzePerformance(this.equityCurve, {
+      trades: roundTrips,
+      initialBalance: initialValue,
+      riskFreeRate: this.options.riskFreeRate
+    });
+
+    const results = {
       summary: {
         initialBalance: initialValue,
         finalBalance: finalValue,
         totalReturn,
         roi,
-        maxDrawdown,
-        winRate,
-        sharpeRatio: sharpeRatio * Math.sqrt(252), // Annualized
+        annualizedReturn: metrics.annualizedReturnPercent,
+        maxDrawdown: metrics.maxDrawdownPercent,
+        winRate: metrics.winRate,
+        sharpeRatio: metrics.sharpeRatio,
+        sortinoRatio: metrics.sortinoRatio,
+        calmarRatio: metrics.calmarRatio,
+        volatility: metrics.volatility,
+        profitFactor: metrics.profitFactor,
         totalTrades: this.trades.length,
         profitableTrades: profitableTrades.length,
+        roundTrips: roundTrips.length,
+        averageHoldingTime: roundTrips.length > 0
+          ? roundTrips.reduce((sum, trade) => sum + trade.holdingTime, 0) / roundTrips.length
+          : 0,
         startDate: this.candles[0].timestamp,
         endDate: this.candles[this.candles.length - 1].timestamp
       },
       trades: this.trades,
+      roundTrips,
       equityCurve: this.equityCurve,
       portfolio: {
         balance: this.portfolio.balance,
         position: this.portfolio.position,
+        shortPosition: this.portfolio.shortPosition,
+        totalBorrowFees: this.portfolio.totalBorrowFees,
+        openOrders: this.orderBook.getOpenOrders(),
         totalValue: finalValue
       }
     };
+
+    results.benchmark = compareToBenchmark(this.equityCurve, {
+      series: this.benchmark || this.equityCurve,
+      source: this.benchmark ? 'custom' : 'buy-and-hold',
+      initialBalance: initialValue
+    });
+
+    if (this.options.monteCarloRuns > 0) {
+      results.monteCarlo = this.runMonteCarlo();
+    }
+
+    return results;
+  }
+
+  /**
+   * Monte Carlo robustness check of the finished run: the round trips'
+   * profits are replayed in random order and the equity curve's returns are
+   * block-bootstrapped
+   * @returns {Object} { trades, returns } simulation summaries
+   */
+  runMonteCarlo() {
+    const createSimulator = () => new MonteCarloSimulator({
+      ...this.options.monteCarlo,
+      runs: this.options.monteCarloRuns,
+      initialBalance: this.options.initialBalance
+    });
+
+    return {
+      trades: createSimulator().simulateTrades(this.ledger.getRoundTrips()),
+      returns: createSimulator().bootstrapReturns(MonteCarloSimulator.returnsFromEquity(this.equityCurve))
+    };
   }
 }
 
@@ -334,16 +800,30 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
         currency: argv.currency,
         asset: argv.asset,
         fee: argv.fee,
+        leverage: argv.leverage,
+        borrowFee: argv.borrowFee,
+        maintenanceMargin: argv.maintenanceMargin,
+        fillRule: argv.fillRule,
+        riskOrders: argv.riskOrders,
+        driftThreshold: argv.driftThreshold,
+        minTradeValue: argv.minTradeValue,
+        monteCarloRuns: argv.monteCarlo,
+        benchmark: argv.benchmark,
+        parameters: argv.params,
         verbose: argv.verbose
       });
 
       if (argv.verbose) {
         console.error('Running backtest...');
       }
-      const results = await backtester.run(argv.data, argv.strategy, {
+      const dataPaths = parseDataPaths(argv.data);
+      const runOptions = {
         startDate: argv.start,
         endDate: argv.end
-      });
+      };
+      const results = dataPaths
+        ? await backtester.runPortfolio(dataPaths, argv.strategy, runOptions)
+        : await backtester.run(argv.data, argv.strategy, runOptions);
 
       if (argv.verbose) {
         console.error('Generating output...');
@@ -0,0 +1,153 @@
+/**
+ * Benchmark-relative performance
+ *
+ * Builds a benchmark equity curve next to a strategy's equity curve (buy and
+ * hold of the traded candles, or any user-supplied price series) and
+ * compares the two bar by bar: alpha, beta, tracking error, information
+ * ratio, up/down capture and excess return. Ratios are annualized for
+ * markets that trade around the clock, from the spacing of the timestamps.
+ */
+
+const { mean, equityValue, equityReturns, periodsPerYear } = require('./performanceMetrics.js');
+
+// Tracking error below this is rounding noise from identical curves
+const MIN_TRACKING_ERROR = 1e-9;
+
+const toTime = timestamp => new Date(timestamp).getTime();
+
+/**
+ * Sample covariance of two equally long series
+ */
+function covariance(a, b) {
+  if (a.length < 2) return 0;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+/**
+ * Price of a benchmark point: a number, or an object with close, price or value
+ */
+function pointPrice(point) {
+  return typeof point === 'number' ? point : point.close ?? point.price ?? point.value ?? point.equity;
+}
+
+/**
+ * Geometric average return of the bars selected by `include`
+ */
+function geometricMean(returns, include) {
+  const selected = returns.filter((_, i) => include(i));
+  if (selected.length === 0) return 0;
+  const growth = selected.reduce((product, r) => product * (1 + r), 1);
+  return Math.sign(growth) * Math.pow(Math.abs(growth), 1 / selected.length) - 1;
+}
+
+/**
+ * Benchmark equity at each of the given timestamps, starting from
+ * `initialBalance`. The series is matched by timestamp (the last known
+ * price at or before each timestamp), or by position when it has none.
+ * @param {Array<Object|number>} series - Candles or { timestamp, close|price|value } points
+ * @param {Array} timestamps - Timestamps of the strategy's equity curve
+ * @param {number} initialBalance - Starting equity
+ * @returns {Array<Object>} [{ timestamp, value }]
+ */
+function buildBenchmarkCurve(series, timestamps, initialBalance) {
+  if (!Array.isArray(series) || series.length === 0) {
+    throw new Error('Benchmark series must be a non-empty array');
+  }
+
+  const timed = typeof series[0] === 'object' && series[0].timestamp !== undefined;
+  let prices;
+
+  if (timed) {
+    const sorted = [...series].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+    let cursor = 0;
+    prices = timestamps.map(timestamp => {
+      const time = toTime(timestamp);
+      while (cursor + 1 < sorted.length && toTime(sorted[cursor + 1].timestamp) <= time) {
+        cursor++;
+      }
+      return pointPrice(sorted[cursor]);
+    });
+  } else {
+    prices = timestamps.map((_, i) => pointPrice(series[Math.min(i, series.length - 1)]));
+  }
+
+  const base = prices[0];
+  if (!(base > 0)) {
+    throw new Error('Benchmark series must start with a positive price');
+  }
+
+  return timestamps.map((timestamp, i) => ({ timestamp, value: initialBalance * (prices[i] / base) }));
+}
+
+/**
+ * Compare per-bar returns of a strategy with those of a benchmark
+ * @param {Array<number>} strategyReturns - Strategy returns per bar
+ * @param {Array<number>} benchmarkReturns - Benchmark returns over the same bars
+ * @param {number} periodsPerYear - Bars per year, for annualization
+ * @returns {Object} { alpha, beta, correlation, trackingError, informationRatio, upCapture, downCapture }
+ */
+function calculateBenchmarkMetrics(strategyReturns, benchmarkReturns, periodsPerYear) {
+  const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+  const strategyVariance = covariance(strategyReturns, strategyReturns);
+  const cov = covariance(strategyReturns, benchmarkReturns);
+  const beta = benchmarkVariance > 0 ? cov / benchmarkVariance : 0;
+
+  const active = strategyReturns.map((r, i) => r - benchmarkReturns[i]);
+  const trackingError = Math.sqrt(covariance(active, active)) * Math.sqrt(periodsPerYear);
+
+  const upBenchmark = geometricMean(benchmarkReturns, i => benchmarkReturns[i] > 0);
+  const downBenchmark = geometricMean(benchmarkReturns, i => benchmarkReturns[i] < 0);
+
+  return {
+    alpha: (mean(strategyReturns) - beta * mean(benchmarkReturns)) * periodsPerYear,
+    beta,
+    correlation: benchmarkVariance > 0 && strategyVariance > 0 ? cov / Math.sqrt(benchmarkVariance * strategyVariance) : 0,
+    trackingError,
+    informationRatio: trackingError > MIN_TRACKING_ERROR ? (mean(active) * periodsPerYear) / trackingError : 0,
+    upCapture: upBenchmark !== 0
+      ? (geometricMean(strategyReturns, i => benchmarkReturns[i] > 0) / upBenchmark) * 100
+      : null,
+    downCapture: downBenchmark !== 0
+      ? (geometricMean(strategyReturns, i => benchmarkReturns[i] < 0) / downBenchmark) * 100
+      : null
+  };
+}
+
+/**
+ * Benchmark curve and relative metrics for a strategy's equity curve
+ * @param {Array<Object>} equityCurve - Strategy equity, [{ timestamp, value|equity }]
+ * @param {Object} options
+ * @param {Array} options.series - Benchmark prices (the traded candles for buy and hold)
+ * @param {string} options.source - Label for the benchmark ('buy-and-hold' or 'custom')
+ * @param {number} options.initialBalance - Starting equity of both curves
+ * @returns {Object|null} Benchmark summary, null without an equity curve
+ */
+function compareToBenchmark(equityCurve, { series, source = 'buy-and-hold', initialBalance }) {
+  if (!Array.isArray(equityCurve) || equityCurve.length === 0) {
+    return null;
+  }
+
+  const curve = buildBenchmarkCurve(series, equityCurve.map(point => point.timestamp), initialBalance);
+  const strategyValues = equityCurve.map(equityValue);
+  const benchmarkValues = curve.map(point => point.value);
+
+  const strategyReturn = ((strategyValues[strategyValues.length - 1] - initialBalance) / initialBalance) * 100;
+  const benchmarkReturn = ((benchmarkValues[benchmarkValues.length - 1] - initialBalance) / initialBalance) * 100;
+
+  return {
+    source,
+    strategyReturn,
+    benchmarkReturn,
+    excessReturn: strategyReturn - benchmarkReturn,
+    ...calculateBenchmarkMetrics(equityReturns(strategyValues), equityReturns(benchmarkValues), periodsPerYear(equityCurve)),
+    equityCurve: curve
+  };
+}
+
+module.exports = {
+  buildBenchmarkCurve,
+  calculateBenchmarkMetrics,
+  compareToBenchmark
+};
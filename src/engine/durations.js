@@ -0,0 +1,50 @@
+/**
+ * Candle spacing and duration helpers shared by the analyzers
+ */
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Typical spacing between candles in milliseconds (median of the gaps)
+ * @returns {number} Bar duration, 0 when it cannot be inferred
+ */
+function inferBarDuration(marketData) {
+  const gaps = [];
+  for (let i = 1; i < marketData.length; i++) {
+    const gap = new Date(marketData[i].timestamp).getTime() -
+      new Date(marketData[i - 1].timestamp).getTime();
+    if (gap > 0) {
+      gaps.push(gap);
+    }
+  }
+
+  if (gaps.length === 0) {
+    return 0;
+  }
+
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * Parse a duration such as '15m', '12h', '90d' or '4w' into milliseconds
+ */
+function parseDuration(duration) {
+  const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}. Use a number followed by m, h, d or w`);
+  }
+
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+module.exports = {
+  DURATION_UNITS,
+  inferBarDuration,
+  parseDuration
+};
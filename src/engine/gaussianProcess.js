@@ -0,0 +1,236 @@
+/**
+ * Gaussian process regression for Bayesian optimization
+ *
+ * A zero-mean GP with a Matérn 5/2 kernel over a caller-supplied distance,
+ * so mixed parameter spaces (numeric, choice and boolean) can share one
+ * model. Targets are standardized before fitting and the length scale is
+ * picked by maximizing the log marginal likelihood over a small grid.
+ */
+
+const SQRT5 = Math.sqrt(5);
+const LENGTH_SCALES = [0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1, 1.5];
+
+/**
+ * Matérn 5/2 covariance of two points at a given distance
+ * @param {number} distance - Distance between the points
+ * @param {number} lengthScale - Kernel length scale
+ * @param {number} variance - Signal variance
+ * @returns {number} Covariance
+ */
+function maternKernel(distance, lengthScale = 1, variance = 1) {
+  const r = SQRT5 * distance / lengthScale;
+  return variance * (1 + r + r * r / 3) * Math.exp(-r);
+}
+
+/**
+ * Lower-triangular Cholesky factor of a symmetric positive definite matrix
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {Array<Array<number>>|null} L with L·Lᵀ = matrix, or null if it is not positive definite
+ */
+function cholesky(matrix) {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= L[i][k] * L[j][k];
+      }
+
+      if (i === j) {
+        if (!(sum > 0)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+
+  return L;
+}
+
+/**
+ * Solve L·x = b for lower-triangular L
+ */
+function forwardSubstitute(L, b) {
+  const x = new Array(b.length);
+  for (let i = 0; i < b.length; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) {
+      sum -= L[i][k] * x[k];
+    }
+    x[i] = sum / L[i][i];
+  }
+  return x;
+}
+
+/**
+ * Solve Lᵀ·x = b for lower-triangular L
+ */
+function backSubstitute(L, b) {
+  const n = b.length;
+  const x = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = b[i];
+    for (let k = i + 1; k < n; k++) {
+      sum -= L[k][i] * x[k];
+    }
+    x[i] = sum / L[i][i];
+  }
+  return x;
+}
+
+/**
+ * Standard normal density
+ */
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26,
+ * absolute error below 1.5e-7)
+ */
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+    t * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Expected improvement over the best observed value (maximization)
+ * @param {number} mean - Predicted mean
+ * @param {number} std - Predicted standard deviation
+ * @param {number} best - Best observed value
+ * @param {number} xi - Exploration margin
+ * @returns {number} Expected improvement
+ */
+function expectedImprovement(mean, std, best, xi = 0.01) {
+  const improvement = mean - best - xi;
+  if (std <= 0) return Math.max(0, improvement);
+
+  const z = improvement / std;
+  return improvement * normalCdf(z) + std * normalPdf(z);
+}
+
+/**
+ * Upper confidence bound (maximization)
+ */
+function upperConfidenceBound(mean, std, kappa = 2) {
+  return mean + kappa * std;
+}
+
+class GaussianProcess {
+  /**
+   * @param {Object} options - Model options
+   * @param {Function} options.distance - (a, b) => distance between two inputs
+   * @param {number} options.noise - Observation noise variance, on standardized targets
+   * @param {Array<number>} options.lengthScales - Length scales tried when fitting
+   */
+  constructor(options = {}) {
+    this.distance = options.distance || ((a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0)));
+    this.noise = options.noise ?? 1e-6;
+    this.lengthScales = options.lengthScales || LENGTH_SCALES;
+
+    this.inputs = [];
+    this.lengthScale = 1;
+    this.yMean = 0;
+    this.yStd = 1;
+    this.L = null;
+    this.alpha = null;
+  }
+
+  /**
+   * Fit the model to observations
+   * @param {Array} inputs - Observed inputs
+   * @param {Array<number>} targets - Observed values
+   * @returns {GaussianProcess} this
+   */
+  fit(inputs, targets) {
+    if (inputs.length === 0) {
+      throw new Error('Gaussian process needs at least one observation');
+    }
+
+    this.inputs = inputs;
+    this.yMean = targets.reduce((sum, value) => sum + value, 0) / targets.length;
+    const spread = Math.sqrt(targets.reduce((sum, value) => sum + (value - this.yMean) ** 2, 0) / targets.length);
+    this.yStd = spread > 0 ? spread : 1;
+
+    const y = targets.map(value => (value - this.yMean) / this.yStd);
+    const distances = inputs.map(a => inputs.map(b => this.distance(a, b)));
+
+    let best = null;
+    for (const lengthScale of this.lengthScales) {
+      const fitted = this.factorize(distances, y, lengthScale);
+      if (fitted && (!best || fitted.logLikelihood > best.logLikelihood)) {
+        best = fitted;
+      }
+    }
+
+    if (!best) {
+      throw new Error('Gaussian process covariance is not positive definite');
+    }
+
+    this.lengthScale = best.lengthScale;
+    this.L = best.L;
+    this.alpha = best.alpha;
+    return this;
+  }
+
+  /**
+   * Cholesky factor, weights and log marginal likelihood for one length scale
+   */
+  factorize(distances, y, lengthScale) {
+    const n = y.length;
+
+    // Escalate the jitter when near-duplicate inputs make K singular
+    for (let jitter = this.noise; jitter < 1; jitter *= 10) {
+      const K = distances.map((row, i) => row.map((d, j) => maternKernel(d, lengthScale) + (i === j ? jitter : 0)));
+      const L = cholesky(K);
+      if (!L) continue;
+
+      const alpha = backSubstitute(L, forwardSubstitute(L, y));
+      const logDeterminant = L.reduce((sum, row, i) => sum + Math.log(row[i]), 0);
+      const logLikelihood = -0.5 * y.reduce((sum, value, i) => sum + value * alpha[i], 0) -
+        logDeterminant - n / 2 * Math.log(2 * Math.PI);
+
+      return { lengthScale, L, alpha, logLikelihood };
+    }
+
+    return null;
+  }
+
+  /**
+   * Predict the value at an input
+   * @param {*} input - Input in the same form as the fitted inputs
+   * @returns {Object} { mean, std } in the units of the targets
+   */
+  predict(input) {
+    if (!this.L) {
+      throw new Error('Gaussian process has not been fitted');
+    }
+
+    const k = this.inputs.map(observed => maternKernel(this.distance(input, observed), this.lengthScale));
+    const mean = k.reduce((sum, value, i) => sum + value * this.alpha[i], 0);
+    const v = forwardSubstitute(this.L, k);
+    const variance = Math.max(0, 1 - v.reduce((sum, value) => sum + value * value, 0));
+
+    return {
+      mean: this.yMean + mean * this.yStd,
+      std: Math.sqrt(variance) * this.yStd
+    };
+  }
+}
+
+module.exports = {
+  GaussianProcess,
+  maternKernel,
+  cholesky,
+  normalPdf,
+  normalCdf,
+  expectedImprovement,
+  upperConfidenceBound
+};
@@ -1,6 +1,7 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const PaperTradingEngine = require('./paperTrading.js');
+const { profitFactor, winRate } = require('./performanceMetrics.js');
 
 class LiveTradingEngine extends EventEmitter {
   constructor(exchange, config = {}) {
@@ -429,8 +430,6 @@ class LiveTradingEngine extends EventEmitter {
 
     // Calculate total PnL from trades
     const totalPnL = this.portfolio.trades.reduce((sum, trade) => sum + (trade.pnl || 0), 0);
-    const winningTrades = this.portfolio.trades.filter(trade => (trade.pnl || 0) > 0).length;
-    const winRate = this.portfolio.trades.length > 0 ? winningTrades / this.portfolio.trades.length : 0;
 
     return {
       totalReturn,
@@ -439,7 +438,8 @@ class LiveTradingEngine extends EventEmitter {
       initialValue,
       totalTrades: this.portfolio.trades.length,
       totalPnL,
-      winRate,
+      winRate: winRate(this.portfolio.trades),
+      profitFactor: profitFactor(this.portfolio.trades),
       activePositions: this.portfolio.positions.size,
       pendingOrders: Array.from(this.portfolio.orders.values()).filter(o => o.status === 'pending').length
     };
@@ -0,0 +1,277 @@
+/**
+ * Monte Carlo robustness analysis
+ *
+ * Randomizes the outcome of a finished backtest rather than its candles, so
+ * strategies never see a scrambled price series:
+ * - trade level: replay the realized trade PnL in shuffled order or
+ *   resampled with replacement, optionally skipping trades at random
+ * - block bootstrap: rebuild return paths from contiguous blocks of per-bar
+ *   returns, which keeps short-range autocorrelation and volatility
+ *   clustering intact
+ *
+ * Each simulation reports percentiles of final equity and max drawdown, the
+ * risk of ruin and percentile bands of the equity paths for fan charts.
+ */
+
+const TRADE_METHODS = ['shuffle', 'resample'];
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * Random number generator, seeded (mulberry32) when a seed is given
+ * @param {number|null} seed - Integer seed, or null for Math.random
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function createRandom(seed = null) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ * @param {Array<number>|Float64Array} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Mean, extremes and percentiles of a sample
+ * @param {Float64Array|Array<number>} values - Sample (sorted in place)
+ * @returns {Object} { mean, min, max, p5, p25, p50, p75, p95 }
+ */
+function describeDistribution(values) {
+  values.sort((a, b) => a - b);
+
+  const stats = {
+    mean: values.reduce((sum, value) => sum + value, 0) / (values.length || 1),
+    min: values.length ? values[0] : 0,
+    max: values.length ? values[values.length - 1] : 0
+  };
+
+  PERCENTILES.forEach(p => {
+    stats[`p${p}`] = percentile(values, p);
+  });
+
+  return stats;
+}
+
+class MonteCarloSimulator {
+  /**
+   * @param {Object} config
+   * @param {number} config.runs - Number of simulated paths
+   * @param {number} config.initialBalance - Starting equity of every path
+   * @param {string} config.method - Trade-level sampling: 'shuffle' or 'resample'
+   * @param {number} config.skipProbability - Chance that a trade is skipped (0-1)
+   * @param {number|null} config.blockSize - Bootstrap block length in bars (default: square root of the sample)
+   * @param {number} config.ruinThreshold - Loss of initial balance counted as ruin (0.5 = 50%)
+   * @param {number} config.bandPoints - Most steps kept in the fan chart bands
+   * @param {number|null} config.seed - Seed for reproducible runs
+   */
+  constructor(config = {}) {
+    this.config = {
+      runs: 1000,
+      initialBalance: 10000,
+      method: 'resample',
+      skipProbability: 0,
+      blockSize: null,
+      ruinThreshold: 0.5,
+      bandPoints: 100,
+      seed: null,
+      ...config
+    };
+
+    if (!TRADE_METHODS.includes(this.config.method)) {
+      throw new Error(`Invalid Monte Carlo method: ${this.config.method}. Use one of: ${TRADE_METHODS.join(', ')}`);
+    }
+
+    this.random = createRandom(this.config.seed);
+  }
+
+  /**
+   * Per-bar returns of an equity curve
+   * @param {Array<Object|number>} equityCurve - Points with `equity` or `value`, or plain numbers
+   * @returns {Array<number>} Returns
+   */
+  static returnsFromEquity(equityCurve = []) {
+    const values = equityCurve.map(point => (typeof point === 'number' ? point : point.equity ?? point.value));
+    const returns = [];
+
+    for (let i = 1; i < values.length; i++) {
+      if (values[i - 1] > 0) {
+        returns.push(values[i] / values[i - 1] - 1);
+      }
+    }
+
+    return returns;
+  }
+
+  /**
+   * Replay the realized trade PnL in random order
+   * @param {Array<Object|number>} trades - Trades with `pnl` (or `profit`), or PnL values
+   * @returns {Object} Simulation summary
+   */
+  simulateTrades(trades = []) {
+    const pnls = trades
+      .map(trade => (typeof trade === 'number' ? trade : trade.pnl ?? trade.profit))
+      .filter(Number.isFinite);
+    const { method, skipProbability } = this.config;
+
+    const summary = this.simulate(pnls.length, () => {
+      const sequence = method === 'shuffle' ? this.shuffle(pnls) : this.resample(pnls);
+
+      return (equity, step) => (this.random() < skipProbability ? equity : equity + sequence[step]);
+    });
+
+    return { method, skipProbability, trades: pnls.length, ...summary };
+  }
+
+  /**
+   * Rebuild return paths from randomly drawn blocks of consecutive returns
+   * @param {Array<number>} returns - Per-bar returns
+   * @returns {Object} Simulation summary
+   */
+  bootstrapReturns(returns = []) {
+    const length = returns.length;
+    const blockSize = Math.min(
+      length,
+      Math.max(1, Math.round(this.config.blockSize || Math.sqrt(length)))
+    );
+
+    const summary = this.simulate(length, () => {
+      const path = [];
+      while (path.length < length) {
+        const start = Math.floor(this.random() * (length - blockSize + 1));
+        path.push(...returns.slice(start, start + blockSize));
+      }
+
+      return (equity, step) => equity * (1 + path[step]);
+    });
+
+    return { method: 'block-bootstrap', blockSize, ...summary };
+  }
+
+  /**
+   * Run the paths and summarize them. A path that hits the ruin level stops
+   * trading; its equity stays where it was.
+   * @param {number} steps - Steps per path
+   * @param {Function} createPath - Returns a step function (equity, step) => equity for one path
+   * @returns {Object} Summary with final equity, max drawdown, risk of ruin and fan chart bands
+   */
+  simulate(steps, createPath) {
+    const { runs, initialBalance, ruinThreshold } = this.config;
+    const ruinLevel = initialBalance * (1 - ruinThreshold);
+
+    const bandSteps = this.getBandSteps(steps);
+    const bandValues = bandSteps.map(() => new Float64Array(runs));
+    const finalEquity = new Float64Array(runs);
+    const maxDrawdown = new Float64Array(runs);
+    let ruined = 0;
+    let profitable = 0;
+
+    for (let run = 0; run < runs; run++) {
+      const next = createPath();
+      let equity = initialBalance;
+      let peak = initialBalance;
+      let drawdown = 0;
+      let isRuined = false;
+      let band = 0;
+
+      for (let step = 0; step <= steps; step++) {
+        if (step > 0 && !isRuined) {
+          equity = next(equity, step - 1);
+          peak = Math.max(peak, equity);
+          drawdown = Math.max(drawdown, peak > 0 ? ((peak - equity) / peak) * 100 : 0);
+
+          if (equity <= ruinLevel) {
+            isRuined = true;
+          }
+        }
+
+        if (bandSteps[band] === step) {
+          bandValues[band++][run] = equity;
+        }
+      }
+
+      finalEquity[run] = equity;
+      maxDrawdown[run] = drawdown;
+      ruined += isRuined ? 1 : 0;
+      profitable += equity > initialBalance ? 1 : 0;
+    }
+
+    return {
+      runs,
+      steps,
+      finalEquity: describeDistribution(finalEquity),
+      maxDrawdown: describeDistribution(maxDrawdown),
+      riskOfRuin: runs > 0 ? ruined / runs : 0,
+      probabilityOfProfit: runs > 0 ? profitable / runs : 0,
+      bands: bandSteps.map((step, i) => {
+        const values = bandValues[i].sort();
+        const band = { step };
+        PERCENTILES.forEach(p => {
+          band[`p${p}`] = percentile(values, p);
+        });
+        return band;
+      })
+    };
+  }
+
+  /**
+   * Evenly spaced steps (always including the first and last) recorded for
+   * the fan chart
+   */
+  getBandSteps(steps) {
+    const count = Math.min(steps + 1, Math.max(2, this.config.bandPoints));
+    const bandSteps = [];
+
+    for (let i = 0; i < count; i++) {
+      const step = count === 1 ? 0 : Math.round((i * steps) / (count - 1));
+      if (bandSteps[bandSteps.length - 1] !== step) {
+        bandSteps.push(step);
+      }
+    }
+
+    return bandSteps;
+  }
+
+  shuffle(values) {
+    const shuffled = [...values];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  resample(values) {
+    return values.map(() => values[Math.floor(this.random() * values.length)]);
+  }
+}
+
+module.exports = {
+  MonteCarloSimulator,
+  createRandom,
+  percentile,
+  describeDistribution,
+  TRADE_METHODS
+};
@@ -0,0 +1,641 @@
+/**
+ * Multi-asset portfolio backtesting
+ *
+ * Runs one strategy over several aligned candle series that share a single
+ * cash balance. Strategies implement `onPortfolioCandle(candles, history,
+ * context)` and return advice objects carrying a `symbol`, or
+ * `onRebalance(candles, history, context)` and return target weights that the
+ * engine turns into orders. Results include combined and per-asset equity,
+ * correlation between assets and exposure.
+ */
+
+import { EventEmitter } from 'events';
+import { StrategyEngine } from './strategyEngine.js';
+import { Rebalancer } from './rebalancer.js';
+import { analyzePerformance, correlation } from './performanceMetrics.js';
+
+/**
+ * Align candle series on their common timestamps
+ * @param {Object} candlesBySymbol - { SYMBOL: [candles] }
+ * @returns {Object} { symbols, bars: [{ timestamp, candles: { SYMBOL: candle } }], dropped }
+ */
+function alignCandles(candlesBySymbol) {
+  const symbols = Object.keys(candlesBySymbol);
+
+  if (symbols.length === 0) {
+    throw new Error('At least one candle series is required');
+  }
+
+  const indexed = {};
+  symbols.forEach(symbol => {
+    indexed[symbol] = new Map(
+      candlesBySymbol[symbol].map(candle => [new Date(candle.timestamp).getTime(), candle])
+    );
+  });
+
+  const allTimes = new Set();
+  symbols.forEach(symbol => indexed[symbol].forEach((candle, time) => allTimes.add(time)));
+
+  const bars = [];
+  Array.from(allTimes).sort((a, b) => a - b).forEach(time => {
+    if (symbols.every(symbol => indexed[symbol].has(time))) {
+      const candles = {};
+      symbols.forEach(symbol => {
+        candles[symbol] = indexed[symbol].get(time);
+      });
+      bars.push({ timestamp: candles[symbols[0]].timestamp, candles });
+    }
+  });
+
+  return { symbols, bars, dropped: allTimes.size - bars.length };
+}
+
+/**
+ * Correlation matrix of several named series
+ * @param {Object} seriesBySymbol - { SYMBOL: [numbers] }
+ * @returns {Object} { symbols, matrix }
+ */
+function correlationMatrix(seriesBySymbol) {
+  const symbols = Object.keys(seriesBySymbol);
+  const matrix = symbols.map(a => symbols.map(b =>
+    (a === b ? 1 : correlation(seriesBySymbol[a], seriesBySymbol[b]))
+  ));
+
+  return { symbols, matrix };
+}
+
+/**
+ * Cash account with signed positions keyed by symbol (negative = short).
+ * Short sale proceeds are credited to cash, so equity is simply cash plus
+ * the market value of all positions. Buying power is capped at
+ * `equity * leverage` of gross exposure.
+ */
+class MultiAssetPortfolio {
+  constructor(options = {}) {
+    this.initialBalance = options.initialBalance || 10000;
+    this.fee = options.fee !== undefined ? options.fee : 0.1; // Percentage
+    this.leverage = options.leverage || 1;
+
+    this.cash = this.initialBalance;
+    this.positions = new Map(); // symbol -> { quantity, entryPrice }
+    this.prices = new Map();
+    this.cashFlows = new Map(); // symbol -> net cash paid/received incl. fees
+    this.fees = new Map();
+    this.trades = [];
+  }
+
+  /**
+   * Update mark prices
+   * @param {Object} prices - { SYMBOL: price }
+   */
+  markPrices(prices) {
+    Object.entries(prices).forEach(([symbol, price]) => this.prices.set(symbol, price));
+  }
+
+  getQuantity(symbol) {
+    const position = this.positions.get(symbol);
+    return position ? position.quantity : 0;
+  }
+
+  getPrice(symbol) {
+    return this.prices.get(symbol) || 0;
+  }
+
+  getPositionValue(symbol) {
+    return this.getQuantity(symbol) * this.getPrice(symbol);
+  }
+
+  /**
+   * Total equity: cash plus the signed market value of every position
+   * @returns {number} Equity
+   */
+  getEquity() {
+    let equity = this.cash;
+    this.positions.forEach((position, symbol) => {
+      equity += position.quantity * this.getPrice(symbol);
+    });
+    return equity;
+  }
+
+  /**
+   * Long, short, gross and net exposure in currency
+   * @returns {Object} Exposure
+   */
+  getExposure() {
+    let long = 0;
+    let short = 0;
+
+    this.positions.forEach((position, symbol) => {
+      const value = position.quantity * this.getPrice(symbol);
+      if (value > 0) {
+        long += value;
+      } else {
+        short -= value;
+      }
+    });
+
+    return { long, short, gross: long + short, net: long - short };
+  }
+
+  /**
+   * Notional that can still be opened without exceeding the leverage cap
+   * @returns {number} Buying power
+   */
+  getBuyingPower() {
+    return Math.max(0, this.getEquity() * this.leverage - this.getExposure().gross);
+  }
+
+  /**
+   * Profit and loss attributed to one symbol (realized + unrealized, net of fees)
+   * @param {string} symbol - Symbol
+   * @returns {number} PnL
+   */
+  getAssetPnL(symbol) {
+    return (this.cashFlows.get(symbol) || 0) + this.getPositionValue(symbol);
+  }
+
+  buy(symbol, amount, price, timestamp) {
+    if (this.getQuantity(symbol) < 0) {
+      throw new Error(`Cannot buy ${symbol} while a short position is open. Cover it first`);
+    }
+
+    const quantity = this.resolveOpenAmount(amount, price);
+    return this.fill(symbol, quantity, price, timestamp, 'buy');
+  }
+
+  sell(symbol, amount, price, timestamp) {
+    const held = this.getQuantity(symbol);
+
+    if (held <= 0) {
+      throw new Error(`No ${symbol} position available to sell`);
+    }
+
+    const quantity = amount === 'all' ? held : amount;
+    if (quantity > held + 1e-9) {
+      throw new Error(`Insufficient ${symbol} position. Available: ${held}, Required: ${quantity}`);
+    }
+
+    return this.fill(symbol, -Math.min(quantity, held), price, timestamp, 'sell');
+  }
+
+  short(symbol, amount, price, timestamp) {
+    if (this.getQuantity(symbol) > 0) {
+      throw new Error(`Cannot short ${symbol} while a long position is open. Sell it first`);
+    }
+
+    const quantity = this.resolveOpenAmount(amount, price);
+    return this.fill(symbol, -quantity, price, timestamp, 'short');
+  }
+
+  cover(symbol, amount, price, timestamp) {
+    const held = -this.getQuantity(symbol);
+
+    if (held <= 0) {
+      throw new Error(`No ${symbol} short position available to cover`);
+    }
+
+    const quantity = amount === 'all' ? held : amount;
+    if (quantity > held + 1e-9) {
+      throw new Error(`Insufficient ${symbol} short position. Available: ${held}, Required: ${quantity}`);
+    }
+
+    return this.fill(symbol, Math.min(quantity, held), price, timestamp, 'cover');
+  }
+
+  /**
+   * Size a position-opening order against the available buying power
+   * @param {number|string} amount - Units or 'all'
+   * @param {number} price - Fill price
+   * @returns {number} Units
+   */
+  resolveOpenAmount(amount, price) {
+    const buyingPower = this.getBuyingPower();
+    const unitCost = price * (1 + this.fee / 100);
+
+    if (amount === 'all') {
+      if (buyingPower <= 0) {
+        throw new Error('Insufficient buying power');
+      }
+      return buyingPower / unitCost;
+    }
+
+    if (!(amount > 0)) {
+      throw new Error('Amount must be positive');
+    }
+
+    if (amount * unitCost > buyingPower + 1e-9) {
+      throw new Error(`Insufficient buying power. Available: ${buyingPower}, Required: ${amount * unitCost}`);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Apply a signed fill to a symbol's position
+   * @param {string} symbol - Symbol
+   * @param {number} quantity - Signed units (positive buys, negative sells)
+   * @param {number} price - Fill price
+   * @param {string} timestamp - Fill time
+   * @param {string} action - buy, sell, short or cover
+   * @returns {Object} Trade
+   */
+  fill(symbol, quantity, price, timestamp, action) {
+    const notional = Math.abs(quantity) * price;
+    const fee = notional * (this.fee / 100);
+    const position = this.positions.get(symbol) || { quantity: 0, entryPrice: 0 };
+    let profit = null;
+
+    if (position.quantity === 0 || Math.sign(position.quantity) === Math.sign(quantity)) {
+      // Opening or adding: average the entry price
+      const total = position.quantity + quantity;
+      position.entryPrice = (position.entryPrice * Math.abs(position.quantity) + notional) / Math.abs(total);
+      position.quantity = total;
+    } else {
+      // Reducing: realize PnL on the closed units
+      const direction = Math.sign(position.quantity);
+      profit = Math.abs(quantity) * (price - position.entryPrice) * direction - fee;
+      position.quantity += quantity;
+    }
+
+    if (Math.abs(position.quantity) < 1e-12) {
+      this.positions.delete(symbol);
+    } else {
+      this.positions.set(symbol, position);
+    }
+
+    this.cash -= quantity * price + fee;
+    this.cashFlows.set(symbol, (this.cashFlows.get(symbol) || 0) - quantity * price - fee);
+    this.fees.set(symbol, (this.fees.get(symbol) || 0) + fee);
+    this.prices.set(symbol, price);
+
+    const trade = {
+      symbol,
+      action,
+      amount: Math.abs(quantity),
+      price,
+      value: notional,
+      fee,
+      timestamp,
+      cashAfter: this.cash,
+      positionAfter: this.getQuantity(symbol)
+    };
+
+    if (profit !== null) {
+      trade.profit = profit;
+    }
+
+    this.trades.push(trade);
+    return trade;
+  }
+}
+
+class MultiAssetBacktester extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      initialBalance: 10000,
+      currency: 'USD',
+      fee: 0.1,
+      leverage: 1,
+      driftThreshold: 0,
+      minTradeValue: 0,
+      riskFreeRate: 0, // annual, for the Sharpe ratio
+      verbose: false,
+      ...options
+    };
+
+    this.portfolio = new MultiAssetPortfolio({
+      initialBalance: this.options.initialBalance,
+      fee: this.options.fee,
+      leverage: this.options.leverage
+    });
+
+    this.rebalancer = new Rebalancer({
+      currency: this.options.currency,
+      driftThreshold: this.options.driftThreshold,
+      minTradeValue: this.options.minTradeValue,
+      feeRate: this.options.fee / 100
+    });
+
+    this.trades = [];
+    this.rebalances = [];
+    this.equityCurve = [];
+    this.assetCurves = {};
+  }
+
+  /**
+   * Run a strategy over several candle series
+   * @param {Object} candlesBySymbol - { SYMBOL: [candles] }
+   * @param {Object} strategy - Strategy implementing onPortfolioCandle or onRebalance
+   * @returns {Promise<Object>} Results
+   */
+  async run(candlesBySymbol, strategy) {
+    const rebalancing = typeof strategy.onRebalance === 'function';
+
+    if (!rebalancing && typeof strategy.onPortfolioCandle !== 'function') {
+      throw new Error('Portfolio backtests require a strategy implementing onPortfolioCandle or onRebalance');
+    }
+
+    const { symbols, bars, dropped } = alignCandles(candlesBySymbol);
+
+    if (bars.length === 0) {
+      throw new Error('Candle series have no timestamps in common');
+    }
+
+    this.symbols = symbols;
+    this.bars = bars;
+    this.dropped = dropped;
+
+    const engines = {};
+    const history = {};
+    symbols.forEach(symbol => {
+      engines[symbol] = new StrategyEngine();
+      history[symbol] = [];
+      this.assetCurves[symbol] = [];
+    });
+
+    let lastPercent = -1;
+
+    for (let i = 0; i < bars.length; i++) {
+      const { timestamp, candles } = bars[i];
+      const closes = {};
+
+      symbols.forEach(symbol => {
+        history[symbol].push(candles[symbol]);
+        engines[symbol].updateCandle(candles[symbol], history[symbol]);
+        closes[symbol] = candles[symbol].close;
+      });
+
+      this.portfolio.markPrices(closes);
+
+      const context = {
+        engines,
+        portfolio: this.portfolio,
+        symbols
+      };
+
+      let advice;
+      if (rebalancing) {
+        const targets = await strategy.onRebalance(candles, history, context);
+        advice = targets ? this.planRebalance(targets, timestamp) : null;
+      } else {
+        advice = await strategy.onPortfolioCandle(candles, history, context);
+      }
+
+      [].concat(advice || []).forEach(item => {
+        const trade = this.executeAdvice(item, candles);
+        if (trade) {
+          this.trades.push(trade);
+          this.emit('trade', trade);
+        }
+      });
+
+      this.portfolio.markPrices(closes);
+      this.recordEquity(timestamp);
+
+      const percent = Math.floor(((i + 1) / bars.length) * 100);
+      if (percent > lastPercent) {
+        lastPercent = percent;
+        this.emit('progress', {
+          processed: i + 1,
+          total: bars.length,
+          percent,
+          timestamp,
+          value: this.portfolio.getEquity()
+        });
+      }
+    }
+
+    return this.calculateResults();
+  }
+
+  /**
+   * Turn target weights into sell-then-buy advice for the current bar
+   * @param {Object} targets - Target weights by symbol (and optionally currency)
+   * @param {string} timestamp - Bar timestamp
+   * @returns {Array} Advice items
+   */
+  planRebalance(targets, timestamp) {
+    const holdings = {};
+    const prices = {};
+
+    this.symbols.forEach(symbol => {
+      holdings[symbol] = this.portfolio.getQuantity(symbol);
+      prices[symbol] = this.portfolio.getPrice(symbol);
+    });
+
+    const plan = this.rebalancer.plan({ targets, prices, holdings, cash: this.portfolio.cash });
+
+    if (plan.rebalance) {
+      this.rebalances.push({
+        timestamp,
+        drift: plan.drift,
+        orders: plan.orders.length,
+        turnover: plan.orders.reduce((sum, order) => sum + order.value, 0)
+      });
+    }
+
+    return plan.orders.map(order => ({
+      symbol: order.symbol,
+      action: order.side,
+      amount: order.quantity,
+      reason: 'rebalance'
+    }));
+  }
+
+  /**
+   * Execute one advice item. Follows Backtester's action mapping: a `sell`
+   * entry with `direction: 'short'` opens a short, and a `buy` against an
+   * open short covers it.
+   * @param {Object} advice - Advice with symbol, action, amount, price
+   * @param {Object} candles - Current candles by symbol
+   * @returns {Object|null} Trade or null
+   */
+  executeAdvice(advice, candles) {
+    if (!advice || !advice.action) {
+      return null;
+    }
+
+    const { symbol } = advice;
+    const candle = candles[symbol];
+
+    if (!candle) {
+      if (this.options.verbose) {
+        console.error(`Advice for unknown symbol ignored: ${symbol}`);
+      }
+      return null;
+    }
+
+    let action = advice.action;
+    if (action === 'sell' && advice.type !== 'exit' && advice.direction === 'short') {
+      action = 'short';
+    } else if (action === 'buy' && this.portfolio.getQuantity(symbol) < 0) {
+      action = 'cover';
+    }
+
+    const price = advice.price || candle.close;
+    const amount = advice.amount || 'all';
+
+    try {
+      let trade = null;
+
+      if (action === 'buy') {
+        trade = this.portfolio.buy(symbol, amount, price, candle.timestamp);
+      } else if (action === 'sell') {
+        trade = this.portfolio.sell(symbol, amount, price, candle.timestamp);
+      } else if (action === 'short') {
+        trade = this.portfolio.short(symbol, amount, price, candle.timestamp);
+      } else if (action === 'cover') {
+        trade = this.portfolio.cover(symbol, amount, price, candle.timestamp);
+      }
+
+      if (trade) {
+        trade.reason = advice.reason || 'signal';
+        if (this.options.verbose) {
+          console.error(`Trade executed: ${trade.action} ${trade.amount} ${symbol} at ${trade.price}`);
+        }
+      }
+
+      return trade;
+    } catch (error) {
+      if (this.options.verbose) {
+        console.error(`Trade failed: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Record combined and per-asset equity for the current bar
+   * @param {string} timestamp - Bar timestamp
+   */
+  recordEquity(timestamp) {
+    const value = this.portfolio.getEquity();
+    const exposure = this.portfolio.getExposure();
+
+    const point = {
+      timestamp,
+      value,
+      cash: this.portfolio.cash,
+      exposure
+    };
+
+    this.equityCurve.push(point);
+    this.emit('equity', point);
+
+    this.symbols.forEach(symbol => {
+      const positionValue = this.portfolio.getPositionValue(symbol);
+      this.assetCurves[symbol].push({
+        timestamp,
+        price: this.portfolio.getPrice(symbol),
+        quantity: this.portfolio.getQuantity(symbol),
+        value: positionValue,
+        weight: value !== 0 ? positionValue / value : 0,
+        pnl: this.portfolio.getAssetPnL(symbol)
+      });
+    });
+  }
+
+  calculateResults() {
+    const initialValue = this.options.initialBalance;
+    const finalValue = this.portfolio.getEquity();
+    const totalReturn = finalValue - initialValue;
+
+    const metrics = analyzePerformance(this.equityCurve, {
+      trades: this.trades,
+      initialBalance: initialValue,
+      riskFreeRate: this.options.riskFreeRate
+    });
+
+    const profitableTrades = this.trades.filter(trade => trade.profit > 0);
+
+    // Per-bar series can be too long to spread into Math.min/Math.max
+    const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const lowest = values => values.reduce((min, v) => (v < min ? v : min), Infinity);
+    const highest = values => values.reduce((max, v) => (v > max ? v : max), -Infinity);
+
+    const assets = {};
+    const priceReturns = {};
+    const pnlChanges = {};
+
+    this.symbols.forEach(symbol => {
+      const curve = this.assetCurves[symbol];
+      const weights = curve.map(point => Math.abs(point.weight));
+
+      priceReturns[symbol] = curve.slice(1).map((point, i) =>
+        (curve[i].price !== 0 ? (point.price - curve[i].price) / curve[i].price : 0)
+      );
+      pnlChanges[symbol] = curve.slice(1).map((point, i) => point.pnl - curve[i].pnl);
+
+      const pnl = this.portfolio.getAssetPnL(symbol);
+      assets[symbol] = {
+        totalPnl: pnl,
+        contribution: (pnl / initialValue) * 100,
+        fees: this.portfolio.fees.get(symbol) || 0,
+        trades: this.trades.filter(trade => trade.symbol === symbol).length,
+        finalPosition: this.portfolio.getQuantity(symbol),
+        averageWeight: average(weights) * 100,
+        maxWeight: highest(weights) * 100,
+        equityCurve: curve
+      };
+    });
+
+    const grossExposure = this.equityCurve.map(p => (p.value !== 0 ? p.exposure.gross / p.value * 100 : 0));
+    const netExposure = this.equityCurve.map(p => (p.value !== 0 ? p.exposure.net / p.value * 100 : 0));
+
+    return {
+      summary: {
+        initialBalance: initialValue,
+        finalBalance: finalValue,
+        totalReturn,
+        roi: (totalReturn / initialValue) * 100,
+        annualizedReturn: metrics.annualizedReturnPercent,
+        maxDrawdown: metrics.maxDrawdownPercent,
+        winRate: metrics.winRate,
+        sharpeRatio: metrics.sharpeRatio,
+        sortinoRatio: metrics.sortinoRatio,
+        calmarRatio: metrics.calmarRatio,
+        volatility: metrics.volatility,
+        profitFactor: metrics.profitFactor,
+        totalTrades: this.trades.length,
+        profitableTrades: profitableTrades.length,
+        symbols: this.symbols,
+        bars: this.bars.length,
+        droppedBars: this.dropped,
+        startDate: this.bars[0].timestamp,
+        endDate: this.bars[this.bars.length - 1].timestamp
+      },
+      trades: this.trades,
+      equityCurve: this.equityCurve,
+      rebalances: this.rebalances,
+      assets,
+      correlation: {
+        returns: correlationMatrix(priceReturns),
+        pnl: correlationMatrix(pnlChanges)
+      },
+      exposure: {
+        averageGross: average(grossExposure),
+        maxGross: highest(grossExposure),
+        averageNet: average(netExposure),
+        minNet: lowest(netExposure),
+        maxNet: highest(netExposure),
+        timeInMarket: (grossExposure.filter(v => v > 0).length / grossExposure.length) * 100
+      },
+      portfolio: {
+        cash: this.portfolio.cash,
+        positions: Object.fromEntries(
+          Array.from(this.portfolio.positions.entries()).map(([symbol, p]) => [symbol, { ...p }])
+        ),
+        totalValue: finalValue
+      }
+    };
+  }
+}
+
+export {
+  MultiAssetBacktester,
+  MultiAssetPortfolio,
+  alignCandles,
+  correlationMatrix
+};
@@ -0,0 +1,976 @@
+/**
+ * Optimization Job Manager
+ *
+ * Runs StrategyOptimizer searches as persisted jobs. Each job keeps its
+ * request, progress and, once finished, its results in a registry on disk,
+ * next to the dataset it optimizes on.
+ *
+ * While a job runs, every parameter set it has evaluated and its latest
+ * GA/NSGA-II population are checkpointed. Jobs are seeded, so a paused job
+ * (or one the server stopped mid-run) resumes by replaying its search with
+ * the checkpointed evaluations: the replay backtests nothing it has already
+ * seen and continues where the checkpoint ends.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { StrategyOptimizer } from './strategyOptimizer.js';
+import { loadStrategy as loadStrategyModule } from './optimizerWorkerPool.js';
+import CSVImporter from '../importers/csvImporter.js';
+import { error as logError } from '../utils/logger.js';
+
+const OPTIMIZATION_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const REGISTRY_FILE = 'registry.json';
+const DATASETS_DIR = 'datasets';
+const CHECKPOINTS_DIR = 'checkpoints';
+const RECENT_RESULTS = 10;
+
+// Optimization metrics of the web client and the fitness functions behind them
+const METRIC_FITNESS = {
+  totalReturn: 'profit',
+  sharpeRatio: 'sharpe',
+  calmarRatio: 'calmar',
+  sortinoRatio: 'sortino',
+  profitFactor: 'profit_factor',
+  winRate: 'win_rate'
+};
+
+// StrategyOptimizer options a request may set under `optimization`
+const OPTIMIZER_OPTIONS = [
+  'populationSize', 'generations', 'mutationRate', 'crossoverRate', 'elitismRate',
+  'bayesianIterations', 'bayesianAcquisition', 'diagnostics'
+];
+
+/**
+ * JSON with infinite and NaN scores kept as strings, since failed
+ * evaluations score -Infinity and plain JSON would turn them into null
+ */
+const stringify = value => JSON.stringify(value, (key, item) =>
+  (typeof item === 'number' && !Number.isFinite(item) ? String(item) : item), 2);
+
+const parse = text => JSON.parse(text, (key, item) =>
+  (item === 'Infinity' || item === '-Infinity' || item === 'NaN' ? Number(item) : item));
+
+/**
+ * Candles between two dates (either may be empty)
+ */
+function filterDateRange(candles, startDate, endDate) {
+  const start = startDate ? new Date(startDate).getTime() : -Infinity;
+  const end = endDate ? new Date(endDate).getTime() : Infinity;
+
+  return candles.filter(candle => {
+    const time = new Date(candle.timestamp).getTime();
+    return time >= start && time <= end;
+  });
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Convert request parameter ranges to an optimizer parameter space. A
+ * 'range' becomes an integer or float range (integer when its bounds and
+ * step are); 'values' becomes a choice between them.
+ * @param {Object} parameters - { name: { type: 'range'|'values', min, max, step, values } }
+ * @returns {Object} Parameter space
+ * @throws {Error} If there are no ranges or a range is incomplete
+ */
+function toParameterSpace(parameters) {
+  if (!isPlainObject(parameters)) {
+    throw new Error('Parameters must be an object of parameter ranges');
+  }
+  if (Object.keys(parameters).length === 0) {
+    throw new Error('At least one parameter range is required');
+  }
+
+  const space = {};
+
+  for (const [name, range] of Object.entries(parameters)) {
+    if (!isPlainObject(range)) {
+      throw new Error(`Parameter '${name}' must be a range object`);
+    }
+
+    if (range.type === 'values') {
+      if (!Array.isArray(range.values) || range.values.length === 0) {
+        throw new Error(`Parameter '${name}' needs at least one value`);
+      }
+      space[name] = { type: 'choice', choices: range.values };
+      continue;
+    }
+
+    const min = Number(range.min);
+    const max = Number(range.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      throw new Error(`Parameter '${name}' needs a min no greater than its max`);
+    }
+
+    const step = range.step ? Number(range.step) : null;
+    const integer = [min, max, step || 1].every(Number.isInteger);
+    space[name] = { type: integer ? 'integer' : 'float', min, max };
+    if (step) {
+      space[name].step = step;
+    }
+  }
+
+  return space;
+}
+
+/**
+ * Number of parameter sets in a grid search over a parameter space
+ */
+function gridSize(parameterSpace) {
+  return Object.values(parameterSpace).reduce((size, space) => {
+    if (space.type === 'choice') return size * space.choices.length;
+    if (space.type === 'boolean') return size * 2;
+    const step = space.step || (space.type === 'integer' ? 1 : (space.max - space.min) / 10);
+    return size * (step > 0 ? Math.floor((space.max - space.min) / step + 1e-9) + 1 : 1);
+  }, 1);
+}
+
+/**
+ * Fitness of a result for sorting, higher is better and failures last
+ */
+function orientedScore(point, sign) {
+  return Number.isFinite(point.fitness) ? point.fitness * sign : -Infinity;
+}
+
+/**
+ * Performance metrics of a backtest result, named as the web client expects
+ * @param {Object} results - AdvancedBacktester results
+ * @returns {Object} Performance metrics
+ */
+function summarizePerformance(results) {
+  const performance = results.performance || {};
+  const portfolio = results.portfolio || {};
+
+  return {
+    totalReturn: performance.roi ?? (portfolio.performance && portfolio.performance.roi),
+    annualizedReturn: performance.annualizedReturnPercent,
+    sharpeRatio: performance.sharpeRatio,
+    calmarRatio: performance.calmarRatio,
+    sortinoRatio: performance.sortinoRatio,
+    maxDrawdown: performance.maxDrawdownPercent,
+    volatility: performance.volatility,
+    profitFactor: performance.profitFactor,
+    winRate: performance.winRate,
+    totalTrades: performance.totalTrades,
+    winningTrades: performance.winningTrades,
+    losingTrades: performance.losingTrades,
+    totalPnL: portfolio.totalPnL
+  };
+}
+
+/**
+ * Statistics of the finite scores of a finished search
+ */
+function summarizeScores(points, totalCombinations) {
+  const values = points.map(point => point.fitness).filter(Number.isFinite).sort((a, b) => a - b);
+  const count = values.length;
+  const average = count > 0 ? values.reduce((sum, value) => sum + value, 0) / count : 0;
+  const middle = Math.floor(count / 2);
+
+  return {
+    totalCombinations,
+    validCombinations: count,
+    invalidCombinations: points.length - count,
+    bestMetricValue: count > 0 ? values[count - 1] : null,
+    worstMetricValue: count > 0 ? values[0] : null,
+    averageMetricValue: average,
+    medianMetricValue: count === 0 ? null : count % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2,
+    standardDeviation: count > 1
+      ? Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (count - 1))
+      : 0
+  };
+}
+
+class OptimizationJobManager extends EventEmitter {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.directory - Directory for the registry, datasets and checkpoints
+   * @param {Function} options.createOptimizer - Optimizer factory (config) => StrategyOptimizer
+   * @param {Function} options.loadStrategy - (strategyPath) => Promise<strategy instance>
+   * @param {Function} options.loadCandles - (dataPath, { startDate, endDate }) => Promise<candles>
+   * @param {number} options.checkpointInterval - Minimum milliseconds between checkpoints of a running job
+   */
+  constructor(options = {}) {
+    super();
+
+    this.directory = options.directory;
+    this.createOptimizer = options.createOptimizer || (config => new StrategyOptimizer(config));
+    this.loadStrategy = options.loadStrategy || loadStrategyModule;
+    this.loadCandles = options.loadCandles || (async(dataPath, { startDate, endDate } = {}) =>
+      filterDateRange(await new CSVImporter().importFromFile(dataPath), startDate, endDate));
+    this.checkpointInterval = options.checkpointInterval ?? 5000;
+
+    this.records = new Map();
+    // Runtime state of running jobs: optimizer, progress counters, pending intent
+    this.active = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs. Jobs that were running or waiting to run when the
+   * server stopped are resumed from their last checkpoint.
+   * @returns {Promise<Array>} Loaded jobs
+   */
+  async load() {
+    await fs.mkdir(path.join(this.directory, DATASETS_DIR), { recursive: true });
+    await fs.mkdir(path.join(this.directory, CHECKPOINTS_DIR), { recursive: true });
+
+    let stored = [];
+    try {
+      stored = parse(await fs.readFile(path.join(this.directory, REGISTRY_FILE), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const interrupted = [];
+    stored.forEach(record => {
+      if (record.status === OPTIMIZATION_STATUS.RUNNING || record.status === OPTIMIZATION_STATUS.PENDING) {
+        record.status = OPTIMIZATION_STATUS.PENDING;
+        interrupted.push(record);
+      }
+      this.records.set(record.id, record);
+    });
+
+    interrupted.forEach(record => this.start(record));
+
+    return this.list();
+  }
+
+  /**
+   * Move (or copy) a CSV file into the dataset store
+   * @param {string} filePath - Source file
+   * @param {string} originalName - Original file name
+   * @param {Object} options - { copy: keep the source file }
+   * @returns {Promise<Object>} Dataset reference
+   */
+  async storeDataset(filePath, originalName, { copy = false } = {}) {
+    const id = uuidv4();
+    const target = this.getDatasetPath(id);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    if (copy) {
+      await fs.copyFile(filePath, target);
+    } else {
+      try {
+        await fs.rename(filePath, target);
+      } catch (error) {
+        // rename fails across devices; fall back to copy + delete
+        await fs.copyFile(filePath, target);
+        await fs.unlink(filePath);
+      }
+    }
+
+    const stats = await fs.stat(target);
+    return { id, filename: originalName, size: stats.size };
+  }
+
+  /**
+   * Find the reference of a stored dataset
+   * @param {string} datasetId - Dataset id
+   * @returns {Object|null} Dataset reference or null if no job uses it
+   */
+  getDataset(datasetId) {
+    const record = Array.from(this.records.values())
+      .find(other => other.dataset && other.dataset.id === datasetId);
+
+    return record ? record.dataset : null;
+  }
+
+  /**
+   * Path of a stored dataset
+   * @param {string} datasetId - Dataset id
+   * @returns {string} File path
+   */
+  getDatasetPath(datasetId) {
+    return path.join(this.directory, DATASETS_DIR, `${path.basename(datasetId)}.csv`);
+  }
+
+  /**
+   * Path of a job's checkpoint
+   * @param {string} id - Job id
+   * @returns {string} File path
+   */
+  getCheckpointPath(id) {
+    return path.join(this.directory, CHECKPOINTS_DIR, `${path.basename(id)}.json`);
+  }
+
+  /**
+   * Record an optimization job and start it
+   * @param {Object} config - Job configuration
+   * @param {string} config.strategyId - Strategy id
+   * @param {string} config.strategyPath - Strategy file
+   * @param {Object} config.dataset - Dataset reference from storeDataset
+   * @param {Object} config.request - Optimization request: { optimizationMetric,
+   *   method, parameters, objectives, dataSource: { startDate, endDate },
+   *   portfolio: { initialCapital, tradingFee }, optimization: { maxCombinations,
+   *   parallelJobs, randomSeed, ... } }
+   * @returns {Promise<Object>} Created job
+   */
+  async create(config) {
+    const { strategyId, strategyPath, dataset, request = {} } = config;
+    const settings = request.optimization || {};
+
+    // Validate the ranges now rather than when the job runs
+    toParameterSpace(request.parameters);
+
+    const now = new Date().toISOString();
+    const record = {
+      id: uuidv4(),
+      status: OPTIMIZATION_STATUS.PENDING,
+      strategyId,
+      strategyPath,
+      dataset,
+      request,
+      method: request.method || null,
+      // Every job is seeded so it can be replayed from its checkpoint
+      seed: Number.isInteger(settings.randomSeed) ? settings.randomSeed : Math.floor(Math.random() * 2 ** 31),
+      startTime: now,
+      endTime: null,
+      duration: 0,
+      totalCombinations: 0,
+      completedCombinations: 0,
+      bestParameters: null,
+      bestFitness: null,
+      bestPerformance: null,
+      results: [],
+      summary: null,
+      objectives: null,
+      paretoFront: null,
+      diagnostics: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.records.set(record.id, record);
+    await this.save();
+
+    this.start(record);
+    return record;
+  }
+
+  /**
+   * Record a finished job exported from another server
+   * @param {Object} data - Exported job
+   * @returns {Promise<Object>} Imported job
+   * @throws {Error} If the data is not an exported optimization
+   */
+  async importRecord(data) {
+    if (!isPlainObject(data) || typeof data.strategyId !== 'string' || !Array.isArray(data.results)) {
+      throw new Error('Import must be an exported optimization with a strategyId and results');
+    }
+
+    const invalid = data.results.findIndex(result =>
+      !isPlainObject(result) || !isPlainObject(result.parameters) || typeof result.fitness !== 'number');
+    if (invalid !== -1) {
+      throw new Error(`Imported result ${invalid + 1} must have parameters and a numeric fitness`);
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      ...data,
+      id: uuidv4(),
+      // Imported jobs come without their dataset, so they cannot run again
+      status: [OPTIMIZATION_STATUS.COMPLETED, OPTIMIZATION_STATUS.FAILED, OPTIMIZATION_STATUS.CANCELLED]
+        .includes(data.status) ? data.status : OPTIMIZATION_STATUS.COMPLETED,
+      strategyPath: null,
+      dataset: null,
+      importedFrom: data.id || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.records.set(record.id, record);
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Start a new job with the same strategy, dataset and request
+   * @param {string} id - Job id to duplicate
+   * @returns {Promise<Object|null>} New job or null if unknown
+   * @throws {Error} If the job has no dataset (imported jobs)
+   */
+  async duplicate(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    if (!record.dataset || !record.strategyPath) {
+      throw new Error('Imported optimizations cannot be run again');
+    }
+
+    return this.create({
+      strategyId: record.strategyId,
+      strategyPath: record.strategyPath,
+      dataset: record.dataset,
+      request: record.request
+    });
+  }
+
+  /**
+   * Pause a running job. Its evaluations are checkpointed once the
+   * optimizer stops.
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown
+   * @throws {Error} If the job is not running
+   */
+  pause(id) {
+    return this.interrupt(id, 'pause');
+  }
+
+  /**
+   * Stop a running or paused job for good
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown
+   * @throws {Error} If the job has already finished
+   */
+  stop(id) {
+    const record = this.records.get(id);
+
+    if (record && record.status === OPTIMIZATION_STATUS.PAUSED) {
+      this.settle(record, OPTIMIZATION_STATUS.CANCELLED);
+      return record;
+    }
+
+    return this.interrupt(id, 'stop');
+  }
+
+  /**
+   * Resume a paused or failed job from its checkpoint
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown
+   * @throws {Error} If the job cannot be resumed
+   */
+  resume(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.status !== OPTIMIZATION_STATUS.PAUSED && record.status !== OPTIMIZATION_STATUS.FAILED) {
+      throw new Error(`Optimization is ${record.status} and cannot be resumed`);
+    }
+
+    if (!record.dataset || !record.strategyPath) {
+      throw new Error('Imported optimizations cannot be run again');
+    }
+
+    record.status = OPTIMIZATION_STATUS.PENDING;
+    record.error = null;
+    this.start(record);
+    return record;
+  }
+
+  /**
+   * Ask a running job's optimizer to stop
+   * @param {string} id - Job id
+   * @param {string} intent - 'pause', 'stop' or 'remove'
+   */
+  interrupt(id, intent) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    const job = this.active.get(id);
+    if (!job) {
+      throw new Error(`Optimization is ${record.status}`);
+    }
+
+    job.intent = intent;
+    if (job.optimizer) {
+      job.optimizer.stop();
+    }
+
+    return record;
+  }
+
+  /**
+   * Run a job in the background
+   * @param {Object} record - Job
+   */
+  start(record) {
+    const job = {
+      optimizer: null,
+      intent: null,
+      processed: 0,
+      recentResults: [],
+      sign: 1,
+      activeSince: Date.now(),
+      lastCheckpoint: Date.now(),
+      generation: null,
+      population: null
+    };
+
+    this.active.set(record.id, job);
+    this.run(record, job).catch(error => {
+      logError('Optimization job crashed', { id: record.id, error: error.message });
+    });
+  }
+
+  /**
+   * Run a job's search, replaying its checkpoint first
+   * @param {Object} record - Job
+   * @param {Object} job - Runtime state
+   */
+  async run(record, job) {
+    try {
+      const checkpoint = await this.readCheckpoint(record.id);
+      if (checkpoint) {
+        job.generation = checkpoint.generation;
+        job.population = checkpoint.population;
+      }
+
+      const strategy = await this.loadStrategy(record.strategyPath);
+      const { dataSource = {} } = record.request;
+      const candles = await this.loadCandles(this.getDatasetPath(record.dataset.id), dataSource);
+
+      if (candles.length === 0) {
+        throw new Error('No candles in the selected date range');
+      }
+
+      const parameterSpace = toParameterSpace(record.request.parameters);
+
+      const config = this.buildConfig(record);
+      const optimizer = this.createOptimizer(config);
+      const method = record.method || this.defaultMethod(parameterSpace, config);
+
+      record.method = method;
+      record.totalCombinations = this.countEvaluations(optimizer, parameterSpace, method);
+      // NSGA-II jobs report their first objective as the fitness
+      job.sign = method === 'nsga2' && optimizer.getObjectives()[0].direction === 'minimize' ? -1 : 1;
+
+      optimizer.on('batchEvaluated', batch => this.handleBatch(record, job, batch));
+      optimizer.on('generationCompleted', generation => {
+        job.generation = generation.generation;
+        job.population = generation.population;
+      });
+
+      record.status = OPTIMIZATION_STATUS.RUNNING;
+      record.updatedAt = new Date().toISOString();
+      await this.save();
+      this.emit('started', record);
+
+      // Paused or stopped while loading: the checkpoint is still current
+      if (job.intent) {
+        throw new Error('Optimization stopped');
+      }
+
+      job.optimizer = optimizer;
+      const result = await optimizer.optimize(
+        config.workers > 0 ? record.strategyPath : strategy,
+        candles,
+        parameterSpace,
+        method,
+        { evaluations: checkpoint ? checkpoint.evaluations : [] }
+      );
+
+      await this.complete(record, job, { optimizer, strategy, candles, result });
+    } catch (error) {
+      if (job.intent === 'remove') {
+        return;
+      }
+
+      if (job.intent === 'pause') {
+        if (job.optimizer) {
+          await this.writeCheckpoint(record, job);
+        }
+        this.settle(record, OPTIMIZATION_STATUS.PAUSED);
+      } else if (job.intent === 'stop') {
+        this.settle(record, OPTIMIZATION_STATUS.CANCELLED);
+      } else {
+        // Keep what was evaluated, so the job can be resumed once the cause is fixed
+        if (job.optimizer) {
+          await this.writeCheckpoint(record, job);
+        }
+        this.settle(record, OPTIMIZATION_STATUS.FAILED, error.message);
+      }
+    }
+  }
+
+  /**
+   * StrategyOptimizer configuration of a job's request
+   * @param {Object} record - Job
+   * @returns {Object} Optimizer configuration
+   */
+  buildConfig(record) {
+    const { request } = record;
+    const settings = request.optimization || {};
+    const portfolio = request.portfolio || {};
+    const backtest = {};
+
+    if (portfolio.initialCapital) {
+      backtest.initialBalance = Number(portfolio.initialCapital);
+    }
+    if (portfolio.tradingFee !== undefined && portfolio.tradingFee !== null) {
+      backtest.commission = Number(portfolio.tradingFee) / 100;
+    }
+
+    const config = {
+      seed: record.seed,
+      fitnessFunction: METRIC_FITNESS[request.optimizationMetric] || request.optimizationMetric || 'profit',
+      workers: settings.parallelJobs > 1 ? Number(settings.parallelJobs) : 0,
+      diagnostics: true, // jobs report overfitting diagnostics unless the request turns them off
+      backtest
+    };
+
+    if (settings.maxCombinations) {
+      config.randomIterations = Number(settings.maxCombinations);
+    }
+    if (request.objectives) {
+      config.objectives = request.objectives;
+    }
+    OPTIMIZER_OPTIONS.forEach(option => {
+      if (settings[option] !== undefined) {
+        config[option] = settings[option];
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Grid search when the grid fits in `randomIterations` (the request's
+   * maxCombinations), otherwise random search over that many sets
+   */
+  defaultMethod(parameterSpace, config) {
+    return config.randomIterations && gridSize(parameterSpace) > config.randomIterations ? 'random' : 'grid';
+  }
+
+  /**
+   * Parameter sets a search goes through (an upper bound for searches that
+   * can converge early)
+   */
+  countEvaluations(optimizer, parameterSpace, method) {
+    const { config } = optimizer;
+
+    switch (method) {
+    case 'grid':
+      return gridSize(parameterSpace);
+    case 'random':
+      return config.randomIterations;
+    case 'bayesian':
+      return config.bayesianIterations;
+    case 'nsga2':
+      return config.populationSize * (config.generations + 1);
+    default:
+      return config.populationSize * config.generations;
+    }
+  }
+
+  /**
+   * Track the progress of a running job after each evaluated batch and
+   * checkpoint it every `checkpointInterval`
+   */
+  handleBatch(record, job, { evaluation, parameterSets, scores }) {
+    // Diagnostics re-runs for returns are not part of the search, and a job
+    // that is stopping checkpoints (or is deleted) once its optimizer stops
+    if (evaluation === 'returns' || job.intent) {
+      return;
+    }
+
+    parameterSets.forEach((parameters, i) => {
+      const fitness = evaluation === 'objectives' ? scores[i][0] : scores[i];
+      const point = { parameters, fitness };
+      if (evaluation === 'objectives') {
+        point.objectives = scores[i];
+      }
+
+      if (Number.isFinite(fitness) && (record.bestFitness === null || fitness * job.sign > record.bestFitness * job.sign)) {
+        record.bestFitness = fitness;
+        record.bestParameters = parameters;
+      }
+      job.recentResults.push(point);
+    });
+
+    job.recentResults = job.recentResults.slice(-RECENT_RESULTS);
+    job.processed += parameterSets.length;
+    // A replay counts again from zero; never report less than was done before
+    record.completedCombinations = Math.max(
+      record.completedCombinations,
+      Math.min(job.processed, record.totalCombinations)
+    );
+
+    this.emit('progress', record, this.getProgress(record.id));
+
+    if (Date.now() - job.lastCheckpoint >= this.checkpointInterval) {
+      job.lastCheckpoint = Date.now();
+      Promise.all([this.writeCheckpoint(record, job), this.save()])
+        .catch(error => logError('Failed to checkpoint optimization', { id: record.id, error: error.message }));
+    }
+  }
+
+  /**
+   * Store a finished search: its evaluations as results, the winner's
+   * performance and the search's own report
+   */
+  async complete(record, job, { optimizer, strategy, candles, result }) {
+    // NSGA-II scores are arrays in objective order; name them as on the Pareto front
+    const objectiveNames = (result.objectives || []).map(objective => objective.name);
+    const points = optimizer.getEvaluations()
+      .filter(entry => entry.fitness !== undefined || entry.objectives !== undefined)
+      .map(entry => {
+        const point = {
+          parameters: entry.parameters,
+          fitness: entry.fitness !== undefined ? entry.fitness : entry.objectives[0]
+        };
+        if (entry.objectives) {
+          point.objectives = Object.fromEntries(objectiveNames.map((name, i) => [name, entry.objectives[i]]));
+        }
+        return point;
+      })
+      .sort((a, b) => orientedScore(b, job.sign) - orientedScore(a, job.sign));
+
+    record.results = points.map((point, i) => ({ id: String(i + 1), ...point, rank: i + 1 }));
+    record.summary = summarizeScores(points, record.totalCombinations);
+    record.bestParameters = result.bestParameters;
+    record.bestFitness = result.bestFitness;
+    record.completedCombinations = record.totalCombinations;
+    record.diagnostics = result.diagnostics || null;
+    record.objectives = result.objectives || null;
+    record.paretoFront = result.paretoFront || null;
+    record.convergenceHistory = result.convergenceHistory || null;
+
+    if (result.bestParameters) {
+      try {
+        record.bestPerformance = summarizePerformance(
+          await optimizer.backtestParameters(strategy, candles, result.bestParameters)
+        );
+      } catch (error) {
+        record.bestPerformance = null;
+      }
+    }
+
+    this.settle(record, OPTIMIZATION_STATUS.COMPLETED);
+  }
+
+  /**
+   * Move a job into a paused or final state and persist it
+   * @param {Object} record - Job
+   * @param {string} status - New status
+   * @param {string} error - Failure message
+   */
+  settle(record, status, error = null) {
+    // Deleted while it was stopping
+    if (!this.records.has(record.id)) {
+      return;
+    }
+
+    const job = this.active.get(record.id);
+
+    if (job) {
+      record.duration += Date.now() - job.activeSince;
+      this.active.delete(record.id);
+    }
+
+    record.status = status;
+    record.error = error;
+    record.updatedAt = new Date().toISOString();
+    if (status !== OPTIMIZATION_STATUS.PAUSED) {
+      record.endTime = record.updatedAt;
+    }
+
+    if (status === OPTIMIZATION_STATUS.COMPLETED || status === OPTIMIZATION_STATUS.CANCELLED) {
+      this.removeCheckpoint(record.id);
+    }
+
+    this.save().catch(saveError => {
+      logError('Failed to persist optimization registry', { error: saveError.message });
+    });
+
+    this.emit(status, record);
+    if (status !== OPTIMIZATION_STATUS.PAUSED) {
+      this.emit('settled', record);
+    }
+  }
+
+  /**
+   * Progress of a job
+   * @param {string} id - Job id
+   * @returns {Object|null} { completed, total, percentage, elapsed, remaining,
+   *   speed, currentBest, recentResults, status } with times in milliseconds
+   *   and speed in parameter sets per second, or null if unknown
+   */
+  getProgress(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return null;
+    }
+
+    const job = this.active.get(id);
+    const elapsed = record.duration + (job ? Date.now() - job.activeSince : 0);
+    const completed = record.completedCombinations;
+    const total = record.totalCombinations;
+    const speed = elapsed > 0 ? completed / (elapsed / 1000) : 0;
+
+    return {
+      completed,
+      total,
+      percentage: total > 0 ? (completed / total) * 100 : 0,
+      elapsed,
+      remaining: speed > 0 ? ((total - completed) / speed) * 1000 : null,
+      speed,
+      currentBest: record.bestParameters
+        ? { parameters: record.bestParameters, fitness: record.bestFitness, performance: record.bestPerformance }
+        : null,
+      recentResults: job ? job.recentResults : [],
+      status: record.status
+    };
+  }
+
+  /**
+   * Delete a job, stopping it first if needed, with its checkpoint. The
+   * dataset is removed once no remaining job references it.
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} True if a job was deleted
+   */
+  async remove(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return false;
+    }
+
+    if (this.active.has(id)) {
+      this.interrupt(id, 'remove');
+      this.active.delete(id);
+    }
+
+    this.records.delete(id);
+    await this.removeCheckpoint(id);
+
+    const datasetInUse = record.dataset && Array.from(this.records.values())
+      .some(other => other.dataset && other.dataset.id === record.dataset.id);
+
+    if (record.dataset && !datasetInUse) {
+      await fs.unlink(this.getDatasetPath(record.dataset.id)).catch(() => {});
+    }
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null if unknown
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * List jobs, newest first, without their full results
+   * @returns {Array} Job summaries
+   */
+  list() {
+    return Array.from(this.records.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ results: _results, convergenceHistory: _history, ...summary }) => summary);
+  }
+
+  /**
+   * Read a job's checkpoint
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} { seed, method, generation, population, evaluations } or null
+   */
+  async readCheckpoint(id) {
+    try {
+      return parse(await fs.readFile(this.getCheckpointPath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checkpoint a running job's evaluations and latest population
+   * @param {Object} record - Job
+   * @param {Object} job - Runtime state
+   * @returns {Promise<void>}
+   */
+  writeCheckpoint(record, job) {
+    const checkpoint = {
+      id: record.id,
+      seed: record.seed,
+      method: record.method,
+      generation: job.generation,
+      population: job.population,
+      evaluations: job.optimizer ? job.optimizer.getEvaluations() : [],
+      savedAt: new Date().toISOString()
+    };
+
+    return this.write(this.getCheckpointPath(record.id), stringify(checkpoint));
+  }
+
+  /**
+   * Delete a job's checkpoint, once no queued write can recreate it
+   * @param {string} id - Job id
+   * @returns {Promise<void>}
+   */
+  removeCheckpoint(id) {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => fs.unlink(this.getCheckpointPath(id)).catch(() => {}));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Write the registry to disk
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.write(path.join(this.directory, REGISTRY_FILE), () => stringify(Array.from(this.records.values())));
+  }
+
+  /**
+   * Write a file through a temporary file. Writes are queued so concurrent
+   * saves and checkpoints cannot interleave.
+   * @param {string} file - Target file
+   * @param {string|Function} data - Content, or a function producing it when the write runs
+   * @returns {Promise<void>}
+   */
+  write(file, data) {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async() => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, typeof data === 'function' ? data() : data);
+        await fs.rename(`${file}.tmp`, file);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+export {
+  OptimizationJobManager,
+  OPTIMIZATION_STATUS,
+  METRIC_FITNESS,
+  toParameterSpace,
+  summarizePerformance,
+  stringify as stringifyRecord,
+  parse as parseRecord
+};
@@ -0,0 +1,385 @@
+/**
+ * Optimization Library
+ *
+ * Persistent templates, comparisons and alerts around optimization jobs.
+ * Templates are reusable parameter ranges and settings; comparisons rank the
+ * best results of several finished jobs on a set of metrics; alerts watch a
+ * job and trigger once when their condition is met.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { correlation } from './performanceMetrics.js';
+
+const LIBRARY_FILE = 'library.json';
+
+// Performance metrics where a lower value is better
+const LOWER_IS_BETTER = ['maxDrawdown', 'volatility'];
+
+const ALERT_TYPES = ['performance_threshold', 'completion', 'error', 'timeout'];
+
+const OPERATORS = {
+  gt: (value, target) => value > target,
+  lt: (value, target) => value < target,
+  gte: (value, target) => value >= target,
+  lte: (value, target) => value <= target,
+  eq: (value, target) => value === target,
+  ne: (value, target) => value !== target
+};
+
+const TEMPLATE_FIELDS = ['name', 'description', 'strategyId', 'parameters', 'optimization', 'tags', 'author', 'isPublic'];
+const ALERT_FIELDS = ['optimizationId', 'type', 'condition', 'threshold', 'message', 'isActive'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+class OptimizationLibrary {
+  /**
+   * @param {Object} options - Library options
+   * @param {string} options.directory - Directory for the library file
+   */
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.templates = new Map();
+    this.comparisons = new Map();
+    this.alerts = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted library
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let stored = {};
+    try {
+      stored = JSON.parse(await fs.readFile(path.join(this.directory, LIBRARY_FILE), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    (stored.templates || []).forEach(template => this.templates.set(template.id, template));
+    (stored.comparisons || []).forEach(comparison => this.comparisons.set(comparison.id, comparison));
+    (stored.alerts || []).forEach(alert => this.alerts.set(alert.id, alert));
+  }
+
+  /**
+   * List templates, newest first
+   * @returns {Array} Templates
+   */
+  listTemplates() {
+    return Array.from(this.templates.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Save a template
+   * @param {Object} data - { name, description, strategyId, parameters, optimization, tags, author, isPublic }
+   * @returns {Promise<Object>} Created template
+   * @throws {Error} If the name or strategy is missing
+   */
+  async createTemplate(data = {}) {
+    if (!data.name || !data.strategyId) {
+      throw new Error('Template name and strategyId are required');
+    }
+
+    const now = new Date().toISOString();
+    const template = {
+      description: '',
+      parameters: {},
+      optimization: {},
+      tags: [],
+      author: '',
+      isPublic: false,
+      ...pick(data, TEMPLATE_FIELDS),
+      id: uuidv4(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.templates.set(template.id, template);
+    await this.save();
+    return template;
+  }
+
+  /**
+   * Update a template
+   * @param {string} id - Template id
+   * @param {Object} updates - Template fields
+   * @returns {Promise<Object|null>} Updated template or null if unknown
+   */
+  async updateTemplate(id, updates = {}) {
+    const template = this.templates.get(id);
+
+    if (!template) {
+      return null;
+    }
+
+    Object.assign(template, pick(updates, TEMPLATE_FIELDS), { updatedAt: new Date().toISOString() });
+    await this.save();
+    return template;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} id - Template id
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  async removeTemplate(id) {
+    const deleted = this.templates.delete(id);
+    if (deleted) {
+      await this.save();
+    }
+    return deleted;
+  }
+
+  /**
+   * List comparisons, newest first
+   * @returns {Array} Comparisons
+   */
+  listComparisons() {
+    return Array.from(this.comparisons.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Rank the best results of finished jobs on each metric (1 is best)
+   * @param {Object} options - { name, metrics }
+   * @param {Array<Object>} records - Finished optimization jobs with a bestPerformance
+   * @returns {Promise<Object>} Created comparison
+   * @throws {Error} With fewer than two jobs or no metrics
+   */
+  async createComparison({ name, metrics = [] }, records) {
+    if (records.length < 2) {
+      throw new Error('A comparison needs at least two optimizations');
+    }
+    if (metrics.length === 0) {
+      throw new Error('A comparison needs at least one metric');
+    }
+
+    const valueOf = (record, metric) => {
+      const value = record.bestPerformance && record.bestPerformance[metric];
+      return Number.isFinite(value) ? value : null;
+    };
+
+    const rankings = {};
+    metrics.forEach(metric => {
+      const sign = LOWER_IS_BETTER.includes(metric) ? 1 : -1;
+      rankings[metric] = records
+        .filter(record => valueOf(record, metric) !== null)
+        .sort((a, b) => sign * (valueOf(a, metric) - valueOf(b, metric)))
+        .map(record => record.id);
+    });
+
+    const results = records.map(record => ({
+      optimizationId: record.id,
+      strategyName: record.strategyId,
+      bestParameters: record.bestParameters,
+      performance: record.bestPerformance,
+      // Jobs without a value rank last
+      rank: Object.fromEntries(metrics.map(metric => {
+        const position = rankings[metric].indexOf(record.id);
+        return [metric, position === -1 ? records.length : position + 1];
+      })),
+      scores: Object.fromEntries(metrics.map(metric => [metric, valueOf(record, metric)]))
+    }));
+
+    const averageRank = result => metrics.reduce((sum, metric) => sum + result.rank[metric], 0) / metrics.length;
+    const byRank = [...results].sort((a, b) => averageRank(a) - averageRank(b));
+
+    const averagePerformance = {};
+    metrics.forEach(metric => {
+      const values = records.map(record => valueOf(record, metric)).filter(value => value !== null);
+      averagePerformance[metric] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    });
+
+    // How the compared metrics move together across the jobs
+    const correlations = {};
+    metrics.forEach((a, i) => metrics.slice(i + 1).forEach(b => {
+      const paired = records.filter(record => valueOf(record, a) !== null && valueOf(record, b) !== null);
+      if (paired.length > 2) {
+        correlations[`${a}:${b}`] = correlation(paired.map(record => valueOf(record, a)), paired.map(record => valueOf(record, b)));
+      }
+    }));
+
+    const comparison = {
+      id: uuidv4(),
+      name: name || `Comparison of ${records.length} optimizations`,
+      optimizations: records.map(record => record.id),
+      metrics,
+      results,
+      summary: {
+        totalOptimizations: records.length,
+        bestOverall: byRank[0].optimizationId,
+        worstOverall: byRank[byRank.length - 1].optimizationId,
+        averagePerformance,
+        correlations,
+        rankings
+      },
+      createdAt: new Date().toISOString()
+    };
+
+    this.comparisons.set(comparison.id, comparison);
+    await this.save();
+    return comparison;
+  }
+
+  /**
+   * List alerts
+   * @returns {Array} Alerts
+   */
+  listAlerts() {
+    return Array.from(this.alerts.values());
+  }
+
+  /**
+   * Create an alert on a job
+   * @param {Object} data - { optimizationId, type, condition: { metric,
+   *   operator, value }, threshold, message, isActive }. Timeout alerts
+   *   trigger after `threshold` seconds of running time.
+   * @returns {Promise<Object>} Created alert
+   * @throws {Error} If the type or condition is invalid
+   */
+  async createAlert(data = {}) {
+    const alert = { message: '', isActive: true, threshold: 0, ...pick(data, ALERT_FIELDS), id: uuidv4() };
+
+    this.validateAlert(alert);
+    this.alerts.set(alert.id, alert);
+    await this.save();
+    return alert;
+  }
+
+  /**
+   * Update an alert. Changing its condition re-arms it.
+   * @param {string} id - Alert id
+   * @param {Object} updates - Alert fields
+   * @returns {Promise<Object|null>} Updated alert or null if unknown
+   * @throws {Error} If the result is invalid
+   */
+  async updateAlert(id, updates = {}) {
+    const alert = this.alerts.get(id);
+
+    if (!alert) {
+      return null;
+    }
+
+    const updated = { ...alert, ...pick(updates, ALERT_FIELDS) };
+    this.validateAlert(updated);
+
+    if (updates.condition || updates.threshold !== undefined || updates.type) {
+      delete updated.triggeredAt;
+    }
+
+    this.alerts.set(id, updated);
+    await this.save();
+    return updated;
+  }
+
+  /**
+   * Delete an alert
+   * @param {string} id - Alert id
+   * @returns {Promise<boolean>} True if an alert was deleted
+   */
+  async removeAlert(id) {
+    const deleted = this.alerts.delete(id);
+    if (deleted) {
+      await this.save();
+    }
+    return deleted;
+  }
+
+  /**
+   * @throws {Error} If the alert cannot be evaluated
+   */
+  validateAlert(alert) {
+    if (!alert.optimizationId) {
+      throw new Error('Alert optimizationId is required');
+    }
+    if (!ALERT_TYPES.includes(alert.type)) {
+      throw new Error(`Alert type must be one of ${ALERT_TYPES.join(', ')}`);
+    }
+    if (alert.type === 'performance_threshold') {
+      const { condition } = alert;
+      if (!condition || !condition.metric || !OPERATORS[condition.operator] || !Number.isFinite(Number(condition.value))) {
+        throw new Error('Performance alerts need a condition with a metric, an operator and a value');
+      }
+    }
+  }
+
+  /**
+   * Trigger the active alerts of a job whose condition is met. Performance
+   * thresholds are checked against the winner's performance, which is known
+   * once the job completes.
+   * @param {Object} record - Optimization job
+   * @param {Object} progress - Job progress (elapsed milliseconds)
+   * @returns {Promise<Array>} Alerts triggered by this check
+   */
+  async checkAlerts(record, progress = {}) {
+    const triggered = [];
+
+    for (const alert of this.alerts.values()) {
+      if (alert.optimizationId !== record.id || !alert.isActive || alert.triggeredAt) {
+        continue;
+      }
+
+      let met = false;
+      switch (alert.type) {
+      case 'completion':
+        met = record.status === 'completed';
+        break;
+      case 'error':
+        met = record.status === 'failed';
+        break;
+      case 'timeout':
+        met = record.status === 'running' && progress.elapsed > Number(alert.threshold) * 1000;
+        break;
+      case 'performance_threshold': {
+        const value = record.bestPerformance && record.bestPerformance[alert.condition.metric];
+        met = Number.isFinite(value) && OPERATORS[alert.condition.operator](value, Number(alert.condition.value));
+        break;
+      }
+      }
+
+      if (met) {
+        alert.triggeredAt = new Date().toISOString();
+        triggered.push(alert);
+      }
+    }
+
+    if (triggered.length > 0) {
+      await this.save();
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Write the library to disk. Writes are queued so concurrent saves
+   * cannot interleave.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const file = path.join(this.directory, LIBRARY_FILE);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async() => {
+        await fs.mkdir(this.directory, { recursive: true });
+        const data = JSON.stringify({
+          templates: Array.from(this.templates.values()),
+          comparisons: Array.from(this.comparisons.values()),
+          alerts: Array.from(this.alerts.values())
+        }, null, 2);
+        await fs.writeFile(`${file}.tmp`, data);
+        await fs.rename(`${file}.tmp`, file);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+export { OptimizationLibrary };
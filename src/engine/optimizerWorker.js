@@ -0,0 +1,36 @@
+/**
+ * Worker thread entry point for the optimizer worker pool.
+ *
+ * Loads the strategy and candle data from workerData once, then backtests
+ * each parameter set the parent posts and replies with its fitness, its
+ * objective values for multi-objective runs, or its per-bar returns for the
+ * overfitting diagnostics.
+ * Evaluations run one at a time, in the order they arrive.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { StrategyOptimizer } = require('./strategyOptimizer.js');
+const { loadStrategy } = require('./optimizerWorkerPool.js');
+
+const { strategyPath, marketData, config = {} } = workerData;
+
+// Evaluates in-process: this worker is one of the pool's threads
+const optimizer = new StrategyOptimizer({ ...config, workers: 0 });
+const strategyLoaded = loadStrategy(strategyPath);
+let pending = Promise.resolve();
+
+parentPort.on('message', message => {
+  if (message.type !== 'evaluate') {
+    return;
+  }
+
+  pending = pending
+    .then(() => strategyLoaded)
+    .then(strategy => optimizer.evaluate(strategy, marketData, message.parameters, message.evaluation))
+    .then(fitness => {
+      parentPort.postMessage({ type: 'result', id: message.id, fitness });
+    })
+    .catch(err => {
+      parentPort.postMessage({ type: 'error', id: message.id, error: err.message });
+    });
+});
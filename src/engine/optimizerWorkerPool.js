@@ -0,0 +1,204 @@
+/**
+ * Optimizer Worker Pool
+ *
+ * Evaluates batches of strategy parameter sets on worker threads. Each worker
+ * receives the candle data and strategy module path once, as workerData, and
+ * then only exchanges parameter sets and fitness values with the parent.
+ * Results are returned in the order of the submitted batch, whichever worker
+ * finishes first.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'optimizerWorker.js');
+
+class OptimizerWorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Number of worker threads
+   * @param {Object} options.workerData - Data every worker starts with
+   *   ({ strategyPath, marketData, config })
+   * @param {string} options.workerPath - Path to the optimizer worker script
+   * @param {Function} options.createWorker - Worker factory (path, workerData) => Worker
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, Math.floor(options.size) || 1);
+    this.workerData = options.workerData || {};
+    this.workerPath = options.workerPath || WORKER_PATH;
+    this.createWorker = options.createWorker ||
+      ((workerPath, workerData) => new Worker(workerPath, { workerData }));
+
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.nextTaskId = 0;
+    this.terminated = false;
+  }
+
+  /**
+   * Start the workers. Called lazily by the first evaluation.
+   */
+  start() {
+    if (this.workers.length > 0 || this.terminated) {
+      return;
+    }
+
+    for (let i = 0; i < this.size; i++) {
+      const worker = this.createWorker(this.workerPath, this.workerData);
+
+      worker.on('message', message => this.handleMessage(worker, message));
+      worker.on('error', err => this.fail(err));
+      worker.on('exit', code => {
+        if (!this.terminated) {
+          this.fail(new Error(`Optimizer worker exited with code ${code}`));
+        }
+      });
+
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Evaluate parameter sets across the workers
+   * @param {Array<Object>} parameterSets - Parameter sets to evaluate
+   * @param {string} evaluation - 'fitness', 'objectives' for objective vectors
+   *   or 'returns' for per-bar returns
+   * @returns {Promise<Array>} Fitness (objective values, returns) per parameter set, in input order
+   */
+  evaluate(parameterSets, evaluation = 'fitness') {
+    if (this.terminated) {
+      return Promise.reject(new Error('Optimization stopped'));
+    }
+
+    this.start();
+
+    return new Promise((resolve, reject) => {
+      const fitness = new Array(parameterSets.length);
+      const batch = { remaining: parameterSets.length, fitness, resolve, reject };
+
+      if (parameterSets.length === 0) {
+        resolve(fitness);
+        return;
+      }
+
+      parameterSets.forEach((parameters, index) => {
+        this.queue.push({ id: this.nextTaskId++, index, parameters, evaluation, batch });
+      });
+
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued parameter sets to idle workers
+   */
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      const task = this.queue.shift();
+
+      this.tasks.set(task.id, task);
+      worker.postMessage({ type: 'evaluate', id: task.id, parameters: task.parameters, evaluation: task.evaluation });
+    }
+  }
+
+  /**
+   * Handle a message posted by an optimizer worker
+   * @param {Object} worker - Worker that posted the message
+   * @param {Object} message - Worker message
+   */
+  handleMessage(worker, message) {
+    if (this.terminated) {
+      return;
+    }
+
+    if (message.type === 'error') {
+      this.fail(new Error(message.error));
+      return;
+    }
+
+    if (message.type !== 'result') {
+      return;
+    }
+
+    const task = this.tasks.get(message.id);
+    this.tasks.delete(message.id);
+    this.idle.push(worker);
+
+    if (task) {
+      task.batch.fitness[task.index] = message.fitness;
+      task.batch.remaining--;
+
+      if (task.batch.remaining === 0) {
+        task.batch.resolve(task.batch.fitness);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Reject every pending batch and shut the pool down
+   * @param {Error} error - Reason passed to the pending batches
+   */
+  fail(error) {
+    if (this.terminated) {
+      return;
+    }
+
+    const batches = new Set([...this.queue, ...this.tasks.values()].map(task => task.batch));
+    this.terminate();
+
+    for (const batch of batches) {
+      batch.reject(error);
+    }
+  }
+
+  /**
+   * Cancel pending evaluations; their batches reject with 'Optimization stopped'
+   */
+  cancel() {
+    this.fail(new Error('Optimization stopped'));
+  }
+
+  /**
+   * Terminate the workers. Pending batches are left unsettled, use cancel()
+   * to reject them.
+   */
+  terminate() {
+    this.terminated = true;
+    this.queue = [];
+    this.tasks.clear();
+    this.idle = [];
+
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+  }
+}
+
+/**
+ * Load and instantiate a strategy module (default export or named Strategy)
+ * @param {string} strategyPath - Strategy file
+ * @returns {Promise<Object>} Strategy instance
+ */
+async function loadStrategy(strategyPath) {
+  const strategyModule = await import(pathToFileURL(path.resolve(strategyPath)).href);
+  const Strategy = strategyModule.default || strategyModule.Strategy;
+
+  if (typeof Strategy !== 'function') {
+    throw new Error('Strategy file must export a default class or named Strategy class');
+  }
+
+  return new Strategy();
+}
+
+module.exports = {
+  OptimizerWorkerPool,
+  loadStrategy
+};
@@ -0,0 +1,165 @@
+/**
+ * Resting order book for candle-based backtests.
+ *
+ * Holds stop and limit orders between candles and matches them against each
+ * candle's open/high/low. Orders attached to the same position share an OCO
+ * group, so a fill cancels its siblings (e.g. a take-profit cancels the stop).
+ */
+
+const FILL_RULES = ['pessimistic', 'optimistic'];
+
+class OrderBook {
+  constructor(options = {}) {
+    this.fillRule = options.fillRule || 'pessimistic';
+
+    if (!FILL_RULES.includes(this.fillRule)) {
+      throw new Error(`Invalid fill rule: ${this.fillRule}. Must be one of: ${FILL_RULES.join(', ')}`);
+    }
+
+    this.orders = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Place a resting order
+   * @param {Object} order - Order definition
+   * @param {string} order.type - 'stop' or 'limit'
+   * @param {string} order.side - 'buy' or 'sell'
+   * @param {number} order.price - Trigger (stop) or limit price
+   * @param {number|string} order.amount - Amount or 'all'
+   * @param {string} order.reason - Reason recorded on the resulting trade
+   * @param {*} order.group - OCO group id (optional)
+   * @returns {Object} Placed order
+   */
+  place(order) {
+    if (!['stop', 'limit'].includes(order.type)) {
+      throw new Error(`Invalid order type: ${order.type}`);
+    }
+
+    if (!['buy', 'sell'].includes(order.side)) {
+      throw new Error(`Invalid order side: ${order.side}`);
+    }
+
+    if (!(order.price > 0)) {
+      throw new Error('Order price must be positive');
+    }
+
+    const placed = {
+      id: this.nextId++,
+      amount: 'all',
+      reason: order.type,
+      group: null,
+      ...order
+    };
+
+    this.orders.push(placed);
+    return placed;
+  }
+
+  /**
+   * Place protective stop-loss / take-profit orders for an open position
+   * @param {Object} bracket - Bracket definition
+   * @param {string} bracket.direction - 'long' or 'short'
+   * @param {number} bracket.stopLoss - Stop-loss price (optional)
+   * @param {number} bracket.takeProfit - Take-profit price (optional)
+   * @param {*} bracket.group - OCO group id
+   * @param {string} bracket.timestamp - Placement timestamp
+   * @returns {Array} Placed orders
+   */
+  placeBracket({ direction, stopLoss, takeProfit, group, timestamp }) {
+    const side = direction === 'short' ? 'buy' : 'sell';
+    const placed = [];
+
+    if (stopLoss) {
+      placed.push(this.place({ type: 'stop', side, price: stopLoss, reason: 'stop_loss', group, timestamp }));
+    }
+
+    if (takeProfit) {
+      placed.push(this.place({ type: 'limit', side, price: takeProfit, reason: 'take_profit', group, timestamp }));
+    }
+
+    return placed;
+  }
+
+  /**
+   * Cancel every resting order
+   */
+  cancelAll() {
+    this.orders = [];
+  }
+
+  /**
+   * Get resting orders
+   * @returns {Array} Open orders
+   */
+  getOpenOrders() {
+    return [...this.orders];
+  }
+
+  /**
+   * Check whether the candle's range reaches an order's price
+   * @param {Object} order - Resting order
+   * @param {Object} candle - Candle data
+   * @returns {boolean} True if triggered
+   */
+  isTriggered(order, candle) {
+    const triggersOnDrop = (order.side === 'sell') === (order.type === 'stop');
+    return triggersOnDrop ? candle.low <= order.price : candle.high >= order.price;
+  }
+
+  /**
+   * Check whether the candle opened beyond an order's price (a gap)
+   * @param {Object} order - Resting order
+   * @param {Object} candle - Candle data
+   * @returns {boolean} True if the order was already through at the open
+   */
+  isGapped(order, candle) {
+    const triggersOnDrop = (order.side === 'sell') === (order.type === 'stop');
+    return triggersOnDrop ? candle.open <= order.price : candle.open >= order.price;
+  }
+
+  /**
+   * Fill price for a triggered order. Gaps fill at the open: worse than the
+   * stop price for stops, better than the limit price for limits.
+   * @param {Object} order - Resting order
+   * @param {Object} candle - Candle data
+   * @returns {number} Fill price
+   */
+  getFillPrice(order, candle) {
+    return this.isGapped(order, candle) ? candle.open : order.price;
+  }
+
+  /**
+   * Match resting orders against a candle. At most one order fills per
+   * candle; its OCO siblings are cancelled.
+   *
+   * When both a stop and a limit are reached inside the same bar the path
+   * is unknown: an order that was already through at the open fills first,
+   * otherwise the fill rule decides ('pessimistic' fills the stop,
+   * 'optimistic' fills the limit).
+   * @param {Object} candle - Candle data
+   * @returns {Object|null} { order, price } or null if nothing filled
+   */
+  match(candle) {
+    const triggered = this.orders.filter(order => this.isTriggered(order, candle));
+
+    if (triggered.length === 0) {
+      return null;
+    }
+
+    const preferredType = this.fillRule === 'pessimistic' ? 'stop' : 'limit';
+    const rank = order => (this.isGapped(order, candle) ? 0 : order.type === preferredType ? 1 : 2);
+    const [order] = triggered.sort((a, b) => rank(a) - rank(b) || a.id - b.id);
+
+    this.orders = this.orders.filter(o =>
+      o.id !== order.id && (order.group === null || o.group !== order.group)
+    );
+
+    return {
+      order,
+      price: this.getFillPrice(order, candle)
+    };
+  }
+}
+
+export { OrderBook, FILL_RULES };
@@ -0,0 +1,262 @@
+/**
+ * Overfitting diagnostics for optimization results
+ *
+ * An optimizer that tries enough parameter sets will find one that looks
+ * good by chance. These measures estimate how much of the winner's edge is
+ * left once that selection is accounted for:
+ *
+ * - the Deflated Sharpe Ratio (Bailey & López de Prado, 2014): the
+ *   probability that the winner's Sharpe ratio beats the best one expected
+ *   from the same number of worthless trials, corrected for the skewness and
+ *   kurtosis of its returns
+ * - the Probability of Backtest Overfitting, by combinatorially symmetric
+ *   cross-validation (Bailey, Borwein, López de Prado & Zhu, 2015): how
+ *   often the best trial of one half of the data ranks below the median on
+ *   the other half
+ * - neighbourhood stability: the fitness of the parameter sets one step away
+ *   from the winner, relative to the winner's
+ *
+ * Sharpe ratios here are per bar, not annualized.
+ */
+
+const { mean, standardDeviation } = require('./performanceMetrics.js');
+const { normalCdf } = require('./gaussianProcess.js');
+
+const EULER_MASCHERONI = 0.5772156649015329;
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * relative error below 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z with Φ(z) = p
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? z : -z;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Sample skewness (population moments)
+ */
+function skewness(values) {
+  const deviation = standardDeviation(values);
+  if (values.length === 0 || deviation === 0) return 0;
+  const average = mean(values);
+  return mean(values.map(value => Math.pow((value - average) / deviation, 3)));
+}
+
+/**
+ * Sample kurtosis, not excess: 3 for normal returns
+ */
+function kurtosis(values) {
+  const deviation = standardDeviation(values);
+  if (values.length === 0 || deviation === 0) return 3;
+  const average = mean(values);
+  return mean(values.map(value => Math.pow((value - average) / deviation, 4)));
+}
+
+/**
+ * Sharpe ratio per bar, without annualization or a risk-free rate
+ */
+function periodSharpe(returns) {
+  const deviation = standardDeviation(returns);
+  return returns.length === 0 || deviation === 0 ? 0 : mean(returns) / deviation;
+}
+
+/**
+ * Expected maximum Sharpe ratio of independent trials with no skill
+ * @param {number} trials - Number of trials
+ * @param {number} variance - Variance of the trials' Sharpe ratios
+ * @returns {number} Expected maximum (0 for a single trial)
+ */
+function expectedMaxSharpe(trials, variance) {
+  if (trials < 2 || !(variance > 0)) return 0;
+
+  return Math.sqrt(variance) * (
+    (1 - EULER_MASCHERONI) * normalQuantile(1 - 1 / trials) +
+    EULER_MASCHERONI * normalQuantile(1 - 1 / (trials * Math.E))
+  );
+}
+
+/**
+ * Deflated Sharpe Ratio of the selected trial
+ * @param {Array<number>} returns - Per-bar returns of the selected trial
+ * @param {Object} options - { trials: parameter sets tried, sharpeVariance:
+ *   variance of the trials' per-bar Sharpe ratios }
+ * @returns {Object|null} { sharpe, expectedMaxSharpe, probability,
+ *   observations, skewness, kurtosis }, or null with fewer than 2 returns
+ */
+function deflatedSharpeRatio(returns, { trials = 1, sharpeVariance = 0 } = {}) {
+  if (returns.length < 2) {
+    return null;
+  }
+
+  const sharpe = periodSharpe(returns);
+  const benchmark = expectedMaxSharpe(trials, sharpeVariance);
+  const skew = skewness(returns);
+  const kurt = kurtosis(returns);
+  // Variance of the Sharpe estimate grows with negative skew and fat tails
+  const spread = Math.sqrt(Math.max(1e-12, 1 - skew * sharpe + (kurt - 1) / 4 * sharpe * sharpe));
+
+  return {
+    sharpe,
+    expectedMaxSharpe: benchmark,
+    probability: normalCdf((sharpe - benchmark) * Math.sqrt(returns.length - 1) / spread),
+    observations: returns.length,
+    skewness: skew,
+    kurtosis: kurt
+  };
+}
+
+/**
+ * Every way of choosing k of n indices, in lexicographic order
+ */
+function* combinations(n, k) {
+  const indices = Array.from({ length: k }, (_, i) => i);
+
+  while (true) {
+    yield indices;
+
+    let i = k - 1;
+    while (i >= 0 && indices[i] === n - k + i) i--;
+    if (i < 0) return;
+
+    indices[i]++;
+    for (let j = i + 1; j < k; j++) {
+      indices[j] = indices[j - 1] + 1;
+    }
+  }
+}
+
+/**
+ * Probability of Backtest Overfitting by combinatorially symmetric
+ * cross-validation. The bars are cut into `blocks` contiguous blocks; every
+ * half of the blocks serves once as the in-sample set, with the other half
+ * out of sample. For each split, the trial with the best in-sample Sharpe
+ * ratio is ranked among all trials out of sample, and the split counts as
+ * overfit when that rank is below the median. A winner tied at the median,
+ * as with trials that all return the same, does not count.
+ * @param {Array<Array<number>>} returnSeries - Per-bar returns of each trial, over the same bars
+ * @param {Object} options - { blocks: number of blocks (even, default 16) }
+ * @returns {Object|null} { probability, blocks, combinations, trials,
+ *   medianLogit }, or null with fewer than 2 trials or 4 bars
+ */
+function probabilityOfBacktestOverfitting(returnSeries, { blocks = 16 } = {}) {
+  const series = returnSeries.filter(returns => returns.length > 0);
+  const length = Math.min(...series.map(returns => returns.length));
+  let blockCount = Math.min(blocks, Math.floor(length / 2));
+  blockCount -= blockCount % 2;
+
+  if (series.length < 2 || blockCount < 2) {
+    return null;
+  }
+
+  // Per block sums, so each split's Sharpe ratios come from block totals
+  const stats = series.map(returns => Array.from({ length: blockCount }, (_, block) => {
+    const start = Math.floor(block * length / blockCount);
+    const end = Math.floor((block + 1) * length / blockCount);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = start; i < end; i++) {
+      sum += returns[i];
+      sumSquares += returns[i] * returns[i];
+    }
+    return { count: end - start, sum, sumSquares };
+  }));
+
+  const sharpeOver = (trialStats, selected) => {
+    let count = 0;
+    let sum = 0;
+    let sumSquares = 0;
+    for (let block = 0; block < blockCount; block++) {
+      if (selected[block]) {
+        count += trialStats[block].count;
+        sum += trialStats[block].sum;
+        sumSquares += trialStats[block].sumSquares;
+      }
+    }
+    const average = sum / count;
+    const deviation = Math.sqrt(Math.max(0, sumSquares / count - average * average));
+    return deviation > 0 ? average / deviation : 0;
+  };
+
+  const logits = [];
+  for (const inSampleBlocks of combinations(blockCount, blockCount / 2)) {
+    const inSample = new Array(blockCount).fill(false);
+    inSampleBlocks.forEach(block => { inSample[block] = true; });
+    const outOfSample = inSample.map(selected => !selected);
+
+    const inSampleSharpe = stats.map(trialStats => sharpeOver(trialStats, inSample));
+    const best = inSampleSharpe.indexOf(Math.max(...inSampleSharpe));
+    const outOfSampleSharpe = stats.map(trialStats => sharpeOver(trialStats, outOfSample));
+
+    // Rank from 1 (worst) to N (best) out of sample, ties sharing the average rank
+    const below = outOfSampleSharpe.filter(value => value < outOfSampleSharpe[best]).length;
+    const tied = outOfSampleSharpe.filter(value => value === outOfSampleSharpe[best]).length;
+    const relativeRank = (below + (tied + 1) / 2) / (series.length + 1);
+
+    logits.push(Math.log(relativeRank / (1 - relativeRank)));
+  }
+
+  const sorted = [...logits].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    probability: logits.filter(logit => logit < 0).length / logits.length,
+    blocks: blockCount,
+    combinations: logits.length,
+    trials: series.length,
+    medianLogit: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  };
+}
+
+/**
+ * Fitness of the winner's neighbours relative to the winner
+ * @param {number} bestFitness - Winner's fitness
+ * @param {Array<number>} neighbourFitness - Fitness of each neighbour
+ * @returns {Object|null} { meanFitness, minFitness, ratio }, where ratio is
+ *   mean neighbour fitness over the winner's (null unless the winner's
+ *   fitness is positive); null without neighbours
+ */
+function neighbourhoodStability(bestFitness, neighbourFitness) {
+  if (neighbourFitness.length === 0) {
+    return null;
+  }
+
+  const meanFitness = mean(neighbourFitness);
+
+  return {
+    meanFitness,
+    minFitness: Math.min(...neighbourFitness),
+    ratio: bestFitness > 0 && Number.isFinite(bestFitness) ? meanFitness / bestFitness : null
+  };
+}
+
+module.exports = {
+  normalQuantile,
+  skewness,
+  kurtosis,
+  periodSharpe,
+  expectedMaxSharpe,
+  deflatedSharpeRatio,
+  probabilityOfBacktestOverfitting,
+  neighbourhoodStability
+};
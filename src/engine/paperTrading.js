@@ -1,5 +1,16 @@
 const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { Rebalancer } = require('./rebalancer.js');
+const { PerpetualAccount } = require('./perpetualFutures.js');
+const {
+  equityReturns,
+  maxDrawdown,
+  periodsPerYear,
+  profitFactor,
+  sharpeRatio,
+  sortinoRatio,
+  winRate
+} = require('./performanceMetrics.js');
 
 class PaperTradingEngine extends EventEmitter {
   constructor(config = {}) {
@@ -12,6 +23,8 @@ class PaperTradingEngine extends EventEmitter {
       maxSlippage: 0.01,
       currency: 'USD',
       maxPositions: 10,
+      riskFreeRate: 0, // annual, for the Sharpe ratio
+      perpetual: {}, // PerpetualAccount options (marginMode, leverage, fundingRates, ...)
       ...config
     };
 
@@ -58,6 +71,15 @@ class PaperTradingEngine extends EventEmitter {
       returns: []
     };
 
+    // Futures wallet, funded from cash with transferToPerpetual()
+    this.perpetuals = new PerpetualAccount({
+      fee: this.config.commission,
+      ...this.config.perpetual,
+      initialBalance: 0
+    });
+    this.perpetuals.on('funding', payment => this.emit('fundingPayment', payment));
+    this.perpetuals.on('liquidation', trade => this.emit('perpetualLiquidation', trade));
+
     if (this.marketData) {
       this.marketData.clear();
     }
@@ -613,6 +635,7 @@ class PaperTradingEngine extends EventEmitter {
 
 
   updateMetrics() {
+    // Buys realize nothing; closed trades are the ones with a PnL
     const trades = this.trades.filter(t => t.pnl !== 0);
     const winningTrades = trades.filter(t => t.pnl > 0);
     const losingTrades = trades.filter(t => t.pnl < 0);
@@ -621,74 +644,31 @@ class PaperTradingEngine extends EventEmitter {
       totalTrades: trades.length,
       winningTrades: winningTrades.length,
       losingTrades: losingTrades.length,
-      winRate: trades.length > 0 ? winningTrades.length / trades.length : 0,
+      winRate: winRate(trades),
       avgWin: winningTrades.length > 0 ?
         winningTrades.reduce((sum, t) => sum + t.pnl, 0) / winningTrades.length : 0,
       avgLoss: losingTrades.length > 0 ?
         Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0)) / losingTrades.length : 0,
-      profitFactor: this.calculateProfitFactor(winningTrades, losingTrades),
+      profitFactor: profitFactor(trades),
       sharpeRatio: this.calculateSharpeRatio(),
+      sortinoRatio: sortinoRatio(this.calculateReturns(), { periodsPerYear: periodsPerYear(this.equityHistory) }),
       maxDrawdown: this.calculateMaxDrawdown(),
       returns: this.calculateReturns()
     };
   }
 
-  calculateProfitFactor(winningTrades, losingTrades) {
-    const totalWins = winningTrades.reduce((sum, t) => sum + t.pnl, 0);
-    const totalLosses = Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0));
-
-    return totalLosses > 0 ? totalWins / totalLosses : 0;
-  }
-
+  /**
+   * Sharpe ratio of the equity history, annualized from its update interval
+   */
   calculateSharpeRatio() {
-    const returns = this.calculateReturns();
-    if (returns.length < 2) return 0;
-
-    const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-    const variance = returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length;
-    const stdDev = Math.sqrt(variance);
-
-    return stdDev > 0 ? avgReturn / stdDev : 0;
-  }
-
-  calculateMaxDrawdown() {
-    const equity = this.calculateEquityCurve();
-    let maxDrawdown = 0;
-    let peak = equity[0] || this.initialBalance;
-
-    for (const value of equity) {
-      if (value > peak) {
-        peak = value;
-      }
-      const drawdown = (peak - value) / peak;
-      maxDrawdown = Math.max(maxDrawdown, drawdown);
-    }
-
-    return maxDrawdown;
+    return sharpeRatio(this.calculateReturns(), {
+      periodsPerYear: periodsPerYear(this.equityHistory),
+      riskFreeRate: this.config.riskFreeRate
+    });
   }
 
   calculateReturns() {
-    const equity = this.calculateEquityCurve();
-    const returns = [];
-
-    for (let i = 1; i < equity.length; i++) {
-      const ret = (equity[i] - equity[i - 1]) / equity[i - 1];
-      returns.push(ret);
-    }
-
-    return returns;
-  }
-
-  calculateEquityCurve() {
-    const curve = [this.initialBalance];
-    let balance = this.initialBalance;
-
-    for (const trade of this.trades) {
-      balance += trade.pnl - trade.commission;
-      curve.push(balance);
-    }
-
-    return curve;
+    return equityReturns(this.equityHistory);
   }
 
   getPosition(symbol) {
@@ -782,15 +762,8 @@ class PaperTradingEngine extends EventEmitter {
 
 
 
-  calculateWinRate() {
-    const closedTrades = this.tradeHistory.filter(trade => trade.status === 'closed');
-    if (closedTrades.length === 0) return 0;
-    const winningTrades = closedTrades.filter(trade => trade.pnl > 0);
-    return (winningTrades.length / closedTrades.length) * 100;
-  }
-
   updatePortfolioValue() {
-    let totalValue = this.portfolio.cash;
+    let totalValue = this.portfolio.cash + this.perpetuals.getEquity();
 
     for (const [symbol, position] of this.portfolio.positions) {
       const marketPrice = this.marketPrices[symbol] || this.getCurrentPrice(symbol);
@@ -846,12 +819,8 @@ class PaperTradingEngine extends EventEmitter {
 
   // Methods expected by tests
   calculateWinRate() {
-    if (!this.tradeHistory || this.tradeHistory.length === 0) return 0;
-    const closedTrades = this.tradeHistory.filter(trade => trade.status === 'closed');
-    if (closedTrades.length === 0) return 0;
-
-    const winningTrades = closedTrades.filter(trade => trade.pnl > 0);
-    return (winningTrades.length / closedTrades.length) * 100;
+    if (!this.tradeHistory) return 0;
+    return winRate(this.tradeHistory.filter(trade => trade.status === 'closed'));
   }
 
   calculateROI() {
@@ -865,28 +834,7 @@ class PaperTradingEngine extends EventEmitter {
       return { percent: 0, amount: 0 };
     }
 
-    let maxDrawdownPercent = 0;
-    let maxDrawdownAmount = 0;
-    let peak = this.equityHistory[0].equity;
-
-    for (const point of this.equityHistory) {
-      if (point.equity > peak) {
-        peak = point.equity;
-      }
-
-      const drawdownAmount = peak - point.equity;
-      const drawdownPercent = peak > 0 ? (drawdownAmount / peak) * 100 : 0;
-
-      if (drawdownPercent > maxDrawdownPercent) {
-        maxDrawdownPercent = drawdownPercent;
-        maxDrawdownAmount = drawdownAmount;
-      }
-    }
-
-    return {
-      percent: maxDrawdownPercent,
-      amount: maxDrawdownAmount
-    };
+    return maxDrawdown(this.equityHistory);
   }
 
   // Method for executing orders from test interface
@@ -994,6 +942,149 @@ class PaperTradingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Trade the portfolio towards target weights at current market prices.
+   * Sells are executed before buys; buys are sized with commission and
+   * maximum slippage so they fit the available cash.
+   * @param {Object} targets - Weights by symbol, optionally including the cash currency
+   * @param {Object} options - { driftThreshold, minTradeValue }
+   * @returns {Promise<Object>} Rebalancing plan with the result of each order
+   */
+  async rebalance(targets, options = {}) {
+    const rebalancer = new Rebalancer({
+      currency: this.config.currency,
+      feeRate: this.config.commission + this.config.maxSlippage,
+      ...options
+    });
+
+    const holdings = {};
+    for (const [symbol, position] of this.portfolio.positions) {
+      holdings[symbol] = position.amount;
+    }
+
+    const prices = {};
+    const symbols = new Set(Object.keys(holdings));
+    Object.keys(targets || {})
+      .filter(key => key !== this.config.currency)
+      .forEach(symbol => symbols.add(symbol));
+
+    for (const symbol of symbols) {
+      if (!this.marketPrices[symbol]) {
+        throw new Error(`No market price for ${symbol}`);
+      }
+      prices[symbol] = this.marketPrices[symbol];
+    }
+
+    const plan = rebalancer.plan({ targets, prices, holdings, cash: this.portfolio.cash });
+    plan.results = [];
+
+    for (const order of plan.orders) {
+      const result = await this.executeOrder({
+        type: 'market',
+        side: order.side,
+        symbol: order.symbol,
+        amount: order.quantity,
+        price: order.price
+      });
+      plan.results.push({ ...order, ...result });
+    }
+
+    this.updatePortfolioValue();
+    this.emit('rebalanced', plan);
+
+    return plan;
+  }
+
+  /**
+   * Move cash into the perpetual futures wallet
+   * @param {number} amount - Amount to transfer
+   * @returns {number} Futures wallet balance
+   */
+  transferToPerpetual(amount) {
+    if (!(amount > 0) || amount > this.portfolio.cash) {
+      throw new Error('Insufficient cash for transfer');
+    }
+
+    this.portfolio.cash -= amount;
+    return this.perpetuals.deposit(amount);
+  }
+
+  /**
+   * Move free balance from the perpetual futures wallet back to cash
+   * @param {number} amount - Amount to transfer
+   * @returns {number} Futures wallet balance
+   */
+  transferFromPerpetual(amount) {
+    const balance = this.perpetuals.withdraw(amount);
+    this.portfolio.cash += amount;
+    return balance;
+  }
+
+  /**
+   * Open or increase a perpetual position at the current market price
+   * @param {string} symbol - Contract symbol
+   * @param {string} side - long or short
+   * @param {number} size - Contract size in base units
+   * @param {Object} options - { price, leverage, marginMode }
+   * @returns {Object} Fill
+   */
+  openPerpetual(symbol, side, size, options = {}) {
+    const price = options.price || this.marketPrices[symbol];
+    if (!price) {
+      throw new Error(`No market price for ${symbol}`);
+    }
+
+    const executionPrice = this.applySlippage(price, side === 'long' ? 'buy' : 'sell', size);
+    const fill = this.perpetuals.open(symbol, side, size, executionPrice, { ...options, timestamp: Date.now() });
+    this.updatePortfolioValue();
+    this.emit('perpetualFill', fill);
+    return fill;
+  }
+
+  /**
+   * Close all or part of a perpetual position at the current market price
+   * @param {string} symbol - Contract symbol
+   * @param {number|string} size - Size to close or 'all'
+   * @param {Object} options - { price, reason }
+   * @returns {Object} Closed trade
+   */
+  closePerpetual(symbol, size = 'all', options = {}) {
+    const position = this.perpetuals.getPosition(symbol);
+    const price = options.price || this.marketPrices[symbol] || (position && position.markPrice);
+    const quantity = size === 'all' && position ? position.size : size;
+    const executionPrice = position
+      ? this.applySlippage(price, position.side === 'long' ? 'sell' : 'buy', quantity)
+      : price;
+
+    const trade = this.perpetuals.close(symbol, size, executionPrice, { ...options, timestamp: Date.now() });
+    this.updatePortfolioValue();
+    return trade;
+  }
+
+  /**
+   * Update a contract's mark price, liquidating positions that breach
+   * maintenance margin
+   * @param {string} symbol - Contract symbol
+   * @param {number} markPrice - Mark price
+   * @returns {Array} Liquidations
+   */
+  setMarkPrice(symbol, markPrice) {
+    const liquidations = this.perpetuals.updateMarkPrice(symbol, markPrice, Date.now());
+    this.updatePortfolioValue();
+    return liquidations;
+  }
+
+  /**
+   * Settle perpetual funding due up to a time
+   * @param {number} timestamp - Time (defaults to now)
+   * @returns {Array} Funding payments
+   */
+  applyFunding(timestamp = Date.now()) {
+    const payments = this.perpetuals.applyFunding(timestamp);
+    this.updatePortfolioValue();
+    return payments;
+  }
+
   executeOrderById(orderId, marketPrice) {
     const order = this.orders.get(orderId);
     if (!order || order.status !== 'pending') {
@@ -0,0 +1,268 @@
+/**
+ * Performance analytics shared by every engine
+ *
+ * Backtests, paper trading and live trading all measure returns, risk and
+ * trade statistics here, so their numbers are comparable. Ratios are
+ * annualized from the spacing of the equity curve's timestamps over a
+ * 365-day year, since crypto markets trade around the clock; without
+ * timestamps each point counts as one day.
+ */
+
+const { inferBarDuration } = require('./durations.js');
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+const DEFAULT_PERIODS_PER_YEAR = 365;
+
+const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Population standard deviation
+ */
+function standardDeviation(values) {
+  if (values.length === 0) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length);
+}
+
+/**
+ * Equity of a curve point: a number, { value } (Backtester) or { equity }
+ * (AdvancedBacktester, PortfolioManager, PaperTradingEngine)
+ */
+function equityValue(point) {
+  return typeof point === 'number' ? point : point.value ?? point.equity;
+}
+
+/**
+ * Realized PnL of a trade ({ pnl }, or { profit } from Backtester); undefined
+ * for trades that opened a position
+ */
+function tradePnL(trade) {
+  return trade.pnl ?? trade.profit;
+}
+
+/**
+ * Simple returns between consecutive equity points
+ * @param {Array<Object|number>} equityCurve - Equity points
+ * @returns {Array<number>} One return per bar after the first
+ */
+function equityReturns(equityCurve) {
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const previous = equityValue(equityCurve[i - 1]);
+    returns.push(previous !== 0 ? equityValue(equityCurve[i]) / previous - 1 : 0);
+  }
+  return returns;
+}
+
+/**
+ * Bars per year, from the median spacing of the curve's timestamps
+ * @param {Array<Object>} equityCurve - Points with a timestamp
+ * @returns {number} Periods per 365-day year (365 when it cannot be inferred)
+ */
+function periodsPerYear(equityCurve) {
+  const points = Array.isArray(equityCurve) ? equityCurve.filter(point => point && point.timestamp !== undefined) : [];
+  const barDuration = inferBarDuration(points);
+  return barDuration > 0 ? YEAR / barDuration : DEFAULT_PERIODS_PER_YEAR;
+}
+
+/**
+ * Annualized Sharpe ratio of per-bar returns
+ * @param {Array<number>} returns - Returns per bar
+ * @param {Object} options - { periodsPerYear, riskFreeRate (annual) }
+ */
+function sharpeRatio(returns, { periodsPerYear: periods = DEFAULT_PERIODS_PER_YEAR, riskFreeRate = 0 } = {}) {
+  const deviation = standardDeviation(returns);
+  if (returns.length === 0 || deviation === 0) return 0;
+  return ((mean(returns) - riskFreeRate / periods) / deviation) * Math.sqrt(periods);
+}
+
+/**
+ * Downside deviation: root mean square of the shortfalls below the target,
+ * over all bars
+ */
+function downsideDeviation(returns, targetReturn = 0) {
+  if (returns.length === 0) return 0;
+  const shortfalls = returns.map(r => Math.min(0, r - targetReturn));
+  return Math.sqrt(shortfalls.reduce((sum, r) => sum + r * r, 0) / returns.length);
+}
+
+/**
+ * Annualized Sortino ratio of per-bar returns. Infinity when the returns are
+ * positive on average and never fall below the target.
+ * @param {Array<number>} returns - Returns per bar
+ * @param {Object} options - { periodsPerYear, targetReturn (per bar) }
+ */
+function sortinoRatio(returns, { periodsPerYear: periods = DEFAULT_PERIODS_PER_YEAR, targetReturn = 0 } = {}) {
+  if (returns.length === 0) return 0;
+  const excess = mean(returns) - targetReturn;
+  const deviation = downsideDeviation(returns, targetReturn);
+  if (deviation === 0) return excess > 0 ? Infinity : 0;
+  return (excess / deviation) * Math.sqrt(periods);
+}
+
+/**
+ * Annualized volatility of per-bar returns
+ */
+function volatility(returns, periods = DEFAULT_PERIODS_PER_YEAR) {
+  return standardDeviation(returns) * Math.sqrt(periods);
+}
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number} Correlation, 0 when either series is flat
+ */
+function correlation(a, b) {
+  const n = Math.min(a.length, b.length);
+
+  if (n < 2) {
+    return 0;
+  }
+
+  const meanA = mean(a.slice(0, n));
+  const meanB = mean(b.slice(0, n));
+
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += Math.pow(a[i] - meanA, 2);
+    varB += Math.pow(b[i] - meanB, 2);
+  }
+
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Largest peak-to-trough decline of an equity curve
+ * @param {Array<Object|number>} equityCurve - Equity points
+ * @param {number} initialPeak - Equity the curve starts from (e.g. the initial balance)
+ * @returns {Object} { amount, percent }
+ */
+function maxDrawdown(equityCurve, initialPeak = -Infinity) {
+  let peak = initialPeak;
+  let amount = 0;
+  let percent = 0;
+
+  for (const point of equityCurve) {
+    const equity = equityValue(point);
+    peak = Math.max(peak, equity);
+    const drawdown = peak - equity;
+    const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+    if (drawdownPercent > percent) {
+      percent = drawdownPercent;
+      amount = drawdown;
+    }
+  }
+
+  return { amount, percent };
+}
+
+/**
+ * Compound annual growth rate between the first and last equity points
+ * @returns {number} Annualized return as a fraction
+ */
+function annualizedReturn(equityCurve, periods = DEFAULT_PERIODS_PER_YEAR) {
+  if (equityCurve.length < 2) return 0;
+  const start = equityValue(equityCurve[0]);
+  const end = equityValue(equityCurve[equityCurve.length - 1]);
+  if (!(start > 0)) return 0;
+  if (end <= 0) return -1;
+  return Math.pow(end / start, periods / (equityCurve.length - 1)) - 1;
+}
+
+/**
+ * Calmar ratio: annualized return over max drawdown
+ * @param {number} annualReturn - Annualized return as a fraction
+ * @param {number} maxDrawdownPercent - Max drawdown in percent
+ */
+function calmarRatio(annualReturn, maxDrawdownPercent) {
+  return maxDrawdownPercent > 0 ? annualReturn / (maxDrawdownPercent / 100) : 0;
+}
+
+/**
+ * Trades that realized a PnL (closing trades)
+ */
+function closedTrades(trades) {
+  return trades.filter(trade => typeof tradePnL(trade) === 'number');
+}
+
+/**
+ * Share of closed trades with a positive PnL, in percent
+ */
+function winRate(trades) {
+  const closed = closedTrades(trades);
+  return closed.length > 0 ? (closed.filter(trade => tradePnL(trade) > 0).length / closed.length) * 100 : 0;
+}
+
+/**
+ * Gross profit over gross loss of closed trades (Infinity without losses)
+ */
+function profitFactor(trades) {
+  const pnls = closedTrades(trades).map(tradePnL);
+  const profit = pnls.filter(pnl => pnl > 0).reduce((sum, pnl) => sum + pnl, 0);
+  const loss = Math.abs(pnls.filter(pnl => pnl < 0).reduce((sum, pnl) => sum + pnl, 0));
+  return loss > 0 ? profit / loss : profit > 0 ? Infinity : 0;
+}
+
+/**
+ * Full set of return, risk and trade metrics for an equity curve
+ * @param {Array<Object>} equityCurve - [{ timestamp, value|equity }]
+ * @param {Object} options
+ * @param {Array} options.trades - Trades with pnl or profit (optional)
+ * @param {number} options.initialBalance - Starting equity (default: the first point)
+ * @param {number} options.riskFreeRate - Annual risk-free rate for the Sharpe ratio
+ * @param {number} options.periodsPerYear - Overrides the inferred bar frequency
+ * @returns {Object} Metrics; returns and drawdowns in percent
+ */
+function analyzePerformance(equityCurve, options = {}) {
+  const curve = Array.isArray(equityCurve) ? equityCurve : [];
+  const trades = options.trades || [];
+  const periods = options.periodsPerYear || periodsPerYear(curve);
+  const initialBalance = options.initialBalance ?? (curve.length > 0 ? equityValue(curve[0]) : 0);
+  const finalEquity = curve.length > 0 ? equityValue(curve[curve.length - 1]) : initialBalance;
+
+  const returns = equityReturns(curve);
+  const drawdown = maxDrawdown(curve, initialBalance);
+  const annualReturn = annualizedReturn(curve, periods);
+
+  return {
+    totalReturnPercent: initialBalance > 0 ? ((finalEquity - initialBalance) / initialBalance) * 100 : 0,
+    annualizedReturnPercent: annualReturn * 100,
+    volatility: volatility(returns, periods),
+    sharpeRatio: sharpeRatio(returns, { periodsPerYear: periods, riskFreeRate: options.riskFreeRate }),
+    sortinoRatio: sortinoRatio(returns, { periodsPerYear: periods }),
+    calmarRatio: calmarRatio(annualReturn, drawdown.percent),
+    maxDrawdown: drawdown.amount,
+    maxDrawdownPercent: drawdown.percent,
+    winRate: winRate(trades),
+    profitFactor: profitFactor(trades),
+    closedTrades: closedTrades(trades).length,
+    periodsPerYear: periods
+  };
+}
+
+module.exports = {
+  DEFAULT_PERIODS_PER_YEAR,
+  mean,
+  standardDeviation,
+  equityValue,
+  tradePnL,
+  equityReturns,
+  periodsPerYear,
+  sharpeRatio,
+  sortinoRatio,
+  downsideDeviation,
+  volatility,
+  correlation,
+  maxDrawdown,
+  annualizedReturn,
+  calmarRatio,
+  closedTrades,
+  winRate,
+  profitFactor,
+  analyzePerformance
+};
@@ -0,0 +1,569 @@
+const { EventEmitter } = require('events');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Perpetual futures simulation
+ *
+ * Linear (quote-margined) perpetual contracts: positions are valued and
+ * liquidated against a mark price, pay or receive funding at fixed intervals
+ * from an imported funding-rate series, and are margined either in isolation
+ * or against the whole account (cross).
+ */
+
+const HOUR = 60 * 60 * 1000;
+const MARGIN_MODES = ['isolated', 'cross'];
+const SIDES = ['long', 'short'];
+const EPSILON = 1e-12;
+
+const toTime = value => (typeof value === 'number' ? value : new Date(value).getTime());
+
+/**
+ * Funding rates over time, looked up as the latest rate at or before a time
+ */
+class FundingRateSeries {
+  constructor(rates = []) {
+    if (!Array.isArray(rates)) {
+      throw new Error('fundingRates must be an array of { timestamp, rate } entries or a FundingRateSeries; load files with FundingRateSeries.from()');
+    }
+
+    this.rates = rates
+      .map(entry => ({
+        ...entry,
+        timestamp: toTime(entry.timestamp),
+        rate: Number(entry.rate !== undefined ? entry.rate : entry.fundingRate)
+      }))
+      .filter(entry => Number.isFinite(entry.timestamp) && Number.isFinite(entry.rate))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Parse CSV with a `timestamp` column and a `rate` (or `fundingRate`) column
+   * @param {string} text - CSV content
+   * @returns {FundingRateSeries} Series
+   */
+  static parseCSV(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const headers = lines[0].split(',').map(header => header.trim());
+    const timeIndex = headers.indexOf('timestamp');
+    const rateIndex = headers.includes('rate') ? headers.indexOf('rate') : headers.indexOf('fundingRate');
+
+    if (timeIndex === -1 || rateIndex === -1) {
+      throw new Error('Funding rate CSV requires timestamp and rate columns');
+    }
+
+    const rates = lines.slice(1).filter(line => line.trim()).map(line => {
+      const values = line.split(',');
+      const timestamp = values[timeIndex].trim();
+      return {
+        timestamp: /^\d+$/.test(timestamp) ? Number(timestamp) : timestamp,
+        rate: Number(values[rateIndex])
+      };
+    });
+
+    return new FundingRateSeries(rates);
+  }
+
+  /**
+   * Load a funding-rate series from a CSV or JSON file
+   * @param {string} filePath - File path
+   * @returns {Promise<FundingRateSeries>} Series
+   */
+  static async load(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    if (path.extname(filePath).toLowerCase() === '.json') {
+      return new FundingRateSeries(JSON.parse(content));
+    }
+
+    return FundingRateSeries.parseCSV(content);
+  }
+
+  /**
+   * Resolve a `fundingRates` option: a series, an array of entries, CSV
+   * content or the path of a CSV or JSON file
+   * @param {FundingRateSeries|Array|string} source - Funding rates
+   * @returns {Promise<FundingRateSeries>} Series
+   */
+  static async from(source = []) {
+    if (source instanceof FundingRateSeries) {
+      return source;
+    }
+
+    if (typeof source === 'string') {
+      return /\r?\n/.test(source.trim()) ? FundingRateSeries.parseCSV(source) : FundingRateSeries.load(source);
+    }
+
+    return new FundingRateSeries(source);
+  }
+
+  get length() {
+    return this.rates.length;
+  }
+
+  /**
+   * Funding rate in force at a time
+   * @param {number|string|Date} timestamp - Time
+   * @returns {number|null} Rate, or null before the first entry
+   */
+  getRate(timestamp) {
+    const time = toTime(timestamp);
+    let low = 0;
+    let high = this.rates.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.rates[mid].timestamp <= time) {
+        found = this.rates[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found ? found.rate : null;
+  }
+}
+
+/**
+ * Margin account holding perpetual positions keyed by symbol
+ */
+class PerpetualAccount extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      initialBalance: 10000,
+      marginMode: 'isolated',
+      leverage: 1,
+      maintenanceMarginRate: 0.005, // 0.5% of notional
+      fee: 0.0005, // 0.05% taker fee
+      fundingInterval: 8 * HOUR,
+      fundingRates: [],
+      defaultFundingRate: 0,
+      ...config
+    };
+
+    if (!MARGIN_MODES.includes(this.config.marginMode)) {
+      throw new Error(`Invalid margin mode: ${this.config.marginMode}. Use ${MARGIN_MODES.join(' or ')}`);
+    }
+
+    if (!(this.config.leverage > 0)) {
+      throw new Error('Leverage must be positive');
+    }
+
+    this.fundingRates = this.config.fundingRates instanceof FundingRateSeries
+      ? this.config.fundingRates
+      : new FundingRateSeries(this.config.fundingRates);
+
+    this.balance = this.config.initialBalance;
+    this.positions = new Map();
+    this.trades = [];
+    this.fundingPayments = [];
+    this.equityHistory = [];
+    this.totalFunding = 0; // Net funding paid (negative when received)
+    this.totalFees = 0;
+    this.lastFundingTime = null;
+  }
+
+  getPosition(symbol) {
+    return this.positions.get(symbol) || null;
+  }
+
+  getUnrealizedPnL(position) {
+    const direction = position.side === 'long' ? 1 : -1;
+    return direction * position.size * (position.markPrice - position.entryPrice);
+  }
+
+  getMaintenanceMargin(position) {
+    return position.size * position.markPrice * this.config.maintenanceMarginRate;
+  }
+
+  /**
+   * Wallet balance plus unrealized PnL of every position
+   * @returns {number} Equity
+   */
+  getEquity() {
+    let equity = this.balance;
+    this.positions.forEach(position => {
+      equity += this.getUnrealizedPnL(position);
+    });
+    return equity;
+  }
+
+  /**
+   * Balance free to margin new positions or withdraw. Cross positions lend
+   * their unrealized PnL to it; isolated positions do not.
+   * @returns {number} Available balance
+   */
+  getAvailableBalance() {
+    let available = this.balance;
+    this.positions.forEach(position => {
+      available -= position.margin;
+      if (position.marginMode === 'cross') {
+        available += this.getUnrealizedPnL(position);
+      }
+    });
+    return Math.max(0, available);
+  }
+
+  deposit(amount) {
+    if (!(amount > 0)) {
+      throw new Error('Deposit amount must be positive');
+    }
+    this.balance += amount;
+    return this.balance;
+  }
+
+  withdraw(amount) {
+    if (!(amount > 0)) {
+      throw new Error('Withdrawal amount must be positive');
+    }
+    if (amount > this.getAvailableBalance() + EPSILON) {
+      throw new Error(`Insufficient available balance. Available: ${this.getAvailableBalance()}, Required: ${amount}`);
+    }
+    this.balance -= amount;
+    return this.balance;
+  }
+
+  /**
+   * Open or increase a position
+   * @param {string} symbol - Contract symbol
+   * @param {string} side - long or short
+   * @param {number} size - Contract size in base units
+   * @param {number} price - Fill price
+   * @param {Object} options - { leverage, marginMode, timestamp }
+   * @returns {Object} Fill
+   */
+  open(symbol, side, size, price, options = {}) {
+    if (!SIDES.includes(side)) {
+      throw new Error(`Invalid side: ${side}. Use long or short`);
+    }
+    if (!(size > 0) || !(price > 0)) {
+      throw new Error('Size and price must be positive');
+    }
+
+    const existing = this.positions.get(symbol);
+    if (existing && existing.side !== side) {
+      throw new Error(`Close the ${existing.side} ${symbol} position before opening a ${side}`);
+    }
+
+    const leverage = existing ? existing.leverage : (options.leverage || this.config.leverage);
+    const marginMode = existing ? existing.marginMode : (options.marginMode || this.config.marginMode);
+    if (!MARGIN_MODES.includes(marginMode)) {
+      throw new Error(`Invalid margin mode: ${marginMode}. Use ${MARGIN_MODES.join(' or ')}`);
+    }
+
+    const notional = size * price;
+    const margin = notional / leverage;
+    const fee = notional * this.config.fee;
+
+    if (margin + fee > this.getAvailableBalance() + EPSILON) {
+      throw new Error(`Insufficient margin. Available: ${this.getAvailableBalance()}, Required: ${margin + fee}`);
+    }
+
+    const timestamp = options.timestamp !== undefined ? toTime(options.timestamp) : Date.now();
+    this.balance -= fee;
+    this.totalFees += fee;
+
+    if (existing) {
+      existing.entryPrice = (existing.entryPrice * existing.size + notional) / (existing.size + size);
+      existing.size += size;
+      existing.margin += margin;
+      existing.fees += fee;
+    } else {
+      this.positions.set(symbol, {
+        symbol,
+        side,
+        size,
+        entryPrice: price,
+        markPrice: price,
+        leverage,
+        marginMode,
+        margin,
+        fees: fee,
+        funding: 0,
+        openedAt: timestamp
+      });
+    }
+
+    const fill = { symbol, action: 'open', side, size, price, fee, timestamp };
+    this.emit('fill', fill);
+    return fill;
+  }
+
+  /**
+   * Close all or part of a position
+   * @param {string} symbol - Contract symbol
+   * @param {number|string} size - Size to close or 'all'
+   * @param {number} price - Fill price
+   * @param {Object} options - { timestamp, reason }
+   * @returns {Object} Closed trade
+   */
+  close(symbol, size = 'all', price, options = {}) {
+    const position = this.positions.get(symbol);
+    if (!position) {
+      throw new Error(`No ${symbol} position to close`);
+    }
+
+    const quantity = size === 'all' ? position.size : Math.min(size, position.size);
+    if (!(quantity > 0)) {
+      throw new Error('Size must be positive');
+    }
+
+    const exitPrice = price || position.markPrice;
+    const direction = position.side === 'long' ? 1 : -1;
+    const fee = quantity * exitPrice * this.config.fee;
+    const share = quantity / position.size;
+    const pnl = direction * quantity * (exitPrice - position.entryPrice) - fee;
+
+    this.balance += pnl;
+    this.totalFees += fee;
+
+    return this.recordClose(position, quantity, exitPrice, share, {
+      pnl,
+      fees: position.fees * share + fee,
+      timestamp: options.timestamp,
+      reason: options.reason || 'signal'
+    });
+  }
+
+  /**
+   * Shrink a position after a close or liquidation and record the trade
+   */
+  recordClose(position, quantity, exitPrice, share, { pnl, fees, timestamp, reason }) {
+    const exitTime = timestamp !== undefined ? toTime(timestamp) : Date.now();
+    const trade = {
+      symbol: position.symbol,
+      side: position.side,
+      quantity,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      entryTime: position.openedAt,
+      exitTime,
+      duration: exitTime - position.openedAt,
+      pnl,
+      fees,
+      funding: position.funding * share,
+      marginMode: position.marginMode,
+      closeReason: reason
+    };
+
+    position.margin *= 1 - share;
+    position.fees *= 1 - share;
+    position.funding *= 1 - share;
+    position.size -= quantity;
+
+    if (position.size <= EPSILON) {
+      this.positions.delete(position.symbol);
+    }
+
+    this.trades.push(trade);
+    this.emit('trade', trade);
+    return trade;
+  }
+
+  /**
+   * Update a position's mark price and liquidate anything now under water
+   * @param {string} symbol - Contract symbol
+   * @param {number} markPrice - Mark price
+   * @param {number|string} timestamp - Time
+   * @returns {Array} Liquidation trades
+   */
+  updateMarkPrice(symbol, markPrice, timestamp) {
+    const position = this.positions.get(symbol);
+    if (position) {
+      position.markPrice = markPrice;
+    }
+    return this.checkLiquidations(timestamp);
+  }
+
+  /**
+   * Price at which a position would be liquidated, given current balances.
+   * Isolated positions are backed only by their own margin; cross positions
+   * by the wallet balance less what other positions need.
+   * @param {string} symbol - Contract symbol
+   * @returns {number|null} Liquidation price, null without a position
+   */
+  getLiquidationPrice(symbol) {
+    const position = this.positions.get(symbol);
+    if (!position) {
+      return null;
+    }
+
+    let collateral = position.margin;
+
+    if (position.marginMode === 'cross') {
+      collateral = this.balance;
+      this.positions.forEach(other => {
+        if (other === position) {
+          return;
+        }
+        collateral -= other.marginMode === 'isolated'
+          ? other.margin
+          : this.getMaintenanceMargin(other) - this.getUnrealizedPnL(other);
+      });
+    }
+
+    const mmr = this.config.maintenanceMarginRate;
+    const price = position.side === 'long'
+      ? (position.entryPrice * position.size - collateral) / (position.size * (1 - mmr))
+      : (position.entryPrice * position.size + collateral) / (position.size * (1 + mmr));
+
+    return Math.max(0, price);
+  }
+
+  /**
+   * Liquidate isolated positions whose margin no longer covers maintenance,
+   * and every cross position once cross equity falls below maintenance.
+   * Isolated losses are capped at the position's margin.
+   * @param {number|string} timestamp - Time
+   * @returns {Array} Liquidation trades
+   */
+  checkLiquidations(timestamp) {
+    const liquidations = [];
+
+    Array.from(this.positions.values())
+      .filter(position => position.marginMode === 'isolated')
+      .forEach(position => {
+        if (position.margin + this.getUnrealizedPnL(position) <= this.getMaintenanceMargin(position)) {
+          const loss = position.margin;
+          this.balance -= loss;
+          liquidations.push(this.recordClose(position, position.size, position.markPrice, 1, {
+            pnl: -loss,
+            fees: position.fees,
+            timestamp,
+            reason: 'liquidation'
+          }));
+        }
+      });
+
+    const cross = Array.from(this.positions.values()).filter(position => position.marginMode === 'cross');
+    if (cross.length > 0) {
+      let isolatedMargin = 0;
+      this.positions.forEach(position => {
+        if (position.marginMode === 'isolated') {
+          isolatedMargin += position.margin;
+        }
+      });
+
+      const crossEquity = this.balance - isolatedMargin +
+        cross.reduce((sum, position) => sum + this.getUnrealizedPnL(position), 0);
+      const maintenance = cross.reduce((sum, position) => sum + this.getMaintenanceMargin(position), 0);
+
+      if (crossEquity <= maintenance) {
+        cross.forEach(position => {
+          const pnl = this.getUnrealizedPnL(position);
+          this.balance += pnl;
+          liquidations.push(this.recordClose(position, position.size, position.markPrice, 1, {
+            pnl,
+            fees: position.fees,
+            timestamp,
+            reason: 'liquidation'
+          }));
+        });
+        // Losses beyond the cross collateral are absorbed by the exchange
+        this.balance = Math.max(this.balance, isolatedMargin);
+      }
+    }
+
+    liquidations.forEach(trade => this.emit('liquidation', trade));
+    return liquidations;
+  }
+
+  /**
+   * Settle funding for every interval boundary passed since the last call.
+   * Funding times are aligned to the epoch (00:00/08:00/16:00 UTC for 8h).
+   * With a positive rate longs pay shorts; payments use the mark price.
+   * @param {number|string} timestamp - Current time
+   * @returns {Array} Funding payments
+   */
+  applyFunding(timestamp) {
+    const time = toTime(timestamp);
+    const interval = this.config.fundingInterval;
+    const boundary = Math.floor(time / interval) * interval;
+    const payments = [];
+
+    if (this.lastFundingTime === null) {
+      this.lastFundingTime = boundary;
+      return payments;
+    }
+
+    for (let fundingTime = this.lastFundingTime + interval; fundingTime <= boundary; fundingTime += interval) {
+      const rate = this.fundingRates.getRate(fundingTime);
+      const appliedRate = rate !== null ? rate : this.config.defaultFundingRate;
+
+      this.positions.forEach(position => {
+        const direction = position.side === 'long' ? 1 : -1;
+        const amount = direction * position.size * position.markPrice * appliedRate;
+
+        if (amount === 0) {
+          return;
+        }
+
+        this.balance -= amount;
+        this.totalFunding += amount;
+        position.funding += amount;
+        if (position.marginMode === 'isolated') {
+          position.margin -= amount;
+        }
+
+        const payment = { symbol: position.symbol, side: position.side, timestamp: fundingTime, rate: appliedRate, amount };
+        this.fundingPayments.push(payment);
+        payments.push(payment);
+        this.emit('funding', payment);
+      });
+    }
+
+    this.lastFundingTime = boundary;
+    return payments;
+  }
+
+  /**
+   * Append the current equity to the equity history
+   * @param {number|string} timestamp - Time
+   */
+  recordEquity(timestamp) {
+    let unrealizedPnL = 0;
+    this.positions.forEach(position => {
+      unrealizedPnL += this.getUnrealizedPnL(position);
+    });
+
+    const point = {
+      timestamp: toTime(timestamp),
+      equity: this.balance + unrealizedPnL,
+      balance: this.balance,
+      unrealizedPnL
+    };
+
+    this.equityHistory.push(point);
+    return point;
+  }
+
+  /**
+   * Account snapshot with per-position liquidation prices
+   * @returns {Object} Summary
+   */
+  getSummary() {
+    return {
+      balance: this.balance,
+      equity: this.getEquity(),
+      availableBalance: this.getAvailableBalance(),
+      totalFunding: this.totalFunding,
+      totalFees: this.totalFees,
+      positions: Array.from(this.positions.values()).map(position => ({
+        ...position,
+        unrealizedPnL: this.getUnrealizedPnL(position),
+        maintenanceMargin: this.getMaintenanceMargin(position),
+        liquidationPrice: this.getLiquidationPrice(position.symbol)
+      }))
+    };
+  }
+}
+
+module.exports = {
+  PerpetualAccount,
+  FundingRateSeries,
+  MARGIN_MODES
+};
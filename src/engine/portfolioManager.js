@@ -1,5 +1,13 @@
 const { EventEmitter } = require('events');
 const { logger } = require('../utils/logger.js');
+const {
+  equityReturns,
+  periodsPerYear,
+  profitFactor,
+  sharpeRatio,
+  sortinoRatio,
+  winRate
+} = require('./performanceMetrics.js');
 
 class PortfolioManager extends EventEmitter {
   constructor(config = {}) {
@@ -13,6 +21,7 @@ class PortfolioManager extends EventEmitter {
       commission: 0.001, // 0.1%
       slippage: 0.0005, // 0.05%
       marginRequirement: 1.0, // 100% margin (no leverage)
+      riskFreeRate: 0, // annual, for the Sharpe ratio
       ...config
     };
 
@@ -123,9 +132,9 @@ class PortfolioManager extends EventEmitter {
   }
 
   /**
-   * Close a position
+   * Close a position, or part of it when a smaller quantity is given
    */
-  async closePosition(positionId, price = null, reason = 'manual') {
+  async closePosition(positionId, price = null, reason = 'manual', quantity = null) {
     try {
       const position = this.positions.get(positionId);
       if (!position) {
@@ -136,6 +145,26 @@ class PortfolioManager extends EventEmitter {
         return { success: false, reason: 'Position already closed' };
       }
 
+      // Partial close: carve the closed quantity out into its own position
+      // so the original keeps its id for the remainder
+      if (quantity && quantity < position.quantity) {
+        const share = quantity / position.quantity;
+        const closing = {
+          ...position,
+          id: this.generatePositionId(),
+          quantity,
+          commission: position.commission * share,
+          metadata: { ...position.metadata, parentPositionId: position.id }
+        };
+
+        position.quantity -= quantity;
+        position.commission -= closing.commission;
+        position.unrealizedPnL = this.calculatePnL(position);
+        this.positions.set(closing.id, closing);
+
+        return this.closePosition(closing.id, price, reason);
+      }
+
       const exitPrice = price || position.currentPrice;
       const exitTime = Date.now();
 
@@ -148,9 +177,8 @@ class PortfolioManager extends EventEmitter {
       const slippage = this.calculateSlippage(position.quantity, exitPrice);
       const finalPnl = netPnl - slippage;
 
-      // Update balance
-      const positionValue = position.quantity * exitPrice;
-      this.balance += positionValue + finalPnl;
+      // Release the margin; the entry commission was paid on opening
+      this.balance += this.calculateMargin(position) + finalPnl + position.commission;
 
       // Update position
       position.status = 'closed';
@@ -324,9 +352,14 @@ class PortfolioManager extends EventEmitter {
    * Calculate total cost of position
    */
   calculateTotalCost(position) {
-    const positionValue = position.quantity * position.entryPrice;
-    const marginRequired = positionValue * this.config.marginRequirement;
-    return marginRequired + position.commission;
+    return this.calculateMargin(position) + position.commission;
+  }
+
+  /**
+   * Calculate the margin held by a position
+   */
+  calculateMargin(position) {
+    return position.quantity * position.entryPrice * this.config.marginRequirement;
   }
 
   /**
@@ -334,14 +367,16 @@ class PortfolioManager extends EventEmitter {
    */
   updateEquity() {
     let totalUnrealizedPnL = 0;
+    let totalMargin = 0;
 
     this.positions.forEach((position) => {
       if (position.status === 'open') {
         totalUnrealizedPnL += position.unrealizedPnL;
+        totalMargin += this.calculateMargin(position);
       }
     });
 
-    this.equity = this.balance + totalUnrealizedPnL;
+    this.equity = this.balance + totalMargin + totalUnrealizedPnL;
 
     // Update performance tracking
     this.performance.equityHistory.push({
@@ -425,20 +460,16 @@ class PortfolioManager extends EventEmitter {
    * Get performance metrics
    */
   getPerformanceMetrics() {
-    const winRate = this.performance.totalTrades > 0
-      ? (this.performance.winningTrades / this.performance.totalTrades) * 100
-      : 0;
-
-    const profitFactor = this.performance.totalLoss > 0
-      ? this.performance.totalProfit / this.performance.totalLoss
-      : this.performance.totalProfit > 0 ? Infinity : 0;
-
     const roi = ((this.equity - this.config.initialBalance) / this.config.initialBalance) * 100;
+    const returns = equityReturns(this.performance.equityHistory);
+    const periods = periodsPerYear(this.performance.equityHistory);
 
     return {
       ...this.performance,
-      winRate,
-      profitFactor,
+      winRate: winRate(this.trades),
+      profitFactor: profitFactor(this.trades),
+      sharpeRatio: sharpeRatio(returns, { periodsPerYear: periods, riskFreeRate: this.config.riskFreeRate }),
+      sortinoRatio: sortinoRatio(returns, { periodsPerYear: periods }),
       roi,
       averageWin: this.performance.winningTrades > 0
         ? this.performance.totalProfit / this.performance.winningTrades
@@ -8,6 +8,18 @@ class PortfolioSimulator {
     this.fee = options.fee || 0.1; // Trading fee percentage
     this.trades = [];
     this.totalFees = 0;
+
+    // Margin account for short positions. Shorts lock `notional / leverage` of
+    // cash as collateral; borrowFee (percentage of the borrowed notional) is
+    // charged once per candle and the position is force-closed when its equity
+    // drops below maintenanceMargin (percentage of the current notional).
+    this.leverage = options.leverage || 1;
+    this.borrowFee = options.borrowFee || 0;
+    this.maintenanceMargin = options.maintenanceMargin !== undefined ? options.maintenanceMargin : 25;
+    this.shortPosition = 0; // Borrowed asset amount
+    this.shortEntryPrice = 0; // Average short entry price
+    this.shortCollateral = 0; // Cash locked as margin for the short
+    this.totalBorrowFees = 0;
   }
 
   /**
@@ -16,7 +28,20 @@ class PortfolioSimulator {
    * @returns {number} Total portfolio value
    */
   getTotalValue(currentPrice) {
-    return this.balance + (this.position * currentPrice);
+    return this.balance + (this.position * currentPrice) + this.getShortEquity(currentPrice);
+  }
+
+  /**
+   * Get the equity held in the short position (collateral plus unrealized P&L)
+   * @param {number} currentPrice - Current asset price
+   * @returns {number} Short position equity
+   */
+  getShortEquity(currentPrice) {
+    if (this.shortPosition <= 0) {
+      return 0;
+    }
+
+    return this.shortCollateral + (this.shortEntryPrice - currentPrice) * this.shortPosition;
   }
 
   /**
@@ -28,6 +53,7 @@ class PortfolioSimulator {
     const totalValue = this.getTotalValue(currentPrice);
     const cashValue = this.balance;
     const assetValue = this.position * currentPrice;
+    const shortValue = this.getShortEquity(currentPrice);
 
     return {
       totalValue,
@@ -40,6 +66,12 @@ class PortfolioSimulator {
         amount: this.position,
         value: assetValue,
         percentage: totalValue > 0 ? (assetValue / totalValue) * 100 : 0
+      },
+      short: {
+        amount: this.shortPosition,
+        value: shortValue,
+        notional: this.shortPosition * currentPrice,
+        percentage: totalValue > 0 ? (shortValue / totalValue) * 100 : 0
       }
     };
   }
@@ -65,6 +97,10 @@ class PortfolioSimulator {
       throw new Error('Price must be positive');
     }
 
+    if (this.shortPosition > 0) {
+      throw new Error('Cannot buy while a short position is open. Cover it first');
+    }
+
     let cashToSpend;
 
     if (amount === 'all') {
@@ -190,6 +226,197 @@ class PortfolioSimulator {
     return trade;
   }
 
+  /**
+   * Open or add to a short position
+   * @param {number|string} amount - Amount to short ('all' to use all available cash as margin)
+   * @param {number} price - Price per unit
+   * @param {string} timestamp - Trade timestamp
+   * @returns {Object} Trade object
+   */
+  short(amount, price, timestamp) {
+    if (price <= 0) {
+      throw new Error('Price must be positive');
+    }
+
+    if (this.position > 0) {
+      throw new Error('Cannot short while a long position is open. Sell it first');
+    }
+
+    let assetToShort;
+
+    if (amount === 'all') {
+      assetToShort = this.getMaxShortAmount(price);
+    } else if (typeof amount === 'number') {
+      if (amount <= 0) {
+        throw new Error('Amount must be positive');
+      }
+      assetToShort = amount;
+    } else {
+      throw new Error('Amount must be a number or "all"');
+    }
+
+    if (assetToShort <= 0) {
+      throw new Error('No cash available to post as margin');
+    }
+
+    const notional = assetToShort * price;
+    const margin = notional / this.leverage;
+    const fee = this.calculateFee(notional);
+
+    if (margin + fee > this.balance + 1e-9) {
+      throw new Error(`Insufficient margin. Available: ${this.balance}, Required: ${margin + fee}`);
+    }
+
+    // Execute trade
+    this.shortEntryPrice = (this.shortEntryPrice * this.shortPosition + notional) /
+      (this.shortPosition + assetToShort);
+    this.shortPosition += assetToShort;
+    this.shortCollateral += margin;
+    this.balance = Math.max(0, this.balance - margin - fee);
+    this.totalFees += fee;
+
+    const trade = {
+      id: this.trades.length + 1,
+      action: 'short',
+      amount: assetToShort,
+      price,
+      proceeds: notional,
+      margin,
+      fee,
+      leverage: this.leverage,
+      liquidationPrice: this.getLiquidationPrice(),
+      timestamp,
+      balanceAfter: this.balance,
+      positionAfter: this.position,
+      shortPositionAfter: this.shortPosition
+    };
+
+    this.trades.push(trade);
+    return trade;
+  }
+
+  /**
+   * Buy back (part of) the short position
+   * @param {number|string} amount - Amount to cover ('all' for the whole short position)
+   * @param {number} price - Price per unit
+   * @param {string} timestamp - Trade timestamp
+   * @param {string} action - Action recorded on the trade ('cover' or 'liquidation')
+   * @returns {Object} Trade object
+   */
+  cover(amount, price, timestamp, action = 'cover') {
+    if (price <= 0) {
+      throw new Error('Price must be positive');
+    }
+
+    let assetToCover;
+
+    if (amount === 'all') {
+      assetToCover = this.shortPosition;
+    } else if (typeof amount === 'number') {
+      if (amount <= 0) {
+        throw new Error('Amount must be positive');
+      }
+      assetToCover = amount;
+    } else {
+      throw new Error('Amount must be a number or "all"');
+    }
+
+    if (assetToCover > this.shortPosition + 1e-12) {
+      throw new Error(`Insufficient short position. Available: ${this.shortPosition}, Required: ${assetToCover}`);
+    }
+
+    if (assetToCover <= 0) {
+      throw new Error('No short position available to cover');
+    }
+
+    assetToCover = Math.min(assetToCover, this.shortPosition);
+
+    const cost = assetToCover * price;
+    const fee = this.calculateFee(cost);
+    const share = assetToCover / this.shortPosition;
+    const collateralReleased = this.shortCollateral * share;
+    const grossProfit = (this.shortEntryPrice - price) * assetToCover;
+    const profit = grossProfit - fee;
+
+    // Execute trade. Losses beyond the released collateral are taken from the
+    // free cash balance; the account cannot go below zero.
+    this.shortPosition -= assetToCover;
+    this.shortCollateral -= collateralReleased;
+    this.balance = Math.max(0, this.balance + collateralReleased + profit);
+    this.totalFees += fee;
+
+    if (this.shortPosition <= 1e-12) {
+      this.shortPosition = 0;
+      this.shortCollateral = 0;
+      this.shortEntryPrice = 0;
+    }
+
+    const trade = {
+      id: this.trades.length + 1,
+      action,
+      amount: assetToCover,
+      price,
+      cost,
+      fee,
+      profit,
+      timestamp,
+      balanceAfter: this.balance,
+      positionAfter: this.position,
+      shortPositionAfter: this.shortPosition
+    };
+
+    this.trades.push(trade);
+    return trade;
+  }
+
+  /**
+   * Apply per-candle margin bookkeeping: charge the borrow fee and force-close
+   * the short position when the candle's high breaches maintenance margin.
+   * @param {Object} candle - Candle with high/close/timestamp
+   * @returns {Object|null} Liquidation trade or null
+   */
+  applyCandle(candle) {
+    if (this.shortPosition <= 0) {
+      return null;
+    }
+
+    if (this.borrowFee > 0) {
+      let borrowCost = (this.shortPosition * candle.close * this.borrowFee) / 100;
+      this.totalBorrowFees += borrowCost;
+      this.totalFees += borrowCost;
+
+      // Fees come out of free cash first, then out of the posted collateral
+      const fromBalance = Math.min(this.balance, borrowCost);
+      this.balance -= fromBalance;
+      borrowCost -= fromBalance;
+      this.shortCollateral -= borrowCost;
+    }
+
+    const liquidationPrice = this.getLiquidationPrice();
+    if (liquidationPrice !== null && candle.high >= liquidationPrice) {
+      // A gap through the liquidation level fills at the open
+      const fillPrice = Math.max(liquidationPrice, candle.open || liquidationPrice);
+      return this.cover('all', fillPrice, candle.timestamp, 'liquidation');
+    }
+
+    return null;
+  }
+
+  /**
+   * Price at which the short position's equity falls to maintenance margin
+   * @returns {number|null} Liquidation price or null if no short is open
+   */
+  getLiquidationPrice() {
+    if (this.shortPosition <= 0) {
+      return null;
+    }
+
+    // collateral + (entry - p) * size = p * size * mm  =>  p = (collateral + entry * size) / (size * (1 + mm))
+    const mm = this.maintenanceMargin / 100;
+    return (this.shortCollateral + this.shortEntryPrice * this.shortPosition) /
+      (this.shortPosition * (1 + mm));
+  }
+
   /**
    * Calculate average buy price from trade history
    * @returns {number|null} Average buy price or null if no buy trades
@@ -224,18 +451,24 @@ class PortfolioSimulator {
 
     const buyTrades = this.trades.filter(t => t.action === 'buy');
     const sellTrades = this.trades.filter(t => t.action === 'sell');
+    const shortTrades = this.trades.filter(t => t.action === 'short');
+    const coverTrades = this.trades.filter(t => t.action === 'cover' || t.action === 'liquidation');
 
     const totalBought = buyTrades.reduce((sum, t) => sum + t.amount, 0);
     const totalSold = sellTrades.reduce((sum, t) => sum + t.amount, 0);
 
-    const realizedProfit = sellTrades.reduce((sum, t) => sum + (t.profit || 0), 0);
-    const unrealizedProfit = this.position > 0 && currentPrice ?
+    const realizedProfit = [...sellTrades, ...coverTrades].reduce((sum, t) => sum + (t.profit || 0), 0);
+    const unrealizedLong = this.position > 0 && currentPrice ?
       (currentPrice - (this.calculateAverageBuyPrice() || 0)) * this.position : 0;
+    const unrealizedShort = this.shortPosition > 0 && currentPrice ?
+      (this.shortEntryPrice - currentPrice) * this.shortPosition : 0;
+    const unrealizedProfit = unrealizedLong + unrealizedShort;
 
     return {
       initialBalance: this.initialBalance,
       currentBalance: this.balance,
       currentPosition: this.position,
+      currentShortPosition: this.shortPosition,
       currentValue,
       totalReturn,
       roi,
@@ -243,6 +476,10 @@ class PortfolioSimulator {
       totalTrades: this.trades.length,
       buyTrades: buyTrades.length,
       sellTrades: sellTrades.length,
+      shortTrades: shortTrades.length,
+      coverTrades: coverTrades.length,
+      liquidations: coverTrades.filter(t => t.action === 'liquidation').length,
+      totalBorrowFees: this.totalBorrowFees,
       totalBought,
       totalSold,
       realizedProfit,
@@ -292,6 +529,40 @@ class PortfolioSimulator {
     }
   }
 
+  /**
+   * Check if portfolio can short a certain amount
+   * @param {number|string} amount - Amount to check
+   * @param {number} price - Price per unit
+   * @returns {boolean} True if can short
+   */
+  canShort(amount, price) {
+    if (this.position > 0) {
+      return false;
+    }
+
+    if (amount === 'all') {
+      return this.balance > 0;
+    }
+
+    const notional = amount * price;
+    return this.balance >= notional / this.leverage + this.calculateFee(notional);
+  }
+
+  /**
+   * Get maximum shortable amount at current price
+   * @param {number} price - Price per unit
+   * @returns {number} Maximum shortable amount
+   */
+  getMaxShortAmount(price) {
+    if (price <= 0 || this.balance <= 0) {
+      return 0;
+    }
+
+    // balance = notional / leverage + notional * fee% / 100
+    const marginMultiplier = 1 / this.leverage + this.fee / 100;
+    return this.balance / (price * marginMultiplier);
+  }
+
   /**
    * Get maximum buyable amount at current price
    * @param {number} price - Price per unit
@@ -319,6 +590,10 @@ class PortfolioSimulator {
     this.position = 0;
     this.trades = [];
     this.totalFees = 0;
+    this.shortPosition = 0;
+    this.shortEntryPrice = 0;
+    this.shortCollateral = 0;
+    this.totalBorrowFees = 0;
   }
 
   /**
@@ -329,6 +604,10 @@ class PortfolioSimulator {
     return {
       balance: this.balance,
       position: this.position,
+      shortPosition: this.shortPosition,
+      shortEntryPrice: this.shortEntryPrice,
+      shortCollateral: this.shortCollateral,
+      liquidationPrice: this.getLiquidationPrice(),
       totalFees: this.totalFees,
       tradesCount: this.trades.length,
       lastTrade: this.trades.length > 0 ? this.trades[this.trades.length - 1] : null
@@ -344,11 +623,18 @@ class PortfolioSimulator {
       initialBalance: this.initialBalance,
       currency: this.currency,
       asset: this.asset,
-      fee: this.fee
+      fee: this.fee,
+      leverage: this.leverage,
+      borrowFee: this.borrowFee,
+      maintenanceMargin: this.maintenanceMargin
     });
 
     clone.balance = this.balance;
     clone.position = this.position;
+    clone.shortPosition = this.shortPosition;
+    clone.shortEntryPrice = this.shortEntryPrice;
+    clone.shortCollateral = this.shortCollateral;
+    clone.totalBorrowFees = this.totalBorrowFees;
     clone.totalFees = this.totalFees;
     clone.trades = [...this.trades];
 
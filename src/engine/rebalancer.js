@@ -0,0 +1,161 @@
+/**
+ * Target-weight rebalancing
+ *
+ * Turns target allocations such as `{ BTC: 0.5, ETH: 0.3, USD: 0.2 }` into
+ * the market orders that move a portfolio there. Shared by the portfolio
+ * backtester and the paper trading engine so strategies only describe the
+ * allocation they want.
+ */
+
+const EPSILON = 1e-9;
+
+class Rebalancer {
+  /**
+   * @param {Object} config
+   * @param {string} config.currency - Cash key accepted in target weights
+   * @param {number} config.driftThreshold - Largest absolute weight drift tolerated before rebalancing (0.05 = 5 points)
+   * @param {number} config.minTradeValue - Smallest order value worth placing, in currency
+   * @param {number} config.feeRate - Fee charged per order as a fraction of its value
+   */
+  constructor(config = {}) {
+    this.config = {
+      currency: 'USD',
+      driftThreshold: 0,
+      minTradeValue: 0,
+      feeRate: 0,
+      ...config
+    };
+  }
+
+  /**
+   * Validate target weights and split off the cash allocation. Weights must
+   * be long-only and may sum to less than one; the remainder stays in cash.
+   * @param {Object} targets - Weights keyed by symbol, optionally the currency
+   * @param {Array<string>} symbols - Tradable symbols
+   * @returns {Object} Weights by symbol (missing symbols default to 0)
+   * @throws {Error} On unknown symbols, negative weights or weights above 100%
+   */
+  normalizeTargets(targets, symbols) {
+    if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+      throw new Error('Target weights must be an object');
+    }
+
+    const weights = {};
+    symbols.forEach(symbol => {
+      weights[symbol] = 0;
+    });
+
+    let total = 0;
+
+    Object.entries(targets).forEach(([key, weight]) => {
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Target weight for ${key} must be a non-negative number`);
+      }
+
+      total += weight;
+
+      if (key === this.config.currency) {
+        return;
+      }
+
+      if (!symbols.includes(key)) {
+        throw new Error(`Unknown symbol in target weights: ${key}`);
+      }
+
+      weights[key] = weight;
+    });
+
+    if (total > 1 + EPSILON) {
+      throw new Error(`Target weights sum to ${total}, which exceeds 1`);
+    }
+
+    return weights;
+  }
+
+  /**
+   * Current weight of each symbol in the portfolio
+   * @param {Object} holdings - Quantity by symbol
+   * @param {Object} prices - Price by symbol
+   * @param {number} equity - Total portfolio value
+   * @returns {Object} Weights by symbol
+   */
+  getWeights(holdings, prices, equity) {
+    const weights = {};
+
+    Object.keys(prices).forEach(symbol => {
+      weights[symbol] = equity > 0 ? ((holdings[symbol] || 0) * prices[symbol]) / equity : 0;
+    });
+
+    return weights;
+  }
+
+  /**
+   * Plan the orders that move holdings to the target weights. Nothing is
+   * traded while every weight is within the drift threshold; otherwise all
+   * symbols are brought back to target except orders below the minimum trade
+   * value. Sells are listed first, and buys are scaled down when cash (after
+   * fees) cannot cover them.
+   * @param {Object} state
+   * @param {Object} state.targets - Target weights
+   * @param {Object} state.prices - Price by symbol for every tradable symbol
+   * @param {Object} state.holdings - Quantity by symbol
+   * @param {number} state.cash - Available cash
+   * @returns {Object} { rebalance, drift, weights, targets, orders }
+   */
+  plan({ targets, prices, holdings = {}, cash }) {
+    const symbols = Object.keys(prices);
+    const weights = this.normalizeTargets(targets, symbols);
+
+    let equity = cash;
+    symbols.forEach(symbol => {
+      equity += (holdings[symbol] || 0) * prices[symbol];
+    });
+
+    const current = this.getWeights(holdings, prices, equity);
+    const drift = Math.max(0, ...symbols.map(symbol => Math.abs(current[symbol] - weights[symbol])));
+    const result = { rebalance: false, drift, weights: current, targets: weights, orders: [] };
+
+    if (equity <= 0 || drift <= this.config.driftThreshold + EPSILON) {
+      return result;
+    }
+
+    const { feeRate, minTradeValue } = this.config;
+    const sells = [];
+    const buys = [];
+
+    symbols.forEach(symbol => {
+      const price = prices[symbol];
+      const held = holdings[symbol] || 0;
+      const delta = weights[symbol] * equity - held * price;
+
+      if (Math.abs(delta) < Math.max(minTradeValue, EPSILON)) {
+        return;
+      }
+
+      if (delta < 0) {
+        const quantity = Math.min(-delta / price, held);
+        sells.push({ symbol, side: 'sell', quantity, price, value: quantity * price });
+      } else {
+        buys.push({ symbol, side: 'buy', quantity: delta / price, price, value: delta });
+      }
+    });
+
+    const available = cash + sells.reduce((sum, order) => sum + order.value * (1 - feeRate), 0);
+    const required = buys.reduce((sum, order) => sum + order.value * (1 + feeRate), 0);
+
+    if (required > available) {
+      const scale = Math.max(0, available) / required;
+      buys.forEach(order => {
+        order.quantity *= scale;
+        order.value *= scale;
+      });
+    }
+
+    result.orders = sells.concat(buys.filter(order => order.value >= Math.max(minTradeValue, EPSILON)));
+    result.rebalance = result.orders.length > 0;
+
+    return result;
+  }
+}
+
+module.exports = { Rebalancer };
@@ -1,6 +1,56 @@
 const { EventEmitter } = require('events');
 const { logger } = require('../utils/logger.js');
 const { AdvancedBacktester } = require('./advancedBacktester.js');
+const { OptimizerWorkerPool, loadStrategy } = require('./optimizerWorkerPool.js');
+const { GaussianProcess, expectedImprovement, upperConfidenceBound } = require('./gaussianProcess.js');
+const { createRandom } = require('./monteCarlo.js');
+const {
+  deflatedSharpeRatio,
+  neighbourhoodStability,
+  periodSharpe,
+  probabilityOfBacktestOverfitting
+} = require('./overfittingDiagnostics.js');
+const {
+  annualizedReturn,
+  calmarRatio,
+  equityReturns,
+  periodsPerYear,
+  sharpeRatio,
+  sortinoRatio,
+  standardDeviation
+} = require('./performanceMetrics.js');
+
+const OBJECTIVE_NAMES = [
+  'profit', 'sharpe', 'calmar', 'sortino', 'profit_factor', 'win_rate', 'custom', 'max_drawdown', 'trade_count'
+];
+
+// Objectives that are minimized by default; every other objective is maximized
+const MINIMIZED_OBJECTIVES = ['max_drawdown'];
+
+/**
+ * Objectives of a multi-objective run as [{ name, direction }], from names
+ * or { name, direction } entries
+ */
+function normalizeObjectives(objectives) {
+  return objectives.map(objective => {
+    const { name, direction } = typeof objective === 'string' ? { name: objective } : objective;
+    return { name, direction: direction || (MINIMIZED_OBJECTIVES.includes(name) ? 'minimize' : 'maximize') };
+  });
+}
+
+/**
+ * Identity of a parameter set, whatever order its keys were set in
+ */
+function evaluationKey(parameters) {
+  return JSON.stringify(Object.keys(parameters).sort().map(name => [name, parameters[name]]));
+}
+
+/**
+ * Parameter sets evaluated per grid/random search chunk
+ */
+function getChunkSize(config) {
+  return Math.max(1, config.workers || 0) * Math.max(1, config.parallelEvaluations || 1);
+}
 
 class StrategyOptimizer extends EventEmitter {
   constructor(config = {}) {
@@ -13,9 +63,28 @@ class StrategyOptimizer extends EventEmitter {
       crossoverRate: 0.8,
       elitismRate: 0.1,
       fitnessFunction: 'sharpe', // 'profit', 'sharpe', 'calmar', 'custom'
+      riskFreeRate: 0, // annual, for the Sharpe ratio
       convergenceThreshold: 0.001,
       maxStagnantGenerations: 20,
-      parallelEvaluations: 4,
+      workers: 0, // worker threads evaluating parameter sets (0 evaluates on the main thread)
+      parallelEvaluations: 4, // parameter sets per worker in each grid/random search chunk
+      bayesianIterations: 100,
+      bayesianInitialSamples: null, // random samples before the surrogate takes over (default: min(10, iterations / 4))
+      bayesianAcquisition: 'ei', // 'ei' (expected improvement) or 'ucb' (upper confidence bound)
+      bayesianXi: 0.01, // EI exploration margin, in standard deviations of the observed fitness
+      bayesianKappa: 2, // UCB exploration weight
+      bayesianCandidates: 1000, // random candidates scored per acquisition
+      bayesianSeed: null, // seed for reproducible Bayesian runs (default: seed)
+      randomIterations: 1000, // parameter sets tried by random search
+      seed: null, // seed for reproducible runs; a seeded run replays exactly, so it can resume from its evaluations
+      objectives: ['profit', 'max_drawdown'], // 'nsga2' objectives: names or { name, direction }
+      diagnostics: false, // attach overfitting diagnostics to single-objective results (extra backtests)
+      diagnosticsTrials: 50, // parameter sets re-run for their returns (deflated Sharpe ratio, PBO)
+      diagnosticsBlocks: 16, // CSCV blocks for the probability of backtest overfitting
+      diagnosticsMinDeflatedSharpe: 0.95,
+      diagnosticsMaxPbo: 0.5,
+      diagnosticsMinStability: 0.5, // mean neighbour fitness over the winner's
+      backtest: {}, // AdvancedBacktester options for each evaluation
       ...config
     };
 
@@ -23,24 +92,99 @@ class StrategyOptimizer extends EventEmitter {
     this.bestIndividual = null;
     this.generationHistory = [];
     this.isRunning = false;
+    this.stopRequested = false;
+    this.workerPool = null;
+    this.evaluations = new Map();
+    this.random = Math.random;
 
     this.geneticAlgorithm = new GeneticAlgorithm(this.config);
     this.gridSearchOptimizer = new GridSearchOptimizer(this.config);
     this.bayesianOptimizer = new BayesianOptimizer(this.config);
+    this.multiObjectiveOptimizer = new NSGA2Optimizer(this.config);
+
+    this.geneticAlgorithm.on('generationCompleted', data => this.emit('generationCompleted', data));
+    this.multiObjectiveOptimizer.on('generationCompleted', data => this.emit('generationCompleted', data));
+    this.gridSearchOptimizer.on('evaluationProgress', data => this.emit('evaluationProgress', data));
+  }
+
+  /**
+   * Build an optimizer parameter space from BaseStrategy parameter
+   * definitions. Numeric parameters need a min and max; a definition can
+   * narrow its search range with `optimize: { min, max, step }` or opt out
+   * with `optimize: false`.
+   * @param {Object} definitions - Strategy `parameterDefinitions`
+   * @returns {Object} Parameter space
+   */
+  static parameterSpaceFromDefinitions(definitions = {}) {
+    const space = {};
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      if (definition.optimize === false) {
+        continue;
+      }
+
+      const range = typeof definition.optimize === 'object'
+        ? { ...definition, ...definition.optimize }
+        : definition;
+
+      if (range.type === 'boolean') {
+        space[name] = { type: 'boolean' };
+      } else if (range.type === 'select' && Array.isArray(range.options)) {
+        space[name] = {
+          type: 'choice',
+          choices: range.options.map(option => (typeof option === 'object' ? option.value : option))
+        };
+      } else if (range.type === 'number' && Number.isFinite(range.min) && Number.isFinite(range.max)) {
+        const integer = [range.min, range.max, range.step || 1].every(Number.isInteger);
+        space[name] = { type: integer ? 'integer' : 'float', min: range.min, max: range.max };
+        if (range.step) {
+          space[name].step = range.step;
+        }
+      }
+    }
+
+    return space;
   }
 
   /**
    * Optimize strategy parameters
+   * @param {Object|string} strategy - Strategy instance, or the path of a
+   *   strategy module. Worker evaluation (`workers` > 0) needs a path, since
+   *   strategy objects cannot be sent to worker threads.
+   * @param {Array} marketData - Candles
+   * @param {Object} parameterSpace - Parameter space
+   * @param {string} method - 'genetic', 'grid', 'bayesian', 'random' or 'nsga2' (multi-objective)
+   * @param {Object} options - { evaluations: results of an earlier run, from
+   *   getEvaluations(), that are reused instead of evaluated again }
    */
-  async optimize(strategy, marketData, parameterSpace, method = 'genetic') {
+  async optimize(strategy, marketData, parameterSpace, method = 'genetic', options = {}) {
     if (this.isRunning) {
       throw new Error('Optimization is already running');
     }
 
     try {
       this.isRunning = true;
+      this.stopRequested = false;
+      this.evaluations = new Map();
+      (options.evaluations || []).forEach(({ parameters, ...scores }) => {
+        this.evaluations.set(evaluationKey(parameters), { parameters, ...scores });
+      });
+      this.random = createRandom(this.config.seed ?? null);
       this.emit('optimizationStarted');
 
+      if (method === 'nsga2') {
+        this.getObjectives();
+      }
+
+      if (this.config.workers > 0) {
+        if (typeof strategy !== 'string') {
+          throw new Error('Worker evaluation needs the strategy as a module path');
+        }
+        this.workerPool = this.createWorkerPool(strategy, marketData);
+      } else if (typeof strategy === 'string') {
+        strategy = await loadStrategy(strategy);
+      }
+
       logger.info(`Starting ${method} optimization...`);
 
       let result;
@@ -57,21 +201,135 @@ class StrategyOptimizer extends EventEmitter {
       case 'random':
         result = await this.runRandomSearch(strategy, marketData, parameterSpace);
         break;
+      case 'nsga2':
+        result = await this.runMultiObjectiveOptimization(strategy, marketData, parameterSpace);
+        break;
       default:
         throw new Error(`Unknown optimization method: ${method}`);
       }
 
+      // NSGA-II has no single winner to diagnose
+      if (this.config.diagnostics && method !== 'nsga2' && result.bestParameters) {
+        result.diagnostics = await this.diagnose(strategy, marketData, parameterSpace, result);
+      }
+
       logger.info('Optimization completed successfully');
       this.emit('optimizationCompleted', result);
 
       return result;
 
     } catch (error) {
-      logger.error('Optimization failed:', error);
-      this.emit('optimizationError', error);
+      if (!this.stopRequested) {
+        logger.error('Optimization failed:', error);
+        this.emit('optimizationError', error);
+      }
       throw error;
     } finally {
       this.isRunning = false;
+      if (this.workerPool) {
+        this.workerPool.terminate();
+        this.workerPool = null;
+      }
+    }
+  }
+
+  /**
+   * Create the worker pool for an optimization run. Every worker gets the
+   * candles once; afterwards only parameter sets and fitness values travel.
+   */
+  createWorkerPool(strategyPath, marketData) {
+    const { backtest, fitnessFunction, riskFreeRate, objectives } = this.config;
+
+    return new OptimizerWorkerPool({
+      size: this.config.workers,
+      workerData: {
+        strategyPath,
+        marketData,
+        config: { backtest, fitnessFunction, riskFreeRate, objectives }
+      }
+    });
+  }
+
+  /**
+   * Evaluate parameter sets, on the worker pool when one is running
+   * @param {Object} strategy - Strategy (unused by workers, which load their own)
+   * @param {Array} marketData - Candles
+   * @param {Array<Object>} parameterSets - Parameter sets
+   * @param {string} evaluation - 'fitness', 'objectives' for objective vectors
+   *   or 'returns' for per-bar returns
+   * @returns {Promise<Array>} Fitness (objective values, returns) per parameter set, in input order
+   */
+  async evaluateBatch(strategy, marketData, parameterSets, evaluation = 'fitness') {
+    if (this.stopRequested) {
+      throw new Error('Optimization stopped');
+    }
+
+    // Fitness and objective values are remembered per parameter set, so a
+    // set is only backtested once per run. Every remembered fitness is also
+    // a trial for the overfitting diagnostics.
+    const remembered = evaluation === 'fitness' || evaluation === 'objectives';
+    const lookup = parameters => {
+      const entry = this.evaluations.get(evaluationKey(parameters));
+      return entry ? entry[evaluation] : undefined;
+    };
+    const remember = (parameters, score) => {
+      const key = evaluationKey(parameters);
+      this.evaluations.set(key, { ...this.evaluations.get(key), parameters, [evaluation]: score });
+    };
+
+    const pending = remembered
+      ? [...new Map(parameterSets
+        .filter(parameters => lookup(parameters) === undefined)
+        .map(parameters => [evaluationKey(parameters), parameters])).values()]
+      : parameterSets;
+
+    let scores;
+    if (this.workerPool) {
+      scores = pending.length > 0 ? await this.workerPool.evaluate(pending, evaluation) : [];
+      if (remembered) {
+        pending.forEach((parameters, i) => remember(parameters, scores[i]));
+      }
+    } else {
+      scores = [];
+      for (const parameters of pending) {
+        if (this.stopRequested) {
+          throw new Error('Optimization stopped');
+        }
+        scores.push(await this.evaluate(strategy, marketData, parameters, evaluation));
+        if (remembered) {
+          remember(parameters, scores[scores.length - 1]);
+        }
+      }
+    }
+
+    const results = remembered ? parameterSets.map(lookup) : scores;
+    // `evaluated` counts the sets actually backtested; the rest were remembered
+    this.emit('batchEvaluated', { evaluation, parameterSets, scores: results, evaluated: pending.length });
+
+    return results;
+  }
+
+  /**
+   * Fitness and objective values of every parameter set evaluated in the
+   * current (or last) run
+   * @returns {Array<Object>} [{ parameters, fitness?, objectives? }]
+   */
+  getEvaluations() {
+    return [...this.evaluations.values()];
+  }
+
+  /**
+   * Evaluate one parameter set in-process
+   * @param {string} evaluation - 'fitness', 'objectives' or 'returns'
+   */
+  async evaluate(strategy, marketData, parameters, evaluation = 'fitness') {
+    switch (evaluation) {
+    case 'objectives':
+      return await this.evaluateObjectives(strategy, marketData, parameters);
+    case 'returns':
+      return await this.evaluateReturns(strategy, marketData, parameters);
+    default:
+      return await this.evaluateIndividual(strategy, marketData, parameters);
     }
   }
 
@@ -83,7 +341,7 @@ class StrategyOptimizer extends EventEmitter {
       strategy,
       marketData,
       parameterSpace,
-      this.evaluateIndividual.bind(this)
+      this.evaluateBatch.bind(this)
     );
   }
 
@@ -95,7 +353,7 @@ class StrategyOptimizer extends EventEmitter {
       strategy,
       marketData,
       parameterSpace,
-      this.evaluateIndividual.bind(this)
+      this.evaluateBatch.bind(this)
     );
   }
 
@@ -107,31 +365,44 @@ class StrategyOptimizer extends EventEmitter {
       strategy,
       marketData,
       parameterSpace,
-      this.evaluateIndividual.bind(this)
+      this.evaluateBatch.bind(this)
+    );
+  }
+
+  /**
+   * Run NSGA-II multi-objective optimization
+   */
+  async runMultiObjectiveOptimization(strategy, marketData, parameterSpace) {
+    return await this.multiObjectiveOptimizer.optimize(
+      strategy,
+      marketData,
+      parameterSpace,
+      this.evaluateBatch.bind(this)
     );
   }
 
   /**
    * Run random search optimization
    */
-  async runRandomSearch(strategy, marketData, parameterSpace, iterations = 1000) {
+  async runRandomSearch(strategy, marketData, parameterSpace, iterations = this.config.randomIterations) {
     const results = [];
-
-    for (let i = 0; i < iterations; i++) {
-      const parameters = this.generateRandomParameters(parameterSpace);
-      const fitness = await this.evaluateIndividual(strategy, marketData, parameters);
-
-      results.push({
-        parameters,
-        fitness,
-        iteration: i + 1
-      });
-
-      this.emit('evaluationCompleted', {
-        iteration: i + 1,
-        total: iterations,
-        parameters,
-        fitness
+    const chunkSize = getChunkSize(this.config);
+
+    for (let start = 0; start < iterations; start += chunkSize) {
+      const chunk = Array.from({ length: Math.min(chunkSize, iterations - start) },
+        () => this.generateRandomParameters(parameterSpace));
+      const fitness = await this.evaluateBatch(strategy, marketData, chunk);
+
+      chunk.forEach((parameters, j) => {
+        const iteration = start + j + 1;
+        results.push({ parameters, fitness: fitness[j], iteration });
+
+        this.emit('evaluationCompleted', {
+          iteration,
+          total: iterations,
+          parameters,
+          fitness: fitness[j]
+        });
       });
     }
 
@@ -155,20 +426,7 @@ class StrategyOptimizer extends EventEmitter {
    */
   async evaluateIndividual(strategy, marketData, parameters) {
     try {
-      // Create strategy copy with parameters
-      const strategyInstance = this.createStrategyInstance(strategy, parameters);
-
-      // Run backtest
-      const backtester = new AdvancedBacktester({
-        initialBalance: 10000,
-        commission: 0.001,
-        slippage: 0.0005
-      });
-
-      await backtester.loadData(marketData);
-      backtester.setStrategy(strategyInstance);
-
-      const results = await backtester.run();
+      const results = await this.backtestParameters(strategy, marketData, parameters);
 
       // Calculate fitness based on configured function
       const fitness = this.calculateFitness(results);
@@ -181,10 +439,70 @@ class StrategyOptimizer extends EventEmitter {
     }
   }
 
+  /**
+   * Evaluate a parameter set on every configured objective
+   * @returns {Promise<Array<number>>} Objective values, in `objectives` order
+   */
+  async evaluateObjectives(strategy, marketData, parameters) {
+    const objectives = this.getObjectives();
+
+    try {
+      const results = await this.backtestParameters(strategy, marketData, parameters);
+      return objectives.map(({ name }) => this.calculateObjective(results, name));
+
+    } catch (error) {
+      logger.error('Error evaluating individual:', error);
+      // Worst possible value on every objective
+      return objectives.map(({ direction }) => (direction === 'minimize' ? Infinity : -Infinity));
+    }
+  }
+
+  /**
+   * Per-bar returns of a parameter set's equity curve
+   * @returns {Promise<Array<number>>} Returns, empty when the backtest fails
+   */
+  async evaluateReturns(strategy, marketData, parameters) {
+    try {
+      const results = await this.backtestParameters(strategy, marketData, parameters);
+      return equityReturns(this.getEquityCurve(results));
+
+    } catch (error) {
+      logger.error('Error evaluating individual:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Backtest a strategy copy with the given parameters
+   */
+  async backtestParameters(strategy, marketData, parameters) {
+    // Create strategy copy with parameters
+    const strategyInstance = this.createStrategyInstance(strategy, parameters);
+
+    const backtester = new AdvancedBacktester({
+      initialBalance: 10000,
+      commission: 0.001,
+      slippage: 0.0005,
+      ...this.config.backtest
+    });
+
+    await backtester.loadData(marketData);
+    backtester.setStrategy(strategyInstance);
+
+    return await backtester.run();
+  }
+
   /**
    * Create strategy instance with parameters
    */
   createStrategyInstance(strategy, parameters) {
+    // Strategies that can clone themselves start from fresh state
+    if (typeof strategy.clone === 'function') {
+      const strategyInstance = strategy.clone();
+      strategyInstance.updateParameters(parameters);
+      return strategyInstance;
+    }
+
     // Clone strategy
     const strategyInstance = Object.create(Object.getPrototypeOf(strategy));
     Object.assign(strategyInstance, strategy);
@@ -207,13 +525,107 @@ class StrategyOptimizer extends EventEmitter {
     return strategyInstance;
   }
 
+  /**
+   * Overfitting diagnostics for the winner of a single-objective run: the
+   * Deflated Sharpe Ratio, the Probability of Backtest Overfitting and the
+   * fitness of the winner's neighbours. `luckySpike` is set when any of
+   * them fails its `diagnostics*` threshold.
+   *
+   * Only `diagnosticsTrials` parameter sets are re-run for their returns:
+   * the winner and an even spread of the others by fitness rank. The
+   * number of trials deflating the Sharpe ratio is still every set tried.
+   */
+  async diagnose(strategy, marketData, parameterSpace, result) {
+    const { bestParameters, bestFitness } = result;
+    const bestKey = evaluationKey(bestParameters);
+    const fitnessTrials = [...this.evaluations.entries()].filter(([, trial]) => trial.fitness !== undefined);
+    const trials = fitnessTrials.length || 1;
+
+    const others = fitnessTrials
+      .filter(([key, trial]) => key !== bestKey && Number.isFinite(trial.fitness))
+      .map(([, trial]) => trial)
+      .sort((a, b) => b.fitness - a.fitness);
+    const sampleSize = Math.min(others.length, Math.max(0, this.config.diagnosticsTrials - 1));
+    const sample = Array.from({ length: sampleSize }, (_, i) =>
+      others[Math.floor(i * others.length / sampleSize)].parameters);
+
+    const returnSeries = await this.evaluateBatch(strategy, marketData, [bestParameters, ...sample], 'returns');
+    const sharpes = returnSeries.filter(returns => returns.length > 1).map(periodSharpe);
+    const sharpeMean = sharpes.reduce((sum, value) => sum + value, 0) / (sharpes.length || 1);
+    const sharpeVariance = sharpes.length > 1
+      ? sharpes.reduce((sum, value) => sum + Math.pow(value - sharpeMean, 2), 0) / (sharpes.length - 1)
+      : 0;
+
+    const neighbours = this.neighbourParameters(bestParameters, parameterSpace);
+    const neighbourFitness = neighbours.length > 0 ? await this.evaluateBatch(strategy, marketData, neighbours) : [];
+    const neighbourResults = neighbours.map((parameters, i) => ({ parameters, fitness: neighbourFitness[i] }));
+
+    const diagnostics = {
+      trials,
+      deflatedSharpe: deflatedSharpeRatio(returnSeries[0], { trials, sharpeVariance }),
+      pbo: probabilityOfBacktestOverfitting(returnSeries, { blocks: this.config.diagnosticsBlocks }),
+      neighbourhood: null,
+      warnings: [],
+      luckySpike: false
+    };
+
+    const stability = neighbourhoodStability(bestFitness, neighbourResults.map(neighbour => neighbour.fitness));
+    if (stability) {
+      diagnostics.neighbourhood = { ...stability, neighbours: neighbourResults };
+    }
+
+    if (diagnostics.deflatedSharpe &&
+        diagnostics.deflatedSharpe.probability < this.config.diagnosticsMinDeflatedSharpe) {
+      diagnostics.warnings.push(`Deflated Sharpe ratio ${diagnostics.deflatedSharpe.probability.toFixed(2)} ` +
+        `is below ${this.config.diagnosticsMinDeflatedSharpe} after ${trials} trials`);
+    }
+    if (diagnostics.pbo && diagnostics.pbo.probability > this.config.diagnosticsMaxPbo) {
+      diagnostics.warnings.push(`Probability of backtest overfitting ${diagnostics.pbo.probability.toFixed(2)} ` +
+        `is above ${this.config.diagnosticsMaxPbo}`);
+    }
+    if (stability && stability.ratio !== null && !(stability.ratio >= this.config.diagnosticsMinStability)) {
+      diagnostics.warnings.push(Number.isFinite(stability.ratio)
+        ? `Neighbouring parameter sets average ${(stability.ratio * 100).toFixed(0)}% of the best fitness`
+        : 'Neighbouring parameter sets fail to evaluate');
+    }
+    diagnostics.luckySpike = diagnostics.warnings.length > 0;
+
+    this.emit('diagnosticsCompleted', diagnostics);
+
+    return diagnostics;
+  }
+
+  /**
+   * Parameter sets one step from the given set on one numeric parameter at
+   * a time. Steps are the space's `step`, or 1 for integers and a tenth of
+   * the range for floats, as in grid search.
+   */
+  neighbourParameters(parameters, parameterSpace) {
+    const neighbours = [];
+
+    for (const [name, space] of Object.entries(parameterSpace)) {
+      if (space.type !== 'integer' && space.type !== 'float') {
+        continue;
+      }
+
+      const step = space.step || (space.type === 'integer' ? 1 : (space.max - space.min) / 10);
+      for (const value of [parameters[name] - step, parameters[name] + step]) {
+        if (value >= space.min && value <= space.max) {
+          neighbours.push({ ...parameters, [name]: value });
+        }
+      }
+    }
+
+    return neighbours;
+  }
+
   /**
    * Calculate fitness score
    */
-  calculateFitness(results) {
+  calculateFitness(results, fitnessFunction = this.config.fitnessFunction) {
     const { portfolio, performance } = results;
 
-    switch (this.config.fitnessFunction) {
+    switch (fitnessFunction) {
     case 'profit':
       return portfolio.totalPnL;
 
@@ -241,45 +653,74 @@ class StrategyOptimizer extends EventEmitter {
   }
 
   /**
-   * Calculate Sharpe ratio
+   * Objectives of a multi-objective run, validated
+   * @returns {Array<Object>} [{ name, direction }]
    */
-  calculateSharpeRatio(results, riskFreeRate = 0.02) {
-    const returns = this.calculateReturns(results.performance.equityHistory);
-    if (returns.length === 0) return 0;
+  getObjectives() {
+    const objectives = normalizeObjectives(this.config.objectives || []);
+
+    if (objectives.length < 2) {
+      throw new Error('Multi-objective optimization needs at least two objectives');
+    }
 
-    const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const stdDev = this.calculateStandardDeviation(returns);
+    for (const { name, direction } of objectives) {
+      if (!OBJECTIVE_NAMES.includes(name)) {
+        throw new Error(`Unknown objective: ${name}`);
+      }
+      if (direction !== 'maximize' && direction !== 'minimize') {
+        throw new Error(`Objective direction must be 'maximize' or 'minimize', got '${direction}'`);
+      }
+    }
 
-    return stdDev > 0 ? (avgReturn - riskFreeRate / 252) / stdDev : 0;
+    return objectives;
   }
 
   /**
-   * Calculate Calmar ratio
+   * Value of one objective for a backtest result. Besides the fitness
+   * functions, 'max_drawdown' (percent) and 'trade_count' are available.
    */
-  calculateCalmarRatio(results) {
-    const totalReturn = results.portfolio.totalPnL / results.portfolio.balance;
-    const maxDrawdownPercent = results.performance.maxDrawdownPercent / 100;
+  calculateObjective(results, name) {
+    switch (name) {
+    case 'max_drawdown':
+      return results.performance.maxDrawdownPercent;
 
-    return maxDrawdownPercent > 0 ? totalReturn / maxDrawdownPercent : 0;
+    case 'trade_count':
+      return results.performance.totalTrades;
+
+    default:
+      return this.calculateFitness(results, name);
+    }
   }
 
   /**
-   * Calculate Sortino ratio
+   * Equity per candle of a backtest result
    */
-  calculateSortinoRatio(results, targetReturn = 0) {
-    const returns = this.calculateReturns(results.performance.equityHistory);
-    if (returns.length === 0) return 0;
-
-    const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const downsideReturns = returns.filter(r => r < targetReturn);
+  getEquityCurve(results) {
+    return results.equityCurve || results.performance.equityHistory || [];
+  }
 
-    if (downsideReturns.length === 0) return Infinity;
+  /**
+   * Calculate Sharpe ratio, annualized from the candle interval
+   */
+  calculateSharpeRatio(results, riskFreeRate = this.config.riskFreeRate) {
+    const curve = this.getEquityCurve(results);
+    return sharpeRatio(equityReturns(curve), { periodsPerYear: periodsPerYear(curve), riskFreeRate });
+  }
 
-    const downsideDeviation = Math.sqrt(
-      downsideReturns.reduce((sum, r) => sum + Math.pow(r - targetReturn, 2), 0) / downsideReturns.length
-    );
+  /**
+   * Calculate Calmar ratio: annualized return over max drawdown
+   */
+  calculateCalmarRatio(results) {
+    const curve = this.getEquityCurve(results);
+    return calmarRatio(annualizedReturn(curve, periodsPerYear(curve)), results.performance.maxDrawdownPercent);
+  }
 
-    return downsideDeviation > 0 ? (avgReturn - targetReturn) / downsideDeviation : 0;
+  /**
+   * Calculate Sortino ratio, annualized from the candle interval
+   */
+  calculateSortinoRatio(results, targetReturn = 0) {
+    const curve = this.getEquityCurve(results);
+    return sortinoRatio(equityReturns(curve), { periodsPerYear: periodsPerYear(curve), targetReturn });
   }
 
   /**
@@ -301,28 +742,14 @@ class StrategyOptimizer extends EventEmitter {
    * Calculate returns from equity history
    */
   calculateReturns(equityHistory) {
-    const returns = [];
-
-    for (let i = 1; i < equityHistory.length; i++) {
-      const prevEquity = equityHistory[i - 1].equity;
-      const currentEquity = equityHistory[i].equity;
-      const dailyReturn = (currentEquity - prevEquity) / prevEquity;
-      returns.push(dailyReturn);
-    }
-
-    return returns;
+    return equityReturns(equityHistory);
   }
 
   /**
    * Calculate standard deviation
    */
   calculateStandardDeviation(values) {
-    if (values.length === 0) return 0;
-
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
-
-    return Math.sqrt(variance);
+    return standardDeviation(values);
   }
 
   /**
@@ -333,13 +760,13 @@ class StrategyOptimizer extends EventEmitter {
 
     for (const [name, space] of Object.entries(parameterSpace)) {
       if (space.type === 'integer') {
-        parameters[name] = Math.floor(Math.random() * (space.max - space.min + 1)) + space.min;
+        parameters[name] = Math.floor(this.random() * (space.max - space.min + 1)) + space.min;
       } else if (space.type === 'float') {
-        parameters[name] = Math.random() * (space.max - space.min) + space.min;
+        parameters[name] = this.random() * (space.max - space.min) + space.min;
       } else if (space.type === 'choice') {
-        parameters[name] = space.choices[Math.floor(Math.random() * space.choices.length)];
+        parameters[name] = space.choices[Math.floor(this.random() * space.choices.length)];
       } else if (space.type === 'boolean') {
-        parameters[name] = Math.random() < 0.5;
+        parameters[name] = this.random() < 0.5;
       }
     }
 
@@ -352,6 +779,10 @@ class StrategyOptimizer extends EventEmitter {
   stop() {
     if (this.isRunning) {
       this.isRunning = false;
+      this.stopRequested = true;
+      if (this.workerPool) {
+        this.workerPool.cancel();
+      }
       this.emit('optimizationStopped');
       logger.info('Optimization stopped by user');
     }
@@ -361,12 +792,19 @@ class StrategyOptimizer extends EventEmitter {
 /**
  * Genetic Algorithm implementation
  */
-class GeneticAlgorithm {
+class GeneticAlgorithm extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
+    this.random = Math.random;
   }
 
-  async optimize(strategy, marketData, parameterSpace, evaluationFn) {
+  /**
+   * @param {Function} evaluateBatch - (strategy, marketData, parameterSets) => fitness per set
+   */
+  async optimize(strategy, marketData, parameterSpace, evaluateBatch) {
+    this.random = createRandom(this.config.seed ?? null);
+
     // Initialize population
     let population = this.initializePopulation(parameterSpace);
 
@@ -377,7 +815,7 @@ class GeneticAlgorithm {
     for (let generation = 0; generation < this.config.generations; generation++) {
       // Evaluate population
       const evaluatedPopulation = await this.evaluatePopulation(
-        population, strategy, marketData, evaluationFn
+        population, strategy, marketData, evaluateBatch
       );
 
       // Sort by fitness
@@ -417,7 +855,8 @@ class GeneticAlgorithm {
         generation,
         bestFitness: currentBest.fitness,
         averageFitness: stats.average,
-        bestParameters: currentBest.parameters
+        bestParameters: currentBest.parameters,
+        population: evaluatedPopulation.map(({ parameters, fitness }) => ({ parameters, fitness }))
       });
     }
 
@@ -439,13 +878,13 @@ class GeneticAlgorithm {
 
       for (const [name, space] of Object.entries(parameterSpace)) {
         if (space.type === 'integer') {
-          individual[name] = Math.floor(Math.random() * (space.max - space.min + 1)) + space.min;
+          individual[name] = Math.floor(this.random() * (space.max - space.min + 1)) + space.min;
         } else if (space.type === 'float') {
-          individual[name] = Math.random() * (space.max - space.min) + space.min;
+          individual[name] = this.random() * (space.max - space.min) + space.min;
         } else if (space.type === 'choice') {
-          individual[name] = space.choices[Math.floor(Math.random() * space.choices.length)];
+          individual[name] = space.choices[Math.floor(this.random() * space.choices.length)];
         } else if (space.type === 'boolean') {
-          individual[name] = Math.random() < 0.5;
+          individual[name] = this.random() < 0.5;
         }
       }
 
@@ -455,25 +894,11 @@ class GeneticAlgorithm {
     return population;
   }
 
-  async evaluatePopulation(population, strategy, marketData, evaluationFn) {
-    const evaluatedPopulation = [];
-
-    // Evaluate in batches for parallel processing
-    const batchSize = this.config.parallelEvaluations;
-
-    for (let i = 0; i < population.length; i += batchSize) {
-      const batch = population.slice(i, i + batchSize);
-
-      const batchPromises = batch.map(async(individual) => {
-        const fitness = await evaluationFn(strategy, marketData, individual.parameters);
-        return { ...individual, fitness };
-      });
+  async evaluatePopulation(population, strategy, marketData, evaluateBatch) {
+    // The whole generation is one batch, so workers share it between them
+    const fitness = await evaluateBatch(strategy, marketData, population.map(individual => individual.parameters));
 
-      const evaluatedBatch = await Promise.all(batchPromises);
-      evaluatedPopulation.push(...evaluatedBatch);
-    }
-
-    return evaluatedPopulation;
+    return population.map((individual, i) => ({ ...individual, fitness: fitness[i] }));
   }
 
   createNextGeneration(population, parameterSpace) {
@@ -493,7 +918,7 @@ class GeneticAlgorithm {
 
       // Crossover
       let offspring1, offspring2;
-      if (Math.random() < this.config.crossoverRate) {
+      if (this.random() < this.config.crossoverRate) {
         [offspring1, offspring2] = this.crossover(parent1, parent2, parameterSpace);
       } else {
         offspring1 = { ...parent1 };
@@ -501,10 +926,10 @@ class GeneticAlgorithm {
       }
 
       // Mutation
-      if (Math.random() < this.config.mutationRate) {
+      if (this.random() < this.config.mutationRate) {
         this.mutate(offspring1, parameterSpace);
       }
-      if (Math.random() < this.config.mutationRate) {
+      if (this.random() < this.config.mutationRate) {
         this.mutate(offspring2, parameterSpace);
       }
 
@@ -530,7 +955,7 @@ class GeneticAlgorithm {
     const tournament = [];
 
     for (let i = 0; i < size; i++) {
-      const pick = Math.floor(Math.random() * indices.length);
+      const pick = Math.floor(this.random() * indices.length);
       const [index] = indices.splice(pick, 1);
       tournament.push(population[index]);
     }
@@ -545,7 +970,7 @@ class GeneticAlgorithm {
     const offspring2 = { parameters: {}, fitness: null };
 
     for (const [name, space] of Object.entries(parameterSpace)) {
-      if (Math.random() < 0.5) {
+      if (this.random() < 0.5) {
         offspring1.parameters[name] = parent1.parameters[name];
         offspring2.parameters[name] = parent2.parameters[name];
       } else {
@@ -559,13 +984,13 @@ class GeneticAlgorithm {
 
   mutate(individual, parameterSpace) {
     for (const [name, space] of Object.entries(parameterSpace)) {
-      if (Math.random() < 0.1) { // 10% chance to mutate each parameter
+      if (this.random() < 0.1) { // 10% chance to mutate each parameter
         if (space.type === 'integer') {
-          individual.parameters[name] = Math.floor(Math.random() * (space.max - space.min + 1)) + space.min;
+          individual.parameters[name] = Math.floor(this.random() * (space.max - space.min + 1)) + space.min;
         } else if (space.type === 'float') {
-          individual.parameters[name] = Math.random() * (space.max - space.min) + space.min;
+          individual.parameters[name] = this.random() * (space.max - space.min) + space.min;
         } else if (space.type === 'choice') {
-          individual.parameters[name] = space.choices[Math.floor(Math.random() * space.choices.length)];
+          individual.parameters[name] = space.choices[Math.floor(this.random() * space.choices.length)];
         } else if (space.type === 'boolean') {
           individual.parameters[name] = !individual.parameters[name];
         }
@@ -614,38 +1039,306 @@ class GeneticAlgorithm {
   }
 }
 
+/**
+ * NSGA-II multi-objective optimizer
+ *
+ * Evolves a population against several objectives at once and returns the
+ * Pareto front: the parameter sets no other evaluated set beats on every
+ * objective. Parents are picked by crowded tournament (lower front rank
+ * wins, then the larger crowding distance), and each generation keeps the
+ * best of parents and offspring by rank, filling the last front from its
+ * least crowded members.
+ */
+class NSGA2Optimizer extends GeneticAlgorithm {
+  /**
+   * @param {Function} evaluateBatch - (strategy, marketData, parameterSets, 'objectives') => objective values per set
+   */
+  async optimize(strategy, marketData, parameterSpace, evaluateBatch) {
+    this.random = createRandom(this.config.seed ?? null);
+    const objectives = normalizeObjectives(this.config.objectives);
+    const evaluate = async population => {
+      const values = await evaluateBatch(strategy, marketData, population.map(individual => individual.parameters), 'objectives');
+      return population.map((individual, i) => ({ ...individual, objectives: values[i] }));
+    };
+
+    let population = this.rankPopulation(await evaluate(this.initializePopulation(parameterSpace)), objectives);
+    const generationHistory = [];
+
+    for (let generation = 0; generation < this.config.generations; generation++) {
+      const offspring = await evaluate(this.createOffspring(population, parameterSpace));
+      population = this.selectSurvivors([...population, ...offspring], objectives);
+
+      const front = population.filter(individual => individual.rank === 0);
+      generationHistory.push({
+        generation,
+        frontSize: front.length,
+        best: Object.fromEntries(objectives.map((objective, i) => {
+          const values = front.map(individual => individual.objectives[i]);
+          return [objective.name, objective.direction === 'minimize' ? Math.min(...values) : Math.max(...values)];
+        }))
+      });
+
+      this.emit('generationCompleted', {
+        generation,
+        frontSize: front.length,
+        best: generationHistory[generationHistory.length - 1].best,
+        population: population.map(individual => ({
+          parameters: individual.parameters,
+          objectives: this.namedObjectives(individual, objectives)
+        }))
+      });
+    }
+
+    const paretoFront = this.describeFront(population, objectives);
+    const primary = paretoFront[0];
+
+    return {
+      method: 'nsga2',
+      objectives,
+      paretoFront,
+      // Best on the first objective, for callers expecting one winner
+      bestParameters: primary ? primary.parameters : null,
+      bestFitness: primary ? primary.objectives[objectives[0].name] : -Infinity,
+      generations: generationHistory.length,
+      convergenceHistory: generationHistory,
+      finalPopulation: population.map(individual => ({
+        parameters: individual.parameters,
+        objectives: this.namedObjectives(individual, objectives),
+        rank: individual.rank,
+        crowdingDistance: individual.crowdingDistance
+      }))
+    };
+  }
+
+  /**
+   * Objective values turned so that higher is better on every objective
+   */
+  orientedObjectives(individual, objectives) {
+    return objectives.map((objective, i) => {
+      const value = individual.objectives[i];
+      const oriented = objective.direction === 'minimize' ? -value : value;
+      return Number.isNaN(oriented) ? -Infinity : oriented;
+    });
+  }
+
+  namedObjectives(individual, objectives) {
+    return Object.fromEntries(objectives.map((objective, i) => [objective.name, individual.objectives[i]]));
+  }
+
+  /**
+   * True when a is at least as good as b on every objective and better on one
+   * (values oriented so higher is better)
+   */
+  dominates(a, b) {
+    let better = false;
+
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] < b[i]) return false;
+      if (a[i] > b[i]) better = true;
+    }
+
+    return better;
+  }
+
+  /**
+   * Fast non-dominated sort
+   * @param {Array<Array<number>>} points - Oriented objective values
+   * @returns {Array<Array<number>>} Fronts as arrays of point indices, best front first
+   */
+  nonDominatedSort(points) {
+    const dominatedBy = points.map(() => []);
+    const dominationCount = points.map(() => 0);
+    const fronts = [[]];
+
+    for (let p = 0; p < points.length; p++) {
+      for (let q = p + 1; q < points.length; q++) {
+        if (this.dominates(points[p], points[q])) {
+          dominatedBy[p].push(q);
+          dominationCount[q]++;
+        } else if (this.dominates(points[q], points[p])) {
+          dominatedBy[q].push(p);
+          dominationCount[p]++;
+        }
+      }
+    }
+
+    points.forEach((_, p) => {
+      if (dominationCount[p] === 0) fronts[0].push(p);
+    });
+
+    for (let f = 0; fronts[f].length > 0; f++) {
+      const next = [];
+      for (const p of fronts[f]) {
+        for (const q of dominatedBy[p]) {
+          if (--dominationCount[q] === 0) next.push(q);
+        }
+      }
+      fronts.push(next);
+    }
+
+    return fronts.slice(0, -1);
+  }
+
+  /**
+   * Crowding distance of each point within its front: the normalized size of
+   * the box its neighbours span on every objective. Boundary points get
+   * Infinity so the front's extremes always survive.
+   * @param {Array<Array<number>>} points - Oriented objective values of one front
+   * @returns {Array<number>} Distance per point
+   */
+  crowdingDistances(points) {
+    const distances = points.map(() => 0);
+    if (points.length === 0) return distances;
+
+    for (let m = 0; m < points[0].length; m++) {
+      const order = [...points.keys()].sort((a, b) => points[a][m] - points[b][m]);
+      const low = points[order[0]][m];
+      const high = points[order[order.length - 1]][m];
+
+      distances[order[0]] = Infinity;
+      distances[order[order.length - 1]] = Infinity;
+
+      const range = high - low;
+      if (!(range > 0) || !Number.isFinite(range)) continue;
+
+      for (let i = 1; i < order.length - 1; i++) {
+        distances[order[i]] += (points[order[i + 1]][m] - points[order[i - 1]][m]) / range;
+      }
+    }
+
+    return distances;
+  }
+
+  /**
+   * Assign front rank and crowding distance to every individual
+   */
+  rankPopulation(population, objectives) {
+    const points = population.map(individual => this.orientedObjectives(individual, objectives));
+    const ranked = population.map(individual => ({ ...individual }));
+
+    this.nonDominatedSort(points).forEach((front, rank) => {
+      const distances = this.crowdingDistances(front.map(index => points[index]));
+      front.forEach((index, i) => {
+        ranked[index].rank = rank;
+        ranked[index].crowdingDistance = distances[i];
+      });
+    });
+
+    return ranked;
+  }
+
+  /**
+   * Keep populationSize individuals from parents and offspring, front by front
+   */
+  selectSurvivors(combined, objectives) {
+    const ranked = this.rankPopulation(combined, objectives);
+
+    return ranked
+      .sort((a, b) => this.crowdedCompare(a, b))
+      .slice(0, this.config.populationSize);
+  }
+
+  /**
+   * Crowded comparison: lower rank first, then larger crowding distance
+   */
+  crowdedCompare(a, b) {
+    if (a.rank !== b.rank) return a.rank - b.rank;
+    if (a.crowdingDistance === b.crowdingDistance) return 0;
+    return b.crowdingDistance > a.crowdingDistance ? 1 : -1;
+  }
+
+  crowdedTournament(population) {
+    const a = population[Math.floor(this.random() * population.length)];
+    const b = population[Math.floor(this.random() * population.length)];
+    return this.crowdedCompare(a, b) <= 0 ? a : b;
+  }
+
+  createOffspring(population, parameterSpace) {
+    const offspring = [];
+
+    while (offspring.length < this.config.populationSize) {
+      const parent1 = this.crowdedTournament(population);
+      const parent2 = this.crowdedTournament(population);
+
+      const children = this.random() < this.config.crossoverRate
+        ? this.crossover(parent1, parent2, parameterSpace)
+        : [parent1, parent2].map(parent => ({ parameters: { ...parent.parameters }, fitness: null }));
+
+      for (const child of children) {
+        if (this.random() < this.config.mutationRate) {
+          this.mutate(child, parameterSpace);
+        }
+        if (offspring.length < this.config.populationSize) {
+          offspring.push(child);
+        }
+      }
+    }
+
+    return offspring;
+  }
+
+  /**
+   * Distinct parameter sets of the first front with their named objective
+   * values and crowding distance, best on the first objective first.
+   * Failed evaluations are left out.
+   */
+  describeFront(population, objectives) {
+    const seen = new Set();
+
+    return population
+      .filter(individual => individual.rank === 0 && individual.objectives.every(Number.isFinite))
+      .filter(individual => {
+        const key = JSON.stringify(individual.parameters);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => this.orientedObjectives(b, objectives)[0] - this.orientedObjectives(a, objectives)[0])
+      .map(individual => ({
+        parameters: individual.parameters,
+        objectives: this.namedObjectives(individual, objectives),
+        crowdingDistance: individual.crowdingDistance
+      }));
+  }
+}
+
 /**
  * Grid Search Optimizer
  */
-class GridSearchOptimizer {
+class GridSearchOptimizer extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
   }
 
-  async optimize(strategy, marketData, parameterSpace, evaluationFn) {
+  /**
+   * @param {Function} evaluateBatch - (strategy, marketData, parameterSets) => fitness per set
+   */
+  async optimize(strategy, marketData, parameterSpace, evaluateBatch) {
     const parameterCombinations = this.generateParameterGrid(parameterSpace);
     const results = [];
+    const chunkSize = getChunkSize(this.config);
 
     logger.info(`Grid search: evaluating ${parameterCombinations.length} combinations`);
 
-    for (let i = 0; i < parameterCombinations.length; i++) {
-      const parameters = parameterCombinations[i];
-      const fitness = await evaluationFn(strategy, marketData, parameters);
+    for (let start = 0; start < parameterCombinations.length; start += chunkSize) {
+      const chunk = parameterCombinations.slice(start, start + chunkSize);
+      const fitness = await evaluateBatch(strategy, marketData, chunk);
 
-      results.push({
-        parameters,
-        fitness,
-        combination: i + 1
+      chunk.forEach((parameters, j) => {
+        results.push({
+          parameters,
+          fitness: fitness[j],
+          combination: start + j + 1
+        });
       });
 
       // Emit progress
-      if (i % 10 === 0) {
-        this.emit('evaluationProgress', {
-          completed: i + 1,
-          total: parameterCombinations.length,
-          percentage: ((i + 1) / parameterCombinations.length) * 100
-        });
-      }
+      this.emit('evaluationProgress', {
+        completed: results.length,
+        total: parameterCombinations.length,
+        percentage: (results.length / parameterCombinations.length) * 100
+      });
     }
 
     // Find best result
@@ -714,33 +1407,54 @@ class GridSearchOptimizer {
 }
 
 /**
- * Bayesian Optimizer (simplified implementation)
+ * Bayesian Optimizer
+ *
+ * Fits a Gaussian process surrogate to the evaluated parameter sets and picks
+ * each next set by maximizing an acquisition function over random and
+ * locally perturbed candidates: expected improvement (`bayesianAcquisition:
+ * 'ei'`, the default) or the upper confidence bound (`'ucb'`). Numeric
+ * parameters are scaled to [0, 1] by their range, and choice and boolean
+ * parameters are 0 apart when equal and 1 apart otherwise, so mixed spaces
+ * share one distance.
  */
 class BayesianOptimizer {
   constructor(config) {
     this.config = config;
     this.observations = [];
+    this.parameterSpace = {};
+    this.surrogate = null;
+    this.bestObservedFitness = -Infinity;
+    this.random = Math.random;
   }
 
-  async optimize(strategy, marketData, parameterSpace, evaluationFn) {
+  /**
+   * @param {Function} evaluateBatch - (strategy, marketData, parameterSets) => fitness per set
+   */
+  async optimize(strategy, marketData, parameterSpace, evaluateBatch) {
     const maxIterations = this.config.bayesianIterations || 100;
     const results = [];
 
-    // Initial random sampling
-    const initialSamples = Math.min(10, maxIterations / 4);
+    this.observations = [];
+    this.parameterSpace = parameterSpace;
+    this.surrogate = null;
+    this.random = createRandom(this.config.bayesianSeed ?? this.config.seed ?? null);
 
-    for (let i = 0; i < initialSamples; i++) {
-      const parameters = this.generateRandomParameters(parameterSpace);
-      const fitness = await evaluationFn(strategy, marketData, parameters);
+    // Initial random sampling, evaluated as one batch
+    const initialSamples = Math.min(maxIterations, this.config.bayesianInitialSamples || Math.ceil(Math.min(10, maxIterations / 4)));
+    const samples = Array.from({ length: initialSamples }, () => this.generateRandomParameters(parameterSpace));
+    const sampleFitness = await evaluateBatch(strategy, marketData, samples);
 
+    samples.forEach((parameters, i) => {
+      const fitness = sampleFitness[i];
       this.observations.push({ parameters, fitness });
       results.push({ parameters, fitness, iteration: i + 1, type: 'random' });
-    }
+    });
 
-    // Bayesian optimization iterations
-    for (let i = initialSamples; i < maxIterations; i++) {
+    // Bayesian optimization iterations: each acquisition depends on the
+    // previous observation, so these are evaluated one at a time
+    for (let i = samples.length; i < maxIterations; i++) {
       const parameters = this.acquireNext(parameterSpace);
-      const fitness = await evaluationFn(strategy, marketData, parameters);
+      const [fitness] = await evaluateBatch(strategy, marketData, [parameters]);
 
       this.observations.push({ parameters, fitness });
       results.push({ parameters, fitness, iteration: i + 1, type: 'bayesian' });
@@ -761,69 +1475,150 @@ class BayesianOptimizer {
     };
   }
 
+  /**
+   * Next parameter set to evaluate: the unobserved candidate with the highest
+   * acquisition value under a surrogate fitted to the observations so far
+   */
   acquireNext(parameterSpace) {
-    // Simplified acquisition function (Expected Improvement)
-    // In practice, this would use Gaussian Process regression
+    if (!this.fitSurrogate(parameterSpace)) {
+      return this.generateRandomParameters(parameterSpace);
+    }
 
-    const candidates = [];
-    const numCandidates = 1000;
+    const numCandidates = this.config.bayesianCandidates || 1000;
+    const candidates = Array.from({ length: numCandidates }, () => this.generateRandomParameters(parameterSpace));
 
-    for (let i = 0; i < numCandidates; i++) {
-      const parameters = this.generateRandomParameters(parameterSpace);
-      const expectedImprovement = this.calculateExpectedImprovement(parameters);
-      candidates.push({ parameters, expectedImprovement });
+    // Refine around the best observations, where the optimum most likely is
+    const leaders = this.observations
+      .filter(obs => Number.isFinite(obs.fitness))
+      .sort((a, b) => b.fitness - a.fitness)
+      .slice(0, 5);
+    for (let i = 0; i < numCandidates / 4; i++) {
+      candidates.push(this.perturbParameters(leaders[i % leaders.length].parameters, parameterSpace));
     }
 
-    // Select candidate with highest expected improvement
-    const bestCandidate = candidates.reduce((best, current) =>
-      current.expectedImprovement > best.expectedImprovement ? current : best
-    );
+    const observed = new Set(this.observations.map(obs => this.parameterKey(obs.parameters, parameterSpace)));
+    let best = null;
 
-    return bestCandidate.parameters;
-  }
+    for (const parameters of candidates) {
+      if (observed.has(this.parameterKey(parameters, parameterSpace))) continue;
 
-  calculateExpectedImprovement(parameters) {
-    // Simplified EI calculation
-    // Find nearest observations and estimate improvement
+      const value = this.calculateAcquisition(parameters);
+      if (!best || value > best.value) {
+        best = { parameters, value };
+      }
+    }
+
+    // Every candidate was already evaluated (small discrete spaces)
+    return best ? best.parameters : this.generateRandomParameters(parameterSpace);
+  }
 
-    if (this.observations.length === 0) return Math.random();
+  /**
+   * Fit the Gaussian process to the observations. Failed evaluations
+   * (-Infinity) are modelled as the worst finite fitness seen.
+   * @returns {boolean} False while there is no finite observation to fit
+   */
+  fitSurrogate(parameterSpace) {
+    const finite = this.observations.map(obs => obs.fitness).filter(Number.isFinite);
+    if (finite.length === 0) {
+      this.surrogate = null;
+      return false;
+    }
 
-    const distances = this.observations.map(obs =>
-      this.calculateParameterDistance(parameters, obs.parameters)
+    const worst = Math.min(...finite);
+    this.surrogate = new GaussianProcess({
+      distance: (a, b) => this.calculateParameterDistance(a, b, parameterSpace)
+    }).fit(
+      this.observations.map(obs => obs.parameters),
+      this.observations.map(obs => (Number.isFinite(obs.fitness) ? obs.fitness : worst))
     );
+    this.bestObservedFitness = Math.max(...finite);
+    return true;
+  }
+
+  /**
+   * Acquisition value of a parameter set under the fitted surrogate
+   */
+  calculateAcquisition(parameters) {
+    if (this.config.bayesianAcquisition === 'ucb') {
+      const { mean, std } = this.surrogate.predict(parameters);
+      return upperConfidenceBound(mean, std, this.config.bayesianKappa);
+    }
+
+    return this.calculateExpectedImprovement(parameters);
+  }
 
-    const nearestIndex = distances.indexOf(Math.min(...distances));
-    const nearestFitness = this.observations[nearestIndex].fitness;
-    const bestFitness = Math.max(...this.observations.map(obs => obs.fitness));
+  /**
+   * Expected improvement of a parameter set over the best observed fitness.
+   * The exploration margin `bayesianXi` is in standard deviations of the
+   * observed fitness, so it does not depend on the fitness function's scale.
+   */
+  calculateExpectedImprovement(parameters) {
+    if (!this.surrogate) return 0;
 
-    // Simple heuristic for expected improvement
-    const improvement = Math.max(0, nearestFitness - bestFitness + Math.random() * 0.1);
-    return improvement;
+    const { mean, std } = this.surrogate.predict(parameters);
+    return expectedImprovement(mean, std, this.bestObservedFitness, this.config.bayesianXi * this.surrogate.yStd);
   }
 
-  calculateParameterDistance(params1, params2) {
+  /**
+   * Distance between parameter sets in the normalized space: numeric
+   * parameters scaled by their range, choice and boolean parameters 0 when
+   * equal and 1 when different
+   */
+  calculateParameterDistance(params1, params2, parameterSpace = this.parameterSpace) {
     let distance = 0;
 
-    for (const key of Object.keys(params1)) {
-      const diff = params1[key] - params2[key];
-      distance += diff * diff;
+    for (const [name, space] of Object.entries(parameterSpace)) {
+      if (space.type === 'integer' || space.type === 'float') {
+        const range = space.max - space.min;
+        const diff = range > 0 ? (params1[name] - params2[name]) / range : 0;
+        distance += diff * diff;
+      } else if (params1[name] !== params2[name]) {
+        distance += 1;
+      }
     }
 
     return Math.sqrt(distance);
   }
 
+  /**
+   * Identity of a parameter set, for skipping candidates already evaluated
+   */
+  parameterKey(parameters, parameterSpace) {
+    return JSON.stringify(Object.keys(parameterSpace).map(name => parameters[name]));
+  }
+
+  /**
+   * Copy of a parameter set with numeric parameters moved by up to a tenth
+   * of their range and categorical ones occasionally redrawn
+   */
+  perturbParameters(parameters, parameterSpace) {
+    const perturbed = { ...parameters };
+
+    for (const [name, space] of Object.entries(parameterSpace)) {
+      if (space.type === 'integer' || space.type === 'float') {
+        const step = (this.random() * 2 - 1) * 0.1 * (space.max - space.min);
+        const value = Math.min(space.max, Math.max(space.min, parameters[name] + step));
+        perturbed[name] = space.type === 'integer' ? Math.round(value) : value;
+      } else if (this.random() < 0.2) {
+        perturbed[name] = this.generateRandomParameters({ [name]: space })[name];
+      }
+    }
+
+    return perturbed;
+  }
+
   generateRandomParameters(parameterSpace) {
     const parameters = {};
 
     for (const [name, space] of Object.entries(parameterSpace)) {
       if (space.type === 'integer') {
-        parameters[name] = Math.floor(Math.random() * (space.max - space.min + 1)) + space.min;
+        parameters[name] = Math.floor(this.random() * (space.max - space.min + 1)) + space.min;
       } else if (space.type === 'float') {
-        parameters[name] = Math.random() * (space.max - space.min) + space.min;
+        parameters[name] = this.random() * (space.max - space.min) + space.min;
       } else if (space.type === 'choice') {
-        parameters[name] = space.choices[Math.floor(Math.random() * space.choices.length)];
+        parameters[name] = space.choices[Math.floor(this.random() * space.choices.length)];
       } else if (space.type === 'boolean') {
-        parameters[name] = Math.random() < 0.5;
+        parameters[name] = this.random() < 0.5;
       }
     }
 
@@ -835,5 +1630,6 @@ module.exports = {
   StrategyOptimizer,
   GeneticAlgorithm,
   GridSearchOptimizer,
-  BayesianOptimizer
+  BayesianOptimizer,
+  NSGA2Optimizer
 };
@@ -0,0 +1,209 @@
+/**
+ * Historical stress scenarios
+ *
+ * Each scenario is a sequence of legs, each a return shock over a duration
+ * (e.g. '1d', or a number of candles). Overlaying a scenario onto a candle
+ * series replaces the drift of the covered candles with the leg's total
+ * return while keeping their own noise, optionally scaled by
+ * `volatilityScale`. A leg's `wick` pushes the low (negative) or high
+ * (positive) of its first candle that far from the open, for flash crashes
+ * that recover within the candle. Prices after the scenario keep their
+ * original returns from the shocked level.
+ */
+
+const { inferBarDuration, parseDuration } = require('./durations.js');
+
+const STRESS_SCENARIOS = {
+  'covid-crash': {
+    name: 'COVID crash',
+    description: 'Crash day: bitcoin fell about 39% on 12 March 2020',
+    legs: [{ duration: '1d', return: -0.39 }]
+  },
+  'may-2021-crash': {
+    name: 'May 2021 crash',
+    description: 'Crash day: a 30% intraday plunge on 19 May 2021 that closed 14% down',
+    legs: [{ duration: '1d', return: -0.14, wick: -0.3 }]
+  },
+  'ftx-collapse': {
+    name: 'FTX collapse',
+    description: 'A 25% slide over three days in November 2022',
+    legs: [{ duration: '3d', return: -0.25 }]
+  },
+  'flash-crash': {
+    name: 'Flash crash',
+    description: 'Price drops 25% and recovers within the hour',
+    legs: [{ duration: '1h', return: -0.02, wick: -0.25 }]
+  },
+  'bear-2018': {
+    name: '2018 bear market',
+    description: 'Prolonged bear market: an 84% decline over a year',
+    legs: [{ duration: '365d', return: -0.84 }]
+  },
+  'bear-2022': {
+    name: '2022 bear market',
+    description: 'Prolonged bear market: 74% lower in seven months, then five months of grinding chop',
+    legs: [
+      { duration: '220d', return: -0.74 },
+      { duration: '150d', return: -0.12, volatilityScale: 0.6 }
+    ]
+  },
+  'low-volatility-chop': {
+    name: 'Low-volatility chop',
+    description: 'Three trendless months at 30% of the usual volatility',
+    legs: [{ duration: '90d', return: 0, volatilityScale: 0.3 }]
+  }
+};
+
+/**
+ * Look up a scenario by id, or validate a custom scenario object
+ * @param {string|Object} scenario - Catalog id or { name, legs }
+ * @returns {Object} Scenario with its id
+ */
+function resolveScenario(scenario) {
+  if (typeof scenario === 'string') {
+    if (!STRESS_SCENARIOS[scenario]) {
+      throw new Error(`Unknown stress scenario: ${scenario}. Use one of: ${Object.keys(STRESS_SCENARIOS).join(', ')}`);
+    }
+    return { id: scenario, ...STRESS_SCENARIOS[scenario] };
+  }
+
+  if (!scenario || !Array.isArray(scenario.legs) || scenario.legs.length === 0) {
+    throw new Error('A stress scenario needs at least one leg');
+  }
+
+  return { id: scenario.id || scenario.name || 'custom', name: scenario.name || 'Custom scenario', ...scenario };
+}
+
+/**
+ * Candle index where the scenario starts: a candle index, a fraction of the
+ * series (0-1), or a Date/date string. Defaults to a third into the series so
+ * indicators are warmed up and there is room to recover.
+ */
+function resolveStart(candles, start) {
+  let index;
+
+  if (start === null || start === undefined) {
+    index = Math.floor(candles.length / 3);
+  } else if (typeof start === 'number' && start > 0 && start < 1) {
+    index = Math.floor(candles.length * start);
+  } else if (typeof start === 'number' && Number.isInteger(start)) {
+    index = start;
+  } else {
+    const time = new Date(start).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid stress scenario start: ${start}`);
+    }
+    index = candles.findIndex(candle => new Date(candle.timestamp).getTime() >= time);
+    if (index === -1) {
+      index = candles.length;
+    }
+  }
+
+  return Math.max(1, Math.min(index, candles.length - 1));
+}
+
+/**
+ * Overlay a scenario onto a candle series
+ * @param {Array} candles - Candle series (not modified)
+ * @param {string|Object} scenario - Catalog id or custom scenario
+ * @param {Object} options
+ * @param {number|string|Date} options.start - Where the scenario starts: candle index, fraction or date
+ * @param {number} options.barDuration - Candle spacing in ms (inferred by default)
+ * @returns {Object} { scenario, candles, start, end, truncated }
+ */
+function applyScenario(candles, scenario, options = {}) {
+  if (!Array.isArray(candles) || candles.length < 2) {
+    throw new Error('Stress scenarios need at least 2 candles');
+  }
+
+  const resolved = resolveScenario(scenario);
+  const barDuration = options.barDuration || inferBarDuration(candles);
+  const start = resolveStart(candles, options.start);
+
+  const legBars = leg => {
+    if (typeof leg.duration === 'number') {
+      return Math.max(1, Math.round(leg.duration));
+    }
+    if (!barDuration) {
+      throw new Error('Cannot size stress scenario legs without candle timestamps; give durations in candles');
+    }
+    return Math.max(1, Math.round(parseDuration(leg.duration) / barDuration));
+  };
+
+  const returns = candles.map((candle, i) => (i === 0 ? 0 : Math.log(candle.close / candles[i - 1].close)));
+  const shocked = [...returns];
+  const scale = candles.map(() => 1);
+  const wicks = new Map();
+
+  let cursor = start;
+  let truncated = false;
+
+  for (const leg of resolved.legs) {
+    const bars = legBars(leg);
+    const end = Math.min(cursor + bars, candles.length);
+    truncated = truncated || end < cursor + bars;
+    if (end <= cursor) break;
+
+    const legReturns = returns.slice(cursor, end);
+    const legMean = legReturns.reduce((sum, r) => sum + r, 0) / legReturns.length;
+    const targetPerBar = Math.log(1 + (leg.return || 0)) / bars;
+    const volatilityScale = leg.volatilityScale ?? 1;
+
+    for (let i = cursor; i < end; i++) {
+      shocked[i] = (returns[i] - legMean) * volatilityScale + targetPerBar;
+      scale[i] = volatilityScale;
+    }
+
+    if (leg.wick) {
+      wicks.set(cursor, leg.wick);
+    }
+
+    cursor = end;
+  }
+
+  const stressed = [];
+  let close = candles[0].close;
+
+  candles.forEach((candle, i) => {
+    if (i < start) {
+      stressed.push({ ...candle });
+      close = candle.close;
+      return;
+    }
+
+    const previousFactor = close / candles[i - 1].close;
+    close *= Math.exp(shocked[i]);
+
+    const open = candle.open * previousFactor;
+    const bodyHigh = Math.max(open, close);
+    const bodyLow = Math.min(open, close);
+    const upperWick = (candle.high - Math.max(candle.open, candle.close)) / Math.max(candle.open, candle.close);
+    const lowerWick = (Math.min(candle.open, candle.close) - candle.low) / Math.min(candle.open, candle.close);
+
+    let high = bodyHigh * (1 + upperWick * scale[i]);
+    let low = bodyLow * (1 - lowerWick * scale[i]);
+
+    const wick = wicks.get(i);
+    if (wick < 0) {
+      low = Math.min(low, open * (1 + wick));
+    } else if (wick > 0) {
+      high = Math.max(high, open * (1 + wick));
+    }
+
+    stressed.push({ ...candle, open, high, low, close });
+  });
+
+  return {
+    scenario: resolved,
+    candles: stressed,
+    start,
+    end: cursor,
+    truncated
+  };
+}
+
+module.exports = {
+  STRESS_SCENARIOS,
+  resolveScenario,
+  applyScenario
+};
@@ -0,0 +1,414 @@
+/**
+ * Backtest tear sheet
+ *
+ * Renders backtest results as one self-contained HTML page: summary
+ * statistics, equity and drawdown charts, a monthly returns heatmap, the
+ * distribution of trade returns and the parameter set. Charts are inline SVG
+ * and the page loads no scripts or external assets, so it can be mailed as an
+ * attachment, opened offline or printed to PDF from a browser.
+ *
+ * Accepts the results of both Backtester (equityCurve of { value }, summary,
+ * roundTrips) and AdvancedBacktester (equityCurve of { equity }, performance).
+ */
+
+const { analyzePerformance, equityValue, tradePnL, closedTrades } = require('./performanceMetrics.js');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CHART = { width: 760, height: 220, padding: { top: 12, right: 12, bottom: 28, left: 64 } };
+const HISTOGRAM_BINS = 20;
+const MAX_CHART_POINTS = 1000; // points drawn per line chart
+
+const toTime = timestamp => new Date(timestamp).getTime();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value, digits = 2) {
+  if (value === Infinity) return '∞';
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'n/a';
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+const formatPercent = value => (typeof value === 'number' && Number.isFinite(value) ? `${formatNumber(value)}%` : 'n/a');
+
+const formatDate = time => (Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : 'n/a');
+
+function formatDuration(ms) {
+  if (!(ms > 0)) return 'n/a';
+  const hours = ms / (60 * 60 * 1000);
+  return hours >= 48 ? `${formatNumber(hours / 24, 1)} days` : `${formatNumber(hours, 1)} hours`;
+}
+
+/**
+ * Equity curve of the results as [{ timestamp (ms), value }], in time order
+ */
+function getEquityPoints(results) {
+  const curve = results.equityCurve || (results.performance && results.performance.equityHistory) || [];
+  return curve
+    .map(point => ({ timestamp: toTime(point.timestamp), value: equityValue(point) }))
+    .filter(point => Number.isFinite(point.timestamp) && Number.isFinite(point.value))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Closed trades: the round trips when the engine pairs fills, else the
+ * trades that realized a PnL
+ */
+function getClosedTrades(results) {
+  if (Array.isArray(results.roundTrips) && results.roundTrips.length > 0) {
+    return results.roundTrips;
+  }
+  return closedTrades(results.trades || []);
+}
+
+/**
+ * Smallest and largest value, without spreading long series into arguments
+ */
+function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+}
+
+/**
+ * Thin a series to about `limit` points for drawing. The first and last
+ * points are kept, and each bucket in between keeps its lowest and highest
+ * point, so peaks and troughs survive.
+ */
+function downsample(points, limit = MAX_CHART_POINTS) {
+  if (points.length <= limit) {
+    return points;
+  }
+
+  const bucketSize = Math.ceil((points.length - 2) / Math.floor((limit - 2) / 2));
+  const sampled = [points[0]];
+
+  for (let start = 1; start < points.length - 1; start += bucketSize) {
+    const end = Math.min(start + bucketSize, points.length - 1);
+    let low = start;
+    let high = start;
+    for (let i = start + 1; i < end; i++) {
+      if (points[i].value < points[low].value) low = i;
+      if (points[i].value > points[high].value) high = i;
+    }
+    if (low !== high) {
+      sampled.push(points[Math.min(low, high)]);
+    }
+    sampled.push(points[Math.max(low, high)]);
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+/**
+ * Percent decline from the running peak at each point
+ */
+function drawdownSeries(points) {
+  let peak = -Infinity;
+  return points.map(({ timestamp, value }) => {
+    peak = Math.max(peak, value);
+    return { timestamp, value: peak > 0 ? -((peak - value) / peak) * 100 : 0 };
+  });
+}
+
+/**
+ * Compounded return of each calendar month (UTC), measured from the last
+ * equity of the previous month (the first point for the first month)
+ * @param {Array<Object>} equityCurve - [{ timestamp, value|equity }]
+ * @returns {Array<Object>} [{ year, month (0-11), return (percent) }]
+ */
+function calculateMonthlyReturns(equityCurve) {
+  const points = getEquityPoints({ equityCurve });
+  const months = [];
+  let base = points.length > 0 ? points[0].value : 0;
+
+  for (const point of points) {
+    const date = new Date(point.timestamp);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const last = months[months.length - 1];
+
+    if (!last || last.year !== year || last.month !== month) {
+      if (last) base = last.close;
+      months.push({ year, month, base, close: point.value });
+    } else {
+      last.close = point.value;
+    }
+  }
+
+  return months.map(({ year, month, base: start, close }) => ({
+    year,
+    month,
+    return: start > 0 ? (close / start - 1) * 100 : 0
+  }));
+}
+
+/**
+ * Count values into equally wide bins
+ * @returns {Array<Object>} [{ from, to, count }]
+ */
+function histogram(values, bins = HISTOGRAM_BINS) {
+  if (values.length === 0) return [];
+  const { min, max } = extent(values);
+  const width = (max - min) / bins || 1;
+  const counts = Array.from({ length: max > min ? bins : 1 }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+
+  for (const value of values) {
+    const index = Math.min(counts.length - 1, Math.floor((value - min) / width));
+    counts[index].count++;
+  }
+  return counts;
+}
+
+function scale(domainMin, domainMax, rangeMin, rangeMax) {
+  const span = domainMax - domainMin;
+  return value => rangeMin + (span !== 0 ? (value - domainMin) / span : 0.5) * (rangeMax - rangeMin);
+}
+
+/**
+ * SVG line (or filled area down to zero) chart of [{ timestamp, value }]
+ */
+function lineChart(points, { className, area = false, formatTick = formatNumber }) {
+  if (points.length < 2) {
+    return '<p class="empty">Not enough data</p>';
+  }
+
+  const { width, height, padding } = CHART;
+  const values = points.map(point => point.value);
+  const { min, max } = extent(area ? [...values, 0] : values);
+  const x = scale(points[0].timestamp, points[points.length - 1].timestamp, padding.left, width - padding.right);
+  const y = scale(min, max, height - padding.bottom, padding.top);
+
+  const line = points.map(point => `${x(point.timestamp).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const shape = area
+    ? `<polygon class="${className}" points="${x(points[0].timestamp).toFixed(1)},${y(0).toFixed(1)} ${line} ${x(points[points.length - 1].timestamp).toFixed(1)},${y(0).toFixed(1)}" />`
+    : `<polyline class="${className}" points="${line}" />`;
+
+  const ticks = [0, 0.5, 1].map(fraction => min + (max - min) * fraction).map(value => `
+      <line class="grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" />
+      <text class="tick" x="${padding.left - 6}" y="${y(value).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatTick(value))}</text>`).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">${ticks}
+      <text class="tick" x="${padding.left}" y="${height - 8}">${formatDate(points[0].timestamp)}</text>
+      <text class="tick" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${formatDate(points[points.length - 1].timestamp)}</text>
+      ${shape}
+    </svg>`;
+}
+
+/**
+ * SVG bar chart of a histogram, losing bins red and winning bins green
+ */
+function distributionChart(bins, unit) {
+  if (bins.length === 0) {
+    return '<p class="empty">No closed trades</p>';
+  }
+
+  const { width, height, padding } = CHART;
+  const maxCount = extent(bins.map(bin => bin.count)).max;
+  const barWidth = (width - padding.left - padding.right) / bins.length;
+  const y = scale(0, maxCount, height - padding.bottom, padding.top);
+
+  const bars = bins.map((bin, i) => {
+    const top = y(bin.count);
+    const className = (bin.from + bin.to) / 2 >= 0 ? 'win' : 'loss';
+    return `<rect class="${className}" x="${(padding.left + i * barWidth + 1).toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(barWidth - 2, 1).toFixed(1)}" height="${(height - padding.bottom - top).toFixed(1)}"><title>${formatNumber(bin.from)} to ${formatNumber(bin.to)}${unit}: ${bin.count}</title></rect>`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">
+      <text class="tick" x="${padding.left - 6}" y="${y(maxCount).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${maxCount}</text>
+      <text class="tick" x="${padding.left - 6}" y="${y(0).toFixed(1)}" text-anchor="end" dominant-baseline="middle">0</text>
+      ${bars}
+      <text class="tick" x="${padding.left}" y="${height - 8}">${formatNumber(bins[0].from)}${unit}</text>
+      <text class="tick" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${formatNumber(bins[bins.length - 1].to)}${unit}</text>
+    </svg>`;
+}
+
+/**
+ * Year by month table of returns, shaded by size and sign
+ */
+function monthlyHeatmap(monthlyReturns) {
+  if (monthlyReturns.length === 0) {
+    return '<p class="empty">Not enough data</p>';
+  }
+
+  const maxAbs = extent(monthlyReturns.map(entry => Math.abs(entry.return))).max || 1;
+  const years = [...new Set(monthlyReturns.map(entry => entry.year))];
+
+  const cell = entry => {
+    if (!entry) return '<td></td>';
+    const alpha = (0.15 + 0.75 * Math.abs(entry.return) / maxAbs).toFixed(2);
+    const color = entry.return >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+    return `<td style="background: ${color}">${formatNumber(entry.return, 1)}</td>`;
+  };
+
+  const rows = years.map(year => {
+    const entries = monthlyReturns.filter(entry => entry.year === year);
+    const total = (entries.reduce((growth, entry) => growth * (1 + entry.return / 100), 1) - 1) * 100;
+    const cells = MONTHS.map((_, month) => cell(entries.find(entry => entry.month === month))).join('');
+    return `<tr><th>${year}</th>${cells}<td class="total">${formatNumber(total, 1)}</td></tr>`;
+  }).join('');
+
+  return `<table class="heatmap">
+      <thead><tr><th></th>${MONTHS.map(month => `<th>${month}</th>`).join('')}<th>Year</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function definitionTable(entries) {
+  if (entries.length === 0) {
+    return '<p class="empty">None</p>';
+  }
+  const rows = entries.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+  return `<table class="definitions">${rows}</table>`;
+}
+
+/**
+ * Render a tear sheet for backtest results
+ * @param {Object} results - Backtester or AdvancedBacktester results
+ * @param {Object} options
+ * @param {string} options.title - Page title (default: from the strategy name)
+ * @param {string} options.strategy - Strategy name
+ * @param {string} options.dataset - Dataset name
+ * @param {Object} options.parameters - Strategy parameters (default: results.parameters)
+ * @param {Date|string|number} options.generatedAt - Generation time (default: now)
+ * @returns {string} Self-contained HTML document
+ */
+function generateTearSheet(results, options = {}) {
+  if (!results || typeof results !== 'object') {
+    throw new Error('Tear sheet requires backtest results');
+  }
+
+  const points = getEquityPoints(results);
+  const trades = getClosedTrades(results);
+  const summary = results.summary || {};
+  const initialBalance = summary.initialBalance ?? (results.performance && results.performance.initialBalance);
+  const metrics = analyzePerformance(points, { trades, initialBalance });
+
+  const hasReturns = trades.length > 0 && trades.every(trade => typeof trade.returnPercent === 'number');
+  const tradeValues = trades.map(trade => (hasReturns ? trade.returnPercent : tradePnL(trade)));
+  const holdingTimes = trades.map(trade => trade.holdingTime).filter(time => typeof time === 'number');
+  const parameters = options.parameters || results.parameters || {};
+  const title = options.title || (options.strategy ? `${options.strategy} backtest` : 'Backtest tear sheet');
+  const generatedAt = new Date(options.generatedAt ?? Date.now());
+
+  const stats = [
+    ['Total return', formatPercent(metrics.totalReturnPercent)],
+    ['Annualized return', formatPercent(metrics.annualizedReturnPercent)],
+    ['Volatility', formatPercent(metrics.volatility * 100)],
+    ['Sharpe ratio', formatNumber(metrics.sharpeRatio)],
+    ['Sortino ratio', formatNumber(metrics.sortinoRatio)],
+    ['Calmar ratio', formatNumber(metrics.calmarRatio)],
+    ['Max drawdown', formatPercent(metrics.maxDrawdownPercent)],
+    ['Win rate', formatPercent(metrics.winRate)],
+    ['Profit factor', formatNumber(metrics.profitFactor)],
+    ['Closed trades', String(metrics.closedTrades)],
+    ['Avg holding time', formatDuration(holdingTimes.reduce((sum, time) => sum + time, 0) / holdingTimes.length)],
+    ['Final equity', points.length > 0 ? formatNumber(points[points.length - 1].value) : 'n/a']
+  ];
+
+  if (results.benchmark) {
+    stats.push(
+      ['Benchmark return', formatPercent(results.benchmark.benchmarkReturn)],
+      ['Excess return', formatPercent(results.benchmark.excessReturn)]
+    );
+  }
+
+  const details = [
+    ['Strategy', options.strategy],
+    ['Dataset', options.dataset],
+    ['Period', points.length > 0 ? `${formatDate(points[0].timestamp)} to ${formatDate(points[points.length - 1].timestamp)}` : undefined],
+    ['Bars', points.length > 0 ? String(points.length) : undefined]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const parameterRows = Object.entries(parameters)
+    .map(([name, value]) => [name, typeof value === 'object' ? JSON.stringify(value) : String(value)]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4; margin: 12mm; }
+    body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1e293b; margin: 24px auto; max-width: 800px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+    .meta { color: #64748b; font-size: 12px; margin: 0 0 16px; }
+    section { break-inside: avoid; }
+    .stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+    .stat { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 4px; padding: 8px; }
+    .stat span { display: block; color: #64748b; font-size: 11px; }
+    .stat strong { font-size: 16px; }
+    svg { width: 100%; height: auto; }
+    .grid { stroke: #e2e8f0; }
+    .tick { font-size: 11px; fill: #64748b; }
+    .equity { fill: none; stroke: #2563eb; stroke-width: 1.5; }
+    .drawdown { fill: rgba(239, 68, 68, 0.35); stroke: #ef4444; stroke-width: 1; }
+    .win { fill: #10b981; }
+    .loss { fill: #ef4444; }
+    table { border-collapse: collapse; font-size: 12px; }
+    .heatmap { width: 100%; }
+    .heatmap th, .heatmap td { border: 1px solid #e2e8f0; padding: 4px; text-align: center; }
+    .heatmap .total { font-weight: 600; }
+    .definitions th { text-align: left; font-weight: normal; color: #64748b; padding: 2px 16px 2px 0; }
+    .definitions td { font-family: monospace; }
+    .empty { color: #64748b; font-size: 12px; }
+    @media print { body { margin: 0; max-width: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Generated ${escapeHtml(generatedAt.toISOString())}</p>
+
+  <section>
+    ${definitionTable(details)}
+    <h2>Summary</h2>
+    <div class="stats">
+      ${stats.map(([label, value]) => `<div class="stat"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join('\n      ')}
+    </div>
+  </section>
+
+  <section>
+    <h2>Equity</h2>
+    ${lineChart(downsample(points), { className: 'equity' })}
+  </section>
+
+  <section>
+    <h2>Drawdown</h2>
+    ${lineChart(downsample(drawdownSeries(points)), { className: 'drawdown', area: true, formatTick: value => `${formatNumber(value, 1)}%` })}
+  </section>
+
+  <section>
+    <h2>Monthly returns (%)</h2>
+    ${monthlyHeatmap(calculateMonthlyReturns(points))}
+  </section>
+
+  <section>
+    <h2>Trade ${hasReturns ? 'returns (%)' : 'P&amp;L'}</h2>
+    ${distributionChart(histogram(tradeValues), hasReturns ? '%' : '')}
+  </section>
+
+  <section>
+    <h2>Parameters</h2>
+    ${definitionTable(parameterRows)}
+  </section>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  generateTearSheet,
+  calculateMonthlyReturns
+};
@@ -0,0 +1,162 @@
+/**
+ * Round-trip trade ledger
+ *
+ * PortfolioSimulator records individual fills. The ledger pairs every exit
+ * fill with the oldest open entries first (FIFO), so a partial exit closes
+ * part of a lot and scaling in creates several lots. Each matched piece
+ * becomes a round trip with its holding time, fees, P&L and the maximum
+ * adverse and favorable excursion (MAE/MFE) of the price while it was open.
+ */
+
+const ENTRY_SIDES = { buy: 'long', short: 'short' };
+const EXIT_SIDES = { sell: 'long', cover: 'short', liquidation: 'short' };
+
+// Quantities below this are rounding leftovers of a fully closed lot
+const EPSILON = 1e-12;
+
+const toTime = timestamp => new Date(timestamp).getTime();
+
+class TradeLedger {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.lots = [];
+    this.roundTrips = [];
+    this.nextLotId = 1;
+  }
+
+  /**
+   * Track the price range of open lots. Call once per candle before any
+   * fills on it, so a lot's excursions start after its entry.
+   * @param {Object} candle - Candle with high and low
+   */
+  mark(candle) {
+    for (const lot of this.lots) {
+      lot.highestPrice = Math.max(lot.highestPrice, candle.high ?? candle.close);
+      lot.lowestPrice = Math.min(lot.lowestPrice, candle.low ?? candle.close);
+      lot.bars++;
+    }
+  }
+
+  /**
+   * Spread a running cost (e.g. short borrow fees) over the open lots of one
+   * side, in proportion to their size
+   * @param {string} side - 'long' or 'short'
+   * @param {number} amount - Cost in the quote currency
+   */
+  chargeFees(side, amount) {
+    const lots = this.lots.filter(lot => lot.side === side);
+    const total = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (!(amount > 0) || total <= 0) return;
+
+    for (const lot of lots) {
+      lot.fees += amount * (lot.quantity / total);
+    }
+  }
+
+  /**
+   * Record a fill: entries open a lot, exits close lots FIFO
+   * @param {Object} trade - PortfolioSimulator trade ({ action, amount, price, fee, timestamp, reason })
+   * @returns {Array<Object>} Round trips closed by this fill
+   */
+  record(trade) {
+    if (ENTRY_SIDES[trade.action]) {
+      this.lots.push({
+        id: this.nextLotId++,
+        side: ENTRY_SIDES[trade.action],
+        quantity: trade.amount,
+        entryPrice: trade.price,
+        entryTime: trade.timestamp,
+        entryReason: trade.reason,
+        fees: trade.fee || 0,
+        highestPrice: trade.price,
+        lowestPrice: trade.price,
+        bars: 0
+      });
+      return [];
+    }
+
+    const side = EXIT_SIDES[trade.action];
+    if (!side) return [];
+
+    const closed = [];
+    let remaining = trade.amount;
+
+    while (remaining > EPSILON) {
+      const lot = this.lots.find(open => open.side === side);
+      if (!lot) break;
+
+      const quantity = Math.min(lot.quantity, remaining);
+      const lotShare = quantity / lot.quantity;
+      const exitShare = quantity / trade.amount;
+      const fees = lot.fees * lotShare + (trade.fee || 0) * exitShare;
+
+      closed.push(this.createRoundTrip(this.roundTrips.length + closed.length + 1, lot, trade, quantity, fees));
+
+      lot.quantity -= quantity;
+      lot.fees -= lot.fees * lotShare;
+      remaining -= quantity;
+
+      if (lot.quantity <= EPSILON) {
+        this.lots.splice(this.lots.indexOf(lot), 1);
+      }
+    }
+
+    this.roundTrips.push(...closed);
+    return closed;
+  }
+
+  /**
+   * Build a round trip for `quantity` of a lot closed by an exit fill
+   */
+  createRoundTrip(id, lot, trade, quantity, fees) {
+    const direction = lot.side === 'long' ? 1 : -1;
+    const highest = Math.max(lot.highestPrice, trade.price);
+    const lowest = Math.min(lot.lowestPrice, trade.price);
+    const favorable = direction > 0 ? highest - lot.entryPrice : lot.entryPrice - lowest;
+    const adverse = direction > 0 ? lot.entryPrice - lowest : highest - lot.entryPrice;
+    const grossPnl = (trade.price - lot.entryPrice) * quantity * direction;
+    const pnl = grossPnl - fees;
+
+    return {
+      id,
+      lotId: lot.id,
+      side: lot.side,
+      quantity,
+      entryTime: lot.entryTime,
+      exitTime: trade.timestamp,
+      entryPrice: lot.entryPrice,
+      exitPrice: trade.price,
+      holdingTime: toTime(trade.timestamp) - toTime(lot.entryTime),
+      bars: lot.bars,
+      grossPnl,
+      fees,
+      pnl,
+      returnPercent: (pnl / (lot.entryPrice * quantity)) * 100,
+      mae: (adverse / lot.entryPrice) * 100,
+      mfe: (favorable / lot.entryPrice) * 100,
+      maeAmount: adverse * quantity,
+      mfeAmount: favorable * quantity,
+      entryReason: lot.entryReason,
+      exitReason: trade.reason || trade.action
+    };
+  }
+
+  /**
+   * Closed round trips in the order they were closed
+   */
+  getRoundTrips() {
+    return this.roundTrips;
+  }
+
+  /**
+   * Lots that are still open, oldest first
+   */
+  getOpenLots() {
+    return this.lots.map(lot => ({ ...lot }));
+  }
+}
+
+export { TradeLedger };
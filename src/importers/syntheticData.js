@@ -0,0 +1,371 @@
+/**
+ * Synthetic OHLCV Generator
+ *
+ * Produces synthetic candle series for stress testing strategies outside
+ * the single historical path. Models work on per-bar log returns:
+ * - gbm: geometric Brownian motion (constant drift and volatility)
+ * - garch: GARCH(1,1) volatility clustering
+ * - jump: Merton jump diffusion (Poisson jumps on top of the diffusion)
+ * - regime: Markov regime switching between calm and volatile states
+ *
+ * Parameters are calibrated from imported candles (`calibrate`, `fromCSV`)
+ * or passed directly. Candle wicks and volume are resampled from the
+ * calibrated shape of the source data.
+ */
+
+const { createRandom } = require('../engine/monteCarlo.js');
+const { inferBarDuration } = require('../engine/durations.js');
+
+const SYNTHETIC_MODELS = ['gbm', 'garch', 'jump', 'regime'];
+
+const DEFAULT_PARAMS = {
+  startPrice: 100,
+  startTime: Date.UTC(2020, 0, 1),
+  barDuration: 60 * 60 * 1000,
+  drift: 0,
+  volatility: 0.01,
+  garch: { omega: 0.000002, alpha: 0.08, beta: 0.9 },
+  jump: { drift: 0, volatility: 0.01, intensity: 0.01, mean: 0, std: 0.05 },
+  regime: {
+    states: [{ drift: 0.0002, volatility: 0.006 }, { drift: -0.0004, volatility: 0.02 }],
+    transitions: [[0.98, 0.02], [0.05, 0.95]],
+    initial: [0.7, 0.3]
+  },
+  candle: { upperWick: 0.002, lowerWick: 0.002, volumeMean: Math.log(1000), volumeStd: 0.5 }
+};
+
+const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const std = values => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+};
+
+const median = values => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class SyntheticDataGenerator {
+  /**
+   * @param {Object} config
+   * @param {string} config.model - One of SYNTHETIC_MODELS
+   * @param {number|null} config.seed - Seed for reproducible paths
+   * @param {number} config.jumpThreshold - Returns beyond this many robust standard deviations count as jumps
+   * @param {number} config.regimeWindow - Bars of trailing volatility used to label regimes
+   * @param {Object} config.params - Model parameters; overrides calibrated values
+   */
+  constructor(config = {}) {
+    this.config = {
+      model: 'gbm',
+      seed: null,
+      jumpThreshold: 3,
+      regimeWindow: 20,
+      params: {},
+      ...config
+    };
+
+    if (!SYNTHETIC_MODELS.includes(this.config.model)) {
+      throw new Error(`Invalid synthetic model: ${this.config.model}. Use one of: ${SYNTHETIC_MODELS.join(', ')}`);
+    }
+
+    this.random = createRandom(this.config.seed);
+    this.params = { ...DEFAULT_PARAMS, ...this.config.params };
+  }
+
+  /**
+   * Create a generator calibrated to a CSV file
+   * @param {string} filePath - CSV with timestamp,open,high,low,close,volume columns
+   * @param {Object} config - Generator config
+   * @returns {Promise<SyntheticDataGenerator>} Calibrated generator
+   */
+  static async fromCSV(filePath, config = {}) {
+    const { default: CSVImporter } = await import('./csvImporter.js');
+    const candles = await new CSVImporter().importFromFile(filePath);
+
+    return new SyntheticDataGenerator(config).calibrate(candles);
+  }
+
+  /**
+   * Per-bar log returns of a candle series
+   * @param {Array} candles - Candles
+   * @returns {Array<number>} Log returns
+   */
+  static logReturns(candles) {
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      if (candles[i - 1].close > 0 && candles[i].close > 0) {
+        returns.push(Math.log(candles[i].close / candles[i - 1].close));
+      }
+    }
+    return returns;
+  }
+
+  /**
+   * Estimate the parameters of every model from historical candles.
+   * Explicit `config.params` still take precedence.
+   * @param {Array} candles - Historical candles
+   * @returns {SyntheticDataGenerator} this
+   */
+  calibrate(candles) {
+    if (!Array.isArray(candles) || candles.length < 3) {
+      throw new Error('Calibration needs at least 3 candles');
+    }
+
+    const returns = SyntheticDataGenerator.logReturns(candles);
+
+    this.params = {
+      ...DEFAULT_PARAMS,
+      startPrice: candles[0].open || candles[0].close,
+      startTime: new Date(candles[0].timestamp).getTime(),
+      barDuration: inferBarDuration(candles) || DEFAULT_PARAMS.barDuration,
+      drift: mean(returns),
+      volatility: std(returns),
+      garch: this.estimateGarch(returns),
+      jump: this.estimateJumps(returns),
+      regime: this.estimateRegimes(returns),
+      candle: this.estimateCandleShape(candles),
+      ...this.config.params
+    };
+
+    return this;
+  }
+
+  /**
+   * GARCH(1,1) fit by maximum likelihood over a grid of (alpha, beta), with
+   * omega set by variance targeting so the long-run variance matches the sample
+   */
+  estimateGarch(returns) {
+    const avg = mean(returns);
+    const residuals = returns.map(r => r - avg);
+    const variance = mean(residuals.map(e => e * e));
+
+    if (!(variance > 0)) {
+      return { omega: 0, alpha: 0, beta: 0 };
+    }
+
+    let best = { omega: variance, alpha: 0, beta: 0, logLikelihood: -Infinity };
+
+    for (let alpha = 0.02; alpha <= 0.3; alpha += 0.02) {
+      for (let beta = 0.5; beta < 0.99; beta += 0.02) {
+        if (alpha + beta >= 0.999) continue;
+
+        const omega = variance * (1 - alpha - beta);
+        let h = variance;
+        let logLikelihood = 0;
+
+        for (const e of residuals) {
+          logLikelihood -= 0.5 * (Math.log(h) + (e * e) / h);
+          h = omega + alpha * e * e + beta * h;
+        }
+
+        if (logLikelihood > best.logLikelihood) {
+          best = { omega, alpha, beta, logLikelihood };
+        }
+      }
+    }
+
+    return { omega: best.omega, alpha: best.alpha, beta: best.beta };
+  }
+
+  /**
+   * Jump diffusion: returns further than `jumpThreshold` robust standard
+   * deviations (median absolute deviation) from the median are jumps; the
+   * rest calibrate the diffusion
+   */
+  estimateJumps(returns) {
+    const center = median(returns);
+    const robustStd = median(returns.map(r => Math.abs(r - center))) * 1.4826;
+    const isJump = r => robustStd > 0 && Math.abs(r - center) > this.config.jumpThreshold * robustStd;
+
+    const diffusion = returns.filter(r => !isJump(r));
+    const jumps = returns.filter(isJump);
+
+    return {
+      drift: mean(diffusion),
+      volatility: std(diffusion),
+      intensity: returns.length ? jumps.length / returns.length : 0,
+      mean: mean(jumps),
+      std: std(jumps)
+    };
+  }
+
+  /**
+   * Two-state regime switching: bars whose trailing volatility is above the
+   * median are labelled volatile, and the transition matrix is counted from
+   * consecutive labels
+   */
+  estimateRegimes(returns) {
+    const window = Math.max(2, Math.min(this.config.regimeWindow, Math.floor(returns.length / 4)));
+    const rollingVolatility = returns.map((_, i) => std(returns.slice(Math.max(0, i - window + 1), Math.max(window, i + 1))));
+    const threshold = median(rollingVolatility);
+    const labels = rollingVolatility.map(volatility => (volatility > threshold ? 1 : 0));
+
+    const states = [0, 1].map(state => {
+      const stateReturns = returns.filter((_, i) => labels[i] === state);
+      return { drift: mean(stateReturns), volatility: std(stateReturns) };
+    });
+
+    const counts = [[0, 0], [0, 0]];
+    for (let i = 1; i < labels.length; i++) {
+      counts[labels[i - 1]][labels[i]]++;
+    }
+
+    const transitions = counts.map((row, state) => {
+      const total = row[0] + row[1];
+      return total > 0 ? row.map(count => count / total) : [0, 1].map(next => (next === state ? 1 : 0));
+    });
+
+    const volatileShare = mean(labels);
+
+    return { states, transitions, initial: [1 - volatileShare, volatileShare] };
+  }
+
+  /**
+   * Average wick length (as log distance from the body) and log-normal
+   * volume parameters
+   */
+  estimateCandleShape(candles) {
+    const upper = candles.map(c => Math.log(c.high / Math.max(c.open, c.close))).filter(Number.isFinite);
+    const lower = candles.map(c => Math.log(Math.min(c.open, c.close) / c.low)).filter(Number.isFinite);
+    const volumes = candles.filter(c => c.volume > 0).map(c => Math.log(c.volume));
+
+    return {
+      upperWick: Math.max(0, mean(upper)),
+      lowerWick: Math.max(0, mean(lower)),
+      volumeMean: volumes.length ? mean(volumes) : DEFAULT_PARAMS.candle.volumeMean,
+      volumeStd: std(volumes)
+    };
+  }
+
+  /**
+   * Generate one synthetic candle series
+   * @param {number} length - Number of candles
+   * @param {Object} options - Overrides for this path
+   * @param {string} options.model - Model (defaults to the configured one)
+   * @returns {Array} Candles with numeric millisecond timestamps
+   */
+  generate(length, options = {}) {
+    const model = options.model || this.config.model;
+    if (!SYNTHETIC_MODELS.includes(model)) {
+      throw new Error(`Invalid synthetic model: ${model}. Use one of: ${SYNTHETIC_MODELS.join(', ')}`);
+    }
+
+    const nextReturn = this.createReturnProcess(model);
+    const { startPrice, startTime, barDuration, candle: shape } = this.params;
+    const candles = [];
+    let price = startPrice;
+
+    for (let i = 0; i < length; i++) {
+      const open = price;
+      const close = open * Math.exp(nextReturn());
+      const high = Math.max(open, close) * Math.exp(this.exponential(shape.upperWick));
+      const low = Math.min(open, close) * Math.exp(-this.exponential(shape.lowerWick));
+
+      candles.push({
+        timestamp: startTime + i * barDuration,
+        open,
+        high,
+        low,
+        close,
+        volume: Math.exp(shape.volumeMean + shape.volumeStd * this.normal())
+      });
+
+      price = close;
+    }
+
+    return candles;
+  }
+
+  /**
+   * Generate several independent paths
+   * @param {number} count - Number of paths
+   * @param {number} length - Candles per path
+   * @param {Object} options - Passed to generate()
+   * @returns {Array<Array>} Candle series
+   */
+  generatePaths(count, length, options = {}) {
+    return Array.from({ length: count }, () => this.generate(length, options));
+  }
+
+  /**
+   * Stateful generator of per-bar log returns for a model
+   */
+  createReturnProcess(model) {
+    const { drift, volatility, garch, jump, regime } = this.params;
+
+    switch (model) {
+    case 'garch': {
+      const longRunVariance = garch.alpha + garch.beta < 1
+        ? garch.omega / (1 - garch.alpha - garch.beta)
+        : volatility * volatility;
+      let variance = longRunVariance;
+      return () => {
+        const shock = Math.sqrt(variance) * this.normal();
+        variance = garch.omega + garch.alpha * shock * shock + garch.beta * variance;
+        return drift + shock;
+      };
+    }
+    case 'jump':
+      return () => {
+        let r = jump.drift + jump.volatility * this.normal();
+        const jumps = this.poisson(jump.intensity);
+        for (let i = 0; i < jumps; i++) {
+          r += jump.mean + jump.std * this.normal();
+        }
+        return r;
+      };
+    case 'regime': {
+      let state = this.pick(regime.initial);
+      return () => {
+        const { drift: stateDrift, volatility: stateVolatility } = regime.states[state];
+        const r = stateDrift + stateVolatility * this.normal();
+        state = this.pick(regime.transitions[state]);
+        return r;
+      };
+    }
+    default:
+      return () => drift + volatility * this.normal();
+    }
+  }
+
+  // Standard normal draw (Box-Muller)
+  normal() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  exponential(meanValue) {
+    return meanValue > 0 ? -meanValue * Math.log(1 - this.random()) : 0;
+  }
+
+  poisson(lambda) {
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = this.random();
+    while (product > limit) {
+      count++;
+      product *= this.random();
+    }
+    return count;
+  }
+
+  // Index drawn from a discrete probability distribution
+  pick(probabilities) {
+    let u = this.random();
+    for (let i = 0; i < probabilities.length - 1; i++) {
+      u -= probabilities[i];
+      if (u < 0) return i;
+    }
+    return probabilities.length - 1;
+  }
+}
+
+module.exports = {
+  SyntheticDataGenerator,
+  SYNTHETIC_MODELS
+};
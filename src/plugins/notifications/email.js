@@ -1,5 +1,6 @@
 const { BasePlugin } = require('../pluginManager');
 const nodemailer = require('nodemailer');
+const { generateTearSheet } = require('../../engine/tearSheet.js');
 
 class EmailPlugin extends BasePlugin {
   constructor(config = {}) {
@@ -9,7 +10,8 @@ class EmailPlugin extends BasePlugin {
       notification: this.onNotification.bind(this),
       alert: this.onAlert.bind(this),
       tradeNotification: this.onTradeNotification.bind(this),
-      performanceReport: this.onPerformanceReport.bind(this)
+      performanceReport: this.onPerformanceReport.bind(this),
+      backtestReport: this.onBacktestReport.bind(this)
     };
 
     this.transporter = null;
@@ -102,6 +104,66 @@ class EmailPlugin extends BasePlugin {
     return await this.sendEmail(subject, html);
   }
 
+  async onBacktestReport(data) {
+    if (!this.isEnabled()) return;
+
+    const { results, timestamp, ...options } = data;
+    return await this.sendTearSheet(results, { generatedAt: timestamp, ...options });
+  }
+
+  /**
+   * Email backtest results with the HTML tear sheet attached
+   * @param {Object} results - Backtester or AdvancedBacktester results
+   * @param {Object} options - Tear sheet options plus subject and filename
+   */
+  async sendTearSheet(results, options = {}) {
+    const { subject, filename, ...reportOptions } = options;
+    const strategy = reportOptions.strategy || 'Strategy';
+
+    return await this.sendEmailWithAttachment(
+      subject || `📊 Backtest Report - ${strategy}`,
+      this.formatBacktestReportHtml(results, strategy),
+      [{
+        filename: filename || `${strategy.replace(/[^\w.-]+/g, '-')}-tear-sheet.html`,
+        content: generateTearSheet(results, reportOptions),
+        contentType: 'text/html'
+      }]
+    );
+  }
+
+  formatBacktestReportHtml(results, strategy) {
+    const summary = results.summary || results.performance || {};
+    const format = value => (typeof value === 'number' ? value.toFixed(2) : 'n/a');
+
+    return `
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 20px; }
+            .header { background-color: #007bff; color: white; padding: 15px; border-radius: 5px; }
+            table { border-collapse: collapse; margin: 20px 0; }
+            td { padding: 6px 12px; border-bottom: 1px solid #dee2e6; }
+            .note { color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <h2>📊 Backtest Report - ${strategy}</h2>
+          </div>
+
+          <table>
+            <tr><td>Return</td><td>${format(summary.roi ?? summary.totalReturnPercent)}%</td></tr>
+            <tr><td>Sharpe Ratio</td><td>${format(summary.sharpeRatio)}</td></tr>
+            <tr><td>Max Drawdown</td><td>${format(summary.maxDrawdownPercent ?? summary.maxDrawdown)}%</td></tr>
+            <tr><td>Win Rate</td><td>${format(summary.winRate)}%</td></tr>
+          </table>
+
+          <p class="note">The full tear sheet is attached.</p>
+        </body>
+      </html>
+    `;
+  }
+
   formatNotificationHtml(data) {
     return `
       <html>
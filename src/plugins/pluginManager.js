@@ -232,6 +232,14 @@ class PluginManager extends EventEmitter {
     });
   }
 
+  async sendBacktestReport(results, options = {}) {
+    return await this.executeHook('backtestReport', {
+      ...options,
+      results,
+      timestamp: new Date()
+    });
+  }
+
   async sendNotification(message, level = 'info') {
     const plugins = Array.from(this.plugins.values());
     const promises = plugins.map(plugin => {
@@ -13,8 +13,10 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 import healthRouter from './api/health.js';
 import backtestRouter from './api/backtest.js';
+import backtestsRouter from './api/backtests.js';
 import indicatorsRouter from './api/indicators.js';
 import strategiesRouter from './api/strategies.js';
+import optimizationRouter, { streamOptimizationEvents } from './api/optimization.js';
 
 // Load environment variables
 dotenv.config();
@@ -51,8 +53,10 @@ app.use((req, res, next) => {
 // API routes
 app.use('/api/health', healthRouter);
 app.use('/api/backtest', backtestRouter);
+app.use('/api/backtests', backtestsRouter);
 app.use('/api/indicators', indicatorsRouter);
 app.use('/api/strategies', strategiesRouter);
+app.use('/api/optimization', optimizationRouter);
 
 // Serve static files from web build in production
 if (process.env.NODE_ENV === 'production') {
@@ -76,7 +80,9 @@ if (process.env.NODE_ENV === 'production') {
       environment: process.env.NODE_ENV || 'development',
       endpoints: {
         health: '/api/health',
-        backtest: '/api/backtest'
+        backtest: '/api/backtest',
+        backtests: '/api/backtests',
+        optimization: '/api/optimization'
       },
       frontend: 'Run `npm run dev` to start the frontend development server'
     });
@@ -120,11 +126,19 @@ io.on('connection', (socket) => {
   socket.on('subscribe-backtest', (backtestId) => {
     socket.join(`backtest-${backtestId}`);
   });
+
+  // Handle optimization progress updates
+  socket.on('subscribe-optimization', (optimizationId) => {
+    socket.join(`optimization-${optimizationId}`);
+  });
 });
 
 // Make io available to routes
 app.set('io', io);
 
+// Stream optimization job events to subscribed clients
+streamOptimizationEvents(io);
+
 // Start server
 server.listen(PORT, () => {
   info(`Modern Gekko server running on port ${PORT}`);
@@ -197,6 +197,18 @@ export default class BaseStrategy {
     // Override in child classes if needed
   }
 
+  /**
+   * Hook called by the backtester when the open position is closed without
+   * an exit signal: a resting stop-loss/take-profit fill or a liquidation.
+   * `trade.reason` tells which.
+   * @param {Object} trade - Forced exit trade
+   */
+  onForcedExit(trade) {
+    this.position = null;
+    this.entryPrice = null;
+    this.entryTime = null;
+  }
+
   /**
    * Initialize strategy (called once before backtesting starts)
    * @param {Object} config - Configuration object
@@ -0,0 +1,98 @@
+/**
+ * @name Momentum Rotation Strategy
+ * @description Portfolio strategy that holds the asset with the strongest recent return and rotates on a fixed schedule
+ * @author Modern Gekko
+ * @version 1.0.0
+ *
+ * Multi-asset strategy for portfolio backtests (`--data BTC=btc.csv --data ETH=eth.csv`).
+ * Every `rebalanceInterval` candles it ranks the symbols by their return over
+ * `lookback` candles and moves the whole portfolio into the leader, staying
+ * in cash when no symbol has a positive return.
+ */
+
+export default class MomentumRotationStrategy {
+  constructor() {
+    this.name = 'Momentum Rotation';
+    this.parameters = {
+      lookback: 20,
+      rebalanceInterval: 5
+    };
+
+    this.holding = null;
+    this.bars = 0;
+  }
+
+  /**
+   * Initialize strategy (called once before backtesting starts)
+   * @param {Object} config - Configuration object with currency and assets
+   */
+  init(config = {}) {
+    this.currency = config.currency || 'USD';
+    this.assets = config.assets || [];
+    this.holding = null;
+    this.bars = 0;
+  }
+
+  /**
+   * Update strategy parameters
+   * @param {Object} params - { lookback, rebalanceInterval }
+   */
+  updateParameters(params) {
+    Object.entries(params).forEach(([name, value]) => {
+      if (!(name in this.parameters)) {
+        throw new Error(`Unknown parameter: ${name}`);
+      }
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+      this.parameters[name] = value;
+    });
+  }
+
+  /**
+   * Portfolio strategy logic - called once per aligned candle
+   * @param {Object} candles - Current candle by symbol
+   * @param {Object} history - Historical candles by symbol
+   * @param {Object} context - { engines, portfolio, symbols }
+   * @returns {Array} Advice for each symbol to trade
+   */
+  async onPortfolioCandle(candles, history, context) {
+    const { lookback, rebalanceInterval } = this.parameters;
+    this.bars++;
+
+    if (this.bars <= lookback || (this.bars - lookback - 1) % rebalanceInterval !== 0) {
+      return [];
+    }
+
+    let leader = null;
+    let bestReturn = 0;
+
+    context.symbols.forEach(symbol => {
+      const series = history[symbol];
+      const past = series[series.length - 1 - lookback].close;
+      const change = (candles[symbol].close - past) / past;
+
+      if (change > bestReturn) {
+        bestReturn = change;
+        leader = symbol;
+      }
+    });
+
+    if (leader === this.holding) {
+      return [];
+    }
+
+    const advice = [];
+
+    if (this.holding) {
+      advice.push({ symbol: this.holding, action: 'sell', amount: 'all', reason: 'rotation' });
+    }
+
+    if (leader) {
+      advice.push({ symbol: leader, action: 'buy', amount: 'all', reason: 'rotation' });
+    }
+
+    this.holding = leader;
+    return advice;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * @name Target Weight Rebalance Strategy
+ * @description Portfolio strategy that holds fixed target weights and rebalances periodically or when weights drift
+ * @author Modern Gekko
+ * @version 1.0.0
+ *
+ * Rebalancing strategy for portfolio backtests. It returns target weights
+ * instead of trade signals and the engine computes the orders. With
+ * `rebalanceInterval: 0` the weights are submitted on every candle, so trades
+ * only happen once drift exceeds `--drift-threshold`; a positive interval
+ * gives calendar-style periodic rebalancing.
+ */
+
+export default class TargetWeightRebalanceStrategy {
+  constructor() {
+    this.name = 'Target Weight Rebalance';
+    this.parameters = {
+      weights: null, // e.g. { BTC: 0.5, ETH: 0.3, USD: 0.2 }; equal weights when unset
+      rebalanceInterval: 0
+    };
+
+    this.bars = 0;
+  }
+
+  /**
+   * Initialize strategy (called once before backtesting starts)
+   * @param {Object} config - Configuration object with currency and assets
+   */
+  init(config = {}) {
+    this.currency = config.currency || 'USD';
+    this.assets = config.assets || [];
+    this.bars = 0;
+  }
+
+  /**
+   * Update strategy parameters
+   * @param {Object} params - { weights, rebalanceInterval }
+   */
+  updateParameters(params) {
+    Object.entries(params).forEach(([name, value]) => {
+      if (name === 'weights') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new Error('weights must be an object of symbol weights');
+        }
+      } else if (name === 'rebalanceInterval') {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new Error('rebalanceInterval must be a non-negative integer');
+        }
+      } else {
+        throw new Error(`Unknown parameter: ${name}`);
+      }
+      this.parameters[name] = value;
+    });
+  }
+
+  /**
+   * Rebalancing logic - called once per aligned candle
+   * @param {Object} candles - Current candle by symbol
+   * @param {Object} history - Historical candles by symbol
+   * @param {Object} context - { engines, portfolio, symbols }
+   * @returns {Object|null} Target weights, or null to leave the portfolio as is
+   */
+  async onRebalance(candles, history, context) {
+    const { weights, rebalanceInterval } = this.parameters;
+    this.bars++;
+
+    if (rebalanceInterval > 0 && (this.bars - 1) % rebalanceInterval !== 0) {
+      return null;
+    }
+
+    if (weights) {
+      return weights;
+    }
+
+    const equalWeights = {};
+    context.symbols.forEach(symbol => {
+      equalWeights[symbol] = 1 / context.symbols.length;
+    });
+    return equalWeights;
+  }
+}
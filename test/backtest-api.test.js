@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { Backtester } = require('../src/engine/backtester.js');
+const {
+  default: backtestRouter,
+  registry,
+  registryReady,
+  parseParameters,
+  parseMonteCarloRuns
+} = require('../src/api/backtest.js');
+
+describe('Backtest API input validation', () => {
+  const csvFile = path.join(__dirname, 'sample-candles.csv');
+  const uploadDir = path.join(__dirname, '..', 'temp');
+  let app;
+
+  const uploads = () => (fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir).filter(file => file.startsWith('csvFile-')) : []);
+
+  const post = fields => {
+    const req = request(app).post('/api/backtest').attach('csvFile', csvFile);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  beforeAll(async() => {
+    await registryReady;
+    app = express();
+    app.use('/api/backtest', backtestRouter);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parseParameters accepts objects and JSON objects only', () => {
+    expect(parseParameters(undefined)).toEqual({});
+    expect(parseParameters('{"rsiPeriod":14}')).toEqual({ rsiPeriod: 14 });
+    expect(parseParameters({ rsiPeriod: 14 })).toEqual({ rsiPeriod: 14 });
+    expect(() => parseParameters('{rsiPeriod')).toThrow('Parameters must be valid JSON');
+    expect(() => parseParameters('[1,2]')).toThrow('Parameters must be a JSON object');
+    expect(() => parseParameters('null')).toThrow('Parameters must be a JSON object');
+    expect(() => parseParameters('14')).toThrow('Parameters must be a JSON object');
+  });
+
+  test('parseMonteCarloRuns accepts whole numbers up to the limit', () => {
+    expect(parseMonteCarloRuns('')).toBe(0);
+    expect(parseMonteCarloRuns('500')).toBe(500);
+    expect(() => parseMonteCarloRuns('1.5')).toThrow('monteCarloRuns must be an integer');
+    expect(() => parseMonteCarloRuns(-1)).toThrow('monteCarloRuns must be an integer');
+    expect(() => parseMonteCarloRuns(10001)).toThrow('monteCarloRuns must be an integer');
+  });
+
+  test.each([
+    ['invalid JSON', { parameters: '{rsiPeriod' }, 'Parameters must be valid JSON'],
+    ['an array', { parameters: '[14]' }, 'Parameters must be a JSON object'],
+    ['null', { parameters: 'null' }, 'Parameters must be a JSON object'],
+    ['a Monte Carlo run count out of range', { monteCarloRuns: '20000' }, 'monteCarloRuns must be an integer']
+  ])('should reject %s with 400 and remove the upload', async(name, fields, message) => {
+    const before = uploads();
+
+    const response = await post({ strategy: 'RSIStrategy', ...fields }).expect(400);
+
+    expect(response.body).toEqual({ success: false, error: expect.stringContaining(message) });
+    expect(uploads()).toEqual(before);
+  });
+
+  test('should report parameters the strategy rejects with 400', async() => {
+    jest.spyOn(Backtester.prototype, 'loadStrategy').mockRejectedValue(new Error('rsiPeriod must be at least 2'));
+    const before = uploads();
+
+    const response = await post({ strategy: 'RSIStrategy', parameters: '{"rsiPeriod":1}' }).expect(400);
+
+    expect(response.body.error).toBe('rsiPeriod must be at least 2');
+    expect(uploads()).toEqual(before);
+  });
+
+  test('should reject parameters the strategy does not define', async() => {
+    // Load the strategy with require, as jest cannot run the dynamic import
+    jest.spyOn(Backtester.prototype, 'loadStrategy').mockImplementation(async function(strategyPath, parameters) {
+      const Strategy = require(strategyPath);
+      this.strategy = new (Strategy.default || Strategy)();
+      this.applyParameters(this.strategy, parameters);
+      return this.strategy;
+    });
+    const before = uploads();
+
+    const response = await post({ strategy: 'RSIStrategy', parameters: '{"period":1,"rsiPeriod":14}' }).expect(400);
+
+    expect(response.body.error).toBe('Invalid strategy parameters: unknown parameter \'period\'');
+    expect(uploads()).toEqual(before);
+  });
+
+  test('applyParameters rejects names missing from parameterDefinitions', () => {
+    const backtester = new Backtester();
+    const strategy = { parameterDefinitions: { period: {} }, updateParameters: jest.fn() };
+
+    expect(() => backtester.applyParameters(strategy, { period: 5, fast: 2, slow: 9 }))
+      .toThrow('Invalid strategy parameters: unknown parameter \'fast\', \'slow\'');
+    expect(strategy.updateParameters).not.toHaveBeenCalled();
+
+    backtester.applyParameters(strategy, { period: 5 });
+    expect(strategy.updateParameters).toHaveBeenCalledWith({ period: 5 });
+
+    // Strategies without definitions validate their own parameters
+    const custom = { updateParameters: jest.fn() };
+    backtester.applyParameters(custom, { anything: 1 });
+    expect(custom.updateParameters).toHaveBeenCalledWith({ anything: 1 });
+  });
+
+  test('should reject an unknown strategy with 400', async() => {
+    const response = await post({ strategy: '../server' }).expect(400);
+
+    expect(response.body.error).toBe('Strategy \'../server\' not found');
+  });
+
+  test('should remove the upload when starting the job fails', async() => {
+    jest.spyOn(registry, 'storeDataset').mockRejectedValue(new Error('disk full'));
+    const before = uploads();
+
+    const response = await post({ strategy: 'RSIStrategy' }).expect(500);
+
+    expect(response.body.message).toBe('disk full');
+    expect(uploads()).toEqual(before);
+  });
+});
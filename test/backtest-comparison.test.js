@@ -0,0 +1,69 @@
+const { alignEquityCurves, compareBacktests } = require('../src/engine/backtestComparison.js');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+const results = (values, { offset = 0, spacing = HOUR, trades = [] } = {}) => ({
+  equityCurve: values.map((value, i) => ({ timestamp: new Date(START + (offset + i) * spacing).toISOString(), value })),
+  roundTrips: trades
+});
+
+describe('backtest comparison', () => {
+  test('should align curves on the common period and carry values forward', () => {
+    const curves = [
+      [{ time: 0, value: 1 }, { time: 2, value: 2 }, { time: 4, value: 3 }],
+      [{ time: 1, value: 10 }, { time: 3, value: 20 }, { time: 5, value: 30 }]
+    ];
+
+    expect(alignEquityCurves(curves)).toEqual({
+      timestamps: [1, 2, 3, 4],
+      values: [[1, 2, 2, 3], [10, 10, 20, 20]]
+    });
+    expect(() => alignEquityCurves([[{ time: 0, value: 1 }], [{ time: 1, value: 1 }]])).toThrow('common period');
+  });
+
+  test('should report deltas, winners and return correlation', () => {
+    const base = [1000, 1010, 1005, 1020, 1030, 1025];
+    const levered = base.map(value => 2 * value - 1000);
+    const comparison = compareBacktests([
+      { id: 'base', name: 'SMA', parameters: { fast: 5 }, results: results(base, { trades: [{ pnl: 10 }, { pnl: -5 }] }) },
+      { id: 'levered', name: 'SMA', results: results(levered, { trades: [{ pnl: 30 }] }) },
+      { id: 'late', name: 'RSI', results: results([500, 505, 510, 515], { offset: 2 }) }
+    ]);
+
+    expect(comparison.baseline).toBe('base');
+    expect(comparison.timestamps).toHaveLength(4);
+    expect(comparison.timestamps[0]).toBe(START + 2 * HOUR);
+
+    const [first, second, third] = comparison.runs;
+    expect(first.parameters).toEqual({ fast: 5 });
+    expect(first.equityCurve[0]).toEqual({ timestamp: START + 2 * HOUR, value: 1005, returnPercent: 0 });
+    expect(third.equityCurve[3].returnPercent).toBeCloseTo(3);
+    expect(second.metrics.totalReturnPercent).toBeGreaterThan(first.metrics.totalReturnPercent);
+
+    expect(comparison.deltas.base).toBeUndefined();
+    expect(comparison.deltas.levered.totalReturnPercent)
+      .toBeCloseTo(second.metrics.totalReturnPercent - first.metrics.totalReturnPercent);
+    expect(comparison.deltas.levered.winRate).toBeCloseTo(50);
+
+    expect(comparison.winners.winRate).toEqual(['levered']);
+    expect(comparison.winners.maxDrawdownPercent).toEqual(['late']);
+    expect(comparison.winners.totalReturnPercent).toEqual(['levered']);
+
+    expect(comparison.correlation.ids).toEqual(['base', 'levered', 'late']);
+    expect(comparison.correlation.matrix[0][1]).toBeCloseTo(1);
+    expect(comparison.correlation.matrix[1][1]).toBe(1);
+  });
+
+  test('should reject comparisons it cannot make', () => {
+    const run = id => ({ id, results: results([1, 2, 3]) });
+
+    expect(() => compareBacktests([run('a')])).toThrow('At least two');
+    expect(() => compareBacktests([run('a'), run('a')])).toThrow('only be compared once');
+    expect(() => compareBacktests([run('a'), { id: 'b', results: { equityCurve: [] } }])).toThrow('Backtest \'b\' has no equity curve');
+    expect(() => compareBacktests([run('a'), run('b')], { baseline: 'c' })).toThrow('Baseline \'c\'');
+    expect(compareBacktests([run('a'), run('b')], { baseline: 'b' }).deltas).toEqual({
+      a: expect.objectContaining({ totalReturnPercent: 0 })
+    });
+  });
+});
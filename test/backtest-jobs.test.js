@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+const { BacktestJobManager, JOB_STATUS } = require('../src/engine/backtestJobs.js');
+
+class FakeWorker extends EventEmitter {
+  constructor(workerData) {
+    super();
+    this.workerData = workerData;
+    this.terminated = false;
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('BacktestJobManager', () => {
+  let manager;
+  let workers;
+
+  beforeEach(() => {
+    workers = [];
+    manager = new BacktestJobManager({
+      workerPath: 'worker.js',
+      createWorker: (workerPath, workerData) => {
+        const worker = new FakeWorker(workerData);
+        workers.push(worker);
+        return worker;
+      }
+    });
+  });
+
+  const startJob = () => manager.start({
+    dataPath: 'data.csv',
+    strategyPath: 'strategy.js',
+    options: { initialBalance: 5000 },
+    runOptions: { startDate: '2023-01-01' },
+    metadata: { strategy: 'strategy' }
+  });
+
+  test('should start a job in a worker and return immediately', () => {
+    const job = startJob();
+
+    expect(job.id).toBeDefined();
+    expect(job.status).toBe(JOB_STATUS.RUNNING);
+    expect(workers).toHaveLength(1);
+    expect(workers[0].workerData).toEqual({
+      dataPath: 'data.csv',
+      strategyPath: 'strategy.js',
+      options: { initialBalance: 5000 },
+      runOptions: { startDate: '2023-01-01' }
+    });
+    expect(manager.get(job.id)).toBe(job);
+  });
+
+  test('should re-emit progress and trades from the worker', () => {
+    const job = startJob();
+    const progress = [];
+    const trades = [];
+
+    manager.on('progress', (j, payload) => progress.push(payload));
+    manager.on('trade', (j, payload) => trades.push(payload.trade));
+
+    workers[0].emit('message', { type: 'progress', progress: { percent: 50 }, equity: [{ value: 1 }] });
+    workers[0].emit('message', { type: 'trade', trade: { action: 'buy' } });
+
+    expect(job.progress).toBe(50);
+    expect(job.tradeCount).toBe(1);
+    expect(progress[0].equity).toEqual([{ value: 1 }]);
+    expect(trades).toEqual([{ action: 'buy' }]);
+  });
+
+  test('should store results and release the worker on completion', () => {
+    const job = startJob();
+    const settled = jest.fn();
+    manager.on('settled', settled);
+
+    workers[0].emit('message', { type: 'complete', results: { summary: { roi: 5 } } });
+
+    expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    expect(job.progress).toBe(100);
+    expect(job.results.summary.roi).toBe(5);
+    expect(job.completedAt).not.toBeNull();
+    expect(workers[0].terminated).toBe(true);
+    expect(settled).toHaveBeenCalledWith(job);
+  });
+
+  test('should record worker errors and unexpected exits as failures', () => {
+    const first = startJob();
+    workers[0].emit('message', { type: 'error', error: 'Backtest failed: boom' });
+    expect(first.status).toBe(JOB_STATUS.FAILED);
+    expect(first.error).toBe('Backtest failed: boom');
+
+    const second = startJob();
+    workers[1].emit('exit', 1);
+    expect(second.status).toBe(JOB_STATUS.FAILED);
+    expect(second.error).toBe('Backtest worker exited with code 1');
+  });
+
+  test('should stop a running job and ignore its later messages', () => {
+    const job = startJob();
+
+    expect(manager.stop(job.id)).toBe(job);
+    expect(job.status).toBe(JOB_STATUS.STOPPED);
+    expect(workers[0].terminated).toBe(true);
+
+    workers[0].emit('message', { type: 'complete', results: {} });
+    expect(job.status).toBe(JOB_STATUS.STOPPED);
+    expect(job.results).toBeNull();
+  });
+
+  test('should stop and forget a removed job', () => {
+    const job = startJob();
+
+    expect(manager.remove(job.id)).toBe(true);
+    expect(job.status).toBe(JOB_STATUS.STOPPED);
+    expect(manager.get(job.id)).toBeNull();
+    expect(manager.remove(job.id)).toBe(false);
+  });
+
+  test('should return null for unknown jobs', () => {
+    expect(manager.get('missing')).toBeNull();
+    expect(manager.stop('missing')).toBeNull();
+  });
+});
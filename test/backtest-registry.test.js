@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { BacktestJobManager } = require('../src/engine/backtestJobs.js');
+const { BacktestRegistry } = require('../src/engine/backtestRegistry.js');
+
+class FakeWorker extends EventEmitter {
+  constructor(workerData) {
+    super();
+    this.workerData = workerData;
+  }
+
+  terminate() {}
+}
+
+describe('BacktestRegistry', () => {
+  let directory;
+  let workers;
+  let manager;
+  let registry;
+
+  const createManager = () => new BacktestJobManager({
+    createWorker: (workerPath, workerData) => {
+      const worker = new FakeWorker(workerData);
+      workers.push(worker);
+      return worker;
+    }
+  });
+
+  const uploadCsv = () => {
+    const file = path.join(directory, `upload-${Date.now()}-${Math.random()}.csv`);
+    fs.writeFileSync(file, 'timestamp,open,high,low,close,volume\n');
+    return file;
+  };
+
+  const startRun = async() => {
+    const dataset = await registry.storeDataset(uploadCsv(), 'candles.csv');
+    return registry.create({
+      strategy: 'sample-strategy',
+      strategyPath: '/strategies/sample-strategy.js',
+      dataset,
+      parameters: { stopLoss: 2 },
+      options: { initialBalance: 5000 },
+      runOptions: { startDate: '2023-01-01', endDate: null }
+    });
+  };
+
+  beforeEach(async() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-registry-'));
+    workers = [];
+    manager = createManager();
+    registry = new BacktestRegistry({ directory, jobManager: manager });
+    await registry.load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should move uploads into the dataset store', async() => {
+    const upload = uploadCsv();
+    const dataset = await registry.storeDataset(upload, 'candles.csv');
+
+    expect(dataset.filename).toBe('candles.csv');
+    expect(fs.existsSync(upload)).toBe(false);
+    expect(fs.existsSync(registry.getDatasetPath(dataset.id))).toBe(true);
+  });
+
+  test('should record a run with its configuration', async() => {
+    const record = await startRun();
+
+    expect(record.status).toBe('running');
+    expect(record.strategyId).toBe('sample-strategy');
+    expect(record.parameters).toEqual({ stopLoss: 2 });
+    expect(record.config.options.initialBalance).toBe(5000);
+    expect(record.request.datasetId).toBe(record.dataset.id);
+    expect(registry.list()).toHaveLength(1);
+  });
+
+  test('should pass strategy parameters to the backtest worker', async() => {
+    await startRun();
+
+    expect(workers[0].workerData.options).toEqual({
+      initialBalance: 5000,
+      parameters: { stopLoss: 2 }
+    });
+    expect(workers[0].workerData.runOptions.startDate).toBe('2023-01-01');
+  });
+
+  test('should store results and performance when the job completes', async() => {
+    const record = await startRun();
+
+    workers[0].emit('message', {
+      type: 'complete',
+      results: { summary: { roi: 12, sharpeRatio: 1.5, maxDrawdown: 4, winRate: 60, totalTrades: 5 } }
+    });
+
+    expect(record.status).toBe('completed');
+    expect(record.performance.totalReturn).toBe(12);
+    expect(record.duration).toBeGreaterThanOrEqual(0);
+    expect(registry.list()[0].results).toBeUndefined();
+    expect(registry.get(record.id).results.summary.roi).toBe(12);
+  });
+
+  test('should persist runs across restarts and fail interrupted ones', async() => {
+    const finished = await startRun();
+    workers[0].emit('message', { type: 'complete', results: { summary: { roi: 1 } } });
+    const interrupted = await startRun();
+    await registry.save();
+
+    const restarted = new BacktestRegistry({ directory, jobManager: createManager() });
+    await restarted.load();
+
+    expect(restarted.get(finished.id).status).toBe('completed');
+    expect(restarted.get(interrupted.id).status).toBe('failed');
+    expect(restarted.get(interrupted.id).error).toBe('Interrupted by server restart');
+  });
+
+  test('should stop a running backtest', async() => {
+    const record = await startRun();
+
+    registry.stop(record.id);
+
+    expect(record.status).toBe('stopped');
+    expect(registry.stop('missing')).toBeNull();
+  });
+
+  test('should re-run with the same dataset and configuration', async() => {
+    const original = await startRun();
+    const rerun = await registry.rerun(original.id);
+
+    expect(rerun.id).not.toBe(original.id);
+    expect(rerun.dataset).toEqual(original.dataset);
+    expect(rerun.parameters).toEqual(original.parameters);
+    expect(rerun.config).toEqual(original.config);
+    expect(await registry.rerun('missing')).toBeNull();
+  });
+
+  test('should delete datasets only once no run references them', async() => {
+    const original = await startRun();
+    const rerun = await registry.rerun(original.id);
+    const datasetPath = registry.getDatasetPath(original.dataset.id);
+
+    expect(await registry.remove(original.id)).toBe(true);
+    expect(fs.existsSync(datasetPath)).toBe(true);
+
+    expect(await registry.remove(rerun.id)).toBe(true);
+    expect(fs.existsSync(datasetPath)).toBe(false);
+    expect(registry.list()).toHaveLength(0);
+    expect(await registry.remove('missing')).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Backtester } = require('../src/engine/backtester.js');
+
+describe('Backtester resting stop-loss and take-profit orders', () => {
+  let directory;
+
+  // Buys on the first candle with a 5% stop-loss and a 10% take-profit
+  const createStrategy = () => ({
+    parameters: { stopLoss: 5, takeProfit: 10 },
+    entered: false,
+    onForcedExit: jest.fn(),
+    async onCandle() {
+      if (this.entered) {
+        return null;
+      }
+      this.entered = true;
+      return { action: 'buy', amount: 1 };
+    }
+  });
+
+  const run = async(candles, options = {}) => {
+    const dataPath = path.join(directory, 'candles.csv');
+    fs.writeFileSync(dataPath, [
+      'timestamp,open,high,low,close,volume',
+      ...candles.map(([open, high, low, close], i) =>
+        `${new Date(Date.UTC(2024, 0, 1, i)).toISOString()},${open},${high},${low},${close},10`)
+    ].join('\n'));
+
+    const strategy = createStrategy();
+    const backtester = new Backtester({ fee: 0, ...options });
+    backtester.loadStrategy = async() => {
+      backtester.strategy = strategy;
+      return strategy;
+    };
+
+    const results = await backtester.run(dataPath, 'test-strategy.js');
+    return { results, strategy };
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'backtester-risk-orders-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should fill a stop the candle gaps through at the open', async() => {
+    const candles = [
+      [100, 101, 99, 100],
+      [90, 92, 88, 91],
+      [91, 93, 90, 92]
+    ];
+
+    const { results, strategy } = await run(candles, { riskOrders: true });
+    const exit = results.trades[1];
+
+    expect(results.trades).toHaveLength(2);
+    expect(exit).toMatchObject({ action: 'sell', reason: 'stop_loss', orderType: 'stop', price: 90 });
+    expect(exit.triggerPrice).toBeCloseTo(95);
+    expect(strategy.onForcedExit).toHaveBeenCalledWith(exit);
+    expect(results.portfolio.openOrders).toEqual([]);
+
+    // Off by default: the position stays open
+    const { results: unprotected } = await run(candles);
+    expect(unprotected.trades).toHaveLength(1);
+    expect(unprotected.portfolio.position).toBeGreaterThan(0);
+  });
+
+  test('should pick the stop or the take-profit by fill rule when a candle touches both', async() => {
+    const candles = [
+      [100, 101, 99, 100],
+      [100, 112, 94, 100]
+    ];
+
+    const { results: pessimistic } = await run(candles, { riskOrders: true });
+    expect(pessimistic.trades[1]).toMatchObject({ reason: 'stop_loss', fillRule: 'pessimistic' });
+    expect(pessimistic.trades[1].price).toBeCloseTo(95);
+
+    const { results: optimistic, strategy } = await run(candles, { riskOrders: true, fillRule: 'optimistic' });
+    expect(optimistic.trades[1]).toMatchObject({ reason: 'take_profit', fillRule: 'optimistic' });
+    expect(optimistic.trades[1].price).toBeCloseTo(110);
+    expect(strategy.onForcedExit).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,95 @@
+const { buildBenchmarkCurve, calculateBenchmarkMetrics, compareToBenchmark } = require('../src/engine/benchmark.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+const candles = Array.from({ length: 60 }, (_, i) => {
+  const close = 100 * (1 + 0.003 * i + 0.02 * Math.sin(i / 2));
+  return { timestamp: START + i * DAY, open: close, high: close * 1.01, low: close * 0.99, close, volume: 1000 };
+});
+
+describe('benchmark comparison', () => {
+  test('should match benchmark prices by timestamp', () => {
+    const series = [
+      { timestamp: START + 2 * DAY, close: 120 },
+      { timestamp: START, close: 100 }
+    ];
+    const curve = buildBenchmarkCurve(series, [START, START + DAY, START + 2 * DAY, START + 3 * DAY], 1000);
+
+    expect(curve.map(point => point.value)).toEqual([1000, 1000, 1200, 1200]);
+    expect(() => buildBenchmarkCurve([], [START], 1000)).toThrow('non-empty array');
+    expect(() => buildBenchmarkCurve([0, 1], [START, START + DAY], 1000)).toThrow('positive price');
+  });
+
+  test('should measure beta and capture of a levered strategy', () => {
+    const benchmarkReturns = [0.01, -0.02, 0.015, -0.005, 0.02, -0.01];
+    const strategyReturns = benchmarkReturns.map(r => 2 * r);
+    const metrics = calculateBenchmarkMetrics(strategyReturns, benchmarkReturns, 365);
+
+    expect(metrics.beta).toBeCloseTo(2);
+    expect(metrics.correlation).toBeCloseTo(1);
+    expect(metrics.alpha).toBeCloseTo(0);
+    expect(metrics.upCapture).toBeGreaterThan(190);
+    expect(metrics.downCapture).toBeGreaterThan(190);
+    expect(metrics.trackingError).toBeGreaterThan(0);
+    expect(Math.sign(metrics.informationRatio)).toBe(Math.sign(benchmarkReturns.reduce((a, b) => a + b, 0)));
+  });
+
+  test('should report zero tracking error against itself', () => {
+    const equityCurve = candles.map(candle => ({ timestamp: candle.timestamp, value: candle.close * 100 }));
+    const result = compareToBenchmark(equityCurve, { series: candles, initialBalance: candles[0].close * 100 });
+
+    expect(result.source).toBe('buy-and-hold');
+    expect(result.beta).toBeCloseTo(1);
+    expect(result.trackingError).toBeCloseTo(0);
+    expect(result.informationRatio).toBe(0);
+    expect(result.excessReturn).toBeCloseTo(0);
+    expect(result.upCapture).toBeCloseTo(100);
+    expect(result.equityCurve).toHaveLength(candles.length);
+    expect(compareToBenchmark([], { series: candles, initialBalance: 1 })).toBeNull();
+  });
+});
+
+describe('AdvancedBacktester benchmark', () => {
+  const run = async config => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 10000,
+      commission: 0,
+      slippage: 0,
+      enableRealisticExecution: false,
+      ...config
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => (history.length === 1 ? { action: 'buy', side: 'buy', quantity: 50, price: candle.close } : null)
+    });
+    const results = await backtester.run();
+    return { backtester, results };
+  };
+
+  test('should compare every run with buy and hold', async() => {
+    const { backtester, results } = await run({});
+
+    expect(results.benchmark.source).toBe('buy-and-hold');
+    expect(results.benchmark.beta).toBeGreaterThan(0);
+    expect(results.benchmark.beta).toBeLessThan(1);
+    expect(results.benchmark.benchmarkReturn).toBeCloseTo((candles[59].close / candles[0].close - 1) * 100);
+
+    const report = backtester.generateReport();
+    expect(report.risk.beta).toBe(results.benchmark.beta);
+    expect(report.performance.benchmark).toMatchObject({ alpha: expect.any(Number), informationRatio: expect.any(Number) });
+    expect(report.performance.benchmark.equityCurve).toBeUndefined();
+    expect(report.charts.benchmarkCurve).toHaveLength(results.equityCurve.length);
+  });
+
+  test('should use a supplied benchmark series', async() => {
+    const benchmark = candles.map(candle => ({ timestamp: candle.timestamp, close: 50 }));
+    const { results } = await run({ benchmark });
+
+    expect(results.benchmark.source).toBe('custom');
+    expect(results.benchmark.benchmarkReturn).toBe(0);
+    expect(results.benchmark.beta).toBe(0);
+    expect(results.benchmark.excessReturn).toBeCloseTo(results.benchmark.strategyReturn);
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  GaussianProcess,
+  maternKernel,
+  normalCdf,
+  expectedImprovement,
+  upperConfidenceBound
+} = require('../src/engine/gaussianProcess.js');
+
+describe('Gaussian process', () => {
+  test('should use a Matérn 5/2 kernel that decays with distance', () => {
+    expect(maternKernel(0)).toBe(1);
+    expect(maternKernel(0.5, 1)).toBeLessThan(maternKernel(0.1, 1));
+    expect(maternKernel(0.5, 1, 2)).toBeCloseTo(2 * maternKernel(0.5, 1));
+  });
+
+  test('should interpolate observations and be uncertain away from them', () => {
+    const inputs = [[0], [0.25], [0.5], [0.75], [1]];
+    const targets = inputs.map(([x]) => Math.sin(2 * Math.PI * x) * 10 + 50);
+    const gp = new GaussianProcess().fit(inputs, targets);
+
+    inputs.forEach((input, i) => {
+      const { mean, std } = gp.predict(input);
+      expect(mean).toBeCloseTo(targets[i], 2);
+      expect(std).toBeLessThan(0.1);
+    });
+
+    expect(gp.predict([0.125]).std).toBeGreaterThan(gp.predict([0.25]).std);
+    expect(gp.predict([3]).mean).toBeCloseTo(50, 0);
+  });
+
+  test('should score acquisition functions', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 3);
+
+    // Uncertainty alone is worth something below the incumbent
+    expect(expectedImprovement(0, 1, 1, 0)).toBeGreaterThan(0);
+    expect(expectedImprovement(2, 0, 1, 0)).toBe(1);
+    expect(expectedImprovement(0, 2, 1)).toBeGreaterThan(expectedImprovement(0, 1, 1));
+    expect(upperConfidenceBound(1, 0.5, 2)).toBe(2);
+  });
+});
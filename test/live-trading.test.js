@@ -327,7 +327,7 @@ describe('LiveTradingEngine', () => {
 
       expect(performance.totalTrades).toBe(3);
       expect(performance.totalPnL).toBe(250);
-      expect(performance.winRate).toBe(2 / 3); // 2 winning trades out of 3
+      expect(performance.winRate).toBeCloseTo(200 / 3); // 2 winning trades out of 3, in percent
     });
   });
 
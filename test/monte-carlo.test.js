@@ -0,0 +1,128 @@
+const { MonteCarloSimulator, createRandom, percentile } = require('../src/engine/monteCarlo.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+
+describe('Monte Carlo helpers', () => {
+  test('should repeat a seeded random sequence', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should interpolate percentiles', () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([0, 10], 25)).toBe(2.5);
+    expect(percentile([], 50)).toBe(0);
+  });
+
+  test('should derive returns from equity curves', () => {
+    expect(MonteCarloSimulator.returnsFromEquity([{ equity: 100 }, { equity: 110 }, { value: 99 }]))
+      .toEqual([expect.closeTo(0.1), expect.closeTo(-0.1)]);
+  });
+});
+
+describe('MonteCarloSimulator', () => {
+  const trades = [100, -50, 200, -150, 80, -30].map(pnl => ({ pnl }));
+
+  test('should keep final equity fixed when shuffling every trade', () => {
+    const simulator = new MonteCarloSimulator({ runs: 200, initialBalance: 1000, method: 'shuffle', seed: 1 });
+    const result = simulator.simulateTrades(trades);
+
+    expect(result.finalEquity.min).toBeCloseTo(1150);
+    expect(result.finalEquity.max).toBeCloseTo(1150);
+    expect(result.maxDrawdown.max).toBeGreaterThan(result.maxDrawdown.min);
+    expect(result.bands[0]).toMatchObject({ step: 0, p5: 1000, p95: 1000 });
+    expect(result.bands[result.bands.length - 1].step).toBe(6);
+  });
+
+  test('should spread outcomes when resampling and skipping trades', () => {
+    const simulator = new MonteCarloSimulator({ runs: 500, initialBalance: 1000, skipProbability: 0.2, seed: 7 });
+    const result = simulator.simulateTrades(trades);
+
+    expect(result.finalEquity.p5).toBeLessThan(result.finalEquity.p50);
+    expect(result.finalEquity.p50).toBeLessThan(result.finalEquity.p95);
+    expect(result.probabilityOfProfit).toBeGreaterThan(0);
+    expect(result.probabilityOfProfit).toBeLessThan(1);
+    result.bands.forEach(band => {
+      expect(band.p5).toBeLessThanOrEqual(band.p25);
+      expect(band.p75).toBeLessThanOrEqual(band.p95);
+    });
+  });
+
+  test('should be reproducible with a seed', () => {
+    const run = () => new MonteCarloSimulator({ runs: 50, seed: 3 }).simulateTrades(trades);
+
+    expect(run()).toEqual(run());
+  });
+
+  test('should stop ruined paths at the ruin level', () => {
+    const simulator = new MonteCarloSimulator({ runs: 100, initialBalance: 1000, ruinThreshold: 0.5, seed: 5 });
+    const result = simulator.simulateTrades([-600, -600, 1000]);
+
+    expect(result.riskOfRuin).toBeGreaterThan(0);
+    expect(result.finalEquity.min).toBe(400);
+  });
+
+  test('should block-bootstrap returns with the default block size', () => {
+    const returns = Array.from({ length: 100 }, (_, i) => (i % 2 === 0 ? 0.02 : -0.01));
+    const simulator = new MonteCarloSimulator({ runs: 100, initialBalance: 1000, bandPoints: 11, seed: 9 });
+    const result = simulator.bootstrapReturns(returns);
+
+    expect(result.method).toBe('block-bootstrap');
+    expect(result.blockSize).toBe(10);
+    expect(result.steps).toBe(100);
+    expect(result.bands.map(band => band.step)).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+    expect(result.finalEquity.p50).toBeGreaterThan(1000);
+  });
+
+  test('should reject unknown methods', () => {
+    expect(() => new MonteCarloSimulator({ method: 'bootstrap' })).toThrow('Invalid Monte Carlo method');
+  });
+});
+
+describe('AdvancedBacktester Monte Carlo mode', () => {
+  test('should simulate the trades of a single backtest', async() => {
+    const candles = Array.from({ length: 40 }, (_, i) => {
+      const close = 100 + 10 * Math.sin(i / 3);
+      return {
+        timestamp: Date.UTC(2023, 0, 1 + i),
+        open: close,
+        high: close + 1,
+        low: close - 1,
+        close,
+        volume: 1000
+      };
+    });
+
+    const backtester = new AdvancedBacktester({
+      initialBalance: 10000,
+      enableRealisticExecution: false,
+      enableMonteCarlo: true,
+      monteCarloRuns: 100,
+      monteCarloSeed: 11
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => {
+        if (history.length % 6 === 1) return { action: 'buy', side: 'buy', quantity: 10, price: candle.close };
+        if (history.length % 6 === 4) return { action: 'sell', side: 'sell', quantity: 10, price: candle.close };
+        return null;
+      }
+    });
+
+    const results = await backtester.run();
+
+    expect(results.type).toBe('monte-carlo');
+    expect(results.trades.length).toBeGreaterThan(0);
+    expect(results.monteCarlo.trades.trades).toBe(results.trades.length);
+    expect(results.monteCarlo.trades.runs).toBe(100);
+    expect(results.monteCarlo.returns.steps).toBe(candles.length - 1);
+    expect(results.report.monteCarlo).toBe(results.monteCarlo);
+    expect(results.report.summary.totalTrades).toBe(results.performance.totalTrades);
+  });
+});
@@ -0,0 +1,165 @@
+const {
+  MultiAssetBacktester,
+  MultiAssetPortfolio,
+  alignCandles
+} = require('../src/engine/multiAssetBacktester.js');
+
+const makeCandles = (closes, start = 0) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2023, 0, 1 + start + i)).toISOString(),
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 100
+}));
+
+describe('alignCandles', () => {
+  test('should keep only timestamps present in every series', () => {
+    const { symbols, bars, dropped } = alignCandles({
+      BTC: makeCandles([1, 2, 3, 4]),
+      ETH: makeCandles([10, 20, 30], 1)
+    });
+
+    expect(symbols).toEqual(['BTC', 'ETH']);
+    expect(bars).toHaveLength(3);
+    expect(bars[0].candles.BTC.close).toBe(2);
+    expect(bars[0].candles.ETH.close).toBe(10);
+    expect(dropped).toBe(1);
+  });
+
+  test('should reject an empty set of series', () => {
+    expect(() => alignCandles({})).toThrow('At least one candle series is required');
+  });
+});
+
+describe('MultiAssetPortfolio', () => {
+  let portfolio;
+
+  beforeEach(() => {
+    portfolio = new MultiAssetPortfolio({ initialBalance: 10000, fee: 0 });
+    portfolio.markPrices({ BTC: 100, ETH: 50 });
+  });
+
+  test('should share one cash balance between symbols', () => {
+    portfolio.buy('BTC', 40, 100, 't1');
+    portfolio.buy('ETH', 'all', 50, 't1');
+
+    expect(portfolio.getQuantity('BTC')).toBe(40);
+    expect(portfolio.getQuantity('ETH')).toBeCloseTo(120);
+    expect(portfolio.cash).toBeCloseTo(0);
+    expect(() => portfolio.buy('BTC', 1, 100, 't2')).toThrow('Insufficient buying power');
+  });
+
+  test('should value shorts against cash and attribute PnL per symbol', () => {
+    portfolio.short('ETH', 100, 50, 't1');
+    portfolio.markPrices({ ETH: 40 });
+
+    expect(portfolio.getEquity()).toBe(11000);
+    expect(portfolio.getExposure()).toEqual({ long: 0, short: 4000, gross: 4000, net: -4000 });
+    expect(portfolio.getAssetPnL('ETH')).toBe(1000);
+
+    const trade = portfolio.cover('ETH', 'all', 40, 't2');
+    expect(trade.profit).toBe(1000);
+    expect(portfolio.positions.has('ETH')).toBe(false);
+  });
+
+  test('should charge fees per symbol', () => {
+    const withFees = new MultiAssetPortfolio({ initialBalance: 10000, fee: 1 });
+    withFees.buy('BTC', 10, 100, 't1');
+
+    expect(withFees.cash).toBe(8990);
+    expect(withFees.fees.get('BTC')).toBe(10);
+    expect(withFees.getAssetPnL('BTC')).toBe(-10);
+  });
+
+  test('should refuse conflicting positions', () => {
+    portfolio.buy('BTC', 10, 100, 't1');
+
+    expect(() => portfolio.short('BTC', 1, 100, 't2')).toThrow('Sell it first');
+    expect(() => portfolio.cover('BTC', 1, 100, 't2')).toThrow('No BTC short position');
+    expect(() => portfolio.sell('BTC', 11, 100, 't2')).toThrow('Insufficient BTC position');
+  });
+});
+
+describe('MultiAssetBacktester', () => {
+  const candles = {
+    BTC: makeCandles([100, 110, 100, 120]),
+    ETH: makeCandles([50, 45, 50, 40])
+  };
+
+  const pairsStrategy = {
+    onPortfolioCandle: jest.fn(async(current, history) => {
+      if (history.BTC.length === 1) {
+        return [
+          { symbol: 'BTC', action: 'buy', amount: 40 },
+          { symbol: 'ETH', action: 'sell', direction: 'short', amount: 80, reason: 'pair_entry' }
+        ];
+      }
+      return null;
+    })
+  };
+
+  test('should run a long/short pair and report per-asset results', async() => {
+    const backtester = new MultiAssetBacktester({ initialBalance: 10000, fee: 0 });
+    const results = await backtester.run(candles, pairsStrategy);
+
+    expect(results.trades.map(t => `${t.action}:${t.symbol}`)).toEqual(['buy:BTC', 'short:ETH']);
+    expect(results.trades[1].reason).toBe('pair_entry');
+    expect(results.assets.BTC.totalPnl).toBeCloseTo(800);
+    expect(results.assets.ETH.totalPnl).toBeCloseTo(800);
+    expect(results.summary.finalBalance).toBeCloseTo(11600);
+    expect(results.assets.BTC.equityCurve).toHaveLength(4);
+    expect(results.correlation.returns.symbols).toEqual(['BTC', 'ETH']);
+    expect(results.correlation.returns.matrix[0][1]).toBeLessThan(-0.9);
+    expect(results.correlation.pnl.matrix[0][0]).toBe(1);
+    expect(results.equityCurve[0].exposure.net).toBeCloseTo(0);
+    expect(results.exposure.timeInMarket).toBe(100);
+  });
+
+  test('should report exposure for runs too long to spread into Math.max', async() => {
+    const bars = 200000;
+    const minuteCandles = Array.from({ length: bars }, (_, i) => {
+      const close = 100 + (i % 10);
+      return { timestamp: Date.UTC(2023, 0, 1) + i * 60 * 1000, open: close, high: close, low: close, close, volume: 1 };
+    });
+
+    const backtester = new MultiAssetBacktester({ fee: 0 });
+    const results = await backtester.run({ BTC: minuteCandles }, { onPortfolioCandle: async() => null });
+
+    expect(results.summary.bars).toBe(bars);
+    expect(results.exposure).toMatchObject({ maxGross: 0, minNet: 0, maxNet: 0 });
+    expect(results.assets.BTC.maxWeight).toBe(0);
+  });
+
+  test('should emit progress and trades', async() => {
+    const backtester = new MultiAssetBacktester({ fee: 0 });
+    const progress = [];
+    const trades = [];
+    backtester.on('progress', p => progress.push(p.percent));
+    backtester.on('trade', t => trades.push(t));
+
+    await backtester.run(candles, pairsStrategy);
+
+    expect(progress).toEqual([25, 50, 75, 100]);
+    expect(trades).toHaveLength(2);
+  });
+
+  test('should skip advice for unknown symbols and failed orders', async() => {
+    const backtester = new MultiAssetBacktester({ fee: 0 });
+    const results = await backtester.run(candles, {
+      onPortfolioCandle: async() => [
+        { symbol: 'DOGE', action: 'buy' },
+        { symbol: 'BTC', action: 'sell' }
+      ]
+    });
+
+    expect(results.trades).toHaveLength(0);
+  });
+
+  test('should require a portfolio strategy', async() => {
+    const backtester = new MultiAssetBacktester();
+
+    await expect(backtester.run(candles, { onCandle: () => null }))
+      .rejects.toThrow('onPortfolioCandle');
+  });
+});
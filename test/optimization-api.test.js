@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimization-api-'));
+process.env.OPTIMIZATION_DATA_DIR = directory;
+
+const { StrategyOptimizer } = require('../src/engine/strategyOptimizer.js');
+const { default: optimizationRouter, manager, ready } = require('../src/api/optimization.js');
+
+describe('Optimization API', () => {
+  const csvFile = path.join(__dirname, 'sample-candles.csv');
+  const uploadDir = path.join(__dirname, '..', 'temp');
+  const parameters = JSON.stringify({ period: { type: 'range', min: 2, max: 6, step: 1 } });
+  let app;
+  let completed;
+
+  const uploads = () => (fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir).filter(file => file.startsWith('csvFile-')) : []);
+
+  const start = (fields, { file = true } = {}) => {
+    const req = request(app).post('/api/optimization/start');
+    if (file) {
+      req.attach('csvFile', csvFile);
+    }
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  const importFile = (data, fields = {}) => {
+    const req = request(app).post('/api/optimization/import')
+      .attach('file', Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)), 'optimization.json');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  const exportJob = (id, format) => request(app).post(`/api/optimization/${id}/export`).send({ format });
+
+  beforeAll(async() => {
+    await ready;
+
+    manager.loadStrategy = async() => ({});
+    manager.loadCandles = async() => [{ timestamp: '2024-01-01T00:00:00Z', close: 100 }];
+    manager.createOptimizer = config => {
+      const optimizer = new StrategyOptimizer(config);
+      optimizer.evaluateIndividual = jest.fn(async(strategy, marketData, { period }) => 10 - Math.abs(period - 4));
+      optimizer.backtestParameters = jest.fn(async() => ({
+        portfolio: { totalPnL: 50 },
+        performance: { roi: 0.5, sharpeRatio: 1.1, maxDrawdownPercent: 3, totalTrades: 4 }
+      }));
+      return optimizer;
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/optimization', optimizationRouter);
+
+    const settled = new Promise(resolve => manager.once('settled', resolve));
+    const response = await start({
+      strategyId: 'RSIStrategy',
+      parameters,
+      optimization: JSON.stringify({ randomSeed: 1, diagnostics: false })
+    }).expect(202);
+    completed = await settled;
+    expect(completed.id).toBe(response.body.data.id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async() => {
+    await manager.writeQueue;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should run a started job to completion', async() => {
+    const response = await request(app).get(`/api/optimization/${completed.id}`).expect(200);
+
+    expect(response.body.data).toMatchObject({ status: 'completed', bestParameters: { period: 4 }, bestFitness: 10 });
+    expect(response.body.data.results).toHaveLength(5);
+  });
+
+  test.each([
+    ['a missing strategy', { strategyId: '' }, 'strategyId is required'],
+    ['an unknown strategy', { strategyId: '../server' }, 'Strategy \'../server\' not found'],
+    ['parameters that are not JSON', { parameters: '{period' }, 'parameters must be valid JSON'],
+    ['null parameters', { parameters: 'null' }, 'Parameters must be an object of parameter ranges'],
+    ['an array of parameters', { parameters: '[]' }, 'Parameters must be an object of parameter ranges'],
+    ['no parameters', { parameters: '{}' }, 'At least one parameter range is required'],
+    ['a parameter without a range', { parameters: '{"a":null}' }, 'Parameter \'a\' must be a range object']
+  ])('should reject %s with 400 and remove the upload', async(name, fields, error) => {
+    const before = uploads();
+
+    const response = await start({ strategyId: 'RSIStrategy', ...fields }).expect(400);
+
+    expect(response.body).toEqual({ success: false, error });
+    expect(uploads()).toEqual(before);
+  });
+
+  test('should reject a start without data', async() => {
+    let response = await start({ strategyId: 'RSIStrategy', parameters }, { file: false }).expect(400);
+    expect(response.body.error).toBe('CSV file or datasetId is required');
+
+    response = await start({ strategyId: 'RSIStrategy', parameters, datasetId: 'missing' }, { file: false }).expect(400);
+    expect(response.body.error).toBe('Dataset \'missing\' not found');
+  });
+
+  test.each([
+    ['get', '/missing'],
+    ['get', '/missing/progress'],
+    ['post', '/missing/pause'],
+    ['post', '/missing/resume'],
+    ['post', '/missing/stop'],
+    ['post', '/missing/duplicate'],
+    ['post', '/missing/export'],
+    ['delete', '/missing'],
+    ['put', '/templates/missing'],
+    ['delete', '/templates/missing'],
+    ['put', '/alerts/missing'],
+    ['delete', '/alerts/missing']
+  ])('should answer %s %s with 404', async(method, route) => {
+    const response = await request(app)[method](`/api/optimization${route}`).send({}).expect(404);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/not found/);
+  });
+
+  test.each(['pause', 'resume', 'stop'])('should refuse to %s a completed job with 409', async action => {
+    const response = await request(app).post(`/api/optimization/${completed.id}/${action}`).expect(409);
+
+    expect(response.body.success).toBe(false);
+    expect(manager.get(completed.id).status).toBe('completed');
+  });
+
+  test('should import an exported job and export it again', async() => {
+    const exported = await exportJob(completed.id, 'json').expect(200);
+    expect(exported.headers['content-disposition']).toContain(`optimization-${completed.id}.json`);
+
+    const response = await importFile(exported.text).expect(201);
+    const imported = response.body.data;
+
+    expect(imported).toMatchObject({ status: 'completed', importedFrom: completed.id, dataset: null });
+    expect(imported.id).not.toBe(completed.id);
+
+    const reexported = JSON.parse((await exportJob(imported.id, 'json').expect(200)).text);
+    expect(reexported.results).toEqual(JSON.parse(exported.text).results);
+    expect(reexported.bestParameters).toEqual({ period: 4 });
+
+    const csv = (await exportJob(imported.id, 'csv').expect(200)).text.split('\n');
+    expect(csv[0]).toBe('rank,period,fitness');
+    expect(csv).toHaveLength(6);
+
+    const duplicate = await request(app).post(`/api/optimization/${imported.id}/duplicate`).expect(409);
+    expect(duplicate.body.error).toBe('Imported optimizations cannot be run again');
+
+    const unsupported = await exportJob(imported.id, 'xml').expect(400);
+    expect(unsupported.body.error).toBe('Export format \'xml\' is not supported');
+  });
+
+  test.each([
+    ['text that is not JSON', 'not json', {}, 'Export file must be valid JSON'],
+    ['a CSV export', { strategyId: 'RSIStrategy', results: [] }, { format: 'csv' }, 'Only JSON exports can be imported'],
+    ['data without a strategy', { results: [] }, {}, 'Import must be an exported optimization with a strategyId and results'],
+    ['results without parameters', { strategyId: 'RSIStrategy', results: [{ parameters: null, fitness: 1 }] }, {},
+      'Imported result 1 must have parameters and a numeric fitness'],
+    ['results without a numeric fitness', { strategyId: 'RSIStrategy', results: [{ parameters: {}, fitness: 'high' }] }, {},
+      'Imported result 1 must have parameters and a numeric fitness']
+  ])('should reject importing %s with 400', async(name, data, fields, error) => {
+    const response = await importFile(data, fields).expect(400);
+
+    expect(response.body).toEqual({ success: false, error });
+  });
+
+  test('should require a file to import', async() => {
+    const response = await request(app).post('/api/optimization/import').expect(400);
+
+    expect(response.body.error).toBe('Export file is required');
+  });
+
+  test('should report export failures with 500', async() => {
+    jest.spyOn(manager, 'get').mockReturnValue({ id: 'broken', results: [{ parameters: null }] });
+
+    const response = await exportJob('broken', 'csv').expect(500);
+
+    expect(response.body).toMatchObject({ success: false, error: 'Failed to export optimization' });
+  });
+
+  test('should compare finished jobs only', async() => {
+    const failed = (await importFile({ strategyId: 'RSIStrategy', status: 'failed', results: [] }).expect(201)).body.data;
+    const copy = (await importFile((await exportJob(completed.id, 'json')).text).expect(201)).body.data;
+    const compare = body => request(app).post('/api/optimization/comparisons').send(body);
+
+    let response = await compare({ optimizations: completed.id, metrics: ['roi'] }).expect(400);
+    expect(response.body.error).toBe('optimizations and metrics must be arrays');
+
+    response = await compare({ optimizations: [completed.id, 'missing'], metrics: ['roi'] }).expect(404);
+    expect(response.body.error).toBe('Optimization \'missing\' not found');
+
+    response = await compare({ optimizations: [completed.id, failed.id], metrics: ['roi'] }).expect(409);
+    expect(response.body.error).toBe(`Optimization '${failed.id}' is failed and has no results to compare`);
+
+    response = await compare({ optimizations: [completed.id], metrics: ['roi'] }).expect(400);
+    expect(response.body.error).toBe('A comparison needs at least two optimizations');
+
+    response = await compare({ name: 'Copies', optimizations: [completed.id, copy.id], metrics: ['roi'] }).expect(201);
+    const { id } = response.body.data;
+
+    response = await request(app).get('/api/optimization/comparisons').expect(200);
+    expect(response.body.data.map(comparison => comparison.id)).toContain(id);
+  });
+
+  test('should save, update and delete templates', async() => {
+    let response = await request(app).post('/api/optimization/templates').send({ name: 'RSI sweep' }).expect(400);
+    expect(response.body.error).toBe('Template name and strategyId are required');
+
+    response = await request(app).post('/api/optimization/templates')
+      .send({ name: 'RSI sweep', strategyId: 'RSIStrategy', parameters: JSON.parse(parameters) }).expect(201);
+    const { id } = response.body.data;
+
+    response = await request(app).put(`/api/optimization/templates/${id}`).send({ name: 'RSI periods' }).expect(200);
+    expect(response.body.data).toMatchObject({ id, name: 'RSI periods', strategyId: 'RSIStrategy' });
+
+    await request(app).delete(`/api/optimization/templates/${id}`).expect(200);
+    response = await request(app).get('/api/optimization/templates').expect(200);
+    expect(response.body.data.map(template => template.id)).not.toContain(id);
+  });
+
+  test('should create, validate and delete alerts', async() => {
+    let response = await request(app).post('/api/optimization/alerts')
+      .send({ optimizationId: 'missing', type: 'completion' }).expect(404);
+    expect(response.body.error).toBe('Optimization \'missing\' not found');
+
+    response = await request(app).post('/api/optimization/alerts')
+      .send({ optimizationId: completed.id, type: 'sometimes' }).expect(400);
+    expect(response.body.error).toMatch(/Alert type must be one of/);
+
+    response = await request(app).post('/api/optimization/alerts')
+      .send({ optimizationId: completed.id, type: 'completion' }).expect(201);
+    const { id } = response.body.data;
+
+    response = await request(app).put(`/api/optimization/alerts/${id}`).send({ type: 'sometimes' }).expect(400);
+    expect(response.body.error).toMatch(/Alert type must be one of/);
+
+    await request(app).delete(`/api/optimization/alerts/${id}`).expect(200);
+    response = await request(app).get('/api/optimization/alerts').expect(200);
+    expect(response.body.data.map(alert => alert.id)).not.toContain(id);
+  });
+});
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StrategyOptimizer } = require('../src/engine/strategyOptimizer.js');
+const { OptimizationJobManager, toParameterSpace } = require('../src/engine/optimizationJobs.js');
+
+describe('OptimizationJobManager', () => {
+  let directory;
+  let evaluations;
+  let onEvaluate;
+
+  const strategy = {
+    parameterDefinitions: {
+      period: { type: 'number', min: 2, max: 40, step: 1 }
+    }
+  };
+
+  const createManager = () => new OptimizationJobManager({
+    directory,
+    checkpointInterval: 0,
+    loadStrategy: async() => strategy,
+    loadCandles: async() => [{ timestamp: '2024-01-01T00:00:00Z', close: 100 }],
+    createOptimizer: config => {
+      const optimizer = new StrategyOptimizer(config);
+      optimizer.evaluateIndividual = jest.fn(async(strategyInstance, marketData, parameters) => {
+        evaluations.push(parameters);
+        if (onEvaluate) {
+          return onEvaluate(parameters, evaluations.length);
+        }
+        return -Math.pow(parameters.period - 17, 2) - parameters.threshold;
+      });
+      optimizer.backtestParameters = jest.fn(async() => ({
+        portfolio: { totalPnL: 120 },
+        performance: { roi: 1.2, sharpeRatio: 0.8, maxDrawdownPercent: 4, totalTrades: 6 }
+      }));
+      return optimizer;
+    }
+  });
+
+  const request = {
+    optimizationMetric: 'totalReturn',
+    method: 'genetic',
+    parameters: {
+      period: { type: 'range', min: 2, max: 40, step: 1 },
+      threshold: { type: 'range', min: 0, max: 1, step: 0.01 }
+    },
+    dataSource: { startDate: '2024-01-01', endDate: '2024-06-30' },
+    portfolio: { initialCapital: 5000, tradingFee: 0.1 },
+    optimization: { randomSeed: 5, populationSize: 20, generations: 6, diagnostics: false }
+  };
+
+  const createJob = async manager => {
+    const file = path.join(directory, `upload-${Date.now()}.csv`);
+    fs.writeFileSync(file, 'timestamp,open,high,low,close,volume\n');
+    const dataset = await manager.storeDataset(file, 'candles.csv');
+    return manager.create({ strategyId: 'sample-strategy', strategyPath: '/strategies/sample-strategy.js', dataset, request });
+  };
+
+  const once = (manager, event) => new Promise(resolve => manager.once(event, resolve));
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimization-jobs-'));
+    evaluations = [];
+    onEvaluate = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should convert request ranges to a parameter space', () => {
+    expect(toParameterSpace({
+      period: { type: 'range', min: 5, max: 50, step: 5 },
+      threshold: { type: 'range', min: 0.1, max: 0.9, step: 0.1 },
+      mode: { type: 'values', values: ['fast', 'slow'] }
+    })).toEqual({
+      period: { type: 'integer', min: 5, max: 50, step: 5 },
+      threshold: { type: 'float', min: 0.1, max: 0.9, step: 0.1 },
+      mode: { type: 'choice', choices: ['fast', 'slow'] }
+    });
+    expect(() => toParameterSpace({ period: { type: 'range', min: 10 } })).toThrow(/Parameter 'period'/);
+  });
+
+  test('should reject parameter sets that are not objects of ranges', () => {
+    expect(() => toParameterSpace(null)).toThrow('Parameters must be an object of parameter ranges');
+    expect(() => toParameterSpace([])).toThrow('Parameters must be an object of parameter ranges');
+    expect(() => toParameterSpace({})).toThrow('At least one parameter range is required');
+    expect(() => toParameterSpace({ period: null })).toThrow('Parameter \'period\' must be a range object');
+  });
+
+  test('should run a job to completion and persist its results', async() => {
+    const manager = createManager();
+    await manager.load();
+    const progress = jest.fn();
+    manager.on('progress', progress);
+
+    const completed = once(manager, 'completed');
+    const job = await createJob(manager);
+    await completed;
+
+    const record = manager.get(job.id);
+    expect(record.status).toBe('completed');
+    expect(record.method).toBe('genetic');
+    expect(record.totalCombinations).toBe(120);
+    expect(record.completedCombinations).toBe(120);
+    expect(record.results).toHaveLength(evaluations.length);
+    expect(record.results[0]).toMatchObject({ rank: 1, parameters: record.bestParameters, fitness: record.bestFitness });
+    expect(record.bestPerformance).toMatchObject({ totalReturn: 1.2, sharpeRatio: 0.8, maxDrawdown: 4 });
+    expect(record.summary.validCombinations).toBe(evaluations.length);
+    expect(progress).toHaveBeenCalled();
+    expect(manager.getProgress(job.id)).toMatchObject({ status: 'completed', percentage: 100 });
+
+    // Request settings reach the optimizer
+    const config = manager.buildConfig(record);
+    expect(config).toMatchObject({ seed: 5, fitnessFunction: 'profit', workers: 0, populationSize: 20, generations: 6, diagnostics: false });
+    expect(manager.buildConfig({ ...record, request: { ...record.request, optimization: {} } }).diagnostics).toBe(true);
+    expect(config.backtest).toEqual({ initialBalance: 5000, commission: 0.001 });
+
+    await manager.writeQueue;
+    const reloaded = createManager();
+    await reloaded.load();
+    expect(reloaded.get(job.id).bestParameters).toEqual(record.bestParameters);
+    expect(reloaded.list()[0].results).toBeUndefined();
+    expect(fs.existsSync(manager.getCheckpointPath(job.id))).toBe(false);
+  });
+
+  test('should pause, checkpoint and resume without evaluating anything twice', async() => {
+    const baseline = createManager();
+    await baseline.load();
+    const baselineDone = once(baseline, 'completed');
+    const expected = await createJob(baseline);
+    await baselineDone;
+    await baseline.writeQueue;
+    const total = evaluations.length;
+
+    evaluations = [];
+    const manager = createManager();
+    await manager.load();
+    onEvaluate = (parameters, count) => {
+      if (count === 30) {
+        manager.pause(manager.list()[0].id);
+      }
+      return -Math.pow(parameters.period - 17, 2) - parameters.threshold;
+    };
+
+    const paused = once(manager, 'paused');
+    const job = await createJob(manager);
+    await paused;
+    await manager.writeQueue;
+
+    expect(manager.get(job.id).status).toBe('paused');
+    expect(evaluations).toHaveLength(30);
+    const checkpoint = await manager.readCheckpoint(job.id);
+    expect(checkpoint.evaluations).toHaveLength(30);
+    // Paused in the second generation, after the first population was scored
+    expect(checkpoint.population).toHaveLength(20);
+    expect(checkpoint.seed).toBe(5);
+    expect(() => manager.pause(job.id)).toThrow('Optimization is paused');
+
+    const completed = once(manager, 'completed');
+    manager.resume(job.id);
+    await completed;
+
+    expect(evaluations).toHaveLength(total);
+    expect(new Set(evaluations.map(parameters => JSON.stringify(parameters))).size).toBe(total);
+    expect(manager.get(job.id).bestParameters).toEqual(baseline.get(expected.id).bestParameters);
+    await manager.writeQueue;
+  });
+
+  test('should resume a job that was running when the server stopped', async() => {
+    const first = createManager();
+    await first.load();
+    // The server goes away during the 30th backtest, which never returns
+    onEvaluate = (parameters, count) => (count === 30
+      ? new Promise(() => {})
+      : -Math.pow(parameters.period - 17, 2) - parameters.threshold);
+
+    const job = await createJob(first);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await first.writeQueue;
+
+    const checkpoint = await first.readCheckpoint(job.id);
+    expect(checkpoint.evaluations.length).toBeGreaterThan(0);
+    expect(checkpoint.evaluations.length).toBeLessThan(30);
+
+    evaluations = [];
+    onEvaluate = null;
+    const restarted = createManager();
+    const completed = once(restarted, 'completed');
+    await restarted.load();
+    await completed;
+
+    expect(restarted.get(job.id).status).toBe('completed');
+    const replayed = evaluations.map(parameters => JSON.stringify(parameters));
+    checkpoint.evaluations.forEach(entry => {
+      expect(replayed).not.toContain(JSON.stringify(entry.parameters));
+    });
+    await restarted.writeQueue;
+  });
+
+  test('should cancel a paused job and delete jobs with their checkpoint and dataset', async() => {
+    const manager = createManager();
+    await manager.load();
+    onEvaluate = (parameters, count) => {
+      if (count === 5) {
+        manager.pause(manager.list()[0].id);
+      }
+      return parameters.period;
+    };
+
+    const paused = once(manager, 'paused');
+    const job = await createJob(manager);
+    await paused;
+
+    const cancelled = once(manager, 'cancelled');
+    manager.stop(job.id);
+    await cancelled;
+    await manager.writeQueue;
+
+    expect(manager.get(job.id).status).toBe('cancelled');
+    expect(fs.existsSync(manager.getCheckpointPath(job.id))).toBe(false);
+    expect(() => manager.resume(job.id)).toThrow('cannot be resumed');
+
+    const datasetPath = manager.getDatasetPath(job.dataset.id);
+    const duplicate = await manager.duplicate(job.id);
+    expect(duplicate.dataset).toEqual(job.dataset);
+
+    await manager.remove(job.id);
+    expect(fs.existsSync(datasetPath)).toBe(true);
+
+    await manager.remove(duplicate.id);
+    expect(manager.list()).toEqual([]);
+    expect(fs.existsSync(datasetPath)).toBe(false);
+  });
+
+  test('should import exported jobs as finished records', async() => {
+    const manager = createManager();
+    await manager.load();
+
+    const imported = await manager.importRecord({
+      id: 'elsewhere',
+      strategyId: 'sample-strategy',
+      status: 'running',
+      results: [{ id: '1', parameters: { period: 10 }, fitness: -Infinity }]
+    });
+
+    expect(imported.status).toBe('completed');
+    expect(imported.importedFrom).toBe('elsewhere');
+    await expect(manager.duplicate(imported.id)).rejects.toThrow('cannot be run again');
+    await expect(manager.importRecord({ results: [] })).rejects.toThrow('strategyId');
+    await expect(manager.importRecord({ strategyId: 'sample-strategy', results: [{ parameters: null, fitness: 1 }] }))
+      .rejects.toThrow('Imported result 1 must have parameters and a numeric fitness');
+    await expect(manager.importRecord({ strategyId: 'sample-strategy', results: [{ parameters: {}, fitness: '1' }] }))
+      .rejects.toThrow('Imported result 1');
+
+    // Failed evaluations survive the round trip to disk
+    await manager.writeQueue;
+    const reloaded = createManager();
+    await reloaded.load();
+    expect(reloaded.get(imported.id).results[0].fitness).toBe(-Infinity);
+  });
+});
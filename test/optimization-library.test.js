@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OptimizationLibrary } = require('../src/engine/optimizationLibrary.js');
+
+describe('OptimizationLibrary', () => {
+  let directory;
+
+  const job = (id, bestPerformance, status = 'completed') => ({
+    id,
+    strategyId: `strategy-${id}`,
+    status,
+    bestParameters: { period: 10 },
+    bestPerformance
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'optimization-library-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should store templates and reload them', async() => {
+    const library = new OptimizationLibrary({ directory });
+    await library.load();
+
+    await expect(library.createTemplate({ name: 'Fast SMA' })).rejects.toThrow('strategyId');
+    const template = await library.createTemplate({
+      name: 'Fast SMA',
+      strategyId: 'sma-crossover',
+      parameters: { period: { type: 'range', min: 5, max: 20, step: 5 } },
+      ignored: true
+    });
+    expect(template).toMatchObject({ name: 'Fast SMA', tags: [], isPublic: false });
+    expect(template.ignored).toBeUndefined();
+
+    await library.updateTemplate(template.id, { tags: ['trend'] });
+    expect(await library.updateTemplate('missing', {})).toBeNull();
+
+    const reloaded = new OptimizationLibrary({ directory });
+    await reloaded.load();
+    expect(reloaded.listTemplates()).toEqual([expect.objectContaining({ id: template.id, tags: ['trend'] })]);
+
+    expect(await reloaded.removeTemplate(template.id)).toBe(true);
+    expect(reloaded.listTemplates()).toEqual([]);
+  });
+
+  test('should rank the compared optimizations on each metric', async() => {
+    const library = new OptimizationLibrary({ directory });
+    const comparison = await library.createComparison({ metrics: ['totalReturn', 'maxDrawdown'] }, [
+      job('a', { totalReturn: 10, maxDrawdown: 8 }),
+      job('b', { totalReturn: 25, maxDrawdown: 12 }),
+      job('c', { totalReturn: 5, maxDrawdown: 3 })
+    ]);
+
+    expect(comparison.results.find(result => result.optimizationId === 'b').rank).toEqual({ totalReturn: 1, maxDrawdown: 3 });
+    expect(comparison.results.find(result => result.optimizationId === 'c').rank).toEqual({ totalReturn: 3, maxDrawdown: 1 });
+    expect(comparison.summary.rankings.maxDrawdown).toEqual(['c', 'a', 'b']);
+    expect(comparison.summary.averagePerformance.totalReturn).toBeCloseTo(40 / 3);
+    expect(comparison.summary.correlations['totalReturn:maxDrawdown']).toBeGreaterThan(0.9);
+    expect(library.listComparisons()).toHaveLength(1);
+
+    await expect(library.createComparison({ metrics: ['totalReturn'] }, [job('a', {})])).rejects.toThrow('at least two');
+  });
+
+  test('should trigger each alert once when its condition is met', async() => {
+    const library = new OptimizationLibrary({ directory });
+
+    await expect(library.createAlert({ optimizationId: 'a', type: 'performance_threshold', condition: { metric: 'sharpeRatio' } }))
+      .rejects.toThrow('Performance alerts');
+    const threshold = await library.createAlert({
+      optimizationId: 'a',
+      type: 'performance_threshold',
+      condition: { metric: 'sharpeRatio', operator: 'gte', value: 1.5 }
+    });
+    const completion = await library.createAlert({ optimizationId: 'a', type: 'completion' });
+    const timeout = await library.createAlert({ optimizationId: 'a', type: 'timeout', threshold: 60 });
+    await library.createAlert({ optimizationId: 'b', type: 'completion' });
+
+    expect(await library.checkAlerts(job('a', null, 'running'), { elapsed: 30000 })).toEqual([]);
+    expect(await library.checkAlerts(job('a', null, 'running'), { elapsed: 90000 })).toEqual([expect.objectContaining({ id: timeout.id })]);
+
+    const triggered = await library.checkAlerts(job('a', { sharpeRatio: 1.8 }));
+    expect(triggered.map(alert => alert.id).sort()).toEqual([threshold.id, completion.id].sort());
+    expect(await library.checkAlerts(job('a', { sharpeRatio: 1.8 }))).toEqual([]);
+
+    // Changing the condition re-arms the alert
+    const updated = await library.updateAlert(threshold.id, { condition: { metric: 'sharpeRatio', operator: 'gt', value: 2 } });
+    expect(updated.triggeredAt).toBeUndefined();
+    expect(await library.checkAlerts(job('a', { sharpeRatio: 1.8 }))).toEqual([]);
+  });
+});
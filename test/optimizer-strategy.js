@@ -0,0 +1,14 @@
+// Strategy module loaded by the optimizer worker pool tests: buys once per
+// backtest, so in a rising market larger sizes earn more
+module.exports = class OptimizerTestStrategy {
+  constructor() {
+    this.size = 1;
+    this.enabled = false;
+  }
+
+  async onCandle(candle, history) {
+    return this.enabled && history.length === 2
+      ? { action: 'buy', side: 'buy', quantity: this.size, price: candle.close }
+      : null;
+  }
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { OptimizerWorkerPool } = require('../src/engine/optimizerWorkerPool.js');
+const { StrategyOptimizer } = require('../src/engine/strategyOptimizer.js');
+const OptimizerTestStrategy = require('./optimizer-strategy.js');
+
+const STRATEGY_PATH = path.join(__dirname, 'optimizer-strategy.js');
+const DAY = 24 * 60 * 60 * 1000;
+
+class FakeWorker extends EventEmitter {
+  constructor(workerData) {
+    super();
+    this.workerData = workerData;
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(fitness) {
+    const { id } = this.messages[this.messages.length - 1];
+    this.emit('message', { type: 'result', id, fitness });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('OptimizerWorkerPool', () => {
+  let pool;
+  let workers;
+
+  beforeEach(() => {
+    workers = [];
+    pool = new OptimizerWorkerPool({
+      size: 2,
+      workerData: { strategyPath: 'strategy.js', marketData: [{ close: 1 }] },
+      createWorker: (workerPath, workerData) => {
+        const worker = new FakeWorker(workerData);
+        workers.push(worker);
+        return worker;
+      }
+    });
+  });
+
+  test('should return fitness in input order whichever worker finishes first', async() => {
+    const batch = pool.evaluate([{ a: 1 }, { a: 2 }, { a: 3 }]);
+
+    expect(workers).toHaveLength(2);
+    expect(workers[0].workerData.marketData).toEqual([{ close: 1 }]);
+    expect(workers[0].messages[0].parameters).toEqual({ a: 1 });
+    expect(workers[1].messages[0].parameters).toEqual({ a: 2 });
+
+    workers[1].reply(20);
+    expect(workers[1].messages[1].parameters).toEqual({ a: 3 });
+    workers[1].reply(30);
+    workers[0].reply(10);
+
+    await expect(batch).resolves.toEqual([10, 20, 30]);
+
+    // Later batches reuse the running workers
+    pool.evaluate([{ a: 4 }]);
+    expect(workers).toHaveLength(2);
+  });
+
+  test('should reject pending batches and terminate workers when cancelled', async() => {
+    const batch = pool.evaluate([{ a: 1 }, { a: 2 }, { a: 3 }]);
+    workers[0].reply(10);
+
+    pool.cancel();
+
+    await expect(batch).rejects.toThrow('Optimization stopped');
+    expect(workers.every(worker => worker.terminated)).toBe(true);
+    await expect(pool.evaluate([{ a: 4 }])).rejects.toThrow('Optimization stopped');
+  });
+
+  test('should reject the batch when a worker reports an error', async() => {
+    const batch = pool.evaluate([{ a: 1 }], 'objectives');
+    expect(workers[0].messages[0].evaluation).toBe('objectives');
+
+    workers[0].emit('message', { type: 'error', id: 0, error: 'Strategy file not found' });
+
+    await expect(batch).rejects.toThrow('Strategy file not found');
+  });
+});
+
+describe('StrategyOptimizer worker evaluation', () => {
+  const candles = Array.from({ length: 20 }, (_, i) => {
+    const close = 100 + i;
+    return { timestamp: Date.UTC(2023, 0, 1) + i * DAY, open: close, high: close, low: close, close, volume: 1000 };
+  });
+
+  const parameterSpace = {
+    size: { type: 'integer', min: 1, max: 3 },
+    enabled: { type: 'boolean' }
+  };
+
+  const config = {
+    fitnessFunction: 'profit',
+    backtest: { maxRiskPerTrade: 1, maxTotalRisk: 10, commission: 0, slippage: 0, enableRealisticExecution: false }
+  };
+
+  test('should match in-process grid search results', async() => {
+    const parallel = await new StrategyOptimizer({ ...config, workers: 2 })
+      .optimize(STRATEGY_PATH, candles, parameterSpace, 'grid');
+    const sequential = await new StrategyOptimizer(config)
+      .optimize(new OptimizerTestStrategy(), candles, parameterSpace, 'grid');
+
+    expect(parallel.allResults).toEqual(sequential.allResults);
+    expect(parallel.bestParameters).toEqual({ size: 3, enabled: true });
+    expect(parallel.bestFitness).toBeCloseTo(54);
+  });
+
+  test('should cancel worker evaluation through stop()', async() => {
+    const optimizer = new StrategyOptimizer({ ...config, workers: 2, parallelEvaluations: 1 });
+    const stopped = jest.fn();
+
+    optimizer.on('optimizationStopped', stopped);
+    optimizer.once('evaluationCompleted', () => optimizer.stop());
+
+    await expect(optimizer.optimize(STRATEGY_PATH, candles, parameterSpace, 'random'))
+      .rejects.toThrow('Optimization stopped');
+    expect(stopped).toHaveBeenCalled();
+    expect(optimizer.workerPool).toBeNull();
+  });
+
+  test('should require a strategy module path for worker evaluation', async() => {
+    const optimizer = new StrategyOptimizer({ ...config, workers: 2 });
+
+    await expect(optimizer.optimize({ onCandle: () => null }, candles, parameterSpace, 'grid'))
+      .rejects.toThrow('Worker evaluation needs the strategy as a module path');
+  });
+});
@@ -0,0 +1,125 @@
+const { OrderBook } = require('../src/engine/orderBook.js');
+
+describe('OrderBook', () => {
+  const candle = (open, high, low, close) => ({ timestamp: 't', open, high, low, close });
+
+  test('should reject an unknown fill rule', () => {
+    expect(() => new OrderBook({ fillRule: 'random' })).toThrow('Invalid fill rule');
+  });
+
+  test('should validate orders', () => {
+    const book = new OrderBook();
+
+    expect(() => book.place({ type: 'market', side: 'sell', price: 100 })).toThrow('Invalid order type');
+    expect(() => book.place({ type: 'stop', side: 'hold', price: 100 })).toThrow('Invalid order side');
+    expect(() => book.place({ type: 'stop', side: 'sell', price: 0 })).toThrow('Order price must be positive');
+  });
+
+  describe('Long bracket', () => {
+    let book;
+
+    beforeEach(() => {
+      book = new OrderBook();
+      book.placeBracket({ direction: 'long', stopLoss: 95, takeProfit: 110, group: 1 });
+    });
+
+    test('should rest while the candle stays inside the bracket', () => {
+      expect(book.match(candle(100, 105, 96, 102))).toBeNull();
+      expect(book.getOpenOrders()).toHaveLength(2);
+    });
+
+    test('should fill the stop at its price when the low touches it', () => {
+      const fill = book.match(candle(100, 101, 90, 92));
+
+      expect(fill.order.reason).toBe('stop_loss');
+      expect(fill.order.side).toBe('sell');
+      expect(fill.price).toBe(95);
+      expect(book.getOpenOrders()).toHaveLength(0);
+    });
+
+    test('should fill the take-profit at its price when the high touches it', () => {
+      const fill = book.match(candle(100, 112, 99, 111));
+
+      expect(fill.order.reason).toBe('take_profit');
+      expect(fill.price).toBe(110);
+    });
+
+    test('should fill a gap through the stop at the open', () => {
+      const fill = book.match(candle(90, 92, 85, 88));
+
+      expect(fill.order.reason).toBe('stop_loss');
+      expect(fill.price).toBe(90);
+    });
+
+    test('should fill a gap through the take-profit at the better open', () => {
+      const fill = book.match(candle(115, 118, 113, 116));
+
+      expect(fill.order.reason).toBe('take_profit');
+      expect(fill.price).toBe(115);
+    });
+
+    test('should fill the stop first when both are touched under the pessimistic rule', () => {
+      expect(book.match(candle(100, 112, 90, 100)).order.reason).toBe('stop_loss');
+    });
+
+    test('should fill the take-profit first when both are touched under the optimistic rule', () => {
+      const optimistic = new OrderBook({ fillRule: 'optimistic' });
+      optimistic.placeBracket({ direction: 'long', stopLoss: 95, takeProfit: 110, group: 1 });
+
+      expect(optimistic.match(candle(100, 112, 90, 100)).order.reason).toBe('take_profit');
+    });
+
+    test('should let a gapped order win regardless of the fill rule', () => {
+      const optimistic = new OrderBook({ fillRule: 'optimistic' });
+      optimistic.placeBracket({ direction: 'long', stopLoss: 95, takeProfit: 110, group: 1 });
+
+      // Opened below the stop, then rallied through the take-profit
+      const fill = optimistic.match(candle(94, 112, 93, 111));
+
+      expect(fill.order.reason).toBe('stop_loss');
+      expect(fill.price).toBe(94);
+    });
+  });
+
+  describe('Short bracket', () => {
+    let book;
+
+    beforeEach(() => {
+      book = new OrderBook();
+      book.placeBracket({ direction: 'short', stopLoss: 105, takeProfit: 90, group: 1 });
+    });
+
+    test('should place buy orders', () => {
+      expect(book.getOpenOrders().map(order => order.side)).toEqual(['buy', 'buy']);
+    });
+
+    test('should fill the stop when the high touches it', () => {
+      const fill = book.match(candle(100, 106, 99, 104));
+
+      expect(fill.order.reason).toBe('stop_loss');
+      expect(fill.price).toBe(105);
+    });
+
+    test('should fill the take-profit when the low touches it', () => {
+      const fill = book.match(candle(100, 101, 89, 90));
+
+      expect(fill.order.reason).toBe('take_profit');
+      expect(fill.price).toBe(90);
+    });
+
+    test('should fill a gap through the stop at the open', () => {
+      expect(book.match(candle(108, 110, 107, 109)).price).toBe(108);
+    });
+  });
+
+  test('should only cancel orders from the same OCO group', () => {
+    const book = new OrderBook();
+    book.placeBracket({ direction: 'long', stopLoss: 95, takeProfit: 110, group: 1 });
+    book.place({ type: 'limit', side: 'sell', price: 120, group: 2 });
+
+    book.match(candle(100, 101, 90, 92));
+
+    expect(book.getOpenOrders()).toHaveLength(1);
+    expect(book.getOpenOrders()[0].price).toBe(120);
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  normalQuantile,
+  expectedMaxSharpe,
+  deflatedSharpeRatio,
+  probabilityOfBacktestOverfitting,
+  neighbourhoodStability
+} = require('../src/engine/overfittingDiagnostics.js');
+const { createRandom } = require('../src/engine/monteCarlo.js');
+
+// Roughly normal per-bar returns from a seeded generator
+const noiseSeries = (seed, count, length, scale = 0.01) => {
+  const random = createRandom(seed);
+  const gaussian = () => Array.from({ length: 12 }, random).reduce((sum, value) => sum + value, 0) - 6;
+  return Array.from({ length: count }, () => Array.from({ length }, () => gaussian() * scale));
+};
+
+describe('overfittingDiagnostics', () => {
+  test('normalQuantile inverts the standard normal CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 8);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 5);
+  });
+
+  test('expectedMaxSharpe grows with the number of trials', () => {
+    expect(expectedMaxSharpe(1, 1)).toBe(0);
+    expect(expectedMaxSharpe(10, 1)).toBeCloseTo(1.5746, 3);
+    expect(expectedMaxSharpe(1000, 1)).toBeGreaterThan(expectedMaxSharpe(10, 1));
+    expect(expectedMaxSharpe(10, 0.25)).toBeCloseTo(expectedMaxSharpe(10, 1) / 2, 8);
+  });
+
+  test('deflatedSharpeRatio discounts the Sharpe ratio by the trials behind it', () => {
+    const [returns] = noiseSeries(1, 1, 400);
+    const skilled = returns.map(value => value + 0.002);
+
+    const single = deflatedSharpeRatio(skilled, { trials: 1 });
+    const searched = deflatedSharpeRatio(skilled, { trials: 1000, sharpeVariance: 0.01 });
+
+    expect(single.expectedMaxSharpe).toBe(0);
+    expect(single.probability).toBeGreaterThan(0.95);
+    expect(searched.expectedMaxSharpe).toBeGreaterThan(single.sharpe);
+    expect(searched.probability).toBeLessThan(0.5);
+    expect(searched.observations).toBe(400);
+    expect(deflatedSharpeRatio([0.01], { trials: 10 })).toBeNull();
+  });
+
+  test('probabilityOfBacktestOverfitting is about a half for noise', () => {
+    const probabilities = [1, 2, 3, 4, 5, 6, 7, 8].map(seed =>
+      probabilityOfBacktestOverfitting(noiseSeries(seed, 20, 400), { blocks: 8 }).probability);
+    const average = probabilities.reduce((sum, value) => sum + value, 0) / probabilities.length;
+
+    expect(average).toBeGreaterThan(0.3);
+    expect(average).toBeLessThan(0.7);
+  });
+
+  test('probabilityOfBacktestOverfitting is low when one trial has a real edge', () => {
+    const series = noiseSeries(7, 20, 400);
+    series[3] = series[3].map(value => value + 0.004);
+
+    const pbo = probabilityOfBacktestOverfitting(series);
+
+    expect(pbo.blocks).toBe(16);
+    expect(pbo.combinations).toBe(12870);
+    expect(pbo.trials).toBe(20);
+    expect(pbo.probability).toBeLessThan(0.1);
+    expect(pbo.medianLogit).toBeGreaterThan(0);
+  });
+
+  test('probabilityOfBacktestOverfitting does not count ties at the median as overfit', () => {
+    const [returns] = noiseSeries(3, 1, 400);
+
+    const pbo = probabilityOfBacktestOverfitting([returns, returns, returns, returns]);
+
+    expect(pbo.probability).toBe(0);
+    expect(pbo.medianLogit).toBe(0);
+  });
+
+  test('probabilityOfBacktestOverfitting needs two trials and enough bars', () => {
+    expect(probabilityOfBacktestOverfitting(noiseSeries(1, 1, 400))).toBeNull();
+    expect(probabilityOfBacktestOverfitting(noiseSeries(1, 5, 3))).toBeNull();
+    // Too few bars for 16 blocks: the block count shrinks to fit
+    expect(probabilityOfBacktestOverfitting(noiseSeries(1, 5, 10)).blocks).toBe(4);
+  });
+
+  test('neighbourhoodStability compares the neighbours with the winner', () => {
+    expect(neighbourhoodStability(10, [9, 11, 7])).toEqual({ meanFitness: 9, minFitness: 7, ratio: 0.9 });
+    expect(neighbourhoodStability(-2, [-3]).ratio).toBeNull();
+    expect(neighbourhoodStability(10, [])).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+const {
+  analyzePerformance,
+  annualizedReturn,
+  correlation,
+  maxDrawdown,
+  periodsPerYear,
+  profitFactor,
+  sharpeRatio,
+  sortinoRatio,
+  winRate
+} = require('../src/engine/performanceMetrics.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+const { StrategyOptimizer } = require('../src/engine/strategyOptimizer.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2023, 0, 1);
+
+const curve = (values, spacing) => values.map((value, i) => ({ timestamp: START + i * spacing, value }));
+
+describe('performance metrics', () => {
+  test('should infer bars per year from timestamps for 24/7 markets', () => {
+    expect(periodsPerYear(curve([1, 2, 3], DAY))).toBe(365);
+    expect(periodsPerYear(curve([1, 2, 3], HOUR))).toBe(365 * 24);
+    expect(periodsPerYear(curve([1, 2, 3], 15 * 60 * 1000))).toBe(365 * 96);
+    expect(periodsPerYear([{ equity: 1 }, { equity: 2 }])).toBe(365);
+  });
+
+  test('should annualize Sharpe and Sortino by the bar frequency', () => {
+    const returns = [0.01, -0.005, 0.02, -0.01, 0.015];
+    const daily = sharpeRatio(returns, { periodsPerYear: 365 });
+    const hourly = sharpeRatio(returns, { periodsPerYear: 365 * 24 });
+
+    expect(hourly / daily).toBeCloseTo(Math.sqrt(24));
+    expect(sharpeRatio(returns, { periodsPerYear: 365, riskFreeRate: 0.05 })).toBeLessThan(daily);
+    expect(sharpeRatio([0.01, 0.01], { periodsPerYear: 365 })).toBe(0);
+
+    expect(sortinoRatio(returns, { periodsPerYear: 365 })).toBeGreaterThan(daily);
+    expect(sortinoRatio([0.01, 0.02], { periodsPerYear: 365 })).toBe(Infinity);
+    expect(sortinoRatio([], { periodsPerYear: 365 })).toBe(0);
+  });
+
+  test('should measure drawdown and compound annual growth', () => {
+    const values = [10000, 11000, 9500, 12000, 8000];
+
+    expect(maxDrawdown(values)).toEqual({ amount: 4000, percent: expect.closeTo(33.33, 2) });
+    expect(maxDrawdown([9000, 9500], 10000).percent).toBeCloseTo(10);
+
+    const doubling = Array.from({ length: 366 }, (_, i) => 100 * Math.pow(2, i / 365));
+    expect(annualizedReturn(doubling, 365)).toBeCloseTo(1);
+  });
+
+  test('should count closed trades for win rate and profit factor', () => {
+    const trades = [{ side: 'buy' }, { profit: 100 }, { pnl: -50 }, { pnl: 200 }, { pnl: 0 }];
+
+    expect(winRate(trades)).toBe(50);
+    expect(profitFactor(trades)).toBe(6);
+    expect(profitFactor([{ pnl: 10 }])).toBe(Infinity);
+    expect(winRate([])).toBe(0);
+
+    const result = analyzePerformance(curve([100, 110, 99, 121], DAY), { trades });
+    expect(result.totalReturnPercent).toBeCloseTo(21);
+    expect(result.maxDrawdownPercent).toBeCloseTo(10);
+    expect(result.closedTrades).toBe(4);
+    expect(result.periodsPerYear).toBe(365);
+  });
+
+  test('should measure linear co-movement', () => {
+    expect(correlation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(correlation([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1);
+    expect(correlation([1, 1, 1], [1, 2, 3])).toBe(0);
+  });
+});
+
+describe('engines share the performance metrics', () => {
+  const candles = Array.from({ length: 48 }, (_, i) => {
+    const close = 100 * (1 + 0.002 * i + 0.01 * Math.sin(i));
+    return { timestamp: START + i * HOUR, open: close, high: close * 1.01, low: close * 0.99, close, volume: 1000 };
+  });
+
+  test('should report the same ratios from the backtester, its report and the optimizer', async() => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 10000,
+      commission: 0,
+      slippage: 0,
+      enableRealisticExecution: false
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => (history.length === 1 ? { action: 'buy', side: 'buy', quantity: 50, price: candle.close } : null)
+    });
+    const results = await backtester.run();
+    const expected = analyzePerformance(results.equityCurve, { trades: results.trades, initialBalance: 10000 });
+
+    expect(expected.periodsPerYear).toBe(365 * 24);
+    expect(results.performance.sharpeRatio).toBeCloseTo(expected.sharpeRatio);
+    expect(results.performance.maxDrawdownPercent).toBeCloseTo(expected.maxDrawdownPercent);
+
+    const summary = backtester.generateReport().summary;
+    expect(summary.sharpeRatio).toBeCloseTo(expected.sharpeRatio);
+    expect(summary.sortinoRatio).toBeCloseTo(expected.sortinoRatio);
+    expect(summary.calmarRatio).toBeCloseTo(expected.calmarRatio);
+
+    const optimizer = new StrategyOptimizer();
+    expect(optimizer.calculateSharpeRatio(results)).toBeCloseTo(expected.sharpeRatio);
+    expect(optimizer.calculateSortinoRatio(results)).toBeCloseTo(expected.sortinoRatio);
+  });
+});
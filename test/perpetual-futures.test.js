@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PerpetualAccount, FundingRateSeries } = require('../src/engine/perpetualFutures.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+const { PaperTradingEngine } = require('../src/engine/paperTrading.js');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+describe('FundingRateSeries', () => {
+  test('should parse CSV and look up the rate in force', () => {
+    const series = FundingRateSeries.parseCSV([
+      'timestamp,rate',
+      `${START + 8 * HOUR},0.0002`,
+      `${START},0.0001`
+    ].join('\n'));
+
+    expect(series.length).toBe(2);
+    expect(series.getRate(START - 1)).toBeNull();
+    expect(series.getRate(START + HOUR)).toBe(0.0001);
+    expect(series.getRate(START + 9 * HOUR)).toBe(0.0002);
+  });
+
+  test('should reject CSV without a rate column', () => {
+    expect(() => FundingRateSeries.parseCSV('timestamp,close\n1,2')).toThrow('timestamp and rate columns');
+  });
+
+  test('should resolve CSV content and file paths', async() => {
+    const csv = `timestamp,rate\n${START},0.0001`;
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-rates-'));
+    const file = path.join(directory, 'funding.json');
+    fs.writeFileSync(file, JSON.stringify([{ timestamp: START, fundingRate: 0.0003 }]));
+
+    try {
+      expect((await FundingRateSeries.from(csv)).getRate(START)).toBe(0.0001);
+      expect((await FundingRateSeries.from(file)).getRate(START)).toBe(0.0003);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject funding rates that are not entries', () => {
+    expect(() => new PerpetualAccount({ fundingRates: 'funding.csv' })).toThrow('fundingRates must be an array');
+    expect(() => new FundingRateSeries({ rate: 0.0001 })).toThrow('fundingRates must be an array');
+  });
+});
+
+describe('PerpetualAccount', () => {
+  const account = config => new PerpetualAccount({ initialBalance: 1000, fee: 0, ...config });
+
+  test('should margin isolated positions and compute their liquidation price', () => {
+    const perp = account({ leverage: 10, maintenanceMarginRate: 0.005 });
+    perp.open('BTC', 'long', 1, 1000);
+
+    const position = perp.getPosition('BTC');
+    expect(position.margin).toBe(100);
+    expect(perp.getAvailableBalance()).toBe(900);
+    expect(perp.getLiquidationPrice('BTC')).toBeCloseTo(900 / 0.995);
+
+    perp.updateMarkPrice('BTC', 950, START);
+    expect(perp.getEquity()).toBe(950);
+    expect(perp.getPosition('BTC')).not.toBeNull();
+  });
+
+  test('should cap isolated liquidation losses at the position margin', () => {
+    const perp = account({ leverage: 10 });
+    const liquidations = [];
+    perp.on('liquidation', trade => liquidations.push(trade));
+    perp.open('BTC', 'long', 1, 1000);
+
+    perp.updateMarkPrice('BTC', 800, START);
+
+    expect(liquidations).toHaveLength(1);
+    expect(liquidations[0].closeReason).toBe('liquidation');
+    expect(liquidations[0].pnl).toBe(-100);
+    expect(perp.balance).toBe(900);
+    expect(perp.positions.size).toBe(0);
+  });
+
+  test('should back cross positions with the whole balance', () => {
+    const perp = account({ leverage: 10, marginMode: 'cross', maintenanceMarginRate: 0 });
+    perp.open('BTC', 'short', 1, 1000);
+
+    expect(perp.getLiquidationPrice('BTC')).toBeCloseTo(2000);
+
+    perp.updateMarkPrice('BTC', 1500, START);
+    expect(perp.getPosition('BTC')).not.toBeNull();
+
+    const liquidations = perp.updateMarkPrice('BTC', 2100, START);
+    expect(liquidations).toHaveLength(1);
+    expect(perp.balance).toBe(0);
+  });
+
+  test('should pay funding at each interval from the series', () => {
+    const perp = account({
+      fundingRates: [{ timestamp: START, rate: 0.001 }, { timestamp: START + 16 * HOUR, rate: -0.002 }]
+    });
+    perp.open('BTC', 'long', 1, 1000);
+
+    perp.applyFunding(START + HOUR);
+    expect(perp.fundingPayments).toHaveLength(0);
+
+    perp.applyFunding(START + 17 * HOUR);
+    expect(perp.fundingPayments.map(p => p.amount)).toEqual([1, -2]);
+    expect(perp.totalFunding).toBe(-1);
+    expect(perp.balance).toBe(1001);
+    expect(perp.getPosition('BTC').margin).toBe(1001);
+
+    const trade = perp.close('BTC', 'all', 1000, { timestamp: START + 18 * HOUR });
+    expect(trade.funding).toBe(-1);
+  });
+
+  test('should charge fees and refuse orders beyond available margin', () => {
+    const perp = new PerpetualAccount({ initialBalance: 1000, fee: 0.001, leverage: 2 });
+    perp.open('BTC', 'short', 1, 1000);
+
+    expect(perp.balance).toBe(999);
+    expect(() => perp.open('BTC', 'short', 1, 1000)).toThrow('Insufficient margin');
+    expect(() => perp.open('BTC', 'long', 0.1, 1000)).toThrow('Close the short BTC position');
+
+    const trade = perp.close('BTC', 0.5, 900);
+    expect(trade.pnl).toBeCloseTo(50 - 0.45);
+    expect(perp.getPosition('BTC').margin).toBe(250);
+  });
+
+  test('should reject unknown margin modes', () => {
+    expect(() => account({ marginMode: 'portfolio' })).toThrow('Invalid margin mode');
+  });
+});
+
+describe('Perpetual backtests', () => {
+  const candles = [1000, 1010, 1020, 1030, 1040].map((close, i) => ({
+    timestamp: START + i * 8 * HOUR,
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 10
+  }));
+
+  const strategy = {
+    onCandle: async(candle, history) => (history.length === 1 ? { action: 'sell', quantity: 1 } : null)
+  };
+
+  test('should run a funded short through AdvancedBacktester', async() => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 1000,
+      commission: 0,
+      enableRealisticExecution: false,
+      instrument: 'perpetual',
+      perpetual: {
+        leverage: 5,
+        fundingRates: `timestamp,rate\n${START},0.001`
+      }
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy(strategy);
+
+    const results = await backtester.runStandardBacktest();
+
+    expect(results.type).toBe('perpetual');
+    expect(results.fundingPayments).toHaveLength(4);
+    expect(results.portfolio.totalFunding).toBeCloseTo(-(1000 + 1010 + 1020 + 1030) * 0.001);
+    expect(results.trades[0].closeReason).toBe('backtest_end');
+    expect(results.portfolio.equity).toBeCloseTo(1000 - 40 + 4.06);
+    expect(results.performance.equityHistory.length).toBeGreaterThan(0);
+  });
+
+  test('should liquidate an over-leveraged isolated position', async() => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 1000,
+      commission: 0,
+      enableRealisticExecution: false,
+      instrument: 'perpetual',
+      perpetual: { leverage: 50 }
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy(strategy);
+
+    const results = await backtester.runStandardBacktest();
+
+    expect(results.liquidations).toHaveLength(1);
+    expect(results.liquidations[0].pnl).toBeCloseTo(-20);
+  });
+
+  test('should delay and volume-limit perpetual orders with realistic execution', async() => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 1000,
+      commission: 0,
+      spread: 0,
+      slippage: 0,
+      marketImpact: 0,
+      impactCoefficient: 0,
+      latencyBars: 1,
+      volumeParticipation: 0.1,
+      instrument: 'perpetual',
+      perpetual: { leverage: 5 }
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => {
+        if (history.length === 1) {
+          return { action: 'sell', quantity: 2 };
+        }
+        return history.length === 3 ? { action: 'buy', quantity: 1 } : null;
+      }
+    });
+
+    const results = await backtester.runStandardBacktest();
+
+    expect(results.executions.map(e => [e.status, e.quantity, e.price])).toEqual([
+      ['partial', 1, 1020],
+      ['cancelled', 0, null],
+      ['partial', 1, 1040],
+      ['expired', 0, null]
+    ]);
+    expect(results.trades).toHaveLength(1);
+    expect(results.trades[0]).toMatchObject({ side: 'short', closeReason: 'signal' });
+    expect(results.trades[0].pnl).toBeCloseTo(-20);
+    expect(results.portfolio.equity).toBeCloseTo(980);
+  });
+});
+
+describe('PaperTradingEngine perpetuals', () => {
+  test('should trade perpetuals from a transferred futures wallet', () => {
+    const engine = new PaperTradingEngine({ initialBalance: 10000, commission: 0, slippage: 0, maxSlippage: 0 });
+    engine.setMarketPrice('BTC-PERP', 100);
+
+    engine.transferToPerpetual(1000);
+    expect(engine.portfolio.cash).toBe(9000);
+
+    engine.openPerpetual('BTC-PERP', 'short', 10, { leverage: 2 });
+    engine.setMarkPrice('BTC-PERP', 90);
+
+    expect(engine.perpetuals.getEquity()).toBe(1100);
+    expect(engine.portfolio.totalValue).toBe(10100);
+
+    engine.setMarketPrice('BTC-PERP', 90);
+    const trade = engine.closePerpetual('BTC-PERP');
+    expect(trade.pnl).toBe(100);
+    engine.transferFromPerpetual(1100);
+    expect(engine.portfolio.cash).toBe(10100);
+  });
+});
@@ -465,6 +465,30 @@ describe('EmailPlugin', () => {
 
       expect(result).toBe(true); // In test mode, always returns true
     });
+
+    test('should attach the tear sheet to backtest reports', async() => {
+      plugin.transporter = mockTransporter;
+      mockTransporter.sendMail.mockResolvedValue({ messageId: 'report-id' });
+
+      const results = {
+        summary: { roi: 12.5, sharpeRatio: 1.4, maxDrawdown: 6, winRate: 55 },
+        equityCurve: [
+          { timestamp: Date.UTC(2023, 0, 1), value: 1000 },
+          { timestamp: Date.UTC(2023, 0, 2), value: 1125 }
+        ]
+      };
+      const result = await plugin.onBacktestReport({ results, strategy: 'RSI Strategy', parameters: { period: 14 } });
+
+      expect(result).toEqual({ success: true, messageId: 'report-id' });
+      const mail = mockTransporter.sendMail.mock.calls[0][0];
+      expect(mail.subject).toContain('RSI Strategy');
+      expect(mail.html).toContain('12.50%');
+      expect(mail.attachments).toEqual([expect.objectContaining({
+        filename: 'RSI-Strategy-tear-sheet.html',
+        contentType: 'text/html'
+      })]);
+      expect(mail.attachments[0].content).toContain('<th>period</th><td>14</td>');
+    });
   });
 });
 
@@ -0,0 +1,165 @@
+const { PortfolioSimulator } = require('../src/engine/portfolioSimulator.js');
+
+describe('PortfolioSimulator', () => {
+  let portfolio;
+
+  beforeEach(() => {
+    portfolio = new PortfolioSimulator({
+      initialBalance: 10000,
+      fee: 0.1
+    });
+  });
+
+  describe('Long trades', () => {
+    test('should buy and sell with fees', () => {
+      portfolio.buy('all', 100, '2023-01-01T00:00:00.000Z');
+      expect(portfolio.balance).toBe(0);
+      expect(portfolio.position).toBeCloseTo(99.9);
+
+      const trade = portfolio.sell('all', 110, '2023-01-02T00:00:00.000Z');
+      expect(trade.action).toBe('sell');
+      expect(trade.profit).toBeGreaterThan(0);
+      expect(portfolio.position).toBe(0);
+    });
+
+    test('should reject selling without a position', () => {
+      expect(() => portfolio.sell('all', 100, 't')).toThrow('No position available to sell');
+    });
+  });
+
+  describe('Short selling', () => {
+    test('should open a short and lock margin as collateral', () => {
+      const trade = portfolio.short(50, 100, '2023-01-01T00:00:00.000Z');
+
+      expect(trade.action).toBe('short');
+      expect(trade.margin).toBe(5000);
+      expect(trade.fee).toBeCloseTo(5);
+      expect(portfolio.shortPosition).toBe(50);
+      expect(portfolio.shortCollateral).toBe(5000);
+      expect(portfolio.balance).toBeCloseTo(4995);
+      expect(portfolio.getTotalValue(100)).toBeCloseTo(9995);
+    });
+
+    test('should profit when covering below the entry price', () => {
+      portfolio.short(50, 100, 't1');
+      const trade = portfolio.cover('all', 90, 't2');
+
+      // 50 * (100 - 90) = 500 gross, minus 0.1% fee on the 4500 buy-back
+      expect(trade.action).toBe('cover');
+      expect(trade.profit).toBeCloseTo(495.5);
+      expect(portfolio.shortPosition).toBe(0);
+      expect(portfolio.balance).toBeCloseTo(10000 - 5 + 495.5);
+    });
+
+    test('should lose when covering above the entry price', () => {
+      portfolio.short(50, 100, 't1');
+      const trade = portfolio.cover('all', 110, 't2');
+
+      expect(trade.profit).toBeLessThan(0);
+      expect(portfolio.getTotalValue(110)).toBeLessThan(10000);
+    });
+
+    test('should support partial covers', () => {
+      portfolio.short(50, 100, 't1');
+      portfolio.cover(20, 100, 't2');
+
+      expect(portfolio.shortPosition).toBe(30);
+      expect(portfolio.shortCollateral).toBeCloseTo(3000);
+    });
+
+    test('should size an all-in short using leverage', () => {
+      const leveraged = new PortfolioSimulator({ initialBalance: 10000, fee: 0.1, leverage: 2 });
+      leveraged.short('all', 100, 't1');
+
+      // 10000 / (100 * (1 / 2 + 0.001))
+      expect(leveraged.shortPosition).toBeCloseTo(199.6, 1);
+      expect(leveraged.shortCollateral).toBeCloseTo(9980.04, 1);
+      expect(leveraged.balance).toBeCloseTo(0);
+    });
+
+    test('should not allow long and short positions at the same time', () => {
+      portfolio.buy(10, 100, 't1');
+      expect(() => portfolio.short(10, 100, 't2')).toThrow('Cannot short while a long position is open');
+
+      portfolio.sell('all', 100, 't3');
+      portfolio.short(10, 100, 't4');
+      expect(() => portfolio.buy(10, 100, 't5')).toThrow('Cannot buy while a short position is open');
+    });
+
+    test('should reject a short larger than the available margin', () => {
+      expect(() => portfolio.short(200, 100, 't1')).toThrow('Insufficient margin');
+    });
+  });
+
+  describe('Margin bookkeeping', () => {
+    test('should charge borrow fees per candle', () => {
+      const margin = new PortfolioSimulator({ initialBalance: 10000, borrowFee: 0.01 });
+      margin.short(50, 100, 't1');
+
+      margin.applyCandle({ timestamp: 't2', open: 100, high: 101, low: 99, close: 100 });
+      margin.applyCandle({ timestamp: 't3', open: 100, high: 101, low: 99, close: 100 });
+
+      // 0.01% of a 5000 notional, twice
+      expect(margin.totalBorrowFees).toBeCloseTo(1);
+      expect(margin.balance).toBeCloseTo(4994);
+    });
+
+    test('should compute the liquidation price from maintenance margin', () => {
+      const margin = new PortfolioSimulator({
+        initialBalance: 10000,
+        leverage: 2,
+        maintenanceMargin: 25
+      });
+      margin.short(100, 100, 't1');
+
+      // (5000 + 100 * 100) / (100 * 1.25) = 120
+      expect(margin.getLiquidationPrice()).toBeCloseTo(120);
+    });
+
+    test('should liquidate when the candle high breaches the liquidation price', () => {
+      const margin = new PortfolioSimulator({
+        initialBalance: 10000,
+        leverage: 2,
+        maintenanceMargin: 25
+      });
+      margin.short(100, 100, 't1');
+
+      expect(margin.applyCandle({ timestamp: 't2', open: 105, high: 115, low: 104, close: 110 })).toBeNull();
+
+      const liquidation = margin.applyCandle({ timestamp: 't3', open: 112, high: 125, low: 111, close: 118 });
+
+      expect(liquidation.action).toBe('liquidation');
+      expect(liquidation.price).toBeCloseTo(120);
+      expect(margin.shortPosition).toBe(0);
+      expect(margin.getStatistics(118).liquidations).toBe(1);
+    });
+
+    test('should fill a gap through the liquidation price at the open', () => {
+      const margin = new PortfolioSimulator({
+        initialBalance: 10000,
+        leverage: 2,
+        maintenanceMargin: 25
+      });
+      margin.short(100, 100, 't1');
+
+      const liquidation = margin.applyCandle({ timestamp: 't2', open: 130, high: 135, low: 128, close: 132 });
+
+      expect(liquidation.price).toBe(130);
+    });
+  });
+
+  describe('State management', () => {
+    test('should reset and clone short state', () => {
+      portfolio.short(10, 100, 't1');
+
+      const clone = portfolio.clone();
+      expect(clone.shortPosition).toBe(10);
+      expect(clone.shortEntryPrice).toBe(100);
+
+      portfolio.reset();
+      expect(portfolio.shortPosition).toBe(0);
+      expect(portfolio.shortCollateral).toBe(0);
+      expect(portfolio.balance).toBe(10000);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { AdvancedBacktester, RealisticExecutionEngine } = require('../src/engine/advancedBacktester.js');
+const { PortfolioManager } = require('../src/engine/portfolioManager.js');
+
+const makeCandle = (close, volume, day = 1) => ({
+  timestamp: new Date(Date.UTC(2023, 0, day)).getTime(),
+  open: close,
+  high: close * 1.05,
+  low: close * 0.95,
+  close,
+  volume
+});
+
+describe('RealisticExecutionEngine', () => {
+  const config = {
+    spread: 0,
+    slippage: 0,
+    marketImpact: 0,
+    latency: 0,
+    volumeParticipation: 0.1,
+    impactCoefficient: 1
+  };
+
+  test('should cap fills at the participation rate and carry the remainder', () => {
+    const engine = new RealisticExecutionEngine(config);
+    const history = [makeCandle(100, 100)];
+
+    engine.submitOrder({ symbol: 'BTC', side: 'buy', type: 'entry', quantity: 25, price: 100, signal: { action: 'buy' } }, history[0], 0);
+    expect(engine.processPendingOrders(history[0], 0, history)).toEqual([]);
+
+    history.push(makeCandle(100, 100, 2));
+    const [fill] = engine.processPendingOrders(history[1], 1, history);
+
+    expect(fill.signal.quantity).toBe(10);
+    expect(fill.execution.status).toBe('partial');
+    expect(fill.execution.unfilledQuantity).toBe(15);
+    expect(engine.pendingOrders).toHaveLength(1);
+
+    history.push(makeCandle(100, 100, 3));
+    const second = engine.processPendingOrders(history[2], 2, history);
+    history.push(makeCandle(100, 100, 4));
+    const third = engine.processPendingOrders(history[3], 3, history);
+
+    expect(second[0].signal.quantity).toBe(10);
+    expect(third[0].signal.quantity).toBe(5);
+    expect(third[0].execution.status).toBe('filled');
+    expect(engine.pendingOrders).toHaveLength(0);
+    expect(engine.executions.map(e => e.filledQuantity)).toEqual([10, 20, 25]);
+  });
+
+  test('should delay fills by whole and fractional bars', () => {
+    const engine = new RealisticExecutionEngine({ ...config, volumeParticipation: 0, impactCoefficient: 0, latencyBars: 1.25 });
+    const history = [makeCandle(100, 100)];
+    const candle = { ...makeCandle(110, 100, 3), open: 100, high: 115, low: 95 };
+
+    engine.submitOrder({ symbol: 'BTC', side: 'buy', type: 'entry', quantity: 1, price: 100, signal: {} }, history[0], 0);
+    history.push(makeCandle(100, 100, 2));
+    expect(engine.processPendingOrders(history[1], 1, history)).toEqual([]);
+
+    history.push(candle);
+    const [fill] = engine.processPendingOrders(candle, 2, history);
+    expect(fill.signal.price).toBeCloseTo(102.5);
+    expect(fill.execution.timestamp).toBe(candle.timestamp);
+  });
+
+  test('should convert millisecond latency to bars', () => {
+    const engine = new RealisticExecutionEngine({ ...config, latency: 6 * 60 * 60 * 1000 });
+    engine.reset({ barDuration: 24 * 60 * 60 * 1000 });
+
+    expect(engine.getDelayBars()).toBe(0.25);
+    expect(new RealisticExecutionEngine(config).getDelayBars()).toBe(0);
+  });
+
+  test('should scale impact with the square root of participation', () => {
+    const engine = new RealisticExecutionEngine(config);
+    const candle = makeCandle(100, 1000);
+    const volatility = engine.estimateVolatility(candle, []);
+
+    expect(volatility).toBeCloseTo(0.1);
+    expect(engine.calculateMarketImpact(10, candle)).toBeCloseTo(0.1 * Math.sqrt(0.01));
+    expect(engine.calculateMarketImpact(40, candle)).toBeCloseTo(2 * engine.calculateMarketImpact(10, candle));
+
+    const buy = engine.calculateExecutionPrice({ side: 'buy', price: 100, quantity: 10 }, candle);
+    const sell = engine.calculateExecutionPrice({ side: 'sell', price: 100, quantity: 10 }, candle);
+    expect(buy).toBeCloseTo(101);
+    expect(sell).toBeCloseTo(99);
+  });
+
+  test('should fall back to the fixed impact without volume', () => {
+    const engine = new RealisticExecutionEngine({ ...config, marketImpact: 0.001 });
+
+    expect(engine.calculateMarketImpact(10, makeCandle(100, 0))).toBe(0.001);
+  });
+
+  test('should report cancelled and expired remainders', () => {
+    const engine = new RealisticExecutionEngine(config);
+    const order = { symbol: 'BTC', side: 'buy', type: 'entry', quantity: 50, price: 100, signal: {} };
+    const history = [1, 2, 3, 4, 5].map(day => makeCandle(100, 100, day));
+
+    engine.submitOrder(order, history[0], 0);
+    engine.processPendingOrders(history[1], 1, history);
+    engine.cancelPendingOrders('BTC', history[1]);
+    engine.submitOrder(order, history[2], 2);
+    engine.processPendingOrders(history[3], 3, history);
+    engine.expirePendingOrders(history[4]);
+
+    const closed = engine.executions.filter(e => e.quantity === 0);
+    expect(closed.map(e => [e.status, e.unfilledQuantity])).toEqual([['cancelled', 40], ['expired', 40]]);
+  });
+});
+
+describe('AdvancedBacktester volume-limited fills', () => {
+  test('should build a position over several candles and log the fills', async() => {
+    const candles = [1, 2, 3, 4].map(day => makeCandle(100, 50, day));
+    const backtester = new AdvancedBacktester({
+      initialBalance: 100000,
+      maxRiskPerTrade: 1,
+      maxTotalRisk: 10,
+      spread: 0,
+      slippage: 0,
+      latency: 0,
+      volumeParticipation: 0.1
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => (history.length === 1 ? { action: 'buy', side: 'buy', quantity: 12, price: 100 } : null)
+    });
+
+    const results = await backtester.runStandardBacktest();
+
+    expect(results.executions.map(e => e.quantity)).toEqual([5, 5, 2]);
+    expect(results.executions[0].timestamp).toBe(candles[1].timestamp);
+    expect(results.executions[2].status).toBe('filled');
+    expect(results.trades).toHaveLength(3);
+  });
+
+  test('should fill at the next open without waiting in real time', async() => {
+    const candles = [1, 2, 3].map(day => ({ ...makeCandle(100 + day, 1000, day), open: 100 + day - 0.5 }));
+    const backtester = new AdvancedBacktester({
+      initialBalance: 100000,
+      maxRiskPerTrade: 1,
+      maxTotalRisk: 10,
+      spread: 0,
+      slippage: 0,
+      marketImpact: 0,
+      impactCoefficient: 0,
+      latency: 60 * 60 * 1000
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => (history.length === 1 ? { action: 'buy', side: 'buy', quantity: 1, price: 101 } : null)
+    });
+
+    const started = Date.now();
+    const results = await backtester.runStandardBacktest();
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(results.executions[0].price).toBeCloseTo(101.5 + (102 - 101.5) / 24);
+  });
+});
+
+describe('PortfolioManager partial close', () => {
+  test('should close part of a position and keep the remainder open', async() => {
+    const portfolio = new PortfolioManager({ initialBalance: 100000, maxRiskPerTrade: 1, maxTotalRisk: 10 });
+    const { position } = await portfolio.openPosition({ symbol: 'BTC', side: 'buy', price: 100, quantity: 10 });
+
+    const { trade } = await portfolio.closePosition(position.id, 110, 'signal', 4);
+
+    expect(trade.quantity).toBe(4);
+    expect(portfolio.getPosition(position.id).quantity).toBe(6);
+    expect(portfolio.getPosition(position.id).status).toBe('open');
+  });
+});
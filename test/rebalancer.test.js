@@ -0,0 +1,123 @@
+const { Rebalancer } = require('../src/engine/rebalancer.js');
+const { MultiAssetBacktester } = require('../src/engine/multiAssetBacktester.js');
+const { PaperTradingEngine } = require('../src/engine/paperTrading.js');
+
+describe('Rebalancer', () => {
+  const prices = { BTC: 100, ETH: 50 };
+
+  test('should plan orders from cash to target weights', () => {
+    const rebalancer = new Rebalancer();
+    const plan = rebalancer.plan({ targets: { BTC: 0.5, ETH: 0.3, USD: 0.2 }, prices, cash: 10000 });
+
+    expect(plan.rebalance).toBe(true);
+    expect(plan.drift).toBeCloseTo(0.5);
+    expect(plan.orders).toEqual([
+      { symbol: 'BTC', side: 'buy', quantity: 50, price: 100, value: 5000 },
+      { symbol: 'ETH', side: 'buy', quantity: 60, price: 50, value: 3000 }
+    ]);
+  });
+
+  test('should list sells before buys and sell symbols left out of the targets', () => {
+    const rebalancer = new Rebalancer();
+    const plan = rebalancer.plan({
+      targets: { BTC: 1 },
+      prices,
+      holdings: { ETH: 100 },
+      cash: 5000
+    });
+
+    expect(plan.orders.map(order => `${order.side}:${order.symbol}`)).toEqual(['sell:ETH', 'buy:BTC']);
+    expect(plan.orders[0].quantity).toBe(100);
+  });
+
+  test('should respect the drift threshold', () => {
+    const rebalancer = new Rebalancer({ driftThreshold: 0.05 });
+    const holdings = { BTC: 52, ETH: 96 };
+
+    expect(rebalancer.plan({ targets: { BTC: 0.5, ETH: 0.5 }, prices, holdings, cash: 0 }).rebalance).toBe(false);
+    expect(rebalancer.plan({ targets: { BTC: 0.6, ETH: 0.4 }, prices, holdings, cash: 0 }).rebalance).toBe(true);
+  });
+
+  test('should skip orders below the minimum trade value', () => {
+    const rebalancer = new Rebalancer({ minTradeValue: 100 });
+    const plan = rebalancer.plan({
+      targets: { BTC: 0.5, ETH: 0.5 },
+      prices,
+      holdings: { BTC: 49.5, ETH: 80 },
+      cash: 1050
+    });
+
+    expect(plan.orders).toEqual([{ symbol: 'ETH', side: 'buy', quantity: 20, price: 50, value: 1000 }]);
+  });
+
+  test('should scale buys down so fees fit the available cash', () => {
+    const rebalancer = new Rebalancer({ feeRate: 0.01 });
+    const plan = rebalancer.plan({ targets: { BTC: 1 }, prices, cash: 10000 });
+
+    expect(plan.orders[0].value * 1.01).toBeCloseTo(10000);
+  });
+
+  test('should reject invalid targets', () => {
+    const rebalancer = new Rebalancer();
+
+    expect(() => rebalancer.plan({ targets: { DOGE: 1 }, prices, cash: 1 })).toThrow('Unknown symbol');
+    expect(() => rebalancer.plan({ targets: { BTC: -0.1 }, prices, cash: 1 })).toThrow('non-negative');
+    expect(() => rebalancer.plan({ targets: { BTC: 0.8, ETH: 0.8 }, prices, cash: 1 })).toThrow('exceeds 1');
+  });
+});
+
+describe('Rebalancing strategies', () => {
+  const makeCandles = closes => closes.map((close, i) => ({
+    timestamp: new Date(Date.UTC(2023, 0, 1 + i)).toISOString(),
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 100
+  }));
+
+  const candles = {
+    BTC: makeCandles([100, 200, 200, 220]),
+    ETH: makeCandles([100, 100, 100, 100])
+  };
+
+  const fiftyFifty = { onRebalance: async() => ({ BTC: 0.5, ETH: 0.5 }) };
+
+  test('should rebalance a backtest whenever weights drift past the threshold', async() => {
+    const backtester = new MultiAssetBacktester({ fee: 0, driftThreshold: 0.1 });
+    const results = await backtester.run(candles, fiftyFifty);
+
+    // Initial allocation, then the BTC rally pushes its weight to 2/3
+    expect(results.rebalances).toHaveLength(2);
+    expect(results.rebalances[1].timestamp).toBe(candles.BTC[1].timestamp);
+    expect(results.trades.map(t => `${t.action}:${t.symbol}`)).toEqual(['buy:BTC', 'buy:ETH', 'sell:BTC', 'buy:ETH']);
+    expect(results.trades.every(t => t.reason === 'rebalance')).toBe(true);
+
+    const last = results.assets.BTC.equityCurve[3];
+    expect(last.weight).toBeCloseTo(220 / 420);
+  });
+
+  test('should charge fees on rebalancing trades', async() => {
+    const backtester = new MultiAssetBacktester({ fee: 0.1 });
+    const results = await backtester.run(candles, fiftyFifty);
+
+    const fees = results.trades.reduce((sum, trade) => sum + trade.fee, 0);
+    expect(fees).toBeGreaterThan(0);
+    expect(results.portfolio.cash).toBeGreaterThanOrEqual(-1e-6);
+  });
+
+  test('should rebalance a paper trading portfolio', async() => {
+    const engine = new PaperTradingEngine({ initialBalance: 10000, commission: 0.001, slippage: 0, maxSlippage: 0 });
+    engine.setMarketPrice('BTC', 100);
+    engine.setMarketPrice('ETH', 50);
+
+    const plan = await engine.rebalance({ BTC: 0.5, ETH: 0.3, USD: 0.2 });
+
+    expect(plan.results.every(result => result.status === 'filled')).toBe(true);
+    expect(engine.portfolio.positions.get('BTC').amount).toBeCloseTo(50);
+    expect(engine.portfolio.positions.get('ETH').amount).toBeCloseTo(60);
+    expect(engine.portfolio.cash).toBeCloseTo(2000 - 8);
+
+    await expect(engine.rebalance({ SOL: 1 })).rejects.toThrow('No market price for SOL');
+  });
+});
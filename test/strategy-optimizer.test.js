@@ -1,4 +1,10 @@
-const { StrategyOptimizer, GeneticAlgorithm } = require('../src/engine/strategyOptimizer.js');
+const {
+  StrategyOptimizer,
+  GeneticAlgorithm,
+  BayesianOptimizer,
+  NSGA2Optimizer
+} = require('../src/engine/strategyOptimizer.js');
+const { createRandom } = require('../src/engine/monteCarlo.js');
 const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
 
 describe('StrategyOptimizer', () => {
@@ -305,9 +311,8 @@ describe('GeneticAlgorithm', () => {
 
       const originalParams = { ...individual.parameters };
 
-      // Mock Math.random to ensure mutation occurs
-      const originalRandom = Math.random;
-      Math.random = jest.fn().mockReturnValue(0.05); // Less than 0.1 mutation rate
+      // Mock the random source to ensure mutation occurs
+      ga.random = jest.fn().mockReturnValue(0.05); // Less than 0.1 mutation rate
 
       ga.mutate(individual, parameterSpace);
 
@@ -316,8 +321,7 @@ describe('GeneticAlgorithm', () => {
       expect(individual.parameters.param1).toBeLessThanOrEqual(10);
       expect(individual.parameters.param2).toBeGreaterThanOrEqual(0.1);
       expect(individual.parameters.param2).toBeLessThanOrEqual(1.0);
-
-      Math.random = originalRandom;
+      expect(ga.random).toHaveBeenCalled();
     });
   });
 
@@ -372,3 +376,299 @@ describe('GeneticAlgorithm', () => {
     });
   });
 });
+
+describe('BayesianOptimizer', () => {
+  const parameterSpace = {
+    x: { type: 'float', min: 0, max: 10 },
+    y: { type: 'integer', min: 0, max: 100 },
+    mode: { type: 'choice', choices: ['a', 'b', 'c'] },
+    enabled: { type: 'boolean' }
+  };
+
+  // Maximum of 1.5 at x = 7, y = 20, mode 'b', enabled
+  const objective = parameters => -((parameters.x - 7) ** 2) / 10 - ((parameters.y - 20) ** 2) / 1000 +
+    (parameters.mode === 'b' ? 1 : 0) + (parameters.enabled ? 0.5 : 0);
+  const evaluateBatch = async(strategy, marketData, parameterSets) => parameterSets.map(objective);
+
+  test('should measure distance across numeric and categorical parameters', () => {
+    const optimizer = new BayesianOptimizer({});
+    const base = { x: 5, y: 50, mode: 'a', enabled: true };
+
+    expect(optimizer.calculateParameterDistance(base, base, parameterSpace)).toBe(0);
+    expect(optimizer.calculateParameterDistance(base, { ...base, x: 10 }, parameterSpace)).toBeCloseTo(0.5);
+    expect(optimizer.calculateParameterDistance(base, { ...base, mode: 'c' }, parameterSpace)).toBe(1);
+    expect(optimizer.calculateParameterDistance(base, { ...base, mode: 'b', enabled: false }, parameterSpace))
+      .toBeCloseTo(Math.SQRT2);
+  });
+
+  test.each(['ei', 'ucb'])('should converge faster than random search (%s)', async acquisition => {
+    for (const seed of [1, 2, 3]) {
+      const optimizer = new BayesianOptimizer({
+        bayesianIterations: 30,
+        bayesianAcquisition: acquisition,
+        bayesianXi: 0.01,
+        bayesianKappa: 2,
+        bayesianSeed: seed
+      });
+      const result = await optimizer.optimize(null, [], parameterSpace, evaluateBatch);
+
+      const sampler = new BayesianOptimizer({});
+      sampler.random = createRandom(seed);
+      const randomBest = Math.max(...Array.from({ length: 30 }, () => objective(sampler.generateRandomParameters(parameterSpace))));
+
+      expect(result.allResults).toHaveLength(30);
+      expect(result.bestFitness).toBeGreaterThan(1.45);
+      expect(result.bestFitness).toBeGreaterThan(randomBest);
+    }
+  });
+
+  test('should be reproducible with a seed and start fresh on every run', async() => {
+    const optimizer = new BayesianOptimizer({ bayesianIterations: 15, bayesianXi: 0.01, bayesianSeed: 7 });
+
+    const first = await optimizer.optimize(null, [], parameterSpace, evaluateBatch);
+    const second = await optimizer.optimize(null, [], parameterSpace, evaluateBatch);
+
+    expect(second.allResults).toEqual(first.allResults);
+    expect(optimizer.observations).toHaveLength(15);
+  });
+
+  test('should model failed evaluations as the worst fitness', async() => {
+    const failing = async(strategy, marketData, parameterSets) =>
+      parameterSets.map(parameters => (parameters.mode === 'c' ? -Infinity : objective(parameters)));
+    const optimizer = new BayesianOptimizer({ bayesianIterations: 20, bayesianXi: 0.01, bayesianSeed: 3 });
+
+    const result = await optimizer.optimize(null, [], parameterSpace, failing);
+
+    expect(Number.isFinite(result.bestFitness)).toBe(true);
+    expect(result.bestParameters.mode).not.toBe('c');
+  });
+});
+
+describe('NSGA2Optimizer', () => {
+  const parameterSpace = {
+    x: { type: 'float', min: 0, max: 1 },
+    y: { type: 'float', min: 0, max: 1 }
+  };
+
+  // Profit rises with x, drawdown with x and y: the front is y = 0
+  const evaluateBatch = async(strategy, marketData, parameterSets) =>
+    parameterSets.map(parameters => [parameters.x, parameters.x + parameters.y]);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createOptimizer = () => new NSGA2Optimizer({
+    populationSize: 30,
+    generations: 25,
+    crossoverRate: 0.9,
+    mutationRate: 0.5,
+    objectives: ['profit', 'max_drawdown']
+  });
+
+  test('should sort points into non-dominated fronts', () => {
+    const optimizer = createOptimizer();
+    const points = [[1, 1], [2, 0], [0, 2], [0, 0], [1, 0]];
+
+    expect(optimizer.nonDominatedSort(points)).toEqual([[0, 1, 2], [4], [3]]);
+  });
+
+  test('should give boundary points an infinite crowding distance', () => {
+    const optimizer = createOptimizer();
+    const distances = optimizer.crowdingDistances([[0, 4], [1, 3], [3, 1], [4, 0]]);
+
+    expect(distances[0]).toBe(Infinity);
+    expect(distances[3]).toBe(Infinity);
+    expect(distances[1]).toBeCloseTo(1.5);
+    expect(distances[2]).toBeCloseTo(1.5);
+  });
+
+  test('should return a Pareto front of trade-offs', async() => {
+    jest.spyOn(Math, 'random').mockImplementation(createRandom(42));
+    const optimizer = createOptimizer();
+    const generations = jest.fn();
+    optimizer.on('generationCompleted', generations);
+
+    const result = await optimizer.optimize(null, [], parameterSpace, evaluateBatch);
+
+    expect(result.method).toBe('nsga2');
+    expect(result.objectives).toEqual([
+      { name: 'profit', direction: 'maximize' },
+      { name: 'max_drawdown', direction: 'minimize' }
+    ]);
+    expect(result.paretoFront.length).toBeGreaterThan(5);
+    expect(generations).toHaveBeenCalledTimes(25);
+
+    // Nobody on the front beats another member on both objectives
+    for (const a of result.paretoFront) {
+      for (const b of result.paretoFront) {
+        const dominates = a.objectives.profit >= b.objectives.profit && a.objectives.max_drawdown <= b.objectives.max_drawdown &&
+          (a.objectives.profit > b.objectives.profit || a.objectives.max_drawdown < b.objectives.max_drawdown);
+        expect(dominates).toBe(false);
+      }
+      expect(a.parameters.y).toBeLessThan(0.2);
+    }
+
+    // Sorted by the first objective, whose best member is the reported winner
+    expect(result.paretoFront[0].crowdingDistance).toBe(Infinity);
+    expect(result.bestParameters).toEqual(result.paretoFront[0].parameters);
+    expect(result.bestFitness).toBe(Math.max(...result.paretoFront.map(point => point.objectives.profit)));
+  });
+
+  test('should evaluate configured objectives through StrategyOptimizer', async() => {
+    const optimizer = new StrategyOptimizer({ objectives: ['profit', 'max_drawdown', { name: 'trade_count', direction: 'minimize' }] });
+    const results = {
+      portfolio: { totalPnL: 250 },
+      performance: { maxDrawdownPercent: 12, totalTrades: 8 }
+    };
+
+    expect(optimizer.getObjectives().map(objective => objective.direction)).toEqual(['maximize', 'minimize', 'minimize']);
+    expect(['profit', 'max_drawdown', 'trade_count'].map(name => optimizer.calculateObjective(results, name)))
+      .toEqual([250, 12, 8]);
+
+    optimizer.backtestParameters = jest.fn().mockRejectedValue(new Error('Invalid parameters'));
+    await expect(optimizer.evaluateObjectives({}, [], {})).resolves.toEqual([-Infinity, Infinity, Infinity]);
+  });
+
+  test('should reject unknown objectives before optimizing', async() => {
+    const optimizer = new StrategyOptimizer({ objectives: ['profit', 'luck'] });
+
+    await expect(optimizer.optimize({}, [], parameterSpace, 'nsga2')).rejects.toThrow('Unknown objective: luck');
+  });
+});
+
+describe('Overfitting diagnostics', () => {
+  const parameterSpace = { period: { type: 'integer', min: 2, max: 30 } };
+
+  // Seeded noise returns, with an edge that fades away from period 12
+  const createOptimizer = (fitness, edge) => {
+    const optimizer = new StrategyOptimizer({ diagnostics: true, diagnosticsBlocks: 8 });
+    const random = createRandom(3);
+    const gaussian = () => Array.from({ length: 12 }, random).reduce((sum, value) => sum + value, 0) - 6;
+
+    optimizer.evaluateIndividual = jest.fn(async(strategy, marketData, parameters) => fitness(parameters.period));
+    optimizer.evaluateReturns = jest.fn(async(strategy, marketData, parameters) =>
+      Array.from({ length: 400 }, () => gaussian() * 0.01 + edge(parameters.period)));
+    return optimizer;
+  };
+
+  test('should flag a winner that stands alone among noise', async() => {
+    const optimizer = createOptimizer(period => (period === 12 ? 10 : 1), () => 0);
+
+    const { diagnostics } = await optimizer.optimize({}, [], parameterSpace, 'grid');
+
+    expect(diagnostics.trials).toBe(29);
+    expect(diagnostics.neighbourhood.neighbours.map(neighbour => neighbour.parameters.period)).toEqual([11, 13]);
+    expect(diagnostics.neighbourhood.ratio).toBeCloseTo(0.1);
+    expect(diagnostics.deflatedSharpe.probability).toBeLessThan(0.95);
+    expect(diagnostics.luckySpike).toBe(true);
+    expect(diagnostics.warnings).toContain('Neighbouring parameter sets average 10% of the best fitness');
+    // Grid neighbours were already evaluated; only the returns were re-run
+    expect(optimizer.evaluateIndividual).toHaveBeenCalledTimes(29);
+    expect(optimizer.evaluateReturns).toHaveBeenCalledTimes(29);
+  });
+
+  test('should pass a winner on a plateau with a real edge', async() => {
+    const optimizer = createOptimizer(
+      period => 10 - Math.abs(period - 12) * 0.1,
+      period => 0.003 * (1 - Math.abs(period - 12) / 20)
+    );
+
+    const { diagnostics } = await optimizer.optimize({}, [], parameterSpace, 'grid');
+
+    expect(diagnostics.neighbourhood.ratio).toBeCloseTo(0.99);
+    expect(diagnostics.deflatedSharpe.probability).toBeGreaterThan(0.95);
+    expect(diagnostics.pbo.probability).toBeLessThan(0.5);
+    expect(diagnostics.warnings).toEqual([]);
+    expect(diagnostics.luckySpike).toBe(false);
+  });
+
+  test('should evaluate neighbours the search skipped and respect the trial cap', async() => {
+    const optimizer = createOptimizer(period => period, () => 0.001);
+    optimizer.config.diagnosticsTrials = 2;
+    optimizer.generateRandomParameters = jest.fn()
+      .mockReturnValueOnce({ period: 20 })
+      .mockReturnValueOnce({ period: 5 })
+      .mockReturnValue({ period: 10 });
+
+    const result = await optimizer.runRandomSearch({}, [], parameterSpace, 3);
+    const diagnostics = await optimizer.diagnose({}, [], parameterSpace, result);
+
+    expect(result.bestParameters).toEqual({ period: 20 });
+    expect(diagnostics.trials).toBe(3);
+    expect(diagnostics.neighbourhood.neighbours).toEqual([
+      { parameters: { period: 19 }, fitness: 19 },
+      { parameters: { period: 21 }, fitness: 21 }
+    ]);
+    expect(optimizer.evaluateReturns).toHaveBeenCalledTimes(2);
+  });
+
+  test('should skip diagnostics when disabled', async() => {
+    const optimizer = createOptimizer(period => period, () => 0);
+    optimizer.config.diagnostics = false;
+
+    const result = await optimizer.optimize({}, [], parameterSpace, 'grid');
+
+    expect(result.diagnostics).toBeUndefined();
+    expect(optimizer.evaluateReturns).not.toHaveBeenCalled();
+  });
+});
+
+describe('Seeded runs', () => {
+  const parameterSpace = {
+    period: { type: 'integer', min: 2, max: 40 },
+    threshold: { type: 'float', min: 0, max: 1 }
+  };
+
+  const createOptimizer = () => {
+    const optimizer = new StrategyOptimizer({ seed: 11, populationSize: 12, generations: 6, diagnostics: false });
+    optimizer.evaluateIndividual = jest.fn(async(strategy, marketData, parameters) =>
+      -Math.pow(parameters.period - 20, 2) - parameters.threshold);
+    return optimizer;
+  };
+
+  test('should backtest each parameter set once per run', async() => {
+    const optimizer = createOptimizer();
+
+    await optimizer.optimize({}, [], parameterSpace, 'genetic');
+
+    // Elites and unmutated offspring come back every generation
+    expect(optimizer.evaluateIndividual.mock.calls.length).toBe(optimizer.getEvaluations().length);
+    expect(optimizer.evaluateIndividual.mock.calls.length).toBeLessThan(12 * 6);
+  });
+
+  test('should replay a seeded run from its evaluations without backtesting again', async() => {
+    const first = createOptimizer();
+    const expected = await first.optimize({}, [], parameterSpace, 'genetic');
+
+    const replay = createOptimizer();
+    const result = await replay.optimize({}, [], parameterSpace, 'genetic', { evaluations: first.getEvaluations() });
+
+    expect(replay.evaluateIndividual).not.toHaveBeenCalled();
+    expect(result.bestParameters).toEqual(expected.bestParameters);
+    expect(result.convergenceHistory).toEqual(expected.convergenceHistory);
+  });
+
+  test('should resume a stopped run where it left off', async() => {
+    const full = createOptimizer();
+    const expected = await full.optimize({}, [], parameterSpace, 'random');
+    const total = full.evaluateIndividual.mock.calls.length;
+
+    const stopped = createOptimizer();
+    const evaluate = stopped.evaluateIndividual.getMockImplementation();
+    stopped.evaluateIndividual.mockImplementation(async(...args) => {
+      if (stopped.evaluateIndividual.mock.calls.length === 100) {
+        stopped.stop();
+      }
+      return evaluate(...args);
+    });
+    await expect(stopped.optimize({}, [], parameterSpace, 'random')).rejects.toThrow('Optimization stopped');
+
+    const resumed = createOptimizer();
+    const result = await resumed.optimize({}, [], parameterSpace, 'random', { evaluations: stopped.getEvaluations() });
+
+    expect(stopped.getEvaluations()).toHaveLength(100);
+    expect(resumed.evaluateIndividual).toHaveBeenCalledTimes(total - 100);
+    expect(result.bestParameters).toEqual(expected.bestParameters);
+  });
+});
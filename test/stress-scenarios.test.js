@@ -0,0 +1,124 @@
+const { STRESS_SCENARIOS, applyScenario, resolveScenario } = require('../src/engine/stressScenarios.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+const candles = Array.from({ length: 120 }, (_, i) => {
+  const close = 100 * Math.exp(0.002 * i + 0.01 * Math.sin(i));
+  const open = i === 0 ? close : 100 * Math.exp(0.002 * (i - 1) + 0.01 * Math.sin(i - 1));
+  return {
+    timestamp: START + i * DAY,
+    open,
+    high: Math.max(open, close) * 1.01,
+    low: Math.min(open, close) * 0.99,
+    close,
+    volume: 1000
+  };
+});
+
+describe('stress scenarios', () => {
+  test('should describe every catalog scenario with legs', () => {
+    Object.keys(STRESS_SCENARIOS).forEach(id => {
+      const scenario = resolveScenario(id);
+      expect(scenario.id).toBe(id);
+      expect(scenario.legs.length).toBeGreaterThan(0);
+    });
+    expect(() => resolveScenario('tulip-mania')).toThrow('Unknown stress scenario');
+  });
+
+  test('should overlay a crash day and keep later returns', () => {
+    const { candles: stressed, start, end } = applyScenario(candles, 'covid-crash', { start: 40 });
+
+    expect(start).toBe(40);
+    expect(end).toBe(41);
+    expect(stressed[39]).toEqual(candles[39]);
+    expect(stressed[40].close / stressed[39].close).toBeCloseTo(0.61);
+    expect(stressed[40].open).toBeCloseTo(candles[40].open);
+    expect(stressed[80].close / stressed[79].close).toBeCloseTo(candles[80].close / candles[79].close);
+    expect(stressed[119].close / candles[119].close).toBeCloseTo(stressed[40].close / candles[40].close);
+  });
+
+  test('should spread a bear market over its duration and damp chop', () => {
+    const bear = applyScenario(candles, { name: 'Bear', legs: [{ duration: '30d', return: -0.5 }] }, { start: 10 });
+    expect(bear.end - bear.start).toBe(30);
+    expect(bear.candles[39].close / bear.candles[9].close).toBeCloseTo(0.5);
+
+    const chop = applyScenario(candles, 'low-volatility-chop', { start: 0.5 });
+    expect(chop.start).toBe(60);
+    expect(chop.truncated).toBe(true);
+    expect(chop.candles[119].close).toBeCloseTo(chop.candles[59].close);
+    const range = c => c.high / c.low - 1;
+    expect(range(chop.candles[90])).toBeLessThan(range(candles[90]));
+  });
+
+  test('should push a flash crash wick below the body', () => {
+    const { candles: stressed } = applyScenario(candles, 'may-2021-crash', { start: new Date(START + 50 * DAY) });
+
+    expect(stressed[50].close / stressed[49].close).toBeCloseTo(0.86);
+    expect(stressed[50].low).toBeCloseTo(stressed[50].open * 0.7);
+    stressed.forEach(candle => {
+      expect(candle.high).toBeGreaterThanOrEqual(Math.max(candle.open, candle.close));
+      expect(candle.low).toBeLessThanOrEqual(Math.min(candle.open, candle.close));
+    });
+  });
+
+  test('should size legs in candles without timestamps', () => {
+    const untimed = candles.map(({ timestamp: _timestamp, ...candle }) => candle);
+
+    expect(applyScenario(untimed, { legs: [{ duration: 5, return: -0.2 }] }, { start: 10 }).end).toBe(15);
+    expect(() => applyScenario(untimed, 'ftx-collapse')).toThrow('without candle timestamps');
+  });
+});
+
+describe('AdvancedBacktester stress mode', () => {
+  const holdStrategy = {
+    onCandle: async(candle, history) => (history.length === 1 ? { action: 'buy', side: 'buy', quantity: 50, price: candle.close } : null)
+  };
+
+  const run = async config => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 10000,
+      commission: 0,
+      slippage: 0,
+      enableRealisticExecution: false,
+      enableStressTest: true,
+      ...config
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy(holdStrategy);
+    return await backtester.run();
+  };
+
+  test('should report drawdown and recovery per scenario', async() => {
+    const results = await run({
+      stressScenarios: ['covid-crash', { id: 'dip', legs: [{ duration: '2d', return: -0.05 }] }],
+      stressStart: 40
+    });
+
+    expect(results.type).toBe('stress');
+    const [crash, dip] = results.scenarios;
+
+    expect(crash.id).toBe('covid-crash');
+    expect(crash.window.startTime).toBe(candles[40].timestamp);
+    expect(crash.scenarioDrawdownPercent).toBeGreaterThan(dip.scenarioDrawdownPercent);
+    expect(crash.scenarioDrawdownPercent).toBeGreaterThan(results.baseline.maxDrawdownPercent);
+    expect(crash.recovered).toBe(false);
+    expect(crash.recoveryTime).toBeNull();
+
+    expect(dip.recovered).toBe(true);
+    expect(dip.recoveryBars).toBeGreaterThan(0);
+    expect(dip.recoveryTime).toBe(dip.recoveryBars * DAY);
+
+    expect(results.summary).toMatchObject({ totalScenarios: 2, worstScenario: 'covid-crash', unrecovered: ['covid-crash'] });
+    expect(results.report.scenarios).toHaveLength(2);
+    expect(results.report.summary.baselineReturnPercent).toBe(results.baseline.totalReturnPercent);
+  });
+
+  test('should run the whole catalog by default', async() => {
+    const results = await run({});
+
+    expect(results.scenarios.map(s => s.id)).toEqual(Object.keys(STRESS_SCENARIOS));
+    expect(results.scenarios.find(s => s.id === 'bear-2018').window.truncated).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+const path = require('path');
+const { SyntheticDataGenerator } = require('../src/importers/syntheticData.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+
+const HOUR = 60 * 60 * 1000;
+
+const historical = () => new SyntheticDataGenerator({
+  model: 'regime',
+  seed: 21,
+  params: { startPrice: 1000, startTime: Date.UTC(2023, 0, 1), barDuration: HOUR }
+}).generate(600);
+
+const sd = values => {
+  const avg = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+describe('SyntheticDataGenerator', () => {
+  test('should produce continuous, valid OHLCV candles', () => {
+    const candles = new SyntheticDataGenerator({ seed: 1 }).generate(200);
+
+    expect(candles).toHaveLength(200);
+    candles.forEach((candle, i) => {
+      expect(candle.high).toBeGreaterThanOrEqual(Math.max(candle.open, candle.close));
+      expect(candle.low).toBeLessThanOrEqual(Math.min(candle.open, candle.close));
+      expect(candle.volume).toBeGreaterThan(0);
+      if (i > 0) {
+        expect(candle.open).toBe(candles[i - 1].close);
+        expect(candle.timestamp - candles[i - 1].timestamp).toBe(HOUR);
+      }
+    });
+  });
+
+  test('should repeat paths with the same seed', () => {
+    const generate = () => new SyntheticDataGenerator({ model: 'jump', seed: 5 }).generatePaths(2, 50);
+
+    const [first, second] = generate();
+    expect(generate()).toEqual([first, second]);
+    expect(first).not.toEqual(second);
+  });
+
+  test('should calibrate drift, volatility and bar spacing to the source', () => {
+    const source = historical();
+    const generator = new SyntheticDataGenerator({ seed: 2 }).calibrate(source);
+    const sourceVolatility = sd(SyntheticDataGenerator.logReturns(source));
+
+    expect(generator.params.barDuration).toBe(HOUR);
+    expect(generator.params.startTime).toBe(source[0].timestamp);
+    expect(generator.params.volatility).toBeCloseTo(sourceVolatility, 10);
+
+    const synthetic = generator.generate(5000);
+    expect(sd(SyntheticDataGenerator.logReturns(synthetic))).toBeCloseTo(sourceVolatility, 2);
+  });
+
+  test('should find two distinct regimes in regime-switching data', () => {
+    const { regime } = new SyntheticDataGenerator().calibrate(historical()).params;
+
+    expect(regime.states[1].volatility).toBeGreaterThan(regime.states[0].volatility);
+    regime.transitions.forEach(row => expect(row[0] + row[1]).toBeCloseTo(1));
+    expect(regime.initial[0] + regime.initial[1]).toBeCloseTo(1);
+  });
+
+  test('should fit GARCH persistence to clustered volatility', () => {
+    const clustered = new SyntheticDataGenerator({
+      model: 'garch',
+      seed: 3,
+      params: { garch: { omega: 0.000005, alpha: 0.1, beta: 0.85 } }
+    }).generate(3000);
+    const { garch } = new SyntheticDataGenerator().calibrate(clustered).params;
+
+    expect(garch.alpha + garch.beta).toBeGreaterThan(0.8);
+    expect(garch.alpha + garch.beta).toBeLessThan(1);
+  });
+
+  test('should separate jumps from the diffusion', () => {
+    const jumpy = new SyntheticDataGenerator({
+      model: 'jump',
+      seed: 4,
+      params: { jump: { drift: 0, volatility: 0.005, intensity: 0.02, mean: -0.05, std: 0.01 } }
+    }).generate(5000);
+    const { jump } = new SyntheticDataGenerator().calibrate(jumpy).params;
+
+    expect(jump.intensity).toBeGreaterThan(0.01);
+    expect(jump.intensity).toBeLessThan(0.04);
+    expect(jump.mean).toBeLessThan(-0.03);
+    expect(jump.volatility).toBeCloseTo(0.005, 3);
+  });
+
+  test('should calibrate from a CSV file', async() => {
+    const generator = await SyntheticDataGenerator.fromCSV(path.join(__dirname, 'sample-candles.csv'), { seed: 6 });
+
+    expect(generator.params.volatility).toBeGreaterThan(0);
+    expect(generator.generate(10)).toHaveLength(10);
+  });
+
+  test('should reject unknown models and short calibration data', () => {
+    expect(() => new SyntheticDataGenerator({ model: 'heston' })).toThrow('Invalid synthetic model');
+    expect(() => new SyntheticDataGenerator().calibrate([])).toThrow('at least 3 candles');
+  });
+});
+
+describe('AdvancedBacktester synthetic Monte Carlo', () => {
+  test('should run the strategy across calibrated synthetic paths', async() => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 100000,
+      enableRealisticExecution: false,
+      enableMonteCarlo: true,
+      monteCarloRuns: 10,
+      monteCarloSeed: 8,
+      monteCarloSyntheticPaths: 5,
+      monteCarloSyntheticModel: 'garch'
+    });
+    await backtester.loadData(historical().slice(0, 120));
+    backtester.setStrategy({
+      onCandle: async(candle, history) => {
+        if (history.length % 20 === 1) return { action: 'buy', side: 'buy', quantity: 1, price: candle.close };
+        if (history.length % 20 === 10) return { action: 'sell', side: 'sell', quantity: 1, price: candle.close };
+        return null;
+      }
+    });
+
+    const { monteCarlo } = await backtester.run();
+
+    expect(monteCarlo.synthetic.model).toBe('garch');
+    expect(monteCarlo.synthetic.runs).toHaveLength(5);
+    monteCarlo.synthetic.runs.forEach(run => expect(run.totalTrades).toBeGreaterThan(0));
+    expect(monteCarlo.synthetic.summary.totalReturnPercent.p5)
+      .toBeLessThanOrEqual(monteCarlo.synthetic.summary.totalReturnPercent.p95);
+  });
+});
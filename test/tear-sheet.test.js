@@ -0,0 +1,105 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { generateTearSheet, calculateMonthlyReturns } = require('../src/engine/tearSheet.js');
+const { AdvancedBacktester } = require('../src/engine/advancedBacktester.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+const candles = Array.from({ length: 90 }, (_, i) => {
+  const close = 100 * (1 + 0.002 * i + 0.03 * Math.sin(i / 5));
+  return { timestamp: START + i * DAY, open: close, high: close * 1.01, low: close * 0.99, close, volume: 1000 };
+});
+
+describe('tear sheet', () => {
+  test('should compound monthly returns from the previous month end', () => {
+    const curve = [
+      { timestamp: Date.UTC(2023, 0, 1), value: 100 },
+      { timestamp: Date.UTC(2023, 0, 31), value: 110 },
+      { timestamp: Date.UTC(2023, 1, 15), value: 99 },
+      { timestamp: Date.UTC(2023, 2, 1), equity: 121 }
+    ];
+
+    expect(calculateMonthlyReturns(curve)).toEqual([
+      { year: 2023, month: 0, return: expect.closeTo(10) },
+      { year: 2023, month: 1, return: expect.closeTo(-10) },
+      { year: 2023, month: 2, return: expect.closeTo(100 * (121 / 99 - 1)) }
+    ]);
+    expect(calculateMonthlyReturns([])).toEqual([]);
+  });
+
+  test('should render every section as self-contained HTML', () => {
+    const results = {
+      summary: { initialBalance: 1000 },
+      equityCurve: candles.map(candle => ({ timestamp: candle.timestamp, value: candle.close * 10 })),
+      roundTrips: [
+        { pnl: 25, returnPercent: 2.5, holdingTime: DAY },
+        { pnl: -10, returnPercent: -1, holdingTime: 3 * DAY }
+      ],
+      benchmark: { benchmarkReturn: 5, excessReturn: 1 }
+    };
+    const html = generateTearSheet(results, {
+      strategy: 'RSI <fast>',
+      parameters: { period: 14, bands: [30, 70] },
+      generatedAt: START
+    });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toMatch(/<script|<link|src="http/);
+    expect(html).toContain('RSI &lt;fast&gt;');
+    expect(html).toContain('<th>period</th><td>14</td>');
+    expect(html).toContain('[30,70]');
+    expect(html).toContain('<span>Win rate</span><strong>50.00%</strong>');
+    expect(html).toContain('<span>Avg holding time</span><strong>2.0 days</strong>');
+    expect(html).toContain('<span>Excess return</span><strong>1.00%</strong>');
+    expect(html.match(/<svg/g)).toHaveLength(3);
+    expect(html).toContain('class="heatmap"');
+    expect(html).toContain('<th>2023</th>');
+    expect(html).toContain('Generated 2023-01-01T00:00:00.000Z');
+    expect(() => generateTearSheet(null)).toThrow('requires backtest results');
+  });
+
+  test('should render long runs with thinned charts that keep the extremes', () => {
+    const equityCurve = Array.from({ length: 200000 }, (_, i) => ({
+      timestamp: START + i * 60 * 1000,
+      value: i === 123457 ? 500 : 1000 + (i % 100)
+    }));
+
+    const html = generateTearSheet({ equityCurve });
+    const equity = html.match(/<polyline class="equity" points="([^"]*)"/)[1].split(' ');
+
+    expect(equity.length).toBeLessThanOrEqual(1000);
+    expect(html).toContain('<span>Max drawdown</span><strong>54.50%</strong>');
+    expect(html).toContain('>500.00</text>');
+    expect(html).toContain('>-54.5%</text>');
+  });
+
+  test('should export AdvancedBacktester results as a tear sheet', async() => {
+    const backtester = new AdvancedBacktester({
+      initialBalance: 10000,
+      commission: 0,
+      slippage: 0,
+      enableRealisticExecution: false
+    });
+    await backtester.loadData(candles);
+    backtester.setStrategy({
+      onCandle: async(candle, history) => (history.length === 1 ? { action: 'buy', side: 'buy', quantity: 50, price: candle.close } : null)
+    });
+    await backtester.run();
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tear-sheet-'));
+    try {
+      await backtester.exportResults(path.join(dir, 'report.html'), { strategy: 'Buy once' });
+      await backtester.exportResults(path.join(dir, 'results.json'));
+
+      const html = await fs.readFile(path.join(dir, 'report.html'), 'utf8');
+      expect(html).toContain('Buy once backtest');
+      expect(html).toContain('<th>Mar</th>');
+      expect(html).toContain('class="equity"');
+      expect(JSON.parse(await fs.readFile(path.join(dir, 'results.json'), 'utf8')).equityCurve).toHaveLength(candles.length);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
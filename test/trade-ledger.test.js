@@ -0,0 +1,73 @@
+const { TradeLedger } = require('../src/engine/tradeLedger.js');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+const fill = (action, amount, price, hours, fee = 0) => ({
+  action,
+  amount,
+  price,
+  fee,
+  timestamp: START + hours * HOUR,
+  reason: `${action} signal`
+});
+
+const candle = (low, high) => ({ low, high, close: (low + high) / 2 });
+
+describe('TradeLedger', () => {
+  test('should pair partial exits with the oldest lots first', () => {
+    const ledger = new TradeLedger();
+    ledger.record(fill('buy', 1, 100, 0, 1));
+    ledger.record(fill('buy', 1, 110, 1, 1));
+
+    const first = ledger.record(fill('sell', 1.5, 120, 2, 3));
+    expect(first).toHaveLength(2);
+    expect(first.map(trip => trip.lotId)).toEqual([1, 2]);
+    expect(first.map(trip => trip.quantity)).toEqual([1, 0.5]);
+    expect(first[0].fees).toBeCloseTo(1 + 2);
+    expect(first[0].pnl).toBeCloseTo(20 - 3);
+    expect(first[0].holdingTime).toBe(2 * HOUR);
+    expect(first[1].fees).toBeCloseTo(0.5 + 1);
+    expect(first[1].pnl).toBeCloseTo(5 - 1.5);
+
+    const second = ledger.record(fill('sell', 0.5, 100, 3));
+    expect(second[0]).toMatchObject({ id: 3, lotId: 2, quantity: 0.5, exitReason: 'sell signal' });
+    expect(second[0].fees).toBeCloseTo(0.5);
+    expect(second[0].pnl).toBeCloseTo(-5.5);
+    expect(ledger.getOpenLots()).toEqual([]);
+    expect(ledger.getRoundTrips()).toHaveLength(3);
+  });
+
+  test('should measure excursions of long and short round trips', () => {
+    const ledger = new TradeLedger();
+    ledger.record(fill('buy', 2, 100, 0));
+    ledger.mark(candle(90, 115));
+    ledger.mark(candle(95, 105));
+    const [long] = ledger.record(fill('sell', 2, 104, 2));
+
+    expect(long).toMatchObject({ side: 'long', bars: 2, mae: 10, mfe: 15, maeAmount: 20, mfeAmount: 30 });
+    expect(long.returnPercent).toBeCloseTo(4);
+
+    ledger.record(fill('short', 1, 200, 3));
+    ledger.mark(candle(180, 210));
+    const [short] = ledger.record(fill('cover', 1, 190, 4));
+
+    expect(short).toMatchObject({ side: 'short', grossPnl: 10, bars: 1, mae: 5, mfe: 10 });
+  });
+
+  test('should spread running costs over open lots and close shorts on liquidation', () => {
+    const ledger = new TradeLedger();
+    ledger.record(fill('short', 1, 100, 0));
+    ledger.record(fill('short', 3, 100, 1));
+    ledger.record(fill('buy', 1, 100, 1));
+    ledger.chargeFees('short', 8);
+    ledger.chargeFees('short', -1);
+
+    const trips = ledger.record({ action: 'liquidation', amount: 4, price: 150, fee: 0, timestamp: START + 2 * HOUR });
+    expect(trips.map(trip => trip.fees)).toEqual([2, 6]);
+    expect(trips.every(trip => trip.exitReason === 'liquidation')).toBe(true);
+    expect(ledger.getOpenLots()).toEqual([expect.objectContaining({ side: 'long', fees: 0 })]);
+
+    expect(ledger.record(fill('cover', 1, 100, 3))).toEqual([]);
+  });
+});
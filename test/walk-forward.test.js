@@ -0,0 +1,177 @@
+const { AdvancedBacktester, WalkForwardAnalyzer } = require('../src/engine/advancedBacktester.js');
+const { StrategyOptimizer } = require('../src/engine/strategyOptimizer.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeCandles = count => Array.from({ length: count }, (_, i) => {
+  const close = 100 + i;
+  return { timestamp: Date.UTC(2023, 0, 1) + i * DAY, open: close, high: close, low: close, close, volume: 1000 };
+});
+
+// Buys once per backtest; in a rising market larger sizes earn more
+const makeStrategy = () => ({
+  size: 1,
+  enabled: false,
+  parameterDefinitions: {
+    size: { type: 'number', min: 1, max: 3, step: 1 },
+    enabled: { type: 'boolean' },
+    label: { type: 'string' }
+  },
+  async onCandle(candle, history) {
+    return this.enabled && history.length === 2
+      ? { action: 'buy', side: 'buy', quantity: this.size, price: candle.close }
+      : null;
+  }
+});
+
+const config = {
+  initialBalance: 10000,
+  maxRiskPerTrade: 1,
+  maxTotalRisk: 10,
+  commission: 0,
+  slippage: 0,
+  enableRealisticExecution: false,
+  enableWalkForward: true,
+  walkForwardPeriods: 3,
+  walkForwardOptimizationRatio: 0.5,
+  walkForwardOptimizer: { fitnessFunction: 'profit' }
+};
+
+describe('StrategyOptimizer.parameterSpaceFromDefinitions', () => {
+  test('should map strategy parameter definitions to a search space', () => {
+    const space = StrategyOptimizer.parameterSpaceFromDefinitions({
+      period: { type: 'number', min: 5, max: 50, step: 5 },
+      threshold: { type: 'number', min: 0.1, max: 1, step: 0.1, optimize: { max: 0.5 } },
+      trend: { type: 'select', options: [{ value: 'up' }, { value: 'down' }] },
+      trailing: { type: 'boolean' },
+      fixed: { type: 'number', min: 1, max: 2, optimize: false },
+      unbounded: { type: 'number' }
+    });
+
+    expect(space).toEqual({
+      period: { type: 'integer', min: 5, max: 50, step: 5 },
+      threshold: { type: 'float', min: 0.1, max: 0.5, step: 0.1 },
+      trend: { type: 'choice', choices: ['up', 'down'] },
+      trailing: { type: 'boolean' }
+    });
+  });
+});
+
+describe('WalkForwardAnalyzer', () => {
+  test('should optimize each in-sample window and test the winner out of sample', async() => {
+    const backtester = new AdvancedBacktester(config);
+    await backtester.loadData(makeCandles(30));
+    backtester.setStrategy(makeStrategy());
+
+    const results = await backtester.run();
+
+    expect(results.type).toBe('walk-forward');
+    expect(results.periods).toHaveLength(3);
+    expect(results.periods.map(p => p.optimizedParams)).toEqual([
+      { size: 3, enabled: true },
+      { size: 3, enabled: true },
+      { size: 3, enabled: true }
+    ]);
+    expect(results.periods[0].optimizationPeriod).toMatchObject({ start: 0, end: 9 });
+    expect(results.periods[0].testPeriod).toMatchObject({ start: 9, end: 16 });
+
+    // Each window holds 3 units from its second candle to its last
+    expect(results.periods[0].inSampleReturn).toBeCloseTo(21 / 10000, 8);
+    expect(results.periods[0].outOfSampleReturn).toBeCloseTo(15 / 10000, 8);
+    expect(results.periods[0].efficiency).toBeCloseTo((15 / 7) / (21 / 9));
+    expect(results.summary.walkForwardEfficiency).toBeCloseTo((15 / 7) / (21 / 9));
+
+    expect(results.parameterStability.parameters.size).toMatchObject({ mean: 3, stdDev: 0, normalizedStdDev: 0 });
+    expect(results.parameterStability.parameters.enabled).toMatchObject({ mode: true, modeFrequency: 1 });
+    expect(results.parameterStability.windows.map(w => w.changedParameters)).toEqual([0, 0, 0]);
+
+    expect(results.equityCurve).toHaveLength(21);
+    expect(results.equityCurve[20].equity).toBeCloseTo(10000 * Math.pow(1 + 15 / 10000, 3), 6);
+    expect(results.report.charts.equityCurve).toBe(results.equityCurve);
+    expect(results.report.summary.totalPeriods).toBe(3);
+  });
+
+  test('should report parameter changes between windows', () => {
+    const analyzer = new WalkForwardAnalyzer(config);
+    const stability = analyzer.analyzeParameterStability(
+      [{ period: 1, optimizedParams: { size: 1, enabled: true } }, { period: 2, optimizedParams: { size: 3, enabled: true } }],
+      { size: { type: 'integer', min: 1, max: 3 }, enabled: { type: 'boolean' } }
+    );
+
+    expect(stability.parameters.size).toMatchObject({ mean: 2, stdDev: 1, normalizedStdDev: 0.5 });
+    expect(stability.windows.map(w => w.changedParameters)).toEqual([0, 1]);
+  });
+
+  test('should reject strategies without a parameter space', async() => {
+    const backtester = new AdvancedBacktester(config);
+    await backtester.loadData(makeCandles(30));
+    backtester.setStrategy({ onCandle: async() => null });
+
+    await expect(backtester.run()).rejects.toThrow('needs a parameter space');
+  });
+
+  test('should reject too few candles for the requested periods', async() => {
+    const analyzer = new WalkForwardAnalyzer({ ...config, walkForwardPeriods: 10 });
+
+    await expect(analyzer.analyze(makeCandles(10), makeStrategy())).rejects.toThrow('Not enough candles');
+  });
+});
+
+describe('Walk-forward windows', () => {
+  const ranges = windows => windows.map(({ train, test }) => [train.start, train.end, test.start, test.end]);
+
+  test('should derive contiguous test windows from the period count', () => {
+    const analyzer = new WalkForwardAnalyzer({ ...config, walkForwardPeriods: 3, walkForwardOptimizationRatio: 0.5 });
+
+    expect(ranges(analyzer.createWindows(makeCandles(30)))).toEqual([[0, 9, 9, 16], [7, 16, 16, 23], [14, 23, 23, 30]]);
+    expect(analyzer.windowing).toMatchObject({ mode: 'rolling', trainWindow: 9, testWindow: 7, windows: 3 });
+  });
+
+  test('should roll or anchor train windows and purge the gap before each test window', () => {
+    const windowConfig = { ...config, walkForwardTrainWindow: 10, walkForwardTestWindow: 5, walkForwardPurge: 2 };
+
+    const rolling = new WalkForwardAnalyzer(windowConfig);
+    expect(ranges(rolling.createWindows(makeCandles(30)))).toEqual([[0, 10, 12, 17], [5, 15, 17, 22], [10, 20, 22, 27], [15, 25, 27, 30]]);
+
+    const anchored = new WalkForwardAnalyzer({ ...windowConfig, walkForwardMode: 'anchored' });
+    expect(ranges(anchored.createWindows(makeCandles(30)))).toEqual([[0, 10, 12, 17], [0, 15, 17, 22], [0, 20, 22, 27], [0, 25, 27, 30]]);
+  });
+
+  test('should size windows in time', () => {
+    const analyzer = new WalkForwardAnalyzer({
+      ...config,
+      walkForwardTrainWindow: '2w',
+      walkForwardTestWindow: '7d',
+      walkForwardPurge: '48h'
+    });
+
+    expect(ranges(analyzer.createWindows(makeCandles(40)))).toEqual([[0, 14, 16, 23], [7, 21, 23, 30], [14, 28, 30, 37], [21, 35, 37, 40]]);
+  });
+
+  test('should convert a time purge to candles for candle windows', () => {
+    const analyzer = new WalkForwardAnalyzer({ ...config, walkForwardTrainWindow: 10, walkForwardTestWindow: 10, walkForwardPurge: '36h' });
+
+    expect(ranges(analyzer.createWindows(makeCandles(30)))).toEqual([[0, 10, 12, 22], [10, 20, 22, 30]]);
+  });
+
+  test('should report the purge gap in the results', async() => {
+    const backtester = new AdvancedBacktester({ ...config, walkForwardTrainWindow: 10, walkForwardTestWindow: 8, walkForwardPurge: 2 });
+    await backtester.loadData(makeCandles(30));
+    backtester.setStrategy(makeStrategy());
+
+    const results = await backtester.run();
+
+    expect(results.windowing).toEqual({ mode: 'rolling', trainWindow: 10, testWindow: 8, purge: 2, windows: 3 });
+    expect(results.report.windowing).toBe(results.windowing);
+    expect(results.report.periods[0].purgePeriod).toMatchObject({ start: 10, end: 12, startTime: makeCandles(30)[10].timestamp });
+  });
+
+  test('should reject invalid window settings', () => {
+    const candles = makeCandles(30);
+
+    expect(() => new WalkForwardAnalyzer({ ...config, walkForwardMode: 'expanding' }).createWindows(candles)).toThrow('Invalid walk-forward mode');
+    expect(() => new WalkForwardAnalyzer({ ...config, walkForwardTrainWindow: '30d' }).createWindows(candles)).toThrow('must be set together');
+    expect(() => new WalkForwardAnalyzer({ ...config, walkForwardTrainWindow: '30x', walkForwardTestWindow: '1d' }).createWindows(candles)).toThrow('Invalid duration');
+    expect(() => new WalkForwardAnalyzer({ ...config, walkForwardTrainWindow: 40, walkForwardTestWindow: 5 }).createWindows(candles)).toThrow('Not enough candles');
+  });
+});
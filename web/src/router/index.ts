@@ -14,6 +14,11 @@ const router = createRouter({
       name: 'backtest',
       component: () => import('../views/BacktestView.vue'),
     },
+    {
+      path: '/backtest/compare',
+      name: 'backtest-compare',
+      component: () => import('../views/BacktestCompareView.vue'),
+    },
     {
       path: '/strategies',
       name: 'strategies',
@@ -1,5 +1,5 @@
 import axios from 'axios'
-import type { ApiResponse, ServerHealth, BacktestResult, Strategy, Indicator } from '@/types'
+import type { ApiResponse, ServerHealth, BacktestResult, BacktestJob, BacktestRecord, BacktestComparison, Strategy, Indicator } from '@/types'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || ''
 
@@ -45,7 +45,8 @@ export const apiService = {
     strategy: string
     data: File | string
     parameters?: Record<string, number | string | boolean>
-  }): Promise<BacktestResult> {
+    monteCarloRuns?: number
+  }): Promise<BacktestJob> {
     const formData = new FormData()
     formData.append('strategy', data.strategy)
     
@@ -59,7 +60,11 @@ export const apiService = {
       formData.append('parameters', JSON.stringify(data.parameters))
     }
 
-    const response = await api.post<ApiResponse<BacktestResult>>('/backtest', formData, {
+    if (data.monteCarloRuns) {
+      formData.append('monteCarloRuns', String(data.monteCarloRuns))
+    }
+
+    const response = await api.post<ApiResponse<BacktestJob>>('/backtest', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -67,11 +72,33 @@ export const apiService = {
     return response.data.data!
   },
 
+  async getBacktestJob(id: string): Promise<BacktestJob> {
+    const response = await api.get<ApiResponse<BacktestJob>>(`/backtest/${id}`)
+    return response.data.data!
+  },
+
   async getBacktests(): Promise<BacktestResult[]> {
     const response = await api.get<ApiResponse<BacktestResult[]>>('/backtests')
     return response.data.data!
   },
 
+  async getBacktest(id: string): Promise<BacktestRecord> {
+    const response = await api.get<ApiResponse<BacktestRecord>>(`/backtests/${id}`)
+    return response.data.data!
+  },
+
+  async compareBacktests(ids: string[], baseline?: string): Promise<BacktestComparison> {
+    const response = await api.get<ApiResponse<BacktestComparison>>('/backtests/compare', {
+      params: { ids: ids.join(','), baseline }
+    })
+    return response.data.data!
+  },
+
+  // HTML tear sheet of a finished run, served as a download
+  getBacktestReportUrl(id: string): string {
+    return `${API_BASE_URL}/api/backtests/${id}/report`
+  },
+
   async startBacktest(request: unknown): Promise<BacktestResult> {
     const response = await api.post<ApiResponse<BacktestResult>>('/backtests', request)
     return response.data.data!
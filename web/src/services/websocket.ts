@@ -1,5 +1,6 @@
 import { io, Socket } from 'socket.io-client'
-import type { Candle, Trade } from '@/types'
+import type { BacktestJob, Candle, Trade } from '@/types'
+import type { OptimizationAlert, OptimizationProgress, OptimizationStatus } from '@/types/optimization'
 
 class WebSocketService {
   private socket: Socket | null = null
@@ -107,6 +108,71 @@ class WebSocketService {
     this.socket.on('strategy:status', callback)
   }
 
+  // Subscribe to a backtest job's progress, trades and final state
+  subscribeToBacktest(
+    id: string,
+    handlers: {
+      onProgress?: (data: { progress: { percent: number }; equity: unknown[] }) => void
+      onTrade?: (trade: Trade) => void
+      onFinished?: (job: BacktestJob) => void
+    }
+  ): () => void {
+    if (!this.socket) {
+      console.error('WebSocket not connected')
+      return () => {}
+    }
+
+    const socket = this.socket
+    const matches = (data: { id: string }) => data.id === id
+    const listeners: Record<string, (data: any) => void> = {
+      'backtest:progress': (data) => matches(data) && handlers.onProgress?.(data),
+      'backtest:trade': (data) => matches(data) && handlers.onTrade?.(data.trade),
+      'backtest:completed': (data) => matches(data) && handlers.onFinished?.(data),
+      'backtest:failed': (data) => matches(data) && handlers.onFinished?.(data),
+      'backtest:stopped': (data) => matches(data) && handlers.onFinished?.(data),
+    }
+
+    Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener))
+    socket.emit('subscribe-backtest', id)
+
+    return () => {
+      Object.entries(listeners).forEach(([event, listener]) => socket.off(event, listener))
+    }
+  }
+
+  // Subscribe to an optimization job's progress, final state and triggered alerts
+  subscribeToOptimization(
+    id: string,
+    handlers: {
+      onProgress?: (progress: OptimizationProgress) => void
+      onFinished?: (job: { id: string; status: OptimizationStatus; error: string | null }) => void
+      onAlert?: (alert: OptimizationAlert) => void
+    }
+  ): () => void {
+    if (!this.socket) {
+      console.error('WebSocket not connected')
+      return () => {}
+    }
+
+    const socket = this.socket
+    const matches = (data: { id: string }) => data.id === id
+    const listeners: Record<string, (data: any) => void> = {
+      'optimization:progress': (data) => matches(data) && handlers.onProgress?.(data),
+      'optimization:paused': (data) => matches(data) && handlers.onFinished?.(data),
+      'optimization:completed': (data) => matches(data) && handlers.onFinished?.(data),
+      'optimization:failed': (data) => matches(data) && handlers.onFinished?.(data),
+      'optimization:cancelled': (data) => matches(data) && handlers.onFinished?.(data),
+      'optimization:alert': (data) => matches(data) && handlers.onAlert?.(data.alert),
+    }
+
+    Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener))
+    socket.emit('subscribe-optimization', id)
+
+    return () => {
+      Object.entries(listeners).forEach(([event, listener]) => socket.off(event, listener))
+    }
+  }
+
   // Send strategy commands
   sendStrategyCommand(command: string, data?: any): void {
     if (!this.socket) {
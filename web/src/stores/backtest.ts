@@ -1,7 +1,8 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
-import type { BacktestResult, Candle } from '@/types'
+import type { BacktestJob, BacktestResult, Candle } from '@/types'
 import { apiService } from '@/services/api'
+import { websocketService } from '@/services/websocket'
 import { useMainStore } from './main'
 
 export const useBacktestStore = defineStore('backtest', () => {
@@ -111,29 +112,69 @@ export const useBacktestStore = defineStore('backtest', () => {
   })
 
   // Actions
+
+  // Wait for a server-side backtest job to finish. Progress is streamed over
+  // the socket when connected; the job status is polled as a fallback.
+  function waitForBacktest(
+    job: BacktestJob,
+    onProgress?: (percent: number) => void
+  ): Promise<BacktestResult> {
+    return new Promise((resolve, reject) => {
+      let unsubscribe = () => {}
+
+      const finish = (finished: BacktestJob) => {
+        if (finished.status === 'running' || finished.status === 'queued') return
+        unsubscribe()
+        clearInterval(pollTimer)
+
+        if (finished.status === 'completed' && finished.results) {
+          resolve({ ...finished.results, id: finished.id })
+        } else {
+          reject(new Error(finished.error || `Backtest ${finished.status}`))
+        }
+      }
+
+      const pollTimer = setInterval(async () => {
+        try {
+          const status = await apiService.getBacktestJob(job.id)
+          if (status.progress !== undefined) onProgress?.(status.progress)
+          finish(status)
+        } catch (error) {
+          unsubscribe()
+          clearInterval(pollTimer)
+          reject(error)
+        }
+      }, 2000)
+
+      if (websocketService.isConnected) {
+        unsubscribe = websocketService.subscribeToBacktest(job.id, {
+          onProgress: (data) => onProgress?.(data.progress.percent),
+          onFinished: finish,
+        })
+      }
+    })
+  }
+
   async function runBacktest(
     strategy: string,
     data: File | string,
-    params?: Record<string, any>
+    params?: Record<string, any>,
+    options: { monteCarloRuns?: number } = {}
   ): Promise<BacktestResult | null> {
     try {
       running.value = true
       progress.value = 0
       
-      // Simulate progress updates
-      const progressInterval = setInterval(() => {
-        if (progress.value !== null && progress.value < 90) {
-          progress.value += Math.random() * 10
-        }
-      }, 500)
-      
-      const result = await apiService.runBacktest({
+      const job = await apiService.runBacktest({
         strategy,
         data,
-        parameters: params || parameters.value
+        parameters: params || parameters.value,
+        monteCarloRuns: options.monteCarloRuns
       })
       
-      clearInterval(progressInterval)
+      const result = await waitForBacktest(job, (percent) => {
+        progress.value = percent
+      })
       progress.value = 100
       
       results.value.push(result)
@@ -186,11 +227,12 @@ export const useBacktestStore = defineStore('backtest', () => {
         progress.value = (i / total) * 100
         
         try {
-          const result = await apiService.runBacktest({
+          const job = await apiService.runBacktest({
             strategy,
             data,
             parameters: params
           })
+          const result = await waitForBacktest(job)
           
           parameterSweep.value.results.push({ params, result })
           results.value.push(result)
@@ -353,6 +395,39 @@ export const useBacktestStore = defineStore('backtest', () => {
     }
   }
 
+  // Stored backtests are listed without results; fetch one to get them
+  async function loadBacktest(id: string) {
+    try {
+      return await apiService.getBacktest(id)
+    } catch (error) {
+      console.error('Failed to load backtest:', error)
+      mainStore.addNotification({
+        type: 'error',
+        title: 'Load Failed',
+        message: 'Failed to load backtest results',
+      })
+      throw error
+    }
+  }
+
+  async function compareBacktests(ids: string[], baseline?: string) {
+    try {
+      return await apiService.compareBacktests(ids, baseline)
+    } catch (error) {
+      console.error('Failed to compare backtests:', error)
+      mainStore.addNotification({
+        type: 'error',
+        title: 'Comparison Failed',
+        message: 'Failed to compare backtests',
+      })
+      throw error
+    }
+  }
+
+  function getReportUrl(id: string) {
+    return apiService.getBacktestReportUrl(id)
+  }
+
   async function startBacktest(request: any) {
     try {
       const response = await apiService.startBacktest(request)
@@ -379,11 +454,38 @@ export const useBacktestStore = defineStore('backtest', () => {
     }
   }
 
+  async function rerunBacktest(id: string) {
+    try {
+      const rerun = await apiService.startBacktest({ rerunOf: id })
+      backtests.value.unshift(rerun)
+      
+      mainStore.addNotification({
+        type: 'success',
+        title: 'Backtest Started',
+        message: 'Backtest re-run started successfully',
+      })
+      
+      return rerun
+    } catch (error) {
+      console.error('Failed to re-run backtest:', error)
+      mainStore.addNotification({
+        type: 'error',
+        title: 'Re-run Failed',
+        message: 'Failed to re-run backtest',
+      })
+      throw error
+    }
+  }
+
   async function stopBacktest(id: string) {
     try {
       await apiService.stopBacktest(id)
       
       // Update state
+      const stopped = backtests.value.find(backtest => backtest.id === id)
+      if (stopped) {
+        stopped.status = 'stopped'
+      }
       isRunning.value = false
       progress.value = null
       
@@ -545,7 +647,11 @@ export const useBacktestStore = defineStore('backtest', () => {
     setFilters,
     setCurrentBacktest,
     loadBacktests,
+    loadBacktest,
+    getReportUrl,
+    compareBacktests,
     startBacktest,
+    rerunBacktest,
     stopBacktest,
     deleteBacktest,
     clearResults,
@@ -23,6 +23,7 @@ import {
   DEFAULT_PORTFOLIO_CONFIG
 } from '@/types/optimization'
 import api from '@/services/api'
+import { websocketService } from '@/services/websocket'
 
 export const useOptimizationStore = defineStore('optimization', () => {
   // State
@@ -79,7 +80,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
       // Metric filter (check if optimization used any of the selected metrics)
       if (filters.value.metric.length > 0) {
         const hasMetric = filters.value.metric.some(metric => 
-          opt.bestPerformance[metric] !== undefined
+          opt.bestPerformance?.[metric] !== undefined
         )
         if (!hasMetric) return false
       }
@@ -182,9 +183,9 @@ export const useOptimizationStore = defineStore('optimization', () => {
     }
     
     try {
-      const response = await api.get('/api/optimizations')
-      optimizations.value = response.data
-      cache.value.set(cacheKey, response.data)
+      const response = await api.get('/optimization')
+      optimizations.value = response.data.data
+      cache.value.set(cacheKey, response.data.data)
       lastFetch.value[cacheKey] = now
     } catch (error) {
       console.error('Failed to load optimizations:', error)
@@ -194,8 +195,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const loadTemplates = async () => {
     try {
-      const response = await api.get('/api/optimization/templates')
-      templates.value = response.data
+      const response = await api.get('/optimization/templates')
+      templates.value = response.data.data
     } catch (error) {
       console.error('Failed to load templates:', error)
       throw error
@@ -204,8 +205,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const loadComparisons = async () => {
     try {
-      const response = await api.get('/api/optimization/comparisons')
-      comparisons.value = response.data
+      const response = await api.get('/optimization/comparisons')
+      comparisons.value = response.data.data
     } catch (error) {
       console.error('Failed to load comparisons:', error)
       throw error
@@ -214,8 +215,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const loadAlerts = async () => {
     try {
-      const response = await api.get('/api/optimization/alerts')
-      alerts.value = response.data
+      const response = await api.get('/optimization/alerts')
+      alerts.value = response.data.data
     } catch (error) {
       console.error('Failed to load alerts:', error)
       throw error
@@ -226,8 +227,27 @@ export const useOptimizationStore = defineStore('optimization', () => {
     try {
       isRunning.value = true
       
-      const response = await api.post('/api/optimization/start', request)
-      const optimization = response.data
+      // An uploaded CSV goes as multipart form, with the request's objects as JSON fields
+      let response
+      if (request.dataSource.file) {
+        const { file, ...dataSource } = request.dataSource
+        const formData = new FormData()
+        formData.append('csvFile', file)
+        Object.entries({ ...request, dataSource }).forEach(([key, value]) => {
+          if (value !== undefined) {
+            formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value))
+          }
+        })
+        
+        response = await api.post('/optimization/start', formData, {
+          headers: {
+            'Content-Type': 'multipart/form-data'
+          }
+        })
+      } else {
+        response = await api.post('/optimization/start', request)
+      }
+      const optimization = response.data.data
       
       optimizations.value.unshift(optimization)
       currentOptimization.value = optimization
@@ -245,7 +265,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const pauseOptimization = async (id: string) => {
     try {
-      await api.post(`/api/optimization/${id}/pause`)
+      await api.post(`/optimization/${id}/pause`)
       
       const optimization = optimizations.value.find(opt => opt.id === id)
       if (optimization) {
@@ -261,7 +281,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const resumeOptimization = async (id: string) => {
     try {
-      await api.post(`/api/optimization/${id}/resume`)
+      await api.post(`/optimization/${id}/resume`)
       
       const optimization = optimizations.value.find(opt => opt.id === id)
       if (optimization) {
@@ -277,7 +297,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const stopOptimization = async (id: string) => {
     try {
-      await api.post(`/api/optimization/${id}/stop`)
+      await api.post(`/optimization/${id}/stop`)
       
       const optimization = optimizations.value.find(opt => opt.id === id)
       if (optimization) {
@@ -297,7 +317,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const deleteOptimization = async (id: string) => {
     try {
-      await api.delete(`/api/optimization/${id}`)
+      await api.delete(`/optimization/${id}`)
       
       const index = optimizations.value.findIndex(opt => opt.id === id)
       if (index !== -1) {
@@ -315,8 +335,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const duplicateOptimization = async (id: string): Promise<OptimizationResult> => {
     try {
-      const response = await api.post(`/api/optimization/${id}/duplicate`)
-      const optimization = response.data
+      const response = await api.post(`/optimization/${id}/duplicate`)
+      const optimization = response.data.data
       
       optimizations.value.unshift(optimization)
       
@@ -327,13 +347,14 @@ export const useOptimizationStore = defineStore('optimization', () => {
     }
   }
   
-  const getOptimization = async (id: string): Promise<OptimizationResult> => {
+  const getOptimization = async (id: string, force = false): Promise<OptimizationResult> => {
     const cached = optimizations.value.find(opt => opt.id === id)
-    if (cached) return cached
+    // Listed jobs come without their results
+    if (cached && cached.results && !force) return cached
     
     try {
-      const response = await api.get(`/api/optimization/${id}`)
-      const optimization = response.data
+      const response = await api.get(`/optimization/${id}`)
+      const optimization = response.data.data
       
       const index = optimizations.value.findIndex(opt => opt.id === id)
       if (index !== -1) {
@@ -372,7 +393,9 @@ export const useOptimizationStore = defineStore('optimization', () => {
       optimization.results.forEach(result => {
         const xVal = result.parameters[xParameter]
         const yVal = result.parameters[yParameter]
-        const value = result.performance[metric] || 0
+        // Only the winner is backtested in full; other points are scored by
+        // their fitness on the optimization metric
+        const value = result.performance ? result.performance[metric] || 0 : result.fitness ?? 0
         
         const key = `${xVal}_${yVal}`
         data.set(key, {
@@ -408,8 +431,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const saveTemplate = async (template: Omit<OptimizationTemplate, 'id' | 'createdAt' | 'updatedAt'>): Promise<OptimizationTemplate> => {
     try {
-      const response = await api.post('/api/optimization/templates', template)
-      const savedTemplate = response.data
+      const response = await api.post('/optimization/templates', template)
+      const savedTemplate = response.data.data
       
       templates.value.push(savedTemplate)
       
@@ -422,8 +445,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const updateTemplate = async (id: string, updates: Partial<OptimizationTemplate>) => {
     try {
-      const response = await api.put(`/api/optimization/templates/${id}`, updates)
-      const updatedTemplate = response.data
+      const response = await api.put(`/optimization/templates/${id}`, updates)
+      const updatedTemplate = response.data.data
       
       const index = templates.value.findIndex(t => t.id === id)
       if (index !== -1) {
@@ -439,7 +462,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const deleteTemplate = async (id: string) => {
     try {
-      await api.delete(`/api/optimization/templates/${id}`)
+      await api.delete(`/optimization/templates/${id}`)
       
       const index = templates.value.findIndex(t => t.id === id)
       if (index !== -1) {
@@ -457,13 +480,13 @@ export const useOptimizationStore = defineStore('optimization', () => {
     metrics: OptimizationMetric[]
   ): Promise<OptimizationComparison> => {
     try {
-      const response = await api.post('/api/optimization/comparisons', {
+      const response = await api.post('/optimization/comparisons', {
         name,
         optimizations: optimizationIds,
         metrics
       })
       
-      const comparison = response.data
+      const comparison = response.data.data
       comparisons.value.push(comparison)
       
       return comparison
@@ -483,7 +506,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
     } = {}
   ): Promise<Blob> => {
     try {
-      const response = await api.post(`/api/optimization/${id}/export`, {
+      const response = await api.post(`/optimization/${id}/export`, {
         format,
         ...options
       }, {
@@ -506,13 +529,13 @@ export const useOptimizationStore = defineStore('optimization', () => {
       formData.append('file', file)
       formData.append('format', format)
       
-      const response = await api.post('/api/optimization/import', formData, {
+      const response = await api.post('/optimization/import', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         }
       })
       
-      const optimization = response.data
+      const optimization = response.data.data
       optimizations.value.unshift(optimization)
       
       return optimization
@@ -524,8 +547,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const createAlert = async (alert: Omit<OptimizationAlert, 'id'>): Promise<OptimizationAlert> => {
     try {
-      const response = await api.post('/api/optimization/alerts', alert)
-      const savedAlert = response.data
+      const response = await api.post('/optimization/alerts', alert)
+      const savedAlert = response.data.data
       
       alerts.value.push(savedAlert)
       
@@ -538,8 +561,8 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const updateAlert = async (id: string, updates: Partial<OptimizationAlert>) => {
     try {
-      const response = await api.put(`/api/optimization/alerts/${id}`, updates)
-      const updatedAlert = response.data
+      const response = await api.put(`/optimization/alerts/${id}`, updates)
+      const updatedAlert = response.data.data
       
       const index = alerts.value.findIndex(a => a.id === id)
       if (index !== -1) {
@@ -555,7 +578,7 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   const deleteAlert = async (id: string) => {
     try {
-      await api.delete(`/api/optimization/alerts/${id}`)
+      await api.delete(`/optimization/alerts/${id}`)
       
       const index = alerts.value.findIndex(a => a.id === id)
       if (index !== -1) {
@@ -569,44 +592,69 @@ export const useOptimizationStore = defineStore('optimization', () => {
   
   // Progress monitoring
   let progressInterval: NodeJS.Timeout | null = null
+  let unsubscribeProgress: () => void = () => {}
+  let monitoredId: string | null = null
   
-  const startProgressMonitoring = (optimizationId: string) => {
-    if (progressInterval) {
-      clearInterval(progressInterval)
+  const applyProgress = async (optimizationId: string, data: OptimizationProgress) => {
+    if (monitoredId !== optimizationId) return
+    progress.value = data
+    
+    // Update optimization status
+    const optimization = optimizations.value.find(opt => opt.id === optimizationId)
+    if (optimization) {
+      optimization.status = data.status
+      optimization.completedCombinations = data.completed
+      
+      if (data.currentBest) {
+        optimization.bestParameters = data.currentBest.parameters
+        if (data.currentBest.performance) {
+          optimization.bestPerformance = data.currentBest.performance
+        }
+      }
+    }
+    
+    // Stop monitoring if completed
+    if (data.status === OptimizationStatus.COMPLETED ||
+        data.status === OptimizationStatus.FAILED ||
+        data.status === OptimizationStatus.CANCELLED) {
+      stopProgressMonitoring()
+      isRunning.value = false
+      isPaused.value = false
+      
+      // Reload full optimization data
+      await getOptimization(optimizationId, true)
     }
+  }
+  
+  const startProgressMonitoring = (optimizationId: string) => {
+    stopProgressMonitoring()
+    monitoredId = optimizationId
     
-    progressInterval = setInterval(async () => {
+    const refresh = async () => {
       try {
-        const response = await api.get(`/api/optimization/${optimizationId}/progress`)
-        progress.value = response.data
-        
-        // Update optimization status
-        const optimization = optimizations.value.find(opt => opt.id === optimizationId)
-        if (optimization && progress.value) {
-          optimization.status = progress.value.status
-          optimization.completedCombinations = progress.value.completed
-          
-          if (progress.value.currentBest) {
-            optimization.bestParameters = progress.value.currentBest.parameters
-            optimization.bestPerformance = progress.value.currentBest.performance
-          }
-        }
-        
-        // Stop monitoring if completed
-        if (progress.value && (progress.value.status === OptimizationStatus.COMPLETED ||
-            progress.value.status === OptimizationStatus.FAILED ||
-            progress.value.status === OptimizationStatus.CANCELLED)) {
-          stopProgressMonitoring()
-          isRunning.value = false
-          isPaused.value = false
-          
-          // Reload full optimization data
-          await getOptimization(optimizationId)
-        }
+        const response = await api.get(`/optimization/${optimizationId}/progress`)
+        await applyProgress(optimizationId, response.data.data)
       } catch (error) {
         console.error('Failed to get progress:', error)
       }
-    }, settings.value.refreshInterval)
+    }
+    
+    // Progress is pushed over the socket when connected; polling covers
+    // missed events and clients without a socket
+    progressInterval = setInterval(refresh, settings.value.refreshInterval)
+    
+    if (websocketService.isConnected) {
+      unsubscribeProgress = websocketService.subscribeToOptimization(optimizationId, {
+        onProgress: (data) => applyProgress(optimizationId, data),
+        onFinished: () => refresh(),
+        onAlert: (alert) => {
+          const index = alerts.value.findIndex(a => a.id === alert.id)
+          if (index !== -1) {
+            alerts.value[index] = alert
+          }
+        }
+      })
+    }
   }
   
   const stopProgressMonitoring = () => {
@@ -614,6 +662,9 @@ export const useOptimizationStore = defineStore('optimization', () => {
       clearInterval(progressInterval)
       progressInterval = null
     }
+    unsubscribeProgress()
+    unsubscribeProgress = () => {}
+    monitoredId = null
   }
   
   // Utility functions
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { flushPromises, mount } from '@vue/test-utils'
+import BacktestComparison from '@/components/backtest/BacktestComparison.vue'
+import { useBacktestStore } from '@/stores/backtest'
+import type { BacktestComparison as Comparison, ComparedMetrics } from '@/types'
+
+vi.mock('@/stores/backtest')
+
+const metrics = (overrides: Partial<ComparedMetrics>): ComparedMetrics => ({
+  totalReturnPercent: 10,
+  annualizedReturnPercent: 20,
+  sharpeRatio: 1,
+  sortinoRatio: 1.5,
+  calmarRatio: 2,
+  maxDrawdownPercent: 5,
+  volatility: 0.2,
+  winRate: 50,
+  profitFactor: 1.5,
+  ...overrides
+})
+
+const curve = (returns: number[]) => returns.map((returnPercent, i) => ({
+  timestamp: Date.UTC(2023, 0, 1 + i),
+  value: 1000 * (1 + returnPercent / 100),
+  returnPercent
+}))
+
+const comparison: Comparison = {
+  baseline: 'run-a',
+  timestamps: [Date.UTC(2023, 0, 1), Date.UTC(2023, 0, 2)],
+  runs: [
+    { id: 'run-a', name: 'SMA', parameters: {}, equityCurve: curve([0, 10]), metrics: metrics({}) },
+    { id: 'run-b', name: 'SMA', parameters: {}, equityCurve: curve([0, 15]), metrics: metrics({ totalReturnPercent: 15, profitFactor: null }) }
+  ],
+  deltas: { 'run-b': metrics({ totalReturnPercent: 5, annualizedReturnPercent: 0, sharpeRatio: 0, sortinoRatio: 0, calmarRatio: 0, maxDrawdownPercent: 0, volatility: 0, winRate: 0, profitFactor: null }) },
+  winners: {
+    totalReturnPercent: ['run-b'],
+    annualizedReturnPercent: ['run-a', 'run-b'],
+    sharpeRatio: ['run-a', 'run-b'],
+    sortinoRatio: ['run-a', 'run-b'],
+    calmarRatio: ['run-a', 'run-b'],
+    maxDrawdownPercent: ['run-a', 'run-b'],
+    volatility: ['run-a', 'run-b'],
+    winRate: ['run-a', 'run-b'],
+    profitFactor: ['run-b']
+  },
+  correlation: { ids: ['run-a', 'run-b'], matrix: [[1, 0.8], [0.8, 1]] }
+}
+
+describe('BacktestComparison', () => {
+  let backtestStore: ReturnType<typeof useBacktestStore>
+
+  beforeEach(() => {
+    backtestStore = {
+      backtests: [
+        { id: 'run-a', status: 'completed', strategyName: 'SMA', createdAt: '2023-01-01T00:00:00Z' },
+        { id: 'run-b', status: 'completed', strategyName: 'SMA', createdAt: '2023-01-02T00:00:00Z' },
+        { id: 'run-c', status: 'running', strategyName: 'RSI', createdAt: '2023-01-03T00:00:00Z' }
+      ],
+      loadBacktests: vi.fn().mockResolvedValue(undefined),
+      compareBacktests: vi.fn().mockResolvedValue(comparison)
+    } as any
+    vi.mocked(useBacktestStore).mockReturnValue(backtestStore)
+  })
+
+  const mountComparison = (props = {}) => mount(BacktestComparison, {
+    props,
+    global: { stubs: { TradingChart: true } }
+  })
+
+  it('lists finished backtests and compares the selected ones', async () => {
+    const wrapper = mountComparison()
+    await flushPromises()
+
+    const checkboxes = wrapper.findAll('input[type="checkbox"]')
+    expect(checkboxes).toHaveLength(2)
+    expect(wrapper.find('.compare-button').attributes('disabled')).toBeDefined()
+
+    await checkboxes[0].trigger('change')
+    await checkboxes[1].trigger('change')
+    await wrapper.find('.compare-button').trigger('click')
+    await flushPromises()
+
+    expect(backtestStore.compareBacktests).toHaveBeenCalledWith(['run-a', 'run-b'], 'run-a')
+    expect(wrapper.emitted('compare')).toEqual([[['run-a', 'run-b'], 'run-a']])
+  })
+
+  it('overlays cumulative returns and highlights metric winners', async () => {
+    const wrapper = mountComparison({ initialIds: ['run-a', 'run-b'] })
+    await flushPromises()
+
+    const chart = wrapper.findComponent({ name: 'TradingChart' })
+    const overlays = chart.props('overlays') as Array<{ id: string; data: Array<{ value: number }> }>
+    expect(overlays.map(overlay => overlay.id)).toEqual(['run-a', 'run-b'])
+    expect(overlays[1].data.map(point => point.value)).toEqual([0, 15])
+
+    const winners = wrapper.findAll('td.winner')
+    expect(winners).toHaveLength(2)
+    expect(winners[0].text()).toContain('15.00%')
+    expect(winners[0].text()).toContain('+5.00%')
+    expect(winners[1].text()).toContain('∞')
+    expect(wrapper.text()).toContain('0.80')
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import MonteCarloFanChart from '@/components/charts/MonteCarloFanChart.vue'
+
+const bands = [
+  { step: 0, p5: 1000, p25: 1000, p50: 1000, p75: 1000, p95: 1000 },
+  { step: 5, p5: 900, p25: 980, p50: 1020, p75: 1060, p95: 1150 },
+  { step: 10, p5: 850, p25: 970, p50: 1050, p75: 1120, p95: 1300 }
+]
+
+describe('MonteCarloFanChart', () => {
+  it('draws both percentile bands and the median', () => {
+    const wrapper = mount(MonteCarloFanChart, {
+      props: { bands, title: 'Trades', initialBalance: 1000 }
+    })
+
+    expect(wrapper.find('.fan-chart-title').text()).toBe('Trades')
+    expect(wrapper.findAll('polygon')).toHaveLength(2)
+    expect(wrapper.find('polyline.median').attributes('points')!.split(' ')).toHaveLength(3)
+    expect(wrapper.find('line.baseline').exists()).toBe(true)
+  })
+
+  it('keeps the outer band around the inner band', () => {
+    const wrapper = mount(MonteCarloFanChart, { props: { bands } })
+    const [outer, inner] = wrapper.findAll('polygon').map(polygon =>
+      polygon.attributes('points')!.split(' ').map(point => Number(point.split(',')[1]))
+    )
+
+    // SVG y grows downwards: the p95 edge of the outer band sits highest
+    expect(outer[2]).toBeLessThan(inner[2])
+    expect(outer[3]).toBeGreaterThan(inner[3])
+  })
+
+  it('shows a message without enough steps', () => {
+    const wrapper = mount(MonteCarloFanChart, { props: { bands: bands.slice(0, 1) } })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.text()).toContain('Not enough data')
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ParetoFrontChart from '@/components/optimization/ParetoFrontChart.vue'
+import type { OptimizationObjective, ParetoPoint } from '@/types/optimization'
+
+const objectives: OptimizationObjective[] = [
+  { name: 'profit', direction: 'maximize' },
+  { name: 'max_drawdown', direction: 'minimize' }
+]
+
+const points: ParetoPoint[] = [
+  { parameters: { period: 10 }, objectives: { profit: 5, max_drawdown: 2 }, crowdingDistance: null },
+  { parameters: { period: 20 }, objectives: { profit: 12, max_drawdown: 6 }, crowdingDistance: 1.5 },
+  { parameters: { period: 30 }, objectives: { profit: 20, max_drawdown: 15 }, crowdingDistance: null }
+]
+
+describe('ParetoFrontChart', () => {
+  it('plots the front and marks the points that are best on one objective', () => {
+    const wrapper = mount(ParetoFrontChart, { props: { points, objectives } })
+
+    expect(wrapper.findAll('circle')).toHaveLength(3)
+    expect(wrapper.findAll('circle.point-boundary')).toHaveLength(2)
+    expect(wrapper.find('polyline.front-line').exists()).toBe(true)
+    expect(wrapper.text()).toContain('Max Drawdown (%) (lower is better)')
+  })
+
+  it('places points by their objective values', () => {
+    const wrapper = mount(ParetoFrontChart, { props: { points, objectives } })
+    const [first, , last] = wrapper.findAll('circle').map(circle => ({
+      x: Number(circle.attributes('cx')),
+      y: Number(circle.attributes('cy'))
+    }))
+
+    // More profit costs more drawdown: the last point is right of and above the first
+    expect(last.x).toBeGreaterThan(first.x)
+    expect(last.y).toBeLessThan(first.y)
+  })
+
+  it('offers axis choices and no front line for more than two objectives', () => {
+    const wrapper = mount(ParetoFrontChart, {
+      props: { points, objectives: [...objectives, { name: 'trade_count', direction: 'maximize' }] }
+    })
+
+    expect(wrapper.findAll('select')).toHaveLength(2)
+    expect(wrapper.find('polyline').exists()).toBe(false)
+  })
+
+  it('emits the clicked point', async () => {
+    const wrapper = mount(ParetoFrontChart, { props: { points, objectives } })
+
+    await wrapper.findAll('circle')[1].trigger('click')
+
+    expect(wrapper.emitted('select')?.[0]).toEqual([points[1]])
+  })
+
+  it('shows a message without a front', () => {
+    const wrapper = mount(ParetoFrontChart, { props: { points: [], objectives } })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.text()).toContain('No Pareto front to plot')
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import RoundTripScatterChart from '@/components/charts/RoundTripScatterChart.vue'
+import type { RoundTrip } from '@/types'
+
+const trip = (id: number, pnl: number, mae: number, mfe: number): RoundTrip => ({
+  id,
+  lotId: id,
+  side: 'long',
+  quantity: 1,
+  entryTime: 0,
+  exitTime: 3600000,
+  entryPrice: 100,
+  exitPrice: 100 + pnl,
+  holdingTime: 3600000,
+  bars: 1,
+  grossPnl: pnl,
+  fees: 0,
+  pnl,
+  returnPercent: pnl,
+  mae,
+  mfe,
+  maeAmount: mae,
+  mfeAmount: mfe
+})
+
+const roundTrips = [trip(1, 5, 1, 8), trip(2, -3, 4, 2), trip(3, 2, 2, 3)]
+
+describe('RoundTripScatterChart', () => {
+  it('plots one point per round trip coloured by outcome', () => {
+    const wrapper = mount(RoundTripScatterChart, { props: { roundTrips, title: 'Round trips' } })
+
+    expect(wrapper.find('.scatter-chart-title').text()).toBe('Round trips')
+    expect(wrapper.findAll('circle')).toHaveLength(3)
+    expect(wrapper.findAll('circle.point-win')).toHaveLength(2)
+    expect(wrapper.findAll('circle.point-loss')).toHaveLength(1)
+    expect(wrapper.text()).toContain('Max adverse excursion')
+  })
+
+  it('places points by the selected excursion and return', () => {
+    const wrapper = mount(RoundTripScatterChart, { props: { roundTrips, excursion: 'mfe' } })
+    const [first, second] = wrapper.findAll('circle').map(circle => ({
+      x: Number(circle.attributes('cx')),
+      y: Number(circle.attributes('cy'))
+    }))
+
+    // The winner moved furthest in its favour and sits above the loser
+    expect(first.x).toBeGreaterThan(second.x)
+    expect(first.y).toBeLessThan(second.y)
+    expect(wrapper.text()).toContain('Max favorable excursion')
+  })
+
+  it('shows a message without round trips', () => {
+    const wrapper = mount(RoundTripScatterChart, { props: { roundTrips: [] } })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.text()).toContain('No closed round trips')
+  })
+})
@@ -70,11 +70,95 @@ export interface LiveTradingSession {
   }
 }
 
+// Percentiles of one simulated quantity across all Monte Carlo paths
+export interface MonteCarloDistribution {
+  mean: number
+  min: number
+  max: number
+  p5: number
+  p25: number
+  p50: number
+  p75: number
+  p95: number
+}
+
+// Percentiles of path equity after `step` trades (or bars)
+export interface MonteCarloBand {
+  step: number
+  p5: number
+  p25: number
+  p50: number
+  p75: number
+  p95: number
+}
+
+export interface MonteCarloSimulation {
+  method: 'shuffle' | 'resample' | 'block-bootstrap'
+  runs: number
+  steps: number
+  finalEquity: MonteCarloDistribution
+  maxDrawdown: MonteCarloDistribution
+  riskOfRuin: number
+  probabilityOfProfit: number
+  bands: MonteCarloBand[]
+  blockSize?: number
+  skipProbability?: number
+}
+
+export interface MonteCarloResults {
+  trades: MonteCarloSimulation
+  returns: MonteCarloSimulation
+}
+
+// Strategy performance relative to buy and hold or a supplied benchmark
+export interface BenchmarkComparison {
+  source: 'buy-and-hold' | 'custom'
+  strategyReturn: number
+  benchmarkReturn: number
+  excessReturn: number
+  alpha: number
+  beta: number
+  correlation: number
+  trackingError: number
+  informationRatio: number
+  upCapture: number | null
+  downCapture: number | null
+  equityCurve: Array<{ timestamp: number | string; value: number }>
+}
+
+// An entry paired with its exit by the backtester's FIFO trade ledger.
+// mae/mfe and returnPercent are percentages of the entry price.
+export interface RoundTrip {
+  id: number
+  lotId: number
+  side: 'long' | 'short'
+  quantity: number
+  entryTime: number | string
+  exitTime: number | string
+  entryPrice: number
+  exitPrice: number
+  holdingTime: number
+  bars: number
+  grossPnl: number
+  fees: number
+  pnl: number
+  returnPercent: number
+  mae: number
+  mfe: number
+  maeAmount: number
+  mfeAmount: number
+  entryReason?: string
+  exitReason?: string
+}
+
 export interface BacktestResult {
   id?: string
   strategy?: string
   trades: Trade[]
   equity: Array<{ timestamp: number; value: number }>
+  monteCarlo?: MonteCarloResults
+  benchmark?: BenchmarkComparison
+  roundTrips?: RoundTrip[]
   metrics: {
     totalTrades: number
     winRate: number
@@ -89,6 +173,71 @@ export interface BacktestResult {
   endTime?: number
 }
 
+export type BacktestJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'stopped'
+
+// Backtests started through POST /api/backtest run as server-side jobs
+export interface BacktestJob {
+  id: string
+  status: BacktestJobStatus
+  progress?: number
+  room?: string
+  results?: BacktestResult | null
+  error?: string | null
+}
+
+// Stored backtest returned by GET /api/backtests/:id
+export interface BacktestRecord {
+  id: string
+  status: BacktestJobStatus
+  strategyId: string
+  strategyName: string
+  parameters: Record<string, unknown>
+  createdAt: string
+  completedAt: string | null
+  results: BacktestResult | null
+  error: string | null
+}
+
+// Extra line series drawn over a TradingChart, e.g. equity curves
+export interface ChartOverlay {
+  id: string
+  name: string
+  color?: string
+  data: Array<{ timestamp: number; value: number }>
+}
+
+export type ComparedMetric =
+  | 'totalReturnPercent'
+  | 'annualizedReturnPercent'
+  | 'sharpeRatio'
+  | 'sortinoRatio'
+  | 'calmarRatio'
+  | 'maxDrawdownPercent'
+  | 'volatility'
+  | 'winRate'
+  | 'profitFactor'
+
+// Metrics serialize Infinity (e.g. a profit factor without losses) as null
+export type ComparedMetrics = Record<ComparedMetric, number | null>
+
+export interface ComparedBacktest {
+  id: string
+  name: string
+  parameters: Record<string, unknown>
+  equityCurve: Array<{ timestamp: number; value: number; returnPercent: number }>
+  metrics: ComparedMetrics
+}
+
+// GET /api/backtests/compare: runs aligned on the period they all cover
+export interface BacktestComparison {
+  baseline: string
+  timestamps: number[]
+  runs: ComparedBacktest[]
+  deltas: Record<string, ComparedMetrics>
+  winners: Record<ComparedMetric, string[]>
+  correlation: { ids: string[]; matrix: number[][] }
+}
+
 export interface BacktestRequest {
   strategy: string
   strategyId?: string
@@ -6,6 +6,10 @@ export interface OptimizationRequest {
   dataSource: DataSource
   portfolio: PortfolioConfig
   optimization: OptimizationConfig
+  // Search method; by default a grid search, or a random search when the
+  // grid is larger than maxCombinations
+  method?: 'grid' | 'random' | 'genetic' | 'bayesian' | 'nsga2'
+  objectives?: OptimizationObjective[]
 }
 
 export interface ParameterRange {
@@ -19,6 +23,8 @@ export interface ParameterRange {
 export interface DataSource {
   type: 'csv' | 'database' | 'api'
   file?: File
+  // Dataset stored on the server by an earlier optimization or backtest
+  datasetId?: string
   symbol?: string
   startDate: string
   endDate: string
@@ -54,15 +60,45 @@ export interface OptimizationResult {
   bestPerformance: PerformanceMetrics
   results: OptimizationPoint[]
   summary: OptimizationSummary
+  objectives?: OptimizationObjective[]
+  paretoFront?: ParetoPoint[]
   error?: string
 }
 
+// Objective of a multi-objective (NSGA-II) run, named as on the server
+export interface OptimizationObjective {
+  name: ObjectiveName
+  direction: 'maximize' | 'minimize'
+}
+
+export type ObjectiveName =
+  | 'profit'
+  | 'sharpe'
+  | 'calmar'
+  | 'sortino'
+  | 'profit_factor'
+  | 'win_rate'
+  | 'max_drawdown'
+  | 'trade_count'
+
+// Parameter set on the Pareto front; the front's boundary points have a
+// crowding distance of null (infinite on the server)
+export interface ParetoPoint {
+  parameters: Record<string, number | string | boolean>
+  objectives: Partial<Record<ObjectiveName, number>>
+  crowdingDistance: number | null
+}
+
 export interface OptimizationPoint {
   id: string
   parameters: Record<string, number | string | boolean>
-  performance: PerformanceMetrics
-  trades: number
-  duration: number
+  // Score on the optimization metric; the server backtests only the winner
+  // in full, so other points carry no performance
+  fitness?: number | null
+  objectives?: Partial<Record<ObjectiveName, number>>
+  performance?: PerformanceMetrics
+  trades?: number
+  duration?: number
   rank?: number
 }
 
@@ -355,6 +391,21 @@ export function isPerformanceMetrics(obj: unknown): obj is PerformanceMetrics {
 }
 
 // Utility Functions
+export const OBJECTIVE_LABELS: Record<ObjectiveName, string> = {
+  profit: 'Profit',
+  sharpe: 'Sharpe Ratio',
+  calmar: 'Calmar Ratio',
+  sortino: 'Sortino Ratio',
+  profit_factor: 'Profit Factor',
+  win_rate: 'Win Rate',
+  max_drawdown: 'Max Drawdown (%)',
+  trade_count: 'Trade Count'
+}
+
+export function defaultObjectiveDirection(name: ObjectiveName): OptimizationObjective['direction'] {
+  return name === 'max_drawdown' ? 'minimize' : 'maximize'
+}
+
 export function calculateOptimizationScore(
   performance: PerformanceMetrics,
   weights: Partial<Record<keyof PerformanceMetrics, number>> = {}
@@ -387,8 +438,8 @@ export function rankOptimizationResults(
   
   return results
     .sort((a, b) => {
-      const aValue = a.performance[metric] || 0
-      const bValue = b.performance[metric] || 0
+      const aValue = a.performance?.[metric] || 0
+      const bValue = b.performance?.[metric] || 0
       return isLowerBetter ? aValue - bValue : bValue - aValue
     })
     .map((result, index) => ({
@@ -1,3 +1,5 @@
+import type { OptimizationObjective, ParetoPoint } from './optimization'
+
 // Strategy Types
 export interface Strategy {
   id: string
@@ -267,7 +269,8 @@ export interface StrategyOptimizationRequest {
     minTrades?: number
     minWinRate?: number
   }
-  method: 'grid' | 'genetic' | 'particle-swarm' | 'bayesian'
+  method: 'grid' | 'genetic' | 'particle-swarm' | 'bayesian' | 'nsga2'
+  objectives?: OptimizationObjective[]
   maxIterations?: number
   populationSize?: number
 }
@@ -281,6 +284,8 @@ export interface StrategyOptimizationResult {
   bestPerformance: StrategyPerformance
   convergenceData: ConvergencePoint[]
   heatmapData?: HeatmapPoint[]
+  objectives?: OptimizationObjective[]
+  paretoFront?: ParetoPoint[]
   statistics: OptimizationStatistics
   duration: number
   createdAt: number
@@ -409,7 +414,7 @@ export type StrategyCategory =
 
 export type StrategyStatus = 'draft' | 'testing' | 'validated' | 'live' | 'paused' | 'archived'
 
-export type OptimizationMethod = 'grid' | 'genetic' | 'particle-swarm' | 'bayesian' | 'random'
+export type OptimizationMethod = 'grid' | 'genetic' | 'particle-swarm' | 'bayesian' | 'random' | 'nsga2'
 
 export type ObjectiveFunction = 
   | 'totalReturn'